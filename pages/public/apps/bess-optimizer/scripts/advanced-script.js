@@ -191,12 +191,15 @@ async function analyzeOpportunity() {
             tariff: document.getElementById('tariff').value
         };
         
-        // Fetch price data
-        updateProgress(10, 'Fetching price data...');
-        const prices = await fetchPriceData(params);
-        
-        if (!prices || prices.length === 0) {
-            throw new Error('No price data available for selected period');
+        // Behind the meter, the site's load profile and tariff take the place of prices
+        let prices = null;
+        if (params.siteMode !== 'BtM') {
+            updateProgress(10, 'Fetching price data...');
+            prices = await fetchPriceData(params);
+            
+            if (!prices || prices.length === 0) {
+                throw new Error('No price data available for selected period');
+            }
         }
         
         // Run optimization
@@ -243,9 +246,8 @@ async function fetchPriceData(params) {
         const data = await response.json();
         return data.intervals.map(i => i.price);
     } else {
-        // Use historical prices
-        const hours = Math.ceil((new Date(endDate) - start) / (1000 * 60 * 60));
-        const response = await fetch(`${API_BASE}/api/prices/history/${region}?hours=${hours}`);
+        // Use historical prices (dates are NEM days, oldest interval first)
+        const response = await fetch(`${API_BASE}/api/prices/history/${region}?from=${startDate}&to=${endDate}&order=asc`);
         if (!response.ok) throw new Error('Failed to fetch historical prices');
         
         const data = await response.json();
@@ -261,6 +263,20 @@ async function runOptimization(prices, params) {
     const totalPower = power * numUnits;
     const totalCapacity = capacity * numUnits;
     
+    if (params.siteMode === 'BtM') {
+        return await runSiteOptimization(totalPower, totalCapacity, efficiency, throughputCost);
+    }
+    
+    if (optimizationMode === 'dp') {
+        // The API runs the same DP optimiser as scripts calling /api/bess/optimize;
+        // the bundled copy is only used if that request fails
+        try {
+            return await runServerOptimization(prices, totalPower, totalCapacity, efficiency, maxCycles, throughputCost);
+        } catch (err) {
+            console.warn('Server optimisation failed, running locally:', err);
+        }
+    }
+    
     if (optimizationMode === 'dp' && typeof optimiseBESS_DP === 'function') {
         // Use Dynamic Programming optimizer
         return optimiseBESS_DP({
@@ -280,6 +296,94 @@ async function runOptimization(prices, params) {
     }
 }
 
+// Dynamic Programming optimisation on the API (POST /api/bess/optimize)
+async function runServerOptimization(prices, power, capacity, efficiency, maxCycles, throughputCost) {
+    const data = await window.sunneyAuth.apiCall('/api/bess/optimize', {
+        method: 'POST',
+        body: JSON.stringify({
+            prices: prices,
+            interval_minutes: 5,
+            capacity_mwh: capacity,
+            power_mw: power,
+            efficiency: efficiency,
+            initial_soc: 0.5,
+            throughput_cost: throughputCost || 0,
+            max_cycles: maxCycles || null
+        })
+    });
+    if (!data) throw new Error('Not signed in');
+    
+    return {
+        revenue: data.total_revenue,
+        cycles: data.cycles,
+        prices: data.schedule.map(s => s.price),
+        actions: data.schedule.map(s => s.mw),
+        soc: data.schedule.map(s => s.soc),
+        energyCharged: data.energy_charged_mwh,
+        energyDischarged: data.energy_discharged_mwh,
+        avgChargePrice: data.avg_charge_price,
+        avgDischargePrice: data.avg_discharge_price,
+        reservation: data.reservation_prices,
+        settings: data.settings
+    };
+}
+
+// Behind-the-meter bill savings on the site's load profile (POST /api/bess/optimize/site)
+async function runSiteOptimization(power, capacity, efficiency, throughputCost) {
+    const loadFile = document.getElementById('loadProfile').files[0];
+    if (!loadFile) throw new Error('Choose a load profile (NEM12 or CSV) for behind-the-meter mode');
+    const solarFile = document.getElementById('solarProfile').files[0];
+    const exportLimit = document.getElementById('exportLimit').value;
+    const demandRate = parseFloat(document.getElementById('demandRate').value) || 0;
+    
+    // Weekday peak window, NEM time
+    const peak = {
+        days: 'weekdays',
+        start: document.getElementById('peakStart').value,
+        end: document.getElementById('peakEnd').value
+    };
+    
+    const data = await window.sunneyAuth.apiCall('/api/bess/optimize/site', {
+        method: 'POST',
+        body: JSON.stringify({
+            load_profile: await loadFile.text(),
+            solar_profile: solarFile ? await solarFile.text() : undefined,
+            capacity_mwh: capacity,
+            power_mw: power,
+            efficiency: efficiency,
+            initial_soc: 0.5,
+            throughput_cost: throughputCost || 0,
+            tariff: {
+                energy: [
+                    { name: 'Peak', rate_per_mwh: parseFloat(document.getElementById('peakRate').value), ...peak },
+                    { name: 'Off-peak', rate_per_mwh: parseFloat(document.getElementById('offPeakRate').value) }
+                ],
+                demand: demandRate > 0 ? [{ name: 'Peak demand', rate_per_kw_month: demandRate, ...peak }] : [],
+                export_rate_per_mwh: parseFloat(document.getElementById('feedInRate').value) || 0
+            },
+            export_limit_mw: exportLimit === '' ? null : parseFloat(exportLimit)
+        })
+    });
+    if (!data) throw new Error('Not signed in');
+    
+    return {
+        siteMode: 'BtM',
+        revenue: data.net_savings,
+        savings: data.savings,
+        bill: data.bill,
+        months: data.months,
+        cycles: data.cycles,
+        cyclesPerDay: data.cycles_per_day,
+        energyDischarged: data.energy_discharged_mwh,
+        intervalMinutes: data.interval_minutes,
+        from: data.from,
+        to: data.to,
+        prices: data.schedule.map(s => s.import_rate),
+        actions: data.schedule.map(s => s.battery_mw),
+        soc: data.schedule.map(s => s.soc)
+    };
+}
+
 // Simple heuristic optimization
 function runHeuristicOptimization(prices, power, capacity, efficiency, maxCycles) {
     const results = {
@@ -322,6 +426,14 @@ function runHeuristicOptimization(prices, power, capacity, efficiency, maxCycles
 
 // Display results
 function displayResults(results, params) {
+    if (results.siteMode === 'BtM') {
+        displaySiteResults(results, params);
+        return;
+    }
+    setMetricLabel('wholesaleRevenue', 'Wholesale', 'Energy arbitrage');
+    setMetricLabel('networkCharges', 'Network', 'Import/Export');
+    setMetricLabel('demandCharges', 'Demand', 'Peak kVA');
+    
     // Update metrics
     const revenue = results.revenue || 0;
     const days = Math.ceil((new Date(params.endDate) - new Date(params.startDate)) / (1000 * 60 * 60 * 24));
@@ -343,6 +455,41 @@ function displayResults(results, params) {
     updateCharts(results, params);
 }
 
+// Behind-the-meter results: savings against the site's bill without a battery
+function displaySiteResults(results, params) {
+    const savings = results.savings;
+    const days = (new Date(results.to) - new Date(results.from)) / (1000 * 60 * 60 * 24);
+    const bestMonth = results.months.reduce((best, m) => {
+        const saved = m.baseline.total - m.battery.total;
+        return !best || saved > best.saved ? { month: m.month, saved } : best;
+    }, null);
+    
+    setMetricLabel('wholesaleRevenue', 'Energy', 'Time-of-use savings');
+    setMetricLabel('networkCharges', 'Export', 'Feed-in change');
+    setMetricLabel('demandCharges', 'Demand', 'Peak kW savings');
+    
+    document.getElementById('totalRevenue').textContent = formatCurrency(results.revenue);
+    document.getElementById('wholesaleRevenue').textContent = formatCurrency(savings.energy);
+    document.getElementById('networkCharges').textContent = formatCurrency(savings.export);
+    document.getElementById('standingCharges').textContent = '$0';
+    document.getElementById('demandCharges').textContent = formatCurrency(savings.demand);
+    document.getElementById('avgDaily').textContent = formatCurrency(results.revenue / days);
+    document.getElementById('totalEnergy').textContent = `${results.energyDischarged.toFixed(1)} MWh`;
+    document.getElementById('avgCycles').textContent = results.cyclesPerDay.toFixed(2);
+    document.getElementById('bestDay').textContent = formatCurrency(bestMonth.saved);
+    document.getElementById('bestDayDate').textContent = `Best month: ${bestMonth.month}`;
+    document.getElementById('annualRevenue').textContent = formatCurrency(results.revenue * 365 / days);
+    document.getElementById('activeTariff').textContent = 'Site TOU + demand';
+    
+    updateCharts(results, params);
+}
+
+function setMetricLabel(id, label, unit) {
+    const card = document.getElementById(id).closest('.metric-card');
+    card.querySelector('.metric-label').textContent = label;
+    card.querySelector('.metric-unit').textContent = unit;
+}
+
 // Update charts
 function updateCharts(results, params) {
     // Price chart with SoC overlay
@@ -356,27 +503,29 @@ function updateCharts(results, params) {
         chartInstances.priceChart.destroy();
     }
     
-    // Create time labels
+    // Create time labels (site runs follow the load profile's interval length)
+    const step = results.intervalMinutes || 5;
+    const perDay = 1440 / step;
     const labels = Array.from({ length: results.soc.length }, (_, i) => {
-        const date = new Date(params.startDate);
-        date.setMinutes(date.getMinutes() + i * 5);
+        const date = new Date(results.from || params.startDate);
+        date.setMinutes(date.getMinutes() + i * step);
         return date.toLocaleTimeString('en-AU', { hour: '2-digit', minute: '2-digit' });
     });
     
     chartInstances.priceChart = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: labels.slice(0, 288), // Show first day
+            labels: labels.slice(0, perDay), // Show first day
             datasets: [{
                 label: 'Price ($/MWh)',
-                data: results.prices?.slice(0, 288) || [],
+                data: results.prices?.slice(0, perDay) || [],
                 borderColor: '#00E87E',
                 backgroundColor: 'rgba(0, 232, 126, 0.1)',
                 yAxisID: 'y',
                 tension: 0.1
             }, {
                 label: 'State of Charge (%)',
-                data: results.soc?.slice(0, 288).map(s => s * 100) || [],
+                data: results.soc?.slice(0, perDay).map(s => s * 100) || [],
                 borderColor: '#ffffff',
                 borderDash: [5, 5],
                 backgroundColor: 'transparent',
@@ -486,6 +635,11 @@ function switchTab(tabName) {
     document.getElementById(tabName + 'Tab').classList.add('active');
 }
 
+// Site inputs only apply behind the meter
+document.getElementById('siteMode').addEventListener('change', function() {
+    document.getElementById('siteControls').style.display = this.value === 'BtM' ? 'block' : 'none';
+});
+
 // Update algorithm explainer
 document.getElementById('optimizationMode').addEventListener('change', function() {
     const dpExplanation = document.getElementById('dpExplanation');
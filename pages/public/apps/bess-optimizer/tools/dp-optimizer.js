@@ -4,6 +4,9 @@
  * 
  * This is a proper optimal control solution that finds the globally optimal
  * charge/discharge schedule for a given price series.
+ * 
+ * The API runs the TypeScript port in shared/bess/dp-optimizer.ts (with ramp
+ * limits and a hard cycle cap); this copy is the app's offline fallback.
  */
 function optimiseBESS_DP({
   prices,                 // array of numbers $/MWh
@@ -39,6 +39,61 @@ async function loadAnnualData() {
     return annualDB;
 }
 
+// Sunney API, for AEMO loss factors; only reachable with a signed-in sunney.io session
+const SUNNEY_API = window.location.hostname === 'localhost'
+    ? 'http://localhost:8788'
+    : 'https://sunney-api.eddie-37d.workers.dev';
+let lossFactorEntries = [];
+
+// DUIDs and connection points in the region, for the loss factor picker.
+// Signed out, the generation and load loss factors are just entered by hand.
+async function loadLossFactors() {
+    const list = document.getElementById('lossFactorList');
+    const token = localStorage.getItem('sunney_token');
+    lossFactorEntries = [];
+    if (!list) return;
+    list.replaceChildren();
+    if (!token) return;
+
+    try {
+        const params = new URLSearchParams({ region: document.getElementById('region').value, limit: 2000 });
+        const response = await fetch(`${SUNNEY_API}/api/loss-factors?${params}`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        lossFactorEntries = data.entries || [];
+        lossFactorEntries.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.duid || entry.connection_point;
+            option.textContent = `${entry.station_name || entry.connection_point || ''} (${data.financial_year})`;
+            list.appendChild(option);
+        });
+    } catch (error) {
+        console.warn('Failed to load loss factors:', error);
+    }
+}
+
+// Fill in the generation and load loss factors for the chosen DUID or connection point
+function selectLossFactors() {
+    const key = document.getElementById('lossFactorDuid').value.trim().toUpperCase();
+    const entry = lossFactorEntries.find(e => e.duid === key || e.connection_point === key);
+    if (!entry) return;
+
+    document.getElementById('generationLossFactor').value = entry.generation_loss_factor.toFixed(4);
+    document.getElementById('loadLossFactor').value = entry.load_loss_factor.toFixed(4);
+    analyze();
+}
+
+// A new region has its own DUIDs; drop a selection from the old one
+function changeLossFactorRegion() {
+    const duid = document.getElementById('lossFactorDuid');
+    if (duid) duid.value = '';
+    loadLossFactors();
+}
+
 // Compute year revenue with comprehensive financial modeling
 function computeYearRevenue({
     region, 
@@ -51,12 +106,14 @@ function computeYearRevenue({
     mwSize = 5,
     cpiPct = 0,  // Annual CPI inflation rate
     opexPct = 0,  // OPEX as % of capex per year
-    degradationPct = 0,  // Annual degradation %
+    degradationPct = 0,  // Calendar ageing, % of capacity per year
+    cycleLife = 6000,  // Full cycles to end of life (cycle wear)
     fcasPct = 0,  // FCAS revenue as % of arbitrage
     buildCostM = 5.5,  // Build cost in millions
     debtRatio = 0,  // Debt ratio as %
     interestRate = 0,  // Interest rate as %
-    mlfFactor = 1.0,  // Marginal Loss Factor (0.9-1.05 typical)
+    generationLossFactor = 1.0,  // MLF x DLF on energy sent out (0.9-1.05 typical)
+    loadLossFactor = 1.0,  // MLF x DLF on energy drawn to charge
     degradationFloor = 70,  // Minimum capacity retention %
     loanTerm = 10,  // Loan amortization period in years
     augmentationYear = 0,  // Year to augment capacity (0=never)
@@ -80,6 +137,14 @@ function computeYearRevenue({
     }
     const out = [];
 
+    // Shared degradation model (assets/js/bess-degradation.js): calendar ageing
+    // plus the cycle life used by cyclesPerDay full cycles each year
+    const degradationModel = BessDegradation.resolveDegradation({
+        cycleLife: Number(cycleLife),
+        calendarFadePerYear: Number(degradationPct) / 100
+    });
+    const lifeUsedPerYear = Number(cyclesPerDay) * 365 * avail * BessDegradation.cycleDamage(1, degradationModel);
+
     if (!annualDB || !annualDB[region]) {
         console.error('No data loaded for region:', region);
         return out;
@@ -99,24 +164,29 @@ function computeYearRevenue({
             continue;
         }
 
+        // Loss factors scale the discharge price and the charge price separately;
+        // the two are taken as half the spread either side of the wholesale average
+        const lossSpread = (Wh + spread / 2) * Number(generationLossFactor) - (Wh - spread / 2) * Number(loadLossFactor);
+
         // Use simple sqrt efficiency for both methods to avoid calculation errors
-        const S_eff = spread * Math.sqrt(η);
+        const S_eff = lossSpread * Math.sqrt(η);
 
         // Calculate years from base for various adjustments
         const yearsFromBase = Number(y) - 2025;
         
-        // Apply LINEAR degradation with floor - batteries degrade linearly
-        // Stop at degradation floor (warranty level)
-        const annualDegradation = Number(degradationPct) / 100;
+        // Capacity fade to date, stopping at the degradation floor (warranty level)
         const floor = Number(degradationFloor) / 100;
-        let degradationMultiplier = Math.max(floor, 1 - (annualDegradation * yearsFromBase));
+        const fade = yearsFromBase > 0
+            ? BessDegradation.projectCapacity(degradationModel, lifeUsedPerYear, yearsFromBase)[yearsFromBase - 1]
+            : { capacity: 1, cycleFade: 0, calendarFade: 0 };
+        let degradationMultiplier = Math.max(floor, fade.capacity);
         
         // Apply to energy capacity (MWh) not power
         const effectiveMWh = MW * D * degradationMultiplier;
         const effectiveDuration = effectiveMWh / MW;
         
-        // Calculate base arbitrage revenue with degraded capacity and MLF adjustment
-        const revDay = effectiveDuration * S_eff * cyclesPerDay * MW * Number(mlfFactor);
+        // Calculate base arbitrage revenue with degraded capacity (loss factors are in S_eff)
+        const revDay = effectiveDuration * S_eff * cyclesPerDay * MW;
         const revYear = revDay * 365 * avail;
         
         // Apply CPI inflation adjustment
@@ -188,6 +258,9 @@ function computeYearRevenue({
             durationHours: D, 
             wholesale: Wh,
             spread, 
+            lossSpread,
+            generationLossFactor: Number(generationLossFactor),
+            loadLossFactor: Number(loadLossFactor),
             rtePct: Number(rtePct), 
             cyclesPerDay: Number(cyclesPerDay), 
             availabilityPct: Number(availabilityPct),
@@ -200,6 +273,9 @@ function computeYearRevenue({
             cpiMultiplier: cpiMultiplier,
             degradationPct: Number(degradationPct),
             degradationMultiplier: degradationMultiplier,
+            cycleLife: Number(cycleLife),
+            cycleFade: fade.cycleFade,
+            calendarFade: fade.calendarFade,
             opexPct: Number(opexPct),
             opexCost: opexCost,
             augmentationExpense: augmentationExpense,
@@ -295,11 +371,13 @@ async function analyze() {
     const cpiPct = parseFloat(document.getElementById('cpi')?.value || 0);
     const opexPct = parseFloat(document.getElementById('opex')?.value || 0);
     const degradationPct = parseFloat(document.getElementById('degradation')?.value || 0);
+    const cycleLife = parseFloat(document.getElementById('cycleLife')?.value || 6000);
     const fcasPct = parseFloat(document.getElementById('fcas')?.value || 0);
     const debtRatio = parseFloat(document.getElementById('debtRatio')?.value || 0);
     const interestRate = parseFloat(document.getElementById('interestRate')?.value || 0);
     const buildCostM = parseFloat(document.getElementById('buildcost')?.value || 8);
-    const mlfFactor = parseFloat(document.getElementById('mlfFactor')?.value || 0.95);
+    const generationLossFactor = parseFloat(document.getElementById('generationLossFactor')?.value || 0.98);
+    const loadLossFactor = parseFloat(document.getElementById('loadLossFactor')?.value || 0.98);
     const degradationFloor = parseFloat(document.getElementById('degradationFloor')?.value || 70);
     const loanTerm = parseFloat(document.getElementById('loanTerm')?.value || 10);
     const augmentationYear = parseFloat(document.getElementById('augmentationYear')?.value || 0);
@@ -333,11 +411,13 @@ async function analyze() {
             cpiPct,
             opexPct,
             degradationPct,
+            cycleLife,
             fcasPct,
             buildCostM,
             debtRatio,
             interestRate,
-            mlfFactor,
+            generationLossFactor,
+            loadLossFactor,
             degradationFloor,
             loanTerm,
             augmentationYear,
@@ -515,7 +595,6 @@ function runMonteCarloSimulation(baseCase, iterations = 1000) {
     const baseCycles = parseFloat(document.getElementById('cycles').value) || 1.0;
     const baseOpexPct = parseFloat(document.getElementById('opex').value) / 100 || 0.025;
     const baseDeg = parseFloat(document.getElementById('degradation').value) / 100 || 0.025;
-    const baseMlf = parseFloat(document.getElementById('mlfFactor').value) || 0.95;
     const baseCpi = parseFloat(document.getElementById('cpi').value) / 100 || 0.025;
     
     console.log('Monte Carlo base parameters:', {
@@ -549,11 +628,12 @@ function runMonteCarloSimulation(baseCase, iterations = 1000) {
         // Simulate cash flows across full asset life
         const cashFlows = [];
         for (let y = 0; y < revenueSeries.length; y++) {
+            // Already loss-adjusted by computeYearRevenue
             const baseRev = revenueSeries[y].arbitrageRevenue || revenueSeries[y].totalRevenue || 0;
             // Year-specific degradation with floor
             const deg = Math.max(0.7, 1 - (varDeg * y));
             // Apply all variations
-            const revenue = baseRev * varSpread * Math.sqrt(varEff) * varCycles * varAvail * deg * baseMlf;
+            const revenue = baseRev * varSpread * Math.sqrt(varEff) * varCycles * varAvail * deg;
             const opex = baseCapex * varOpex * Math.pow(1 + baseCpi, y); // OPEX escalates with inflation
             let netCF = revenue - opex;
             
@@ -1123,7 +1203,7 @@ function updateRevenueChart() {
                                 details.push(`OPEX: -$${(r.opexCost / 1000000).toFixed(2)}M`);
                             }
                             if (r.degradationMultiplier < 1) {
-                                details.push(`Capacity: ${(r.degradationMultiplier * 100).toFixed(1)}%`);
+                                details.push(`Capacity: ${(r.degradationMultiplier * 100).toFixed(1)}% (cycling -${(r.cycleFade * 100).toFixed(1)}%, calendar -${(r.calendarFade * 100).toFixed(1)}%)`);
                             }
                             if (r.debtService > 0) {
                                 details.push(`Debt Service: -$${(r.debtService / 1000000).toFixed(2)}M`);
@@ -2698,7 +2778,9 @@ function resetParameters() {
         interestRate: 6.0,
         dscrTarget: 1.35,
         loanTerm: 10,
-        mlfFactor: 0.98,
+        lossFactorDuid: '',
+        generationLossFactor: 0.98,
+        loadLossFactor: 0.98,
         degradationFloor: 80,
         augmentationYear: 10,
         augmentationCost: 15
@@ -2767,6 +2849,9 @@ function exportResults() {
         loanTerm: parseFloat(document.getElementById('loanTerm')?.value || 15),
         augmentationYear: parseFloat(document.getElementById('augmentationYear')?.value || 10),
         augmentationCost: parseFloat(document.getElementById('augmentationCost')?.value || 15),
+        lossFactorDuid: document.getElementById('lossFactorDuid')?.value.trim() || '',
+        generationLossFactor: parseFloat(document.getElementById('generationLossFactor')?.value || 0.98),
+        loadLossFactor: parseFloat(document.getElementById('loadLossFactor')?.value || 0.98),
         taxRate: parseFloat(document.getElementById('taxRate')?.value || 30)
     };
     
@@ -2942,6 +3027,8 @@ function exportResults() {
             <tr><td>Round-Trip Efficiency</td><td>${params.efficiency}%</td><td>%</td><td>AC-to-AC efficiency including all losses</td></tr>
             <tr><td>Cycles per Day</td><td>${params.cycles}</td><td>cycles</td><td>Average daily charge/discharge cycles</td></tr>
             <tr><td>Availability</td><td>${params.availability}%</td><td>%</td><td>System uptime excluding maintenance</td></tr>
+            <tr><td>Generation Loss Factor</td><td>${params.generationLossFactor}</td><td>MLF × DLF</td><td>${params.lossFactorDuid ? `AEMO loss factors for ${params.lossFactorDuid}` : 'Applied to discharge revenue'}</td></tr>
+            <tr><td>Load Loss Factor</td><td>${params.loadLossFactor}</td><td>MLF × DLF</td><td>Applied to charging cost</td></tr>
         </table>
 
         <h3>Financial Parameters</h3>
@@ -2975,7 +3062,8 @@ function exportResults() {
         <div class="calculation-step">
             <h4>Daily Energy Arbitrage Revenue</h4>
             <div class="formula">
-                Daily Revenue = Spread × √RTE × Cycles × MW × Duration × Availability × MLF
+                Loss-adjusted Spread = (Wholesale + Spread/2) × Generation LF − (Wholesale − Spread/2) × Load LF<br>
+                Daily Revenue = Loss-adjusted Spread × √RTE × Cycles × MW × Duration × Availability
             </div>
             <p>Where:</p>
             <ul>
@@ -2985,17 +3073,18 @@ function exportResults() {
                 <li><strong>MW:</strong> Nameplate power capacity</li>
                 <li><strong>Duration:</strong> Hours of storage at full power</li>
                 <li><strong>Availability:</strong> System uptime factor</li>
-                <li><strong>MLF:</strong> Marginal Loss Factor (transmission losses)</li>
+                <li><strong>Generation / Load LF:</strong> Marginal × distribution loss factors, on the discharge and charge prices respectively</li>
             </ul>
             
             <h4>Example Calculation (Year 1)</h4>
             ${currentResults[0] ? `
             <div class="formula">
                 Spread = $${currentResults[0].spread ? currentResults[0].spread.toFixed(2) : 'N/A'}/MWh
+                Loss-adjusted Spread = $${currentResults[0].lossSpread ? currentResults[0].lossSpread.toFixed(2) : 'N/A'}/MWh (Generation LF ${params.generationLossFactor}, Load LF ${params.loadLossFactor})
                 √RTE = √${params.efficiency}% = ${Math.sqrt(params.efficiency/100).toFixed(3)}
-                Daily Revenue = $${currentResults[0].spread ? currentResults[0].spread.toFixed(2) : 0} × ${Math.sqrt(params.efficiency/100).toFixed(3)} × ${params.cycles} × ${params.mwsize} × ${params.duration} × ${(params.availability/100).toFixed(2)} × 0.98
-                Daily Revenue = $${currentResults[0].spread ? ((currentResults[0].spread) * Math.sqrt(params.efficiency/100) * params.cycles * params.mwsize * params.duration * (params.availability/100) * 0.98).toFixed(2) : 'N/A'}
-                Annual Revenue = Daily Revenue × 365 = $${currentResults[0].spread ? ((currentResults[0].spread) * Math.sqrt(params.efficiency/100) * params.cycles * params.mwsize * params.duration * (params.availability/100) * 0.98 * 365 / 1000000).toFixed(3) : 'N/A'}M
+                Daily Revenue = $${currentResults[0].lossSpread ? currentResults[0].lossSpread.toFixed(2) : 0} × ${Math.sqrt(params.efficiency/100).toFixed(3)} × ${params.cycles} × ${params.mwsize} × ${params.duration} × ${(params.availability/100).toFixed(2)}
+                Daily Revenue = $${currentResults[0].lossSpread ? ((currentResults[0].lossSpread) * Math.sqrt(params.efficiency/100) * params.cycles * params.mwsize * params.duration * (params.availability/100)).toFixed(2) : 'N/A'}
+                Annual Revenue = Daily Revenue × 365 = $${currentResults[0].lossSpread ? ((currentResults[0].lossSpread) * Math.sqrt(params.efficiency/100) * params.cycles * params.mwsize * params.duration * (params.availability/100) * 365 / 1000000).toFixed(3) : 'N/A'}M
             </div>
             ` : '<p>Run analysis to see calculations</p>'}
         </div>
@@ -3131,7 +3220,7 @@ function exportResults() {
             <ul>
                 <li>Aurora Energy Research spread forecasts (November 2024)</li>
                 <li>No merchant price risk mitigation (uncontracted revenue)</li>
-                <li>Linear degradation to floor value</li>
+                <li>Calendar ageing plus cycle wear, down to the floor value</li>
                 <li>Single augmentation at year ${params.augmentationYear || 10}</li>
                 <li>30% Australian corporate tax rate</li>
                 <li>No renewable energy certificates included</li>
@@ -3414,6 +3503,7 @@ function resetScenarioDefaults() {
 document.addEventListener('DOMContentLoaded', async () => {
     try {
         await loadAnnualData();
+        loadLossFactors();
         
         // Start the live ticker
         console.log('Starting live price ticker...');
@@ -3,6 +3,10 @@
 
 // API configuration
 const API_ENDPOINT = 'https://aemo-unified-source.eddie-37d.workers.dev';
+// Sunney API, for AEMO loss factors (needs a signed-in sunney.io session)
+const SUNNEY_API = window.location.hostname === 'localhost'
+    ? 'http://localhost:8788'
+    : 'https://sunney-api.eddie-37d.workers.dev';
 
 // Global state
 let state = window.state = {
@@ -51,6 +55,9 @@ let state = window.state = {
         forecast: [],
         fcasPrices: {},
         region: 'VIC1',
+        duid: null,        // Settle at a real connection point's loss factors
+        lossFactors: { generation: 1, load: 1 },   // MLF x DLF; 1 settles at the RRP
+        lossFactorEntries: [],
         lastDataUpdate: null
     },
     leaderboard: []
@@ -61,8 +68,48 @@ document.addEventListener('DOMContentLoaded', () => {
     initializeBidstacks();
     setupEventListeners();
     checkExistingSession();
+    loadLossFactors();
 });
 
+// DUIDs in the current region, from the loss factor table
+window.loadLossFactors = async function loadLossFactors() {
+    const selector = document.getElementById('duidSelector');
+    const token = localStorage.getItem('sunney_token');
+    state.market.duid = null;
+    state.market.lossFactors = { generation: 1, load: 1 };
+    state.market.lossFactorEntries = [];
+    if (!selector) return;
+    selector.replaceChildren(new Option('None - settle at RRP', ''));
+    if (!token) return;
+
+    try {
+        const params = new URLSearchParams({ region: state.market.region, limit: 2000 });
+        const response = await fetch(`${SUNNEY_API}/api/loss-factors?${params}`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        state.market.lossFactorEntries = (data.entries || []).filter(entry => entry.duid);
+        state.market.lossFactorEntries.forEach(entry => {
+            const label = `${entry.duid}${entry.station_name ? ` - ${entry.station_name}` : ''} (${entry.generation_loss_factor.toFixed(4)} / ${entry.load_loss_factor.toFixed(4)})`;
+            selector.appendChild(new Option(label, entry.duid));
+        });
+    } catch (error) {
+        console.warn('Failed to load loss factors:', error);
+    }
+}
+
+window.changeDuid = function changeDuid() {
+    const duid = document.getElementById('duidSelector').value;
+    const entry = state.market.lossFactorEntries.find(e => e.duid === duid);
+    state.market.duid = entry ? entry.duid : null;
+    state.market.lossFactors = entry
+        ? { generation: entry.generation_loss_factor, load: entry.load_loss_factor }
+        : { generation: 1, load: 1 };
+}
+
 // Authentication
 window.login = function login() {
     const username = document.getElementById('username').value.trim();
@@ -771,12 +818,14 @@ function calculateRevenue(action) {
     // Match the same time interval as executeAction (30 seconds)
     const deltaT = 30 / 3600; // 30 seconds in hours
     const price = state.market.currentPrice;
+    const { generation, load } = state.market.lossFactors;
     
+    // Energy settles at the RRP scaled by the DUID's loss factors
     let energyRevenue = 0;
     if (action.type === 'discharge') {
-        energyRevenue = action.mw * deltaT * price;
+        energyRevenue = action.mw * deltaT * price * generation;
     } else if (action.type === 'charge') {
-        energyRevenue = -action.mw * deltaT * price;
+        energyRevenue = -action.mw * deltaT * price * load;
     }
     
     // Debug revenue calculation
@@ -785,6 +834,7 @@ function calculateRevenue(action) {
             action: action.type,
             mw: action.mw,
             price: price,
+            lossFactors: state.market.lossFactors,
             energyRevenue: energyRevenue,
             previousWeekRevenue: state.simulation.weekRevenue
         });
@@ -23,6 +23,20 @@ class SunneyAPI {
         return await this.auth.apiCall(`/api/prices/history/${region}?hours=${hours}`);
     }
 
+    // Aggregated history for one or more regions
+    // options: { from, to, resolution: '5m'|'30m'|'hourly'|'daily', stats: ['avg','vwap','p90'], order }
+    async getPriceRange(regions, options = {}) {
+        const params = new URLSearchParams({
+            regions: [].concat(regions).join(','),
+            order: options.order || 'asc'
+        });
+        if (options.from) params.set('from', options.from);
+        if (options.to) params.set('to', options.to);
+        if (options.resolution) params.set('resolution', options.resolution);
+        if (options.stats) params.set('stats', options.stats.join(','));
+        return await this.auth.apiCall(`/api/prices/history?${params}`);
+    }
+
     // Forward Prices API
     async getForwardPrices(region, date) {
         const params = date ? `?date=${date}` : '';
@@ -99,8 +113,121 @@ class SunneyAPI {
         });
     }
 
-    async getBESSHistory() {
-        return await this.auth.apiCall('/api/bess/history');
+    // Policies built from price scenarios, with the foresight gap to perfect hindsight
+    async optimizeBESSStochastic(params) {
+        return await this.auth.apiCall('/api/bess/optimize/stochastic', {
+            method: 'POST',
+            body: JSON.stringify(params)
+        });
+    }
+
+    // Behind-the-meter bill savings: load_profile (NEM12/NEM13/CSV text) or an uploaded nmi, tariff and battery fields
+    async optimizeBESSSite(params) {
+        return await this.auth.apiCall('/api/bess/optimize/site', {
+            method: 'POST',
+            body: JSON.stringify(params)
+        });
+    }
+
+    // Several batteries at once: assets [{ name, region, capacity_mwh, power_mw, efficiency, duid }],
+    // dates or prices by region, and optional connection_limit_mw / cycle_budget.
+    // Instead of a duid, give connection_point or generation_loss_factor / load_loss_factor
+    async optimizeBESSPortfolio(params) {
+        return await this.auth.apiCall('/api/bess/optimize/portfolio', {
+            method: 'POST',
+            body: JSON.stringify(params)
+        });
+    }
+
+    // options: { region, label, limit, offset }
+    async getBESSHistory(options = {}) {
+        const params = new URLSearchParams(options);
+        return await this.auth.apiCall(`/api/bess/history?${params}`);
+    }
+
+    // Long-horizon runs return a job from optimizeBESS; poll until status is completed
+    async getBESSJob(jobId) {
+        return await this.auth.apiCall(`/api/bess/jobs/${jobId}`);
+    }
+
+    async getBESSRun(runId) {
+        return await this.auth.apiCall(`/api/bess/runs/${runId}`);
+    }
+
+    // changes: any optimise parameters to override, plus an optional label
+    async rerunBESS(runId, changes = {}) {
+        return await this.auth.apiCall(`/api/bess/runs/${runId}/rerun`, {
+            method: 'POST',
+            body: JSON.stringify(changes)
+        });
+    }
+
+    async labelBESSRun(runId, label) {
+        return await this.auth.apiCall(`/api/bess/runs/${runId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ label })
+        });
+    }
+
+    async deleteBESSRun(runId) {
+        return await this.auth.apiCall(`/api/bess/runs/${runId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async compareBESSRuns(runA, runB) {
+        return await this.auth.apiCall(`/api/bess/compare?a=${runA}&b=${runB}`);
+    }
+
+    // Customer meter data: NEM12/NEM13 file text, stored against the caller
+    async uploadMeterData(text, filename) {
+        const params = filename ? `?${new URLSearchParams({ filename })}` : '';
+        return await this.auth.apiCall(`/api/meter-data${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/csv' },
+            body: text
+        });
+    }
+
+    async getMeters() {
+        return await this.auth.apiCall('/api/meter-data');
+    }
+
+    // options: { from, to, resolution: '5m' | '30m' }
+    async getMeterSeries(nmi, options = {}) {
+        const params = new URLSearchParams(options);
+        return await this.auth.apiCall(`/api/meter-data/${encodeURIComponent(nmi)}/series?${params}`);
+    }
+
+    // Loss Factors API
+    // options: { financial_year, version, region, duid, connection_point, search, limit, offset }
+    async getLossFactors(options = {}) {
+        const params = new URLSearchParams(options);
+        const cacheKey = `loss-factors:${params}`;
+        const cached = this.getFromCache(cacheKey);
+        if (cached) return cached;
+
+        const data = await this.auth.apiCall(`/api/loss-factors?${params}`);
+        this.setCache(cacheKey, data, 3600000); // Published once a year
+        return data;
+    }
+
+    async getLossFactorVersions(financialYear) {
+        const params = financialYear ? `?${new URLSearchParams({ financial_year: financialYear })}` : '';
+        return await this.auth.apiCall(`/api/loss-factors/versions${params}`);
+    }
+
+    // AEMO MLF/DLF CSV or MMS DUDETAILSUMMARY text; admin only
+    async importLossFactors(text, options = {}) {
+        const params = new URLSearchParams();
+        if (options.financialYear) params.set('financial_year', options.financialYear);
+        if (options.filename) params.set('filename', options.filename);
+        this.clearCache();
+        return await this.auth.apiCall(`/api/loss-factors?${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/csv' },
+            body: text
+        });
     }
 
     // WebSocket for real-time data
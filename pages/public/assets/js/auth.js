@@ -4,6 +4,8 @@
 class SunneyAuth {
     constructor() {
         this.token = localStorage.getItem('sunney_token');
+        this.refreshToken = localStorage.getItem('sunney_refresh');
+        this.refreshing = null;
         this.user = JSON.parse(localStorage.getItem('sunney_user') || '{}');
         this.authUrl = window.location.hostname === 'localhost' 
             ? 'http://localhost:8787' 
@@ -27,15 +29,18 @@ class SunneyAuth {
                 body: JSON.stringify({ email, password })
             });
 
+            const data = await response.json();
             if (!response.ok) {
-                throw new Error('Invalid credentials');
+                throw new Error(data.details || data.error || 'Invalid credentials');
             }
 
-            const data = await response.json();
-            this.token = data.token;
+            // Password accepted but a second step is needed; the caller shows the MFA form
+            if (data.mfaRequired || data.mfaEnrollmentRequired) {
+                return data;
+            }
+
+            this.storeTokens(data);
             this.user = data.user;
-            
-            localStorage.setItem('sunney_token', this.token);
             localStorage.setItem('sunney_user', JSON.stringify(this.user));
             
             return data;
@@ -60,10 +65,8 @@ class SunneyAuth {
             }
 
             const data = await response.json();
-            this.token = data.token;
+            this.storeTokens(data);
             this.user = data.user;
-            
-            localStorage.setItem('sunney_token', this.token);
             localStorage.setItem('sunney_user', JSON.stringify(this.user));
             
             return data;
@@ -73,11 +76,326 @@ class SunneyAuth {
         }
     }
 
-    logout() {
+    async loginMfa(challengeToken, code) {
+        try {
+            const response = await fetch(`${this.authUrl}/auth/login/mfa`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ challengeToken, code })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Verification failed');
+            }
+
+            this.storeTokens(data);
+            this.user = data.user;
+            localStorage.setItem('sunney_user', JSON.stringify(this.user));
+
+            return data;
+        } catch (error) {
+            console.error('MFA login error:', error);
+            throw error;
+        }
+    }
+
+    // Start TOTP enrolment - signed in, or with the challenge from a login that requires enrolment
+    async setupMfa(challengeToken) {
+        try {
+            const response = await fetch(`${this.authUrl}/auth/mfa/setup`, {
+                method: 'POST',
+                headers: challengeToken ? { 'Content-Type': 'application/json' } : this.getAuthHeaders(),
+                body: JSON.stringify(challengeToken ? { challengeToken } : {})
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error || 'MFA setup failed');
+            }
+
+            return data;
+        } catch (error) {
+            console.error('MFA setup error:', error);
+            throw error;
+        }
+    }
+
+    // Confirm enrolment; returns recovery codes (and signs in when finishing a login challenge)
+    async enableMfa(code, challengeToken) {
+        try {
+            const response = await fetch(`${this.authUrl}/auth/mfa/enable`, {
+                method: 'POST',
+                headers: challengeToken ? { 'Content-Type': 'application/json' } : this.getAuthHeaders(),
+                body: JSON.stringify({ code, challengeToken })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Invalid code');
+            }
+
+            if (data.token) {
+                this.storeTokens(data);
+                this.user = data.user;
+                localStorage.setItem('sunney_user', JSON.stringify(this.user));
+            }
+
+            return data;
+        } catch (error) {
+            console.error('MFA enable error:', error);
+            throw error;
+        }
+    }
+
+    async forgotPassword(email) {
+        try {
+            const response = await fetch(`${this.authUrl}/auth/forgot-password`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ email })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Could not send reset email');
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            throw error;
+        }
+    }
+
+    async resetPassword(token, password) {
+        try {
+            const response = await fetch(`${this.authUrl}/auth/reset-password`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ token, password })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Password reset failed');
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Password reset error:', error);
+            throw error;
+        }
+    }
+
+    async verifyEmail(token) {
+        try {
+            const response = await fetch(`${this.authUrl}/auth/verify-email`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ token })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Email verification failed');
+            }
+
+            if (this.user && this.user.id) {
+                this.user.emailVerified = true;
+                localStorage.setItem('sunney_user', JSON.stringify(this.user));
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Email verification error:', error);
+            throw error;
+        }
+    }
+
+    async resendVerification() {
+        try {
+            const response = await fetch(`${this.authUrl}/auth/resend-verification`, {
+                method: 'POST',
+                headers: this.getAuthHeaders()
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Could not resend verification email');
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Resend verification error:', error);
+            throw error;
+        }
+    }
+
+    storeTokens(data) {
+        this.token = data.token;
+        this.refreshToken = data.refreshToken;
+        localStorage.setItem('sunney_token', this.token);
+        localStorage.setItem('sunney_refresh', this.refreshToken);
+    }
+
+    clearTokens() {
         this.token = null;
+        this.refreshToken = null;
         this.user = {};
         localStorage.removeItem('sunney_token');
+        localStorage.removeItem('sunney_refresh');
         localStorage.removeItem('sunney_user');
+    }
+
+    // Tabs share tokens through localStorage; pick up any another tab has stored
+    // since this one last looked. Returns true if the refresh token changed.
+    syncTokens() {
+        const stored = localStorage.getItem('sunney_refresh');
+        if (stored === this.refreshToken) return false;
+
+        this.token = localStorage.getItem('sunney_token');
+        this.refreshToken = stored;
+        return true;
+    }
+
+    requestRefresh() {
+        return fetch(`${this.authUrl}/auth/refresh`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ refreshToken: this.refreshToken })
+        });
+    }
+
+    // Swap the refresh token for a new access token. Concurrent callers share one request,
+    // since a refresh token is single-use and replaying it revokes the session.
+    async refresh() {
+        this.syncTokens();
+        if (!this.refreshToken) return false;
+
+        if (!this.refreshing) {
+            this.refreshing = (async () => {
+                try {
+                    let response = await this.requestRefresh();
+
+                    // Another tab rotated the token while this request was in flight; use its one
+                    if (!response.ok && this.syncTokens() && this.refreshToken) {
+                        response = await this.requestRefresh();
+                    }
+
+                    if (!response.ok) {
+                        return false;
+                    }
+
+                    this.storeTokens(await response.json());
+                    return true;
+                } catch (error) {
+                    console.error('Token refresh error:', error);
+                    return false;
+                } finally {
+                    this.refreshing = null;
+                }
+            })();
+        }
+
+        return this.refreshing;
+    }
+
+    async listSessions() {
+        const response = await this.authCall('/auth/sessions');
+        return response.sessions;
+    }
+
+    async revokeSession(sessionId) {
+        return this.authCall(`/auth/sessions/${encodeURIComponent(sessionId)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Admin user management - filters: q, role, status ('active' | 'inactive'), limit, offset
+    async listUsers(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.set(key, value);
+            }
+        });
+        return this.authCall(`/auth/admin/users?${params.toString()}`);
+    }
+
+    async getUser(userId) {
+        return this.authCall(`/auth/admin/users/${encodeURIComponent(userId)}`);
+    }
+
+    async setUserRole(userId, role) {
+        return this.authCall(`/auth/admin/users/${encodeURIComponent(userId)}/role`, {
+            method: 'PUT',
+            body: JSON.stringify({ role })
+        });
+    }
+
+    async setUserActive(userId, active) {
+        return this.authCall(`/auth/admin/users/${encodeURIComponent(userId)}/${active ? 'reactivate' : 'deactivate'}`, {
+            method: 'POST'
+        });
+    }
+
+    async sendPasswordReset(userId) {
+        return this.authCall(`/auth/admin/users/${encodeURIComponent(userId)}/reset-password`, {
+            method: 'POST'
+        });
+    }
+
+    async unlockUser(userId) {
+        return this.authCall(`/auth/admin/users/${encodeURIComponent(userId)}/unlock`, {
+            method: 'POST'
+        });
+    }
+
+    // Authenticated request to the auth worker, refreshing the access token once on 401
+    async authCall(path, options = {}) {
+        const send = () => fetch(`${this.authUrl}${path}`, {
+            ...options,
+            headers: {
+                ...this.getAuthHeaders(),
+                ...options.headers
+            }
+        });
+
+        let response = await send();
+        if (response.status === 401 && await this.refresh()) {
+            response = await send();
+        }
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `Auth error: ${response.status}`);
+        }
+
+        return data;
+    }
+
+    logout() {
+        // Ends only this device's session; keepalive lets the request finish during navigation
+        if (this.token) {
+            fetch(`${this.authUrl}/auth/logout`, {
+                method: 'POST',
+                headers: this.getAuthHeaders(),
+                keepalive: true
+            }).catch(() => {});
+        }
+
+        this.clearTokens();
         window.location.href = '/auth/login.html';
     }
 
@@ -92,7 +410,8 @@ class SunneyAuth {
                 }
             });
 
-            return response.ok;
+            // Access tokens are short-lived; an expired one is renewed rather than treated as signed out
+            return response.ok || await this.refresh();
         } catch (error) {
             console.error('Token verification error:', error);
             return false;
@@ -122,10 +441,21 @@ class SunneyAuth {
         };
 
         try {
-            const response = await fetch(url, config);
+            let response = await fetch(url, config);
+            
+            if (response.status === 401 && await this.refresh()) {
+                // Access token expired - retry once with the refreshed one
+                response = await fetch(url, {
+                    ...config,
+                    headers: {
+                        ...config.headers,
+                        ...this.getAuthHeaders()
+                    }
+                });
+            }
             
             if (response.status === 401) {
-                // Token expired or invalid
+                // Token invalid and could not be refreshed
                 this.logout();
                 return;
             }
@@ -0,0 +1,49 @@
+// Sunney.io battery degradation model (browser copy)
+// The parts of shared/bess/degradation.ts that the apps need without calling
+// the API; keep the two in step. See that file for the model itself.
+
+(function () {
+    const DEFAULTS = {
+        dodExponent: 1.5,           // N(d) = cycleLife * d^-dodExponent
+        endOfLifeCapacity: 0.8,     // capacity fraction at end of cycle life
+        calendarFadePerYear: 0.01,  // capacity fraction lost per year
+        replacementCost: 0          // $/MWh of capacity
+    };
+
+    function resolveDegradation(options) {
+        const model = { ...DEFAULTS, ...options };
+        if (!(model.cycleLife > 0)) {
+            throw new Error('cycleLife must be positive');
+        }
+        return model;
+    }
+
+    // Fraction of cycle life used by one full cycle of depth `depth` (0..1)
+    function cycleDamage(depth, model) {
+        return depth > 0 ? Math.pow(Math.min(depth, 1), model.dodExponent) / model.cycleLife : 0;
+    }
+
+    // Capacity at the end of each year when `lifeUsedPerYear` of cycle life goes every year
+    function projectCapacity(model, lifeUsedPerYear, years) {
+        const projection = [];
+        for (let year = 1; year <= years; year++) {
+            const cycleFade = lifeUsedPerYear * year * (1 - model.endOfLifeCapacity);
+            const calendarFade = model.calendarFadePerYear * year;
+            projection.push({
+                year,
+                capacity: Math.max(0, 1 - cycleFade - calendarFade),
+                cycleFade,
+                calendarFade
+            });
+        }
+        return projection;
+    }
+
+    const BessDegradation = { resolveDegradation, cycleDamage, projectCapacity };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BessDegradation;
+    } else {
+        window.BessDegradation = BessDegradation;
+    }
+})();
@@ -0,0 +1,46 @@
+-- Adds the read-only 'analyst' role to users.role
+-- SQLite cannot alter a CHECK constraint, so the table is rebuilt.
+-- Run once against existing databases:
+--   wrangler d1 execute sunney-auth --file scripts/migrations/001-auth-analyst-role.sql --remote
+
+-- D1 ignores PRAGMA foreign_keys = OFF, and dropping users would still run
+-- the ON DELETE actions on its children, so their rows are copied aside and
+-- put back once the new table is in place. Deferring the checks lets the
+-- rebuild pass through states where they don't hold.
+PRAGMA defer_foreign_keys = true;
+
+CREATE TABLE api_keys_backup AS SELECT * FROM api_keys;
+CREATE TABLE password_resets_backup AS SELECT * FROM password_resets;
+CREATE TABLE audit_log_users_backup AS SELECT id, user_id FROM audit_log WHERE user_id IS NOT NULL;
+
+CREATE TABLE users_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  name TEXT NOT NULL,
+  role TEXT DEFAULT 'user' CHECK(role IN ('user', 'analyst', 'admin', 'trader')),
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  last_login TEXT,
+  is_active BOOLEAN DEFAULT 1,
+  email_verified BOOLEAN DEFAULT 0
+);
+
+INSERT INTO users_new SELECT id, email, password_hash, name, role, created_at, updated_at, last_login, is_active, email_verified FROM users;
+DROP TABLE users;
+ALTER TABLE users_new RENAME TO users;
+
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+INSERT OR IGNORE INTO api_keys SELECT * FROM api_keys_backup;
+INSERT OR IGNORE INTO password_resets SELECT * FROM password_resets_backup;
+UPDATE audit_log
+SET user_id = (SELECT b.user_id FROM audit_log_users_backup b WHERE b.id = audit_log.id)
+WHERE id IN (SELECT id FROM audit_log_users_backup);
+
+DROP TABLE api_keys_backup;
+DROP TABLE password_resets_backup;
+DROP TABLE audit_log_users_backup;
+
+PRAGMA defer_foreign_keys = false;
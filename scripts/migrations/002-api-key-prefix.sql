@@ -0,0 +1,4 @@
+-- Stores the first characters of each API key so users can tell keys apart
+--   wrangler d1 execute sunney-auth --file scripts/migrations/002-api-key-prefix.sql --remote
+
+ALTER TABLE api_keys ADD COLUMN key_prefix TEXT;
@@ -0,0 +1,15 @@
+-- Single-use email verification tokens (hashed), mirroring password_resets
+--   wrangler d1 execute sunney-auth --file scripts/migrations/003-email-verifications.sql --remote
+
+CREATE TABLE IF NOT EXISTS email_verifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  expires_at TEXT NOT NULL,
+  used BOOLEAN DEFAULT 0,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_verifications_token ON email_verifications(token_hash);
+CREATE INDEX IF NOT EXISTS idx_email_verifications_user ON email_verifications(user_id);
@@ -0,0 +1,5 @@
+-- Consecutive failed logins and progressive lockout expiry per user
+--   wrangler d1 execute sunney-auth --file scripts/migrations/004-login-lockout.sql --remote
+
+ALTER TABLE users ADD COLUMN failed_logins INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN locked_until TEXT;
@@ -0,0 +1,30 @@
+-- TOTP MFA: per-user secrets, recovery codes and the per-role requirement
+--   wrangler d1 execute sunney-auth --file scripts/migrations/005-totp-mfa.sql --remote
+
+CREATE TABLE IF NOT EXISTS user_mfa (
+  user_id INTEGER PRIMARY KEY,
+  secret TEXT NOT NULL,
+  enabled BOOLEAN DEFAULT 0,
+  last_counter INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  enabled_at TEXT,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  code_hash TEXT NOT NULL,
+  used_at TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user ON mfa_recovery_codes(user_id, code_hash);
+
+CREATE TABLE IF NOT EXISTS role_mfa_policy (
+  role TEXT PRIMARY KEY CHECK(role IN ('user', 'analyst', 'admin', 'trader')),
+  mfa_required BOOLEAN NOT NULL DEFAULT 0,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_by INTEGER
+);
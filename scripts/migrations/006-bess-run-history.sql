@@ -0,0 +1,34 @@
+-- Stores every BESS optimisation run with its parameters, result summary and
+-- the R2 key of its schedule. Runs on caller-supplied prices have no region or
+-- dates, so the table is rebuilt to relax those NOT NULLs.
+-- Run once against existing databases:
+--   wrangler d1 execute sunney-market --file scripts/migrations/006-bess-run-history.sql --remote
+
+CREATE TABLE bess_optimizations_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  label TEXT,
+  region TEXT,
+  capacity_mwh REAL NOT NULL,
+  power_mw REAL NOT NULL,
+  efficiency REAL NOT NULL,
+  start_date TEXT,
+  end_date TEXT,
+  intervals INTEGER,
+  parameters TEXT,
+  total_revenue REAL NOT NULL,
+  total_cycles REAL,
+  avg_soc REAL,
+  summary TEXT,
+  schedule_key TEXT,
+  rerun_of INTEGER,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO bess_optimizations_new (id, user_id, region, capacity_mwh, power_mw, efficiency, start_date, end_date, total_revenue, total_cycles, avg_soc, created_at)
+SELECT id, user_id, region, capacity_mwh, power_mw, efficiency, start_date, end_date, total_revenue, total_cycles, avg_soc, created_at FROM bess_optimizations;
+DROP TABLE bess_optimizations;
+ALTER TABLE bess_optimizations_new RENAME TO bess_optimizations;
+
+CREATE INDEX IF NOT EXISTS idx_bess_user ON bess_optimizations(user_id);
+CREATE INDEX IF NOT EXISTS idx_bess_created ON bess_optimizations(created_at DESC);
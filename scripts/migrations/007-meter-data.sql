@@ -0,0 +1,37 @@
+-- Stores customer meter data uploaded to /api/meter-data: one meter_uploads row
+-- per NEM12/NEM13 file and one meter_reads row per NMI, stream and NEM day.
+-- Run once against existing databases:
+--   wrangler d1 execute sunney-market --file scripts/migrations/007-meter-data.sql --remote
+
+CREATE TABLE IF NOT EXISTS meter_uploads (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  filename TEXT,
+  format TEXT NOT NULL CHECK(format IN ('NEM12', 'NEM13')),
+  nmis TEXT NOT NULL,
+  from_date TEXT NOT NULL,
+  to_date TEXT NOT NULL,
+  days INTEGER NOT NULL,
+  skipped TEXT,
+  file_key TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_meter_uploads_user ON meter_uploads(user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS meter_reads (
+  user_id TEXT NOT NULL,
+  nmi TEXT NOT NULL,
+  stream TEXT NOT NULL,
+  flow TEXT NOT NULL CHECK(flow IN ('consumption', 'generation')),
+  read_date TEXT NOT NULL,
+  interval_minutes INTEGER NOT NULL,
+  kwh TEXT NOT NULL,
+  quality TEXT NOT NULL,
+  source TEXT NOT NULL CHECK(source IN ('interval', 'accumulation')),
+  upload_id INTEGER,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, nmi, stream, read_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_meter_reads_date ON meter_reads(user_id, nmi, read_date);
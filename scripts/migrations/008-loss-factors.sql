@@ -0,0 +1,32 @@
+-- Stores AEMO marginal and distribution loss factors imported through
+-- /api/loss-factors, versioned per financial year.
+-- Run once against existing databases:
+--   wrangler d1 execute sunney-market --file scripts/migrations/008-loss-factors.sql --remote
+
+CREATE TABLE IF NOT EXISTS loss_factor_versions (
+  financial_year TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  format TEXT NOT NULL CHECK(format IN ('mlf', 'dudetailsummary')),
+  filename TEXT,
+  entries INTEGER NOT NULL,
+  file_key TEXT,
+  user_id TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (financial_year, version)
+);
+
+CREATE TABLE IF NOT EXISTS loss_factors (
+  financial_year TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  connection_point TEXT NOT NULL DEFAULT '',
+  duid TEXT NOT NULL DEFAULT '',
+  region TEXT,
+  station_name TEXT,
+  generation_mlf REAL,
+  load_mlf REAL,
+  dlf REAL,
+  PRIMARY KEY (financial_year, version, connection_point, duid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_loss_factors_duid ON loss_factors(duid, financial_year);
+CREATE INDEX IF NOT EXISTS idx_loss_factors_connection_point ON loss_factors(connection_point, financial_year);
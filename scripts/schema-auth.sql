@@ -6,12 +6,14 @@ CREATE TABLE IF NOT EXISTS users (
   email TEXT NOT NULL UNIQUE,
   password_hash TEXT NOT NULL,
   name TEXT NOT NULL,
-  role TEXT DEFAULT 'user' CHECK(role IN ('user', 'admin', 'trader')),
+  role TEXT DEFAULT 'user' CHECK(role IN ('user', 'analyst', 'admin', 'trader')),
   created_at TEXT DEFAULT CURRENT_TIMESTAMP,
   updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
   last_login TEXT,
   is_active BOOLEAN DEFAULT 1,
-  email_verified BOOLEAN DEFAULT 0
+  email_verified BOOLEAN DEFAULT 0,
+  failed_logins INTEGER DEFAULT 0,
+  locked_until TEXT
 );
 
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
@@ -22,6 +24,7 @@ CREATE TABLE IF NOT EXISTS api_keys (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   user_id INTEGER NOT NULL,
   key_hash TEXT NOT NULL UNIQUE,
+  key_prefix TEXT,
   name TEXT NOT NULL,
   permissions TEXT DEFAULT 'read',
   last_used TEXT,
@@ -34,7 +37,7 @@ CREATE TABLE IF NOT EXISTS api_keys (
 CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
 CREATE INDEX IF NOT EXISTS idx_api_keys_hash ON api_keys(key_hash);
 
--- Login attempts (for rate limiting)
+-- Login attempts (every login, for sliding-window throttling)
 CREATE TABLE IF NOT EXISTS login_attempts (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   email TEXT NOT NULL,
@@ -60,6 +63,51 @@ CREATE TABLE IF NOT EXISTS password_resets (
 CREATE INDEX IF NOT EXISTS idx_password_resets_token ON password_resets(token_hash);
 CREATE INDEX IF NOT EXISTS idx_password_resets_user ON password_resets(user_id);
 
+-- Email verification tokens
+CREATE TABLE IF NOT EXISTS email_verifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  expires_at TEXT NOT NULL,
+  used BOOLEAN DEFAULT 0,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_verifications_token ON email_verifications(token_hash);
+CREATE INDEX IF NOT EXISTS idx_email_verifications_user ON email_verifications(user_id);
+
+-- TOTP MFA (secret is AES-GCM encrypted; enabled once the first code is confirmed)
+CREATE TABLE IF NOT EXISTS user_mfa (
+  user_id INTEGER PRIMARY KEY,
+  secret TEXT NOT NULL,
+  enabled BOOLEAN DEFAULT 0,
+  last_counter INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  enabled_at TEXT,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- MFA recovery codes (hashed, single-use)
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  code_hash TEXT NOT NULL,
+  used_at TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user ON mfa_recovery_codes(user_id, code_hash);
+
+-- Roles that must use MFA
+CREATE TABLE IF NOT EXISTS role_mfa_policy (
+  role TEXT PRIMARY KEY CHECK(role IN ('user', 'analyst', 'admin', 'trader')),
+  mfa_required BOOLEAN NOT NULL DEFAULT 0,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_by INTEGER
+);
+
 -- Audit log
 CREATE TABLE IF NOT EXISTS audit_log (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
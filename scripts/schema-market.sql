@@ -140,25 +140,102 @@ CREATE TABLE IF NOT EXISTS trading_performance (
 CREATE INDEX IF NOT EXISTS idx_performance_user ON trading_performance(user_id);
 CREATE INDEX IF NOT EXISTS idx_performance_pnl ON trading_performance(total_pnl DESC);
 
--- BESS optimization results
+-- BESS optimization runs (/api/bess/optimize)
+-- region and dates are NULL for caller-supplied prices; parameters and summary
+-- are JSON, and schedule_key names the full result in the ARCHIVE bucket
 CREATE TABLE IF NOT EXISTS bess_optimizations (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   user_id TEXT NOT NULL,
-  region TEXT NOT NULL,
+  label TEXT,
+  region TEXT,
   capacity_mwh REAL NOT NULL,
   power_mw REAL NOT NULL,
   efficiency REAL NOT NULL,
-  start_date TEXT NOT NULL,
-  end_date TEXT NOT NULL,
+  start_date TEXT,
+  end_date TEXT,
+  intervals INTEGER,
+  parameters TEXT,
   total_revenue REAL NOT NULL,
-  total_cycles INTEGER,
+  total_cycles REAL,
   avg_soc REAL,
+  summary TEXT,
+  schedule_key TEXT,
+  rerun_of INTEGER,
   created_at TEXT DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX IF NOT EXISTS idx_bess_user ON bess_optimizations(user_id);
 CREATE INDEX IF NOT EXISTS idx_bess_created ON bess_optimizations(created_at DESC);
 
+-- Customer meter data (/api/meter-data): NEM12/NEM13 uploads and the interval
+-- reads from them, one row per NMI, register stream and NEM day. kwh is a JSON
+-- array of interval energy; quality is one method code, or a JSON array when
+-- it varies through the day. file_key names the raw file in the ARCHIVE bucket
+CREATE TABLE IF NOT EXISTS meter_uploads (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  filename TEXT,
+  format TEXT NOT NULL CHECK(format IN ('NEM12', 'NEM13')),
+  nmis TEXT NOT NULL,
+  from_date TEXT NOT NULL,
+  to_date TEXT NOT NULL,
+  days INTEGER NOT NULL,
+  skipped TEXT,
+  file_key TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_meter_uploads_user ON meter_uploads(user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS meter_reads (
+  user_id TEXT NOT NULL,
+  nmi TEXT NOT NULL,
+  stream TEXT NOT NULL,
+  flow TEXT NOT NULL CHECK(flow IN ('consumption', 'generation')),
+  read_date TEXT NOT NULL,
+  interval_minutes INTEGER NOT NULL,
+  kwh TEXT NOT NULL,
+  quality TEXT NOT NULL,
+  source TEXT NOT NULL CHECK(source IN ('interval', 'accumulation')),
+  upload_id INTEGER,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, nmi, stream, read_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_meter_reads_date ON meter_reads(user_id, nmi, read_date);
+
+-- AEMO loss factors (/api/loss-factors): each import is the next version of
+-- its financial year (e.g. 2025-26), holding MLFs and DLFs by connection point
+-- (or TNI) and DUID; '' where a file gives only one of them. Lookups take each
+-- factor from the newest version that has it
+CREATE TABLE IF NOT EXISTS loss_factor_versions (
+  financial_year TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  format TEXT NOT NULL CHECK(format IN ('mlf', 'dudetailsummary')),
+  filename TEXT,
+  entries INTEGER NOT NULL,
+  file_key TEXT,
+  user_id TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (financial_year, version)
+);
+
+CREATE TABLE IF NOT EXISTS loss_factors (
+  financial_year TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  connection_point TEXT NOT NULL DEFAULT '',
+  duid TEXT NOT NULL DEFAULT '',
+  region TEXT,
+  station_name TEXT,
+  generation_mlf REAL,
+  load_mlf REAL,
+  dlf REAL,
+  PRIMARY KEY (financial_year, version, connection_point, duid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_loss_factors_duid ON loss_factors(duid, financial_year);
+CREATE INDEX IF NOT EXISTS idx_loss_factors_connection_point ON loss_factors(connection_point, financial_year);
+
 -- Market alerts
 CREATE TABLE IF NOT EXISTS market_alerts (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -186,4 +263,20 @@ CREATE TABLE IF NOT EXISTS data_quality (
 );
 
 CREATE INDEX IF NOT EXISTS idx_quality_table ON data_quality(table_name);
-CREATE INDEX IF NOT EXISTS idx_quality_created ON data_quality(created_at DESC);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_quality_created ON data_quality(created_at DESC);
+
+-- Processed NEMWEB files, one row per report type and filename
+CREATE TABLE IF NOT EXISTS processed_files (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  report TEXT NOT NULL,
+  filename TEXT NOT NULL,
+  status TEXT NOT NULL,
+  row_count INTEGER DEFAULT 0,
+  error TEXT,
+  attempts INTEGER DEFAULT 0,
+  started_at TEXT NOT NULL,
+  completed_at TEXT,
+  UNIQUE(report, filename)
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_files_status ON processed_files(report, status, filename);
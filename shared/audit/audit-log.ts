@@ -0,0 +1,191 @@
+/**
+ * Audit Log for Sunney.io
+ *
+ * Writes security- and money-relevant events to the `audit_log` table in the
+ * sunney-auth D1 database, and reads them back for the admin audit view.
+ * Used by the auth worker (binding DB) and the API worker (binding AUTH_DB).
+ *
+ * `user_id` is whoever performed the action and `resource` what it was done to
+ * (e.g. an admin changing another user's role). System events such as an
+ * automatic lockout are attributed to the affected user.
+ *
+ * Writes never throw: a failed audit insert is logged and the request carries on.
+ * Schedule them with `executionCtx.waitUntil()` so they don't add latency.
+ *
+ * @see scripts/schema-auth.sql - audit_log table
+ */
+
+export type AuditAction =
+  // Accounts and sessions
+  | 'register'
+  | 'login'
+  | 'logout'
+  | 'password_reset'
+  | 'password_reset_requested'
+  | 'session_revoked'
+  | 'account_locked'
+  | 'account_unlocked'
+  | 'role_changed'
+  | 'user_deactivated'
+  | 'user_reactivated'
+  // MFA
+  | 'mfa_enabled'
+  | 'mfa_disabled'
+  | 'mfa_reset'
+  | 'mfa_policy_changed'
+  // API keys
+  | 'api_key_created'
+  | 'api_key_rotated'
+  | 'api_key_revoked'
+  // Platform actions
+  | 'position_opened'
+  | 'position_closed'
+  | 'bess_optimised'
+  | 'bess_run_deleted'
+  | 'meter_data_uploaded'
+  | 'loss_factors_imported'
+  | 'bess_job_started'
+  | 'scraper_action';
+
+export interface AuditEvent {
+  userId: string | number | null;
+  action: AuditAction;
+  resource?: string | null;           // e.g. 'user:12', 'position:881', 'api_key:3'
+  details?: Record<string, unknown>;  // stored as JSON
+  ip?: string | null;
+  userAgent?: string | null;
+}
+
+export interface AuditQuery {
+  userId?: string | number;
+  action?: string;
+  resource?: string;   // exact match, or a prefix ending in ':' (e.g. 'position:')
+  from?: string;       // ISO or 'YYYY-MM-DD HH:MM:SS' (UTC), inclusive
+  to?: string;         // exclusive
+  limit?: number;
+  offset?: number;
+}
+
+export const AUDIT_PAGE_SIZE = 50;
+export const AUDIT_MAX_PAGE_SIZE = 500;
+
+// Caller IP and user agent from the incoming request
+export function auditRequestContext(headers: Headers): { ip: string | null; userAgent: string | null } {
+  return {
+    ip: headers.get('CF-Connecting-IP'),
+    userAgent: headers.get('User-Agent')
+  };
+}
+
+// For inclusion in a db.batch() alongside the change being audited
+export function auditStatement(db: D1Database, event: AuditEvent): D1PreparedStatement {
+  return db.prepare(`
+    INSERT INTO audit_log (user_id, action, resource, details, ip_address, user_agent)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(
+    event.userId ?? null,
+    event.action,
+    event.resource ?? null,
+    event.details ? JSON.stringify(event.details) : null,
+    event.ip ?? null,
+    event.userAgent ?? null
+  );
+}
+
+export async function writeAudit(db: D1Database | undefined, event: AuditEvent): Promise<void> {
+  if (!db) {
+    return;
+  }
+  try {
+    await auditStatement(db, event).run();
+  } catch (error) {
+    console.error('Audit write failed:', event.action, error);
+  }
+}
+
+// D1 stores CURRENT_TIMESTAMP as 'YYYY-MM-DD HH:MM:SS' (UTC); accept dates and ISO input too.
+// Values without an offset are taken as UTC
+function toSqlTimestamp(value: string): string {
+  const iso =
+    /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` :
+    /(Z|[+-]\d{2}:?\d{2})$/i.test(value) ? value :
+    `${value.replace(' ', 'T')}Z`;
+  const parsed = new Date(iso);
+  if (isNaN(parsed.getTime())) {
+    throw new Error(`Invalid timestamp: ${value}`);
+  }
+  return parsed.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Newest-first page of audit events matching all given filters,
+ * with the total match count for pagination.
+ */
+export async function queryAudit(db: D1Database, query: AuditQuery) {
+  const conditions: string[] = [];
+  const params: unknown[] = [];
+
+  if (query.userId !== undefined) {
+    conditions.push('a.user_id = ?');
+    params.push(query.userId);
+  }
+  if (query.action) {
+    conditions.push('a.action = ?');
+    params.push(query.action);
+  }
+  if (query.resource) {
+    if (query.resource.endsWith(':')) {
+      conditions.push("a.resource LIKE ? ESCAPE '\\'");
+      params.push(`${query.resource.replace(/[\\%_]/g, ch => `\\${ch}`)}%`);
+    } else {
+      conditions.push('a.resource = ?');
+      params.push(query.resource);
+    }
+  }
+  if (query.from) {
+    conditions.push('a.created_at >= ?');
+    params.push(toSqlTimestamp(query.from));
+  }
+  if (query.to) {
+    conditions.push('a.created_at < ?');
+    params.push(toSqlTimestamp(query.to));
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const limit = Math.min(Math.max(query.limit || AUDIT_PAGE_SIZE, 1), AUDIT_MAX_PAGE_SIZE);
+  const offset = Math.max(query.offset || 0, 0);
+
+  const [rows, count] = await db.batch([
+    db.prepare(`
+      SELECT a.id, a.user_id, u.email, a.action, a.resource, a.details, a.ip_address, a.user_agent, a.created_at
+      FROM audit_log a
+      LEFT JOIN users u ON u.id = a.user_id
+      ${where}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT ? OFFSET ?
+    `).bind(...params, limit, offset),
+    db.prepare(`SELECT COUNT(*) AS total FROM audit_log a ${where}`).bind(...params)
+  ]);
+
+  const total = ((count.results?.[0] as any)?.total as number) || 0;
+
+  return {
+    events: (rows.results || []).map((row: any) => ({
+      id: row.id,
+      userId: row.user_id,
+      email: row.email,
+      action: row.action,
+      resource: row.resource,
+      details: row.details ? JSON.parse(row.details) : null,
+      ip: row.ip_address,
+      userAgent: row.user_agent,
+      createdAt: row.created_at
+    })),
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + limit < total
+    }
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * Access Tokens for Sunney.io
+ *
+ * HS256 JWTs issued only by the auth worker and verified locally by every
+ * worker that accepts them (auth and API), so the API doesn't need a service
+ * call per request. Both workers are given the same key set:
+ *
+ *   JWT_KEYS = [{ "kid": "2025-02", "secret": "..." },
+ *               { "kid": "2025-01", "secret": "...", "expiresAt": "2025-02-10T00:00:00Z" }]
+ *
+ * The first unexpired key signs; any unexpired key verifies tokens whose `kid`
+ * header names it, which gives old and new keys an overlap window during
+ * rotation. Without JWT_KEYS, JWT_SECRET is used as a single key ('default').
+ *
+ * Signing out, revoking a session, changing a role or deactivating a user
+ * writes to a revocation list in KV (`revoked:` keys in the JWT_CACHE
+ * namespace) that outlives any access token issued before it. KV is eventually
+ * consistent, so other locations may take up to a minute to see an entry.
+ *
+ * @see README.md - Signing Keys & Revocation
+ */
+
+export interface JwtKey {
+  kid: string;
+  secret: string;
+  expiresAt?: string;   // ISO; after this the key neither signs nor verifies
+}
+
+// Worker env vars the key set is read from
+export interface KeySetSource {
+  JWT_KEYS?: string;
+  JWT_SECRET?: string;
+}
+
+export interface AccessTokenClaims {
+  userId: string;
+  email: string;
+  role: string;
+  sid: string;          // session id (sessions.ts in the auth worker)
+  iat: number;          // seconds
+  exp: number;          // seconds
+}
+
+const DEFAULT_KID = 'default';
+
+// Parsed key sets and imported HMAC keys, reused across requests in the isolate
+const keySets = new Map<string, JwtKey[]>();
+const cryptoKeys = new Map<string, Promise<CryptoKey>>();
+
+export function hasKeySet(env: KeySetSource): boolean {
+  return !!(env.JWT_KEYS || env.JWT_SECRET);
+}
+
+export function parseKeySet(env: KeySetSource): JwtKey[] {
+  if (!env.JWT_KEYS) {
+    if (!env.JWT_SECRET) {
+      throw new Error('No JWT signing key configured (JWT_KEYS or JWT_SECRET)');
+    }
+    return [{ kid: DEFAULT_KID, secret: env.JWT_SECRET }];
+  }
+
+  let keys = keySets.get(env.JWT_KEYS);
+  if (!keys) {
+    const parsed = JSON.parse(env.JWT_KEYS);
+    if (!Array.isArray(parsed) || parsed.some(k => typeof k?.kid !== 'string' || typeof k?.secret !== 'string')) {
+      throw new Error('JWT_KEYS must be a JSON array of { kid, secret, expiresAt? }');
+    }
+    keys = parsed as JwtKey[];
+    keySets.set(env.JWT_KEYS, keys);
+  }
+  return keys;
+}
+
+function isUsable(key: JwtKey, now = Date.now()): boolean {
+  return !key.expiresAt || new Date(key.expiresAt).getTime() > now;
+}
+
+function hmacKey(key: JwtKey): Promise<CryptoKey> {
+  const cacheKey = `${key.kid}:${key.secret}`;
+  let cryptoKey = cryptoKeys.get(cacheKey);
+  if (!cryptoKey) {
+    cryptoKey = crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(key.secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify']
+    );
+    cryptoKeys.set(cacheKey, cryptoKey);
+  }
+  return cryptoKey;
+}
+
+function base64UrlEncode(bytes: Uint8Array): string {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '');
+}
+
+function base64UrlDecode(value: string) {
+  const normalized = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = normalized + '='.repeat((4 - normalized.length % 4) % 4);
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+}
+
+function decodeJson(segment: string): any {
+  return JSON.parse(new TextDecoder().decode(base64UrlDecode(segment)));
+}
+
+export async function signJwt(claims: AccessTokenClaims, keys: JwtKey[]): Promise<string> {
+  const key = keys.find(k => isUsable(k));
+  if (!key) {
+    throw new Error('All JWT signing keys have expired');
+  }
+
+  const encoder = new TextEncoder();
+  const header = base64UrlEncode(encoder.encode(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: key.kid })));
+  const payload = base64UrlEncode(encoder.encode(JSON.stringify(claims)));
+  const data = `${header}.${payload}`;
+
+  const signature = await crypto.subtle.sign('HMAC', await hmacKey(key), encoder.encode(data));
+  return `${data}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+/**
+ * Check the signature against the key named by the token's `kid` and the
+ * expiry. Throws on any failure; returns the claims otherwise. Does not
+ * consult the revocation list - see isRevoked().
+ */
+export async function verifyJwt(token: string, keys: JwtKey[]): Promise<AccessTokenClaims> {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+  const [header, payload, signature] = parts;
+
+  const { alg, kid } = decodeJson(header);
+  if (alg !== 'HS256') {
+    throw new Error('Unsupported algorithm');
+  }
+
+  // Tokens from before key ids were introduced have no kid; they are at most
+  // one access token lifetime old and the client simply refreshes
+  const key = keys.find(k => k.kid === kid);
+  if (!key || !isUsable(key)) {
+    throw new Error('Unknown or retired signing key');
+  }
+
+  const valid = await crypto.subtle.verify(
+    'HMAC',
+    await hmacKey(key),
+    base64UrlDecode(signature),
+    new TextEncoder().encode(`${header}.${payload}`)
+  );
+  if (!valid) {
+    throw new Error('Invalid token');
+  }
+
+  const claims = decodeJson(payload) as AccessTokenClaims;
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) {
+    throw new Error('Token expired');
+  }
+
+  return claims;
+}
+
+/**
+ * Add to the revocation list. With a sessionId, that session's tokens are
+ * revoked; otherwise every token for the user issued before now.
+ * `ttlSeconds` must be at least the access token lifetime.
+ */
+export async function revokeAccessTokens(
+  kv: KVNamespace,
+  target: { userId: string; sessionId?: string },
+  ttlSeconds: number
+): Promise<void> {
+  const options = { expirationTtl: Math.max(ttlSeconds, 60) }; // KV minimum
+  if (target.sessionId) {
+    await kv.put(`revoked:sid:${target.sessionId}`, '1', options);
+  } else {
+    await kv.put(`revoked:user:${target.userId}`, String(Math.floor(Date.now() / 1000)), options);
+  }
+}
+
+export async function isRevoked(kv: KVNamespace, claims: AccessTokenClaims): Promise<boolean> {
+  const [session, userCutoff] = await Promise.all([
+    kv.get(`revoked:sid:${claims.sid}`),
+    kv.get(`revoked:user:${claims.userId}`)
+  ]);
+  // Tokens issued in the same second as a user-wide revocation (e.g. the
+  // refresh right after a role change) are allowed through
+  return !!session || (!!userCutoff && claims.iat < Number(userCutoff));
+}
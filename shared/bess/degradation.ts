@@ -0,0 +1,199 @@
+/**
+ * Battery Degradation Model
+ *
+ * Capacity fade from cycling and calendar ageing. The DP optimiser uses it to
+ * price the wear of each dispatch decision and to report fade over a
+ * schedule; Forward Lite uses its browser copy
+ * (pages/public/assets/js/bess-degradation.js) for year-by-year capacity.
+ *
+ * Cycling: a full cycle of depth d (fraction of capacity) uses 1 / N(d) of the
+ * battery's cycle life, with N(d) = cycleLife * d^-dodExponent, so a deep cycle
+ * wears more per MWh than a shallow one. Cycles in a SoC series are found by
+ * rainflow counting; a half cycle does half the damage. Life used fades
+ * capacity linearly down to endOfLifeCapacity.
+ *
+ * Calendar ageing fades capacity by calendarFadePerYear whether or not the
+ * battery is used.
+ *
+ * Inside the DP there is no cycle history to count, so wear is priced as if
+ * each cycle starts from full: discharging from depth a to depth b costs
+ * (Phi(b) - Phi(a)) of the pack, where Phi(d) = d^dodExponent / cycleLife is
+ * the life a full-to-d cycle uses. Charging is free. This is exact for cycles
+ * from full and overprices shallow cycles lower down; rainflow counting on the
+ * resulting schedule gives the wear actually incurred.
+ */
+
+export interface DegradationOptions {
+  cycleLife: number;              // full (100% DoD) cycles to end of life
+  dodExponent?: number;           // N(d) = cycleLife * d^-dodExponent (default 1.5)
+  endOfLifeCapacity?: number;     // capacity fraction at end of cycle life (default 0.8)
+  calendarFadePerYear?: number;   // capacity fraction lost per year (default 0.01)
+  replacementCost: number;        // $/MWh of capacity to replace the pack
+}
+
+export type DegradationModel = Required<DegradationOptions>;
+
+export interface RainflowCycle {
+  depth: number;                  // range, in the series' units
+  mean: number;
+  count: 0.5 | 1;
+}
+
+export interface DegradationSummary {
+  equivalentFullCycles: number;   // sum of count * depth / capacity
+  cycleCount: number;             // rainflow cycles (half cycles count 0.5)
+  depthHistogram: { depth: string; count: number }[];   // 10% bins
+  lifeUsed: number;               // fraction of cycle life
+  cycleFade: number;              // capacity fraction
+  calendarFade: number;
+  capacityFade: number;
+  wearCost: number;               // $ of the pack used up by cycling
+}
+
+export interface CapacityProjection {
+  year: number;                   // 1 = end of the first year
+  capacity: number;               // fraction of nameplate
+  cycleFade: number;
+  calendarFade: number;
+}
+
+const HOURS_PER_YEAR = 8760;
+
+export function resolveDegradation(options: DegradationOptions): DegradationModel {
+  const model = {
+    dodExponent: 1.5,
+    endOfLifeCapacity: 0.8,
+    calendarFadePerYear: 0.01,
+    ...options
+  };
+
+  if (!(model.cycleLife > 0)) {
+    throw new Error('cycleLife must be positive');
+  }
+  if (!(model.dodExponent > 0)) {
+    throw new Error('dodExponent must be positive');
+  }
+  if (!(model.endOfLifeCapacity > 0 && model.endOfLifeCapacity < 1)) {
+    throw new Error('endOfLifeCapacity must be in (0, 1)');
+  }
+  if (!(model.calendarFadePerYear >= 0) || !(model.replacementCost >= 0)) {
+    throw new Error('calendarFadePerYear and replacementCost must not be negative');
+  }
+  return model;
+}
+
+// Fraction of cycle life used by one full cycle of depth `depth` (0..1)
+export function cycleDamage(depth: number, model: DegradationModel): number {
+  return depth > 0 ? Math.pow(Math.min(depth, 1), model.dodExponent) / model.cycleLife : 0;
+}
+
+// $ of wear for discharging from depth `from` to depth `to` (fractions below full)
+export function dischargeWearCost(from: number, to: number, capacityMWh: number, model: DegradationModel): number {
+  if (to <= from) {
+    return 0;
+  }
+  return (cycleDamage(to, model) - cycleDamage(from, model)) * model.replacementCost * capacityMWh;
+}
+
+/**
+ * Rainflow cycle count (ASTM E1049 three-point method) of a series, e.g. SoC
+ * in MWh. Ranges left over at the end are half cycles.
+ */
+export function rainflow(series: number[]): RainflowCycle[] {
+  // Turning points only; flat runs and points on a monotone stretch don't matter
+  const reversals: number[] = [];
+  for (const value of series) {
+    const n = reversals.length;
+    if (n > 0 && value === reversals[n - 1]) {
+      continue;
+    }
+    if (n >= 2 && (reversals[n - 1] - reversals[n - 2]) * (value - reversals[n - 1]) > 0) {
+      reversals[n - 1] = value;
+    } else {
+      reversals.push(value);
+    }
+  }
+
+  const cycles: RainflowCycle[] = [];
+  const stack: number[] = [];
+  for (const point of reversals) {
+    stack.push(point);
+    while (stack.length >= 3) {
+      const n = stack.length;
+      const x = Math.abs(stack[n - 1] - stack[n - 2]);
+      const y = Math.abs(stack[n - 2] - stack[n - 3]);
+      if (x < y) {
+        break;
+      }
+      const mean = (stack[n - 2] + stack[n - 3]) / 2;
+      if (n === 3) {
+        // The range includes the starting point: only half a cycle
+        cycles.push({ depth: y, mean, count: 0.5 });
+        stack.shift();
+      } else {
+        cycles.push({ depth: y, mean, count: 1 });
+        stack.splice(n - 3, 2);
+      }
+    }
+  }
+  for (let n = 1; n < stack.length; n++) {
+    cycles.push({ depth: Math.abs(stack[n] - stack[n - 1]), mean: (stack[n] + stack[n - 1]) / 2, count: 0.5 });
+  }
+  return cycles;
+}
+
+/**
+ * Wear and fade over a schedule: `socSeries` in MWh (one point per interval
+ * boundary) lasting `hours`.
+ */
+export function assessDegradation(
+  socSeries: number[],
+  capacityMWh: number,
+  hours: number,
+  model: DegradationModel
+): DegradationSummary {
+  const histogram = new Array(10).fill(0);
+  let equivalentFullCycles = 0;
+  let cycleCount = 0;
+  let lifeUsed = 0;
+
+  for (const cycle of rainflow(socSeries)) {
+    const depth = cycle.depth / capacityMWh;
+    equivalentFullCycles += cycle.count * depth;
+    cycleCount += cycle.count;
+    lifeUsed += cycle.count * cycleDamage(depth, model);
+    histogram[Math.min(9, Math.floor(depth * 10))] += cycle.count;
+  }
+
+  const cycleFade = lifeUsed * (1 - model.endOfLifeCapacity);
+  const calendarFade = model.calendarFadePerYear * hours / HOURS_PER_YEAR;
+  return {
+    equivalentFullCycles,
+    cycleCount,
+    depthHistogram: histogram.map((count, bin) => ({ depth: `${bin * 10}-${bin * 10 + 10}%`, count })),
+    lifeUsed,
+    cycleFade,
+    calendarFade,
+    capacityFade: cycleFade + calendarFade,
+    wearCost: lifeUsed * model.replacementCost * capacityMWh
+  };
+}
+
+/**
+ * Capacity at the end of each year of a project that uses `lifeUsedPerYear`
+ * of its cycle life every year (e.g. a schedule's lifeUsed scaled to a year).
+ */
+export function projectCapacity(model: DegradationModel, lifeUsedPerYear: number, years: number): CapacityProjection[] {
+  const projection: CapacityProjection[] = [];
+  for (let year = 1; year <= years; year++) {
+    const cycleFade = lifeUsedPerYear * year * (1 - model.endOfLifeCapacity);
+    const calendarFade = model.calendarFadePerYear * year;
+    projection.push({
+      year,
+      capacity: Math.max(0, 1 - cycleFade - calendarFade),
+      cycleFade,
+      calendarFade
+    });
+  }
+  return projection;
+}
@@ -0,0 +1,730 @@
+/**
+ * Battery Dispatch Optimiser (dynamic programming)
+ *
+ * Finds the revenue-maximising charge/discharge schedule for a battery over a
+ * known price series by backward induction over discretised state of charge.
+ * The API worker runs it for /api/bess/optimize so the UI and scripts get the
+ * same answer; pages/public/apps/bess-optimizer/tools/dp-optimizer.js is only
+ * the browser's offline fallback.
+ *
+ * Prices are $/MWh and energy is MWh per interval. Efficiencies apply on each
+ * side: charging x MWh from the grid adds etaC * x to SoC, and taking y MWh out
+ * of SoC sells etaD * y.
+ *
+ * Beyond power and capacity limits:
+ *   - throughputCost: $/MWh of battery-side throughput (degradation, O&M)
+ *   - maxCycles: cycles per day, met by adding a shadow price to the
+ *     throughput cost (found by bisection) until the schedule complies
+ *   - rampRateMW: max change in battery power between intervals; the previous
+ *     action becomes part of the DP state, so this costs time and memory
+ *   - socT: terminal SoC; when omitted, energy left at the end is valued near
+ *     the early-horizon median price so the battery isn't drained for nothing
+ *   - fcas: co-optimises the eight contingency and regulation FCAS services
+ *     (see FcasOptions)
+ *   - degradation: prices the wear of each discharge by its depth and reports
+ *     rainflow-counted capacity fade for the schedule (see degradation.ts)
+ *
+ * Loss factors: the NEM settles energy at a connection point at the regional
+ * price times the point's marginal (MLF) and distribution (DLF) loss factors,
+ * and a bidirectional unit has separate factors for generation and load.
+ * generationLossFactor scales what discharging earns and loadLossFactor what
+ * charging costs. Schedule and reservation prices stay regional (RRP).
+ *
+ * Optimisers that coordinate several batteries (portfolio-optimizer.ts) pass
+ * a DpCoupling as well: per-interval bounds on grid-side power, e.g. what a
+ * shared connection point leaves once the other batteries are dispatched, and
+ * a shadow price on throughput that is priced into decisions but not cash.
+ *
+ * FCAS is offered alongside energy in each interval. With P the grid-side
+ * power (positive exporting), every raise contingency service must fit with
+ * raise regulation in the headroom above P (P + RAISEREG + RAISEx <= powerMW),
+ * and likewise for lower services below P. Each service is also capped by its
+ * enablement limit. Enabled regulation needs enough SoC to be delivered for
+ * `regulationMinutes` at any point in the interval. FCAS is paid on enabled MW
+ * at $/MW/h. Energy actually delivered for regulation is not modelled.
+ */
+
+import {
+  resolveDegradation,
+  dischargeWearCost,
+  assessDegradation,
+  type DegradationOptions,
+  type DegradationModel,
+  type DegradationSummary
+} from './degradation';
+
+export const FCAS_SERVICES = [
+  'RAISE6SEC', 'RAISE60SEC', 'RAISE5MIN', 'RAISEREG',
+  'LOWER6SEC', 'LOWER60SEC', 'LOWER5MIN', 'LOWERREG'
+] as const;
+
+export type FcasService = typeof FCAS_SERVICES[number];
+
+export interface FcasOptions {
+  prices: Partial<Record<FcasService, number[]>>;                  // $/MW/h per interval; omitted services aren't offered
+  maxMW?: Partial<Record<FcasService, number>>;                     // battery's enablement limit (default powerMW)
+  enablementMax?: Partial<Record<FcasService, (number | null)[]>>;  // per-interval cap, e.g. the regional requirement
+  regulationMinutes?: number;                                       // regulation SoC headroom (default 5)
+}
+
+export interface DpOptions {
+  prices: number[];               // $/MWh per interval
+  dtHours?: number;               // interval length (default 5 minutes)
+  capacityMWh: number;            // usable energy
+  powerMW: number;                // charge/discharge limit (symmetrical)
+  etaC?: number;                  // charge efficiency
+  etaD?: number;                  // discharge efficiency
+  soc0?: number;                  // initial SoC fraction (0..1)
+  socT?: number | null;           // terminal SoC fraction (null = valued, not fixed)
+  salvagePrice?: number | null;   // $/MWh for the terminal valuation (null = auto)
+  socSteps?: number | null;       // SoC grid size (null = scaled to the C-rate)
+  throughputCost?: number;        // $/MWh battery-side throughput
+  maxCycles?: number | null;      // per day
+  rampRateMW?: number | null;     // max change in battery power between intervals
+  generationLossFactor?: number;  // MLF x DLF on energy sold (default 1)
+  loadLossFactor?: number;        // MLF x DLF on energy bought (default 1)
+  fcas?: FcasOptions | null;
+  degradation?: DegradationOptions | null;
+}
+
+export interface DpCoupling {
+  exportLimitMW?: number[] | null;  // per interval, max grid-side export; negative forces a charge
+  importLimitMW?: number[] | null;  // per interval, max grid-side import; negative forces a discharge
+  shadowPrice?: number;             // $/MWh of throughput added to decisions only
+}
+
+// Options with defaults filled in, as echoed back in results (FCAS prices aside)
+export type DpSettings = Required<Omit<DpOptions, 'prices' | 'fcas' | 'degradation'>> & {
+  fcasServices: FcasService[];
+  regulationMinutes: number | null;
+  degradation: DegradationModel | null;
+};
+
+export interface DispatchInterval {
+  t: number;
+  price: number;
+  op: 'charge' | 'discharge' | 'hold';
+  powerMW: number;                // grid side: positive exporting, negative importing
+  buyMWh: number;                 // energy bought from the grid
+  sellMWh: number;                // energy sold to the grid
+  cash: number;                   // $ for the interval (energy and FCAS), after throughput and wear cost
+  socMWh: number;                 // at the end of the interval
+  socFraction: number;
+  fcas?: Partial<Record<FcasService, { mw: number; cash: number }>>;  // enabled services only
+  wearCost?: number;              // $ of degradation priced into this decision
+}
+
+export interface ReservationPrices {
+  charge: (number | null)[];      // charge when the price is below this
+  discharge: (number | null)[];   // discharge when the price is above this
+}
+
+export interface DpResult {
+  revenue: number;
+  cycles: number;
+  cyclesPerDay: number;
+  throughput: number;
+  energyCharged: number;
+  energyDischarged: number;
+  avgChargePrice: number;         // loss-adjusted, $/MWh actually paid
+  avgDischargePrice: number;      // loss-adjusted, $/MWh actually earned
+  avgSpread: number;
+  schedule: DispatchInterval[];
+  socSeries: number[];            // MWh, T + 1 points
+  reservation: ReservationPrices & { bySoC: Record<string, ReservationPrices> };
+  cycleShadowPrice: number;       // $/MWh added to throughputCost to meet maxCycles
+  revenueByService: Partial<Record<'energy' | FcasService, number>>;
+  degradation: DegradationSummary | null;
+  settings: DpSettings;
+}
+
+// The grid, terminal valuation and option defaults below are shared with the
+// scenario-based and behind-the-meter optimisers (stochastic-optimizer.ts,
+// site-optimizer.ts)
+export const INFEASIBLE = -1e15;
+const RESERVATION_SOC_LEVELS = [0.2, 0.5, 0.8];
+export const CYCLE_BISECTION_STEPS = 16;
+
+// Policy table entries (intervals x SoC levels x previous actions); about 2 bytes each
+export const MAX_POLICY_ENTRIES = 25_000_000;
+
+export interface Grid {
+  T: number;
+  E: number;
+  dE: number;
+  socSteps: number;
+  maxChargeK: number;             // SoC steps per interval
+  maxDischK: number;
+  nK: number;                     // actions -maxDischK..maxChargeK
+  rampK: number | null;           // max change in action between intervals
+  nPrev: number;                  // previous-action states (1 without a ramp limit)
+}
+
+// FCAS prices and caps by service index (FCAS_SERVICES order), 0 where not offered
+interface FcasTerms {
+  price: Float64Array[];
+  cap: Float64Array[];
+  regulationHours: number;
+}
+
+// Allowed actions per interval under DpCoupling limits
+interface ActionBounds {
+  lo: Int16Array;
+  hi: Int16Array;
+}
+
+interface Solution {
+  policy: Int16Array;
+  valueIdle: Float64Array[];      // V[t][soc] with the battery idle beforehand
+  decisionCost: number;
+}
+
+export function resolveOptions(options: DpOptions): DpSettings {
+  const { prices: _prices, fcas, degradation, ...given } = options;
+  const settings = {
+    dtHours: 5 / 60,
+    etaC: 0.95,
+    etaD: 0.95,
+    soc0: 0.5,
+    socT: null,
+    salvagePrice: null,
+    socSteps: null,
+    throughputCost: 0,
+    maxCycles: null,
+    rampRateMW: null,
+    generationLossFactor: 1,
+    loadLossFactor: 1,
+    ...given,
+    fcasServices: fcas ? FCAS_SERVICES.filter(service => fcas.prices[service]) : [],
+    regulationMinutes: fcas ? fcas.regulationMinutes ?? 5 : null,
+    degradation: degradation ? resolveDegradation(degradation) : null
+  };
+
+  if (!(settings.capacityMWh > 0) || !(settings.powerMW > 0)) {
+    throw new Error('capacityMWh and powerMW must be positive');
+  }
+  for (const [name, eta] of [['etaC', settings.etaC], ['etaD', settings.etaD]] as const) {
+    if (!(eta > 0 && eta <= 1)) {
+      throw new Error(`${name} must be in (0, 1]`);
+    }
+  }
+  if (!(settings.generationLossFactor > 0) || !(settings.loadLossFactor > 0)) {
+    throw new Error('Loss factors must be positive');
+  }
+
+  // Scale the SoC grid to the C-rate to keep discretisation error down
+  if (settings.socSteps === null) {
+    const intervalsToFill = Math.max(6, Math.ceil(settings.capacityMWh / (settings.powerMW * settings.dtHours)));
+    settings.socSteps = Math.min(401, Math.max(121, intervalsToFill * 8));
+  }
+
+  return settings as DpSettings;
+}
+
+function prepareFcas(T: number, s: DpSettings, fcas: FcasOptions | null | undefined): FcasTerms | null {
+  if (!fcas || s.fcasServices.length === 0) {
+    return null;
+  }
+
+  const terms: FcasTerms = {
+    price: [],
+    cap: [],
+    regulationHours: s.regulationMinutes! / 60
+  };
+  for (const service of FCAS_SERVICES) {
+    const prices = fcas.prices[service];
+    const limits = fcas.enablementMax?.[service];
+    const maxMW = fcas.maxMW?.[service] ?? s.powerMW;
+    if (prices && (prices.length !== T || prices.some(p => !Number.isFinite(p)))) {
+      throw new Error(`FCAS prices for ${service} must be numbers, one per interval`);
+    }
+    if (limits && limits.length !== T) {
+      throw new Error(`FCAS enablement limits for ${service} must have one entry per interval`);
+    }
+    if (!(maxMW >= 0)) {
+      throw new Error(`FCAS maxMW for ${service} must be zero or more`);
+    }
+
+    const price = new Float64Array(T);
+    const cap = new Float64Array(T);
+    if (prices) {
+      for (let t = 0; t < T; t++) {
+        const limit = limits?.[t];
+        // Never enabled at a zero or negative price
+        price[t] = Math.max(prices[t], 0);
+        cap[t] = prices[t] > 0 ? Math.min(maxMW, limit !== null && limit !== undefined && limit > 0 ? limit : Infinity) : 0;
+      }
+    }
+    terms.price.push(price);
+    terms.cap.push(cap);
+  }
+  return terms;
+}
+
+// $/h on one side (base 0 = raise, 4 = lower) with `reg` MW of regulation
+function sideRevenue(terms: FcasTerms, t: number, base: number, headroom: number, reg: number): number {
+  let value = terms.price[base + 3][t] * reg;
+  for (let c = 0; c < 3; c++) {
+    value += terms.price[base + c][t] * Math.max(0, Math.min(terms.cap[base + c][t], headroom - reg));
+  }
+  return value;
+}
+
+/**
+ * Best enablement on one side - raise (0) or lower (1) - at interval t, in
+ * $/h. Regulation and each contingency service share `headroom`; regulation
+ * is further limited to `regulationLimit`. Writes the MW per service
+ * (contingency x3, then regulation) to `out` when given.
+ */
+function bestFcasSide(
+  terms: FcasTerms,
+  t: number,
+  side: 0 | 1,
+  headroom: number,
+  regulationLimit: number,
+  out?: Float64Array
+): number {
+  const base = side * 4;
+  const regMax = Math.max(0, Math.min(terms.cap[base + 3][t], headroom, regulationLimit));
+
+  // Revenue is concave and piecewise linear in the regulation MW, so the
+  // optimum is at 0, regMax or where a contingency service stops fitting
+  let bestReg = 0;
+  let bestValue = sideRevenue(terms, t, base, headroom, 0);
+  for (let c = 0; c <= 3; c++) {
+    const reg = c < 3 ? Math.min(regMax, Math.max(0, headroom - terms.cap[base + c][t])) : regMax;
+    const value = sideRevenue(terms, t, base, headroom, reg);
+    if (value > bestValue) {
+      bestValue = value;
+      bestReg = reg;
+    }
+  }
+
+  if (out) {
+    for (let c = 0; c < 3; c++) {
+      out[c] = Math.max(0, Math.min(terms.cap[base + c][t], headroom - bestReg));
+    }
+    out[3] = bestReg;
+  }
+  return bestValue;
+}
+
+// Grid-side power for action k (SoC steps; positive charging), positive exporting
+export function gridPower(k: number, grid: Grid, s: DpSettings): number {
+  const energy = Math.abs(k) * grid.dE;
+  return k > 0 ? -energy / s.etaC / s.dtHours : energy * s.etaD / s.dtHours;
+}
+
+// Grid power falls as k rises, so each interval's allowed actions are a contiguous range
+function actionBounds(grid: Grid, s: DpSettings, coupling: DpCoupling): ActionBounds | null {
+  const { exportLimitMW, importLimitMW } = coupling;
+  if (!exportLimitMW && !importLimitMW) {
+    return null;
+  }
+  for (const limits of [exportLimitMW, importLimitMW]) {
+    if (limits && (limits.length !== grid.T || limits.some(v => !Number.isFinite(v)))) {
+      throw new Error('Grid power limits must be numbers, one per interval');
+    }
+  }
+
+  const bounds: ActionBounds = { lo: new Int16Array(grid.T), hi: new Int16Array(grid.T) };
+  for (let t = 0; t < grid.T; t++) {
+    const maxExport = (exportLimitMW?.[t] ?? Infinity) + 1e-9;
+    const maxImport = (importLimitMW?.[t] ?? Infinity) + 1e-9;
+    let lo = Infinity;
+    let hi = -Infinity;
+    for (let k = -grid.maxDischK; k <= grid.maxChargeK; k++) {
+      const power = gridPower(k, grid, s);
+      if (power <= maxExport && -power <= maxImport) {
+        lo = Math.min(lo, k);
+        hi = k;
+      }
+    }
+    if (lo > hi) {
+      throw new Error(`Grid power limits leave no feasible action in interval ${t}`);
+    }
+    bounds.lo[t] = lo;
+    bounds.hi[t] = hi;
+  }
+  return bounds;
+}
+
+// Regulation MW the SoC range [low, high] (MWh) can sustain on each side
+function regulationLimits(low: number, high: number, grid: Grid, s: DpSettings, terms: FcasTerms): [number, number] {
+  if (terms.regulationHours <= 0) {
+    return [Infinity, Infinity];
+  }
+  return [
+    low * s.etaD / terms.regulationHours,
+    (grid.E - high) / s.etaC / terms.regulationHours
+  ];
+}
+
+export function buildGrid(T: number, s: DpSettings): Grid {
+  const E = s.capacityMWh;
+  const socSteps = s.socSteps!;
+  const dE = E / (socSteps - 1);
+  const maxChargeK = Math.max(1, Math.floor(s.etaC * s.powerMW * s.dtHours / dE));
+  const maxDischK = Math.max(1, Math.floor(s.powerMW * s.dtHours / dE));
+  const nK = maxChargeK + maxDischK + 1;
+
+  // Ramp limits battery-side power change: |k - prevK| * dE / dt <= rampRateMW
+  const rampK = s.rampRateMW === null
+    ? null
+    : Math.max(1, Math.floor(s.rampRateMW * s.dtHours / dE));
+  const nPrev = rampK === null || rampK >= nK - 1 ? 1 : nK;
+
+  if (T * socSteps * nPrev > MAX_POLICY_ENTRIES) {
+    throw new Error('Problem too large: shorten the horizon, reduce socSteps or drop the ramp limit');
+  }
+
+  return { T, E, dE, socSteps, maxChargeK, maxDischK, nK, rampK: nPrev > 1 ? rampK : null, nPrev };
+}
+
+// $ of wear for each SoC level and action (index i * nK + k + maxDischK); null without a model
+function wearTable(grid: Grid, s: DpSettings): Float64Array | null {
+  if (!s.degradation) {
+    return null;
+  }
+  const { socSteps, maxDischK, nK } = grid;
+  const wear = new Float64Array(socSteps * nK);
+  for (let i = 0; i < socSteps; i++) {
+    for (let k = -Math.min(maxDischK, i); k < 0; k++) {
+      const from = 1 - i / (socSteps - 1);
+      const to = 1 - (i + k) / (socSteps - 1);
+      wear[i * nK + k + maxDischK] = dischargeWearCost(from, to, grid.E, s.degradation);
+    }
+  }
+  return wear;
+}
+
+// Value of ending the horizon at each SoC level
+export function terminalValues(prices: number[], grid: Grid, s: DpSettings): Float64Array {
+  const values = new Float64Array(grid.socSteps).fill(INFEASIBLE);
+
+  if (s.socT !== null) {
+    values[Math.round(grid.E * s.socT / grid.dE)] = 0;
+    return values;
+  }
+
+  // Deviation from the starting SoC: surplus is worth a little less than the
+  // reference price, a deficit costs a little more, so cycling pays for itself
+  let reference = s.salvagePrice;
+  if (reference === null) {
+    const early = prices.slice(0, 60).filter(Number.isFinite).sort((a, b) => a - b);
+    reference = early.length ? early[Math.floor(early.length / 2)] : 50;
+  }
+  const startSoC = grid.E * s.soc0;
+  for (let i = 0; i < grid.socSteps; i++) {
+    const deviation = i * grid.dE - startSoC;
+    values[i] = deviation > 0
+      ? s.etaD * deviation * reference * s.generationLossFactor * 0.8
+      : deviation * reference * s.loadLossFactor / s.etaC * 1.2;
+  }
+  return values;
+}
+
+function solve(
+  prices: number[],
+  grid: Grid,
+  s: DpSettings,
+  fcas: FcasTerms | null,
+  bounds: ActionBounds | null,
+  decisionCost: number
+): Solution {
+  const { T, dE, socSteps, maxChargeK, maxDischK, nK, rampK, nPrev } = grid;
+  const idle = rampK === null ? 0 : maxDischK;
+
+  const policy = new Int16Array(T * socSteps * nPrev);
+  const valueIdle: Float64Array[] = new Array(T + 1);
+
+  const terminal = terminalValues(prices, grid, s);
+  valueIdle[T] = terminal;
+  let next = new Float64Array(socSteps * nPrev);
+  for (let i = 0; i < socSteps; i++) {
+    next.fill(terminal[i], i * nPrev, (i + 1) * nPrev);
+  }
+  let current = new Float64Array(socSteps * nPrev);
+  const reward = new Float64Array(nK);
+  const wear = wearTable(grid, s);
+
+  // FCAS $ per action ignoring the regulation SoC limit, and the regulation
+  // MW that takes; only SoC levels too close to empty/full are recomputed
+  const fcasReward = new Float64Array(nK);
+  const raiseReg = new Float64Array(nK);
+  const lowerReg = new Float64Array(nK);
+  const allocation = new Float64Array(4);
+
+  const fcasValue = (t: number, i: number, k: number): number => {
+    const [raiseLimit, lowerLimit] = regulationLimits(Math.min(i, i + k) * dE, Math.max(i, i + k) * dE, grid, s, fcas!);
+    const a = k + maxDischK;
+    if (raiseReg[a] <= raiseLimit && lowerReg[a] <= lowerLimit) {
+      return fcasReward[a];
+    }
+    const power = gridPower(k, grid, s);
+    return (bestFcasSide(fcas!, t, 0, s.powerMW - power, raiseLimit)
+      + bestFcasSide(fcas!, t, 1, s.powerMW + power, lowerLimit)) * s.dtHours;
+  };
+
+  for (let t = T - 1; t >= 0; t--) {
+    const p = prices[t];
+    for (let k = -maxDischK; k <= maxChargeK; k++) {
+      const energy = Math.abs(k) * dE;
+      reward[k + maxDischK] = k > 0
+        ? -p * s.loadLossFactor * energy / s.etaC - decisionCost * energy
+        : p * s.generationLossFactor * s.etaD * energy - decisionCost * energy;
+
+      if (fcas) {
+        const power = gridPower(k, grid, s);
+        let value = bestFcasSide(fcas, t, 0, s.powerMW - power, Infinity, allocation);
+        raiseReg[k + maxDischK] = allocation[3];
+        value += bestFcasSide(fcas, t, 1, s.powerMW + power, Infinity, allocation);
+        lowerReg[k + maxDischK] = allocation[3];
+        fcasReward[k + maxDischK] = value * s.dtHours;
+      }
+    }
+
+    for (let i = 0; i < socSteps; i++) {
+      const kMin = Math.max(-maxDischK, -i, bounds ? bounds.lo[t] : -maxDischK);
+      const kMax = Math.min(maxChargeK, socSteps - 1 - i, bounds ? bounds.hi[t] : maxChargeK);
+
+      for (let prev = 0; prev < nPrev; prev++) {
+        const prevK = prev - idle;
+        const lo = rampK === null ? kMin : Math.max(kMin, prevK - rampK);
+        const hi = rampK === null ? kMax : Math.min(kMax, prevK + rampK);
+
+        let best = INFEASIBLE;
+        let bestK = 0;
+        for (let k = lo; k <= hi; k++) {
+          const future = next[(i + k) * nPrev + (nPrev > 1 ? k + maxDischK : 0)];
+          if (future <= INFEASIBLE / 10) {
+            continue;
+          }
+          const value = reward[k + maxDischK] + future
+            + (fcas ? fcasValue(t, i, k) : 0)
+            - (wear ? wear[i * nK + k + maxDischK] : 0);
+          if (value > best) {
+            best = value;
+            bestK = k;
+          }
+        }
+
+        current[i * nPrev + prev] = best;
+        policy[(t * socSteps + i) * nPrev + prev] = bestK;
+      }
+    }
+
+    const slice = new Float64Array(socSteps);
+    for (let i = 0; i < socSteps; i++) {
+      slice[i] = current[i * nPrev + idle];
+    }
+    valueIdle[t] = slice;
+
+    [next, current] = [current, next];
+  }
+
+  return { policy, valueIdle, decisionCost };
+}
+
+// Walk the policy forward from soc0; cash uses the real throughput cost, not the shadow price
+function simulate(prices: number[], grid: Grid, s: DpSettings, fcas: FcasTerms | null, solution: Solution) {
+  const { T, E, dE, socSteps, maxDischK, nK, nPrev } = grid;
+  const wear = wearTable(grid, s);
+
+  let i = Math.round(E * s.soc0 / dE);
+  if (solution.valueIdle[0][i] <= INFEASIBLE / 10) {
+    throw new Error('Terminal SoC cannot be reached from the initial SoC within the horizon');
+  }
+  let prev = nPrev > 1 ? maxDischK : 0;
+
+  const schedule: DispatchInterval[] = [];
+  const socSeries = [i * dE];
+  let revenue = 0;
+  let throughput = 0;
+  let energyCharged = 0;
+  let energyDischarged = 0;
+  let chargeCost = 0;
+  let dischargeIncome = 0;
+  const revenueByService: DpResult['revenueByService'] = { energy: 0 };
+  for (const service of s.fcasServices) {
+    revenueByService[service] = 0;
+  }
+  const allocation = new Float64Array(4);
+
+  for (let t = 0; t < T; t++) {
+    const k = solution.policy[(t * socSteps + i) * nPrev + prev];
+    const dSoC = k * dE;
+    const price = prices[t];
+
+    let buyMWh = 0;
+    let sellMWh = 0;
+    if (k > 0) {
+      buyMWh = dSoC / s.etaC;
+      energyCharged += buyMWh;
+      chargeCost += price * s.loadLossFactor * buyMWh;
+    } else if (k < 0) {
+      sellMWh = -dSoC * s.etaD;
+      energyDischarged += sellMWh;
+      dischargeIncome += price * s.generationLossFactor * sellMWh;
+    }
+    const wearCost = wear ? wear[i * nK + k + maxDischK] : 0;
+    let cash = price * (s.generationLossFactor * sellMWh - s.loadLossFactor * buyMWh) - s.throughputCost * Math.abs(dSoC) - wearCost;
+    revenueByService.energy! += cash;
+
+    let enabled: DispatchInterval['fcas'];
+    if (fcas) {
+      enabled = {};
+      const power = gridPower(k, grid, s);
+      const limits = regulationLimits(Math.min(i, i + k) * dE, Math.max(i, i + k) * dE, grid, s, fcas);
+      for (const side of [0, 1] as const) {
+        bestFcasSide(fcas, t, side, side === 0 ? s.powerMW - power : s.powerMW + power, limits[side], allocation);
+        for (let n = 0; n < 4; n++) {
+          const index = side * 4 + n;
+          if (allocation[n] <= 0) {
+            continue;
+          }
+          const service = FCAS_SERVICES[index];
+          const serviceCash = fcas.price[index][t] * allocation[n] * s.dtHours;
+          enabled[service] = { mw: allocation[n], cash: serviceCash };
+          revenueByService[service]! += serviceCash;
+          cash += serviceCash;
+        }
+      }
+    }
+
+    revenue += cash;
+    throughput += Math.abs(dSoC);
+    i += k;
+    prev = nPrev > 1 ? k + maxDischK : 0;
+    socSeries.push(i * dE);
+
+    schedule.push({
+      t,
+      price,
+      op: k > 0 ? 'charge' : k < 0 ? 'discharge' : 'hold',
+      powerMW: (sellMWh - buyMWh) / s.dtHours,
+      buyMWh,
+      sellMWh,
+      cash,
+      socMWh: i * dE,
+      socFraction: i * dE / E,
+      ...(enabled && { fcas: enabled }),
+      ...(wear && { wearCost })
+    });
+  }
+
+  const cycles = throughput / (2 * E);
+  const avgChargePrice = energyCharged > 0 ? chargeCost / energyCharged : 0;
+  const avgDischargePrice = energyDischarged > 0 ? dischargeIncome / energyDischarged : 0;
+
+  return {
+    revenue,
+    cycles,
+    cyclesPerDay: cycles / (T * s.dtHours / 24),
+    throughput,
+    energyCharged,
+    energyDischarged,
+    avgChargePrice,
+    avgDischargePrice,
+    avgSpread: avgDischargePrice - avgChargePrice,
+    schedule,
+    socSeries,
+    revenueByService
+  };
+}
+
+/**
+ * Prices at which one more MWh is worth trading, from the marginal value of
+ * stored energy at a given SoC. Null where the neighbouring states are infeasible.
+ */
+function reservationPrices(grid: Grid, s: DpSettings, solution: Solution, level: number): ReservationPrices {
+  const i = Math.min(grid.socSteps - 2, Math.floor((grid.socSteps - 1) * level));
+  // Wear per MWh taken out of SoC just below this level
+  const wear = s.degradation
+    ? dischargeWearCost(1 - (i + 1) / (grid.socSteps - 1), 1 - i / (grid.socSteps - 1), grid.E, s.degradation) / grid.dE
+    : 0;
+  const charge: (number | null)[] = [];
+  const discharge: (number | null)[] = [];
+
+  for (let t = 0; t < grid.T; t++) {
+    const v = solution.valueIdle[t + 1];
+    if (v[i] <= INFEASIBLE / 10 || v[i + 1] <= INFEASIBLE / 10) {
+      charge.push(null);
+      discharge.push(null);
+      continue;
+    }
+    const marginal = (v[i + 1] - v[i]) / grid.dE;
+    charge.push(s.etaC * (marginal - solution.decisionCost) / s.loadLossFactor);
+    discharge.push((marginal + solution.decisionCost + wear) / (s.etaD * s.generationLossFactor));
+  }
+
+  return {
+    charge: smoothReservationPrices(charge),
+    discharge: smoothReservationPrices(discharge)
+  };
+}
+
+// Median filter (window 2k + 1) to stop reservation prices flip-flopping
+export function smoothReservationPrices(values: (number | null)[], k = 3): (number | null)[] {
+  return values.map((value, i) => {
+    const window = values
+      .slice(Math.max(0, i - k), Math.min(values.length, i + k + 1))
+      .filter((v): v is number => v !== null && Number.isFinite(v))
+      .sort((a, b) => a - b);
+    return window.length ? window[Math.floor(window.length / 2)] : value;
+  });
+}
+
+export function optimiseBESS_DP(options: DpOptions, coupling: DpCoupling = {}): DpResult {
+  const { prices } = options;
+  if (!prices.length || prices.some(p => !Number.isFinite(p))) {
+    throw new Error('prices must be a non-empty array of numbers');
+  }
+
+  const settings = resolveOptions(options);
+  const grid = buildGrid(prices.length, settings);
+  const fcas = prepareFcas(prices.length, settings, options.fcas);
+  const bounds = actionBounds(grid, settings, coupling);
+  const baseCost = settings.throughputCost + (coupling.shadowPrice ?? 0);
+
+  const run = (decisionCost: number) => {
+    const solution = solve(prices, grid, settings, fcas, bounds, decisionCost);
+    return { solution, outcome: simulate(prices, grid, settings, fcas, solution) };
+  };
+
+  let best = run(baseCost);
+  let shadowPrice = 0;
+
+  // Bisect on the extra throughput cost; above the widest price spread nothing is worth cycling
+  if (settings.maxCycles !== null && best.outcome.cyclesPerDay > settings.maxCycles + 1e-9) {
+    let lo = 0;
+    let hi = 2 * Math.max(...prices.map(Math.abs)) * Math.max(1, settings.generationLossFactor, settings.loadLossFactor) + 1;
+    best = run(baseCost + hi);
+    for (let step = 0; step < CYCLE_BISECTION_STEPS; step++) {
+      const mid = (lo + hi) / 2;
+      const candidate = run(baseCost + mid);
+      if (candidate.outcome.cyclesPerDay > settings.maxCycles) {
+        lo = mid;
+      } else {
+        hi = mid;
+        best = candidate;
+      }
+    }
+    shadowPrice = hi;
+  }
+
+  const bySoC: Record<string, ReservationPrices> = {};
+  for (const level of RESERVATION_SOC_LEVELS) {
+    bySoC[level] = reservationPrices(grid, settings, best.solution, level);
+  }
+
+  return {
+    ...best.outcome,
+    reservation: { ...bySoC[0.5], bySoC },
+    cycleShadowPrice: shadowPrice,
+    degradation: settings.degradation
+      ? assessDegradation(best.outcome.socSeries, grid.E, prices.length * settings.dtHours, settings.degradation)
+      : null,
+    settings
+  };
+}
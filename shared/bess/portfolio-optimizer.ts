@@ -0,0 +1,297 @@
+/**
+ * Portfolio Battery Optimiser
+ *
+ * Dispatches several batteries together. Each is solved by the DP optimiser
+ * (dp-optimizer.ts) against its own regional price and generation and load
+ * loss factors, so a battery with an MLF of 0.95 earns 95% of the RRP. Two
+ * optional constraints couple them:
+ *
+ *   - connectionLimitMW: the batteries share a connection point, so their net
+ *     grid-side power must stay within +/- the limit in every interval. Met by
+ *     block coordinate ascent: each battery starts with a share of the limit
+ *     in proportion to its power, then is re-solved in turn against what the
+ *     others leave (more than the limit while another is charging), keeping
+ *     the new schedule only if it earns more.
+ *   - cycleBudget: portfolio cycles per day, counted as total throughput over
+ *     twice the total capacity. Met by one throughput shadow price for every
+ *     battery, found by bisection as maxCycles is for a single battery.
+ *
+ * Each battery is also solved alone and unconstrained, so the result shows
+ * what the shared limits cost. Energy only: FCAS and the degradation model
+ * aren't applied, and per-battery maxCycles gives way to the budget.
+ */
+
+import {
+  optimiseBESS_DP,
+  type DpCoupling,
+  type DpOptions,
+  type DpResult
+} from './dp-optimizer';
+
+export interface PortfolioAsset extends Omit<DpOptions, 'prices' | 'dtHours' | 'maxCycles' | 'fcas' | 'degradation'> {
+  name: string;
+  prices: number[];               // regional $/MWh per interval
+}
+
+export interface PortfolioOptions {
+  assets: PortfolioAsset[];       // prices all the same length
+  dtHours?: number;               // interval length (default 5 minutes)
+  connectionLimitMW?: number | null;
+  cycleBudget?: number | null;    // portfolio cycles per day
+}
+
+export interface PortfolioAssetResult {
+  name: string;
+  result: DpResult;               // within the portfolio; settings carry the loss factors
+  standaloneRevenue: number;      // alone and unconstrained
+  standaloneCyclesPerDay: number;
+}
+
+export interface DiversificationStats {
+  period: 'day' | 'hour';         // revenue is compared per day, or per hour on runs under 3 days
+  periods: number;
+  revenueCorrelation: (number | null)[][];   // between assets' revenue per period
+  priceCorrelation: (number | null)[][];     // between assets' loss-adjusted (generation) prices per interval
+  diversificationRatio: number | null;       // sum of assets' revenue std devs over the portfolio's
+  revenueConcentration: number | null;       // Herfindahl index of revenue shares (1 = one asset earns it all)
+  coincidentDischarge: number | null;        // share of discharging intervals with more than one battery discharging
+}
+
+export interface PortfolioResult {
+  assets: PortfolioAssetResult[];
+  revenue: number;
+  standaloneRevenue: number;
+  coordinationCost: number;       // standalone less portfolio revenue
+  cycles: number;
+  cyclesPerDay: number;
+  cycleShadowPrice: number;       // $/MWh added to every battery's throughput cost to meet cycleBudget
+  passes: number;                 // coordinate ascent passes at the final shadow price
+  netPowerMW: number[];           // grid side, positive exporting
+  peakExportMW: number;
+  peakImportMW: number;
+  diversification: DiversificationStats;
+  settings: {
+    dtHours: number;
+    connectionLimitMW: number | null;
+    cycleBudget: number | null;
+  };
+}
+
+// Coordinate ascent passes; later ones rarely move anything
+const PORTFOLIO_PASSES = 4;
+
+// Each bisection step re-dispatches the whole portfolio
+const PORTFOLIO_BISECTION_STEPS = 12;
+
+interface Dispatch {
+  results: DpResult[];
+  passes: number;
+}
+
+/**
+ * The most DP solves a portfolio can take: every coordinate ascent pass and
+ * bisection step re-solves each battery, plus the standalone runs when
+ * something couples them. Work is about this times the interval count.
+ */
+export function portfolioSolves(assets: number, connectionLimit: boolean, cycleBudget: boolean): number {
+  const perDispatch = connectionLimit && assets > 1 ? assets * PORTFOLIO_PASSES : assets;
+  const dispatches = cycleBudget ? PORTFOLIO_BISECTION_STEPS + 2 : 1;
+  return perDispatch * dispatches + (connectionLimit || cycleBudget ? assets : 0);
+}
+
+function netPower(results: DpResult[], T: number, skip = -1): number[] {
+  const net = new Array(T).fill(0);
+  results.forEach((result, a) => {
+    if (a !== skip) {
+      result.schedule.forEach((s, t) => { net[t] += s.powerMW; });
+    }
+  });
+  return net;
+}
+
+function portfolioCyclesPerDay(results: DpResult[], assets: PortfolioAsset[], T: number, dtHours: number): number {
+  const throughput = results.reduce((sum, r) => sum + r.throughput, 0);
+  const capacity = assets.reduce((sum, a) => sum + a.capacityMWh, 0);
+  return throughput / (2 * capacity) / (T * dtHours / 24);
+}
+
+function pearson(x: number[], y: number[]): number | null {
+  const n = x.length;
+  if (n < 2) {
+    return null;
+  }
+  const mx = x.reduce((a, b) => a + b, 0) / n;
+  const my = y.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - mx) * (y[i] - my);
+    sxx += (x[i] - mx) ** 2;
+    syy += (y[i] - my) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+function stdDev(values: number[]): number {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+}
+
+function correlationMatrix(series: number[][]): (number | null)[][] {
+  return series.map((x, a) => series.map((y, b) => a === b ? 1 : pearson(x, y)));
+}
+
+function diversification(results: DpResult[], prices: number[][], dtHours: number): DiversificationStats {
+  const T = prices[0].length;
+  const period = T * dtHours >= 72 ? 'day' : 'hour';
+  const perPeriod = Math.max(1, Math.round((period === 'day' ? 24 : 1) / dtHours));
+  const periods = Math.ceil(T / perPeriod);
+
+  const byPeriod = results.map(result => {
+    const revenue = new Array(periods).fill(0);
+    result.schedule.forEach((s, t) => { revenue[Math.floor(t / perPeriod)] += s.cash; });
+    return revenue;
+  });
+  const portfolio = Array.from({ length: periods }, (_, p) => byPeriod.reduce((sum, r) => sum + r[p], 0));
+  const portfolioStd = stdDev(portfolio);
+
+  const revenues = results.map(r => r.revenue);
+  const total = revenues.reduce((a, b) => a + b, 0);
+  const concentration = results.length > 1 && total > 0 && revenues.every(r => r >= 0)
+    ? revenues.reduce((sum, r) => sum + (r / total) ** 2, 0)
+    : null;
+
+  let discharging = 0;
+  let coincident = 0;
+  for (let t = 0; t < T; t++) {
+    const count = results.filter(r => r.schedule[t].op === 'discharge').length;
+    discharging += count > 0 ? 1 : 0;
+    coincident += count > 1 ? 1 : 0;
+  }
+
+  return {
+    period,
+    periods,
+    revenueCorrelation: correlationMatrix(byPeriod),
+    priceCorrelation: correlationMatrix(prices),
+    diversificationRatio: results.length > 1 && portfolioStd > 0
+      ? byPeriod.reduce((sum, r) => sum + stdDev(r), 0) / portfolioStd
+      : null,
+    revenueConcentration: concentration,
+    coincidentDischarge: results.length > 1 && discharging > 0 ? coincident / discharging : null
+  };
+}
+
+export function optimiseBESS_Portfolio(options: PortfolioOptions): PortfolioResult {
+  const { assets } = options;
+  const dtHours = options.dtHours ?? 5 / 60;
+  const connectionLimitMW = options.connectionLimitMW ?? null;
+  const cycleBudget = options.cycleBudget ?? null;
+  if (assets.length === 0) {
+    throw new Error('A portfolio needs at least one battery');
+  }
+  const T = assets[0].prices.length;
+  if (assets.some(a => a.prices.length !== T)) {
+    throw new Error('Every battery needs a price for each interval');
+  }
+  if (connectionLimitMW !== null && !(connectionLimitMW > 0)) {
+    throw new Error('connectionLimitMW must be positive');
+  }
+
+  const solveAsset = (a: number, coupling: DpCoupling): DpResult => {
+    const { name: _name, ...battery } = assets[a];
+    return optimiseBESS_DP({ ...battery, dtHours }, coupling);
+  };
+
+  const dispatch = (shadowPrice: number): Dispatch => {
+    if (connectionLimitMW === null) {
+      return { results: assets.map((_, a) => solveAsset(a, { shadowPrice })), passes: 1 };
+    }
+
+    const totalPower = assets.reduce((sum, a) => sum + a.powerMW, 0);
+    const results = assets.map((asset, a) => {
+      const share = new Array(T).fill(connectionLimitMW * asset.powerMW / totalPower);
+      return solveAsset(a, { exportLimitMW: share, importLimitMW: share, shadowPrice });
+    });
+
+    let passes = 1;
+    while (passes < PORTFOLIO_PASSES && assets.length > 1) {
+      passes++;
+      let improved = false;
+      for (let a = 0; a < assets.length; a++) {
+        const others = netPower(results, T, a);
+        const candidate = solveAsset(a, {
+          exportLimitMW: others.map(p => connectionLimitMW - p),
+          importLimitMW: others.map(p => connectionLimitMW + p),
+          shadowPrice
+        });
+        if (candidate.revenue > results[a].revenue + 1e-6 * (1 + Math.abs(results[a].revenue))) {
+          results[a] = candidate;
+          improved = true;
+        }
+      }
+      if (!improved) {
+        break;
+      }
+    }
+    return { results, passes };
+  };
+
+  let best = dispatch(0);
+  let shadowPrice = 0;
+
+  // Bisect on the common throughput shadow price; above the widest spread nothing is worth cycling
+  if (cycleBudget !== null && portfolioCyclesPerDay(best.results, assets, T, dtHours) > cycleBudget + 1e-9) {
+    let lo = 0;
+    let hi = 2 * Math.max(...assets.map(a =>
+      Math.max(...a.prices.map(Math.abs)) * Math.max(1, a.generationLossFactor ?? 1, a.loadLossFactor ?? 1))) + 1;
+    best = dispatch(hi);
+    for (let step = 0; step < PORTFOLIO_BISECTION_STEPS; step++) {
+      const mid = (lo + hi) / 2;
+      const candidate = dispatch(mid);
+      if (portfolioCyclesPerDay(candidate.results, assets, T, dtHours) > cycleBudget) {
+        lo = mid;
+      } else {
+        hi = mid;
+        best = candidate;
+      }
+    }
+    shadowPrice = hi;
+  }
+
+  // Unconstrained, each battery's own optimum (the same runs when nothing couples them)
+  const standalone = connectionLimitMW === null && shadowPrice === 0
+    ? best.results
+    : assets.map((_, a) => solveAsset(a, {}));
+
+  const netPowerMW = netPower(best.results, T);
+  const revenue = best.results.reduce((sum, r) => sum + r.revenue, 0);
+  const standaloneRevenue = standalone.reduce((sum, r) => sum + r.revenue, 0);
+  const cyclesPerDay = portfolioCyclesPerDay(best.results, assets, T, dtHours);
+
+  return {
+    assets: assets.map((asset, a) => ({
+      name: asset.name,
+      result: best.results[a],
+      standaloneRevenue: standalone[a].revenue,
+      standaloneCyclesPerDay: standalone[a].cyclesPerDay
+    })),
+    revenue,
+    standaloneRevenue,
+    coordinationCost: standaloneRevenue - revenue,
+    cycles: cyclesPerDay * T * dtHours / 24,
+    cyclesPerDay,
+    cycleShadowPrice: shadowPrice,
+    passes: best.passes,
+    netPowerMW,
+    peakExportMW: Math.max(0, ...netPowerMW),
+    peakImportMW: Math.max(0, ...netPowerMW.map(p => -p)),
+    diversification: diversification(
+      best.results,
+      assets.map(a => a.prices.map(p => p * (a.generationLossFactor ?? 1))),
+      dtHours
+    ),
+    settings: { dtHours, connectionLimitMW, cycleBudget }
+  };
+}
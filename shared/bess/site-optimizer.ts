@@ -0,0 +1,571 @@
+/**
+ * Behind-the-Meter Battery Optimiser
+ *
+ * Schedules a battery on the customer side of a site's meter to cut the
+ * site's bill, where the DP optimiser (dp-optimizer.ts) trades the wholesale
+ * market. The bill has three parts:
+ *   - energy: imports at time-of-use rates
+ *   - demand: each billing month's peak import within a charge's window, at
+ *     $/MW per month (prorated when the horizon covers part of a month)
+ *   - export: a feed-in credit on exports up to the export limit; generation
+ *     beyond the limit, or any export at a negative feed-in rate, is curtailed
+ * Savings are measured against the same site and tariff without the battery.
+ *
+ * Tariff windows and billing months are in NEM time (AEST), as everywhere else
+ * in the platform (see shared/utils/TIME_HANDLING.md). Demand is the average
+ * import over an interval, so 5-minute data gives sharper peaks than the
+ * 30-minute demand most networks bill on.
+ *
+ * Each billing month is solved by backward induction over SoC, as in the DP
+ * optimiser, with the energy and export parts of the bill as the interval
+ * reward. Demand charges depend on the month's peak rather than on any one
+ * interval, so they're handled by capping imports in demand windows: the
+ * month is solved under a range of caps (found by bisection for the lowest
+ * feasible cap, then a scan and golden-section search above it) and keeps the
+ * cheapest. One cap covers every demand window in the month. Months are solved
+ * in order, each starting from the SoC the last ended on; energy left at the
+ * end of a month is valued as at the end of a DP horizon.
+ *
+ * Energy only: FCAS, cycle and ramp limits and the degradation model aren't applied.
+ */
+
+import {
+  resolveOptions,
+  buildGrid,
+  terminalValues,
+  gridPower,
+  INFEASIBLE,
+  type DpOptions,
+  type DpSettings,
+  type Grid
+} from './dp-optimizer';
+
+export type TariffDays = 'all' | 'weekdays' | 'weekends';
+
+// When a rate or charge applies, in NEM time
+export interface TariffWindow {
+  days?: TariffDays;              // default all
+  start?: string;                 // HH:MM (default 00:00)
+  end?: string;                   // HH:MM (default 24:00); before start wraps past midnight
+  months?: number[];              // 1-12 (default every month)
+}
+
+export interface EnergyRate extends TariffWindow {
+  name: string;
+  rate: number;                   // $/MWh imported
+}
+
+export interface DemandCharge extends TariffWindow {
+  name: string;
+  rate: number;                   // $/MW per month on the month's peak import in the window
+}
+
+export interface SiteTariff {
+  energy: EnergyRate[];           // the first period matching an interval sets its rate
+  demand?: DemandCharge[];
+  exportRate?: number;            // $/MWh feed-in (default 0)
+}
+
+// Retail tariffs already price in network losses, so loss factors don't apply behind the meter
+export interface SiteOptions extends Omit<
+  DpOptions,
+  'prices' | 'maxCycles' | 'rampRateMW' | 'generationLossFactor' | 'loadLossFactor' | 'fcas' | 'degradation'
+> {
+  times: string[];                // interval end (UTC ISO), dtHours apart
+  loadMW: number[];               // site demand net of existing generation (negative when exporting)
+  solarMW?: number[] | null;      // further generation behind the meter
+  tariff: SiteTariff;
+  exportLimitMW?: number | null;  // null = unlimited
+}
+
+export type SiteSettings = DpSettings & { exportLimitMW: number | null };
+
+export interface SiteBill {
+  energy: number;                 // $ of imports
+  demand: number;                 // $ of demand charges
+  export: number;                 // $ feed-in credit (negative)
+  total: number;
+}
+
+export interface MonthBill extends SiteBill {
+  peaks: Record<string, number>;  // MW by demand charge
+}
+
+export interface BillingMonth {
+  month: string;                  // YYYY-MM, NEM time
+  share: number;                  // fraction of the month within the horizon
+  importCap: number | null;       // MW the battery held demand-window imports to (null = uncapped)
+  baseline: MonthBill;
+  battery: MonthBill;
+}
+
+export interface SiteInterval {
+  t: number;
+  time: string;
+  loadMW: number;
+  solarMW: number;
+  batteryMW: number;              // grid side: positive discharging, negative charging
+  gridMW: number;                 // site import: positive importing, negative exporting
+  curtailedMW: number;            // generation spilled at the export limit
+  importRate: number;
+  exportRate: number;
+  cost: number;                   // energy and export $ for the interval, plus throughput cost
+  socMWh: number;                 // at the end of the interval
+  socFraction: number;
+}
+
+export interface SiteResult {
+  baseline: SiteBill;
+  battery: SiteBill;
+  savings: SiteBill;              // baseline less battery, part by part
+  operatingCost: number;          // $ of throughput cost
+  netSavings: number;             // savings.total less operatingCost
+  cycles: number;
+  cyclesPerDay: number;
+  energyCharged: number;          // MWh
+  energyDischarged: number;
+  months: BillingMonth[];
+  schedule: SiteInterval[];
+  settings: SiteSettings;
+}
+
+const NEM_OFFSET_MS = 10 * 60 * 60 * 1000;   // AEST, UTC+10 all year
+const FEASIBILITY_STEPS = 10;
+const CAP_SCAN_POINTS = 6;
+const GOLDEN_STEPS = 8;
+const CAP_TOLERANCE = 1e-9;
+
+// The tariff resolved per interval
+interface SiteTerms {
+  baseMW: Float64Array;           // load less solar: the site's import without a battery
+  importRate: Float64Array;
+  exportRate: number;
+  exportLimit: number;
+  demand: { name: string; rate: number; window: Uint8Array }[];
+  inDemandWindow: Uint8Array;     // covered by any demand charge
+  months: { key: string; from: number; to: number; share: number }[];
+}
+
+interface MonthPath {
+  actions: Int16Array;            // SoC steps per interval, positive charging
+  gridMW: Float64Array;           // settled site import
+  score: number;                  // DP value less demand charges
+  bill: MonthBill;
+  operatingCost: number;
+}
+
+function parseClock(value: string | undefined, fallback: number): number {
+  if (value === undefined) {
+    return fallback;
+  }
+  const match = /^(\d{2}):([0-5]\d)$/.exec(value);
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (!(minutes <= 1440)) {
+    throw new Error(`Invalid tariff time "${value}": use HH:MM`);
+  }
+  return minutes;
+}
+
+// Matcher for a window, given an interval's start in NEM time
+function windowMatcher(window: TariffWindow): (nem: Date) => boolean {
+  const start = parseClock(window.start, 0);
+  const end = parseClock(window.end, 1440);
+  const days = window.days ?? 'all';
+  const months = window.months && window.months.length ? new Set(window.months) : null;
+
+  return (nem: Date) => {
+    const day = nem.getUTCDay();
+    if ((days === 'weekdays' && (day === 0 || day === 6)) || (days === 'weekends' && day !== 0 && day !== 6)) {
+      return false;
+    }
+    if (months && !months.has(nem.getUTCMonth() + 1)) {
+      return false;
+    }
+    const minute = nem.getUTCHours() * 60 + nem.getUTCMinutes();
+    if (start === end) {
+      return true;
+    }
+    return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+  };
+}
+
+function prepareTerms(options: SiteOptions, s: DpSettings): SiteTerms {
+  const { times, loadMW, solarMW, tariff } = options;
+  const T = times.length;
+  if (T === 0 || loadMW.length !== T || (solarMW && solarMW.length !== T)) {
+    throw new Error('times, loadMW and solarMW must be non-empty and the same length');
+  }
+  if (loadMW.some(v => !Number.isFinite(v)) || solarMW?.some(v => !Number.isFinite(v) || v < 0)) {
+    throw new Error('loadMW must be numbers and solarMW numbers of zero or more');
+  }
+  if (!tariff.energy.length || tariff.energy.some(r => !Number.isFinite(r.rate))) {
+    throw new Error('The tariff needs at least one energy rate');
+  }
+  if ((tariff.demand ?? []).some(c => !(c.rate >= 0)) || !Number.isFinite(tariff.exportRate ?? 0)) {
+    throw new Error('Demand charges must not be negative and the export rate must be a number');
+  }
+  const exportLimit = options.exportLimitMW ?? Infinity;
+  if (!(exportLimit >= 0)) {
+    throw new Error('exportLimitMW must not be negative');
+  }
+
+  const energy = tariff.energy.map(r => ({ rate: r.rate, matches: windowMatcher(r) }));
+  const charges = (tariff.demand ?? []).map(c => ({ name: c.name, rate: c.rate, matches: windowMatcher(c) }));
+  const terms: SiteTerms = {
+    baseMW: new Float64Array(T),
+    importRate: new Float64Array(T),
+    exportRate: tariff.exportRate ?? 0,
+    exportLimit,
+    demand: charges.map(c => ({ name: c.name, rate: c.rate, window: new Uint8Array(T) })),
+    inDemandWindow: new Uint8Array(T),
+    months: []
+  };
+
+  const intervalMs = s.dtHours * 60 * 60 * 1000;
+  const counts = new Map<string, number>();
+  for (let t = 0; t < T; t++) {
+    const end = Date.parse(times[t]);
+    if (t > 0 && end - Date.parse(times[t - 1]) !== intervalMs) {
+      throw new Error(`times must be evenly spaced dtHours apart (at ${times[t]})`);
+    }
+    const nem = new Date(end - intervalMs + NEM_OFFSET_MS);
+    terms.baseMW[t] = loadMW[t] - (solarMW ? solarMW[t] : 0);
+
+    const rate = energy.find(r => r.matches(nem));
+    if (!rate) {
+      throw new Error(`No energy rate covers ${times[t]}`);
+    }
+    terms.importRate[t] = rate.rate;
+
+    charges.forEach((charge, j) => {
+      if (charge.matches(nem)) {
+        terms.demand[j].window[t] = 1;
+        terms.inDemandWindow[t] = 1;
+      }
+    });
+
+    // Billing months by interval start
+    const key = nem.toISOString().slice(0, 7);
+    const last = terms.months[terms.months.length - 1];
+    if (last && last.key === key) {
+      last.to = t + 1;
+    } else {
+      terms.months.push({ key, from: t, to: t + 1, share: 0 });
+    }
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+
+  for (const month of terms.months) {
+    const [year, number] = month.key.split('-').map(Number);
+    const days = new Date(Date.UTC(year, number, 0)).getUTCDate();
+    month.share = counts.get(month.key)! * s.dtHours / (days * 24);
+  }
+  return terms;
+}
+
+// Site import once exports are limited (to nothing at a negative feed-in rate)
+function settle(gridMW: number, terms: SiteTerms): number {
+  if (gridMW >= 0) {
+    return gridMW;
+  }
+  return Math.max(gridMW, terms.exportRate < 0 ? 0 : -terms.exportLimit);
+}
+
+// Energy and export $ for an interval at settled import `gridMW`
+function intervalCost(t: number, gridMW: number, terms: SiteTerms, s: DpSettings): number {
+  return (gridMW >= 0 ? terms.importRate[t] : terms.exportRate) * gridMW * s.dtHours;
+}
+
+// Bill for intervals from..to with settled imports `gridMW` (indexed from `offset`)
+function monthBill(terms: SiteTerms, month: SiteTerms['months'][number], gridMW: Float64Array, offset: number, s: DpSettings): MonthBill {
+  const bill: MonthBill = { energy: 0, demand: 0, export: 0, total: 0, peaks: {} };
+  for (let t = month.from; t < month.to; t++) {
+    const cost = intervalCost(t, gridMW[t - offset], terms, s);
+    if (cost >= 0) {
+      bill.energy += cost;
+    } else {
+      bill.export += cost;
+    }
+  }
+  for (const charge of terms.demand) {
+    let peak = 0;
+    for (let t = month.from; t < month.to; t++) {
+      if (charge.window[t] && gridMW[t - offset] > peak) {
+        peak = gridMW[t - offset];
+      }
+    }
+    bill.peaks[charge.name] = peak;
+    bill.demand += charge.rate * peak * month.share;
+  }
+  bill.total = bill.energy + bill.demand + bill.export;
+  return bill;
+}
+
+/**
+ * Best schedule for one month starting at SoC level `startIndex`, with imports
+ * in demand windows held to `cap` MW (null = uncapped). Null when the cap
+ * can't be met.
+ */
+function solveMonth(
+  terms: SiteTerms,
+  month: SiteTerms['months'][number],
+  grid: Grid,
+  s: DpSettings,
+  startIndex: number,
+  cap: number | null
+): MonthPath | null {
+  const { from, to } = month;
+  const T = to - from;
+  const { dE, socSteps, maxChargeK, maxDischK, nK } = grid;
+
+  const policy = new Int16Array(T * socSteps);
+  const reward = new Float64Array(nK);
+  const settled = new Float64Array(nK);
+  let next: Float64Array = terminalValues(Array.from(terms.importRate.subarray(from, to)), grid, s);
+  let current: Float64Array = new Float64Array(socSteps);
+
+  for (let t = T - 1; t >= 0; t--) {
+    const u = from + t;
+    for (let k = -maxDischK; k <= maxChargeK; k++) {
+      const gridMW = settle(terms.baseMW[u] - gridPower(k, grid, s), terms);
+      settled[k + maxDischK] = gridMW;
+      reward[k + maxDischK] = cap !== null && terms.inDemandWindow[u] && gridMW > cap + CAP_TOLERANCE
+        ? INFEASIBLE
+        : -intervalCost(u, gridMW, terms, s) - s.throughputCost * Math.abs(k) * dE;
+    }
+
+    for (let i = 0; i < socSteps; i++) {
+      const kMin = Math.max(-maxDischK, -i);
+      const kMax = Math.min(maxChargeK, socSteps - 1 - i);
+      let best = INFEASIBLE;
+      let bestK = 0;
+      for (let k = kMin; k <= kMax; k++) {
+        const future = next[i + k];
+        const value = reward[k + maxDischK];
+        if (future <= INFEASIBLE / 10 || value <= INFEASIBLE / 10) {
+          continue;
+        }
+        if (value + future > best) {
+          best = value + future;
+          bestK = k;
+        }
+      }
+      current[i] = best;
+      policy[t * socSteps + i] = bestK;
+    }
+
+    [next, current] = [current, next];
+  }
+
+  if (next[startIndex] <= INFEASIBLE / 10) {
+    return null;
+  }
+
+  const actions = new Int16Array(T);
+  const gridMW = new Float64Array(T);
+  let operatingCost = 0;
+  let i = startIndex;
+  for (let t = 0; t < T; t++) {
+    const k = policy[t * socSteps + i];
+    actions[t] = k;
+    gridMW[t] = settle(terms.baseMW[from + t] - gridPower(k, grid, s), terms);
+    operatingCost += s.throughputCost * Math.abs(k) * dE;
+    i += k;
+  }
+
+  const bill = monthBill(terms, month, gridMW, from, s);
+  return { actions, gridMW, score: next[startIndex] - bill.demand, bill, operatingCost };
+}
+
+// Peak settled import over every demand window of the month
+function windowPeak(terms: SiteTerms, month: SiteTerms['months'][number], gridMW: ArrayLike<number>, offset: number): number {
+  let peak = 0;
+  for (let t = month.from; t < month.to; t++) {
+    if (terms.inDemandWindow[t] && gridMW[t - offset] > peak) {
+      peak = gridMW[t - offset];
+    }
+  }
+  return peak;
+}
+
+// The month's schedule under the import cap that leaves the lowest bill
+function optimiseMonth(
+  terms: SiteTerms,
+  month: SiteTerms['months'][number],
+  grid: Grid,
+  s: DpSettings,
+  startIndex: number
+): { path: MonthPath; cap: number | null } {
+  const uncapped = solveMonth(terms, month, grid, s, startIndex, null);
+  if (!uncapped) {
+    throw new Error('Terminal SoC cannot be reached from the initial SoC within the horizon');
+  }
+  let best = { path: uncapped, cap: null as number | null };
+  if (terms.demand.length === 0) {
+    return best;
+  }
+
+  const cache = new Map<number, MonthPath | null>();
+  const evaluate = (cap: number): MonthPath | null => {
+    if (!cache.has(cap)) {
+      const path = solveMonth(terms, month, grid, s, startIndex, cap);
+      cache.set(cap, path);
+      if (path && path.score > best.path.score) {
+        best = { path, cap };
+      }
+    }
+    return cache.get(cap)!;
+  };
+
+  // Caps range from what full discharge could do to the baseline peak up to
+  // the uncapped schedule's own peak
+  const maxDischargeMW = gridPower(-grid.maxDischK, grid, s);
+  let lowest = 0;
+  for (let t = month.from; t < month.to; t++) {
+    if (terms.inDemandWindow[t]) {
+      lowest = Math.max(lowest, settle(terms.baseMW[t] - maxDischargeMW, terms));
+    }
+  }
+  const highest = windowPeak(terms, month, uncapped.gridMW, month.from);
+  if (lowest >= highest) {
+    return best;
+  }
+
+  let feasible = highest;
+  if (evaluate(lowest)) {
+    feasible = lowest;
+  } else {
+    let infeasible = lowest;
+    for (let step = 0; step < FEASIBILITY_STEPS; step++) {
+      const mid = (infeasible + feasible) / 2;
+      if (evaluate(mid)) {
+        feasible = mid;
+      } else {
+        infeasible = mid;
+      }
+    }
+  }
+
+  // Coarse scan, then golden-section search around the best point
+  const step = (highest - feasible) / (CAP_SCAN_POINTS - 1);
+  let bestPoint = 0;
+  let bestScore = -Infinity;
+  for (let n = 0; n < CAP_SCAN_POINTS; n++) {
+    const score = evaluate(feasible + n * step)?.score ?? -Infinity;
+    if (score > bestScore) {
+      bestScore = score;
+      bestPoint = n;
+    }
+  }
+  const score = (cap: number) => evaluate(cap)?.score ?? -Infinity;
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = feasible + Math.max(0, bestPoint - 1) * step;
+  let b = feasible + Math.min(CAP_SCAN_POINTS - 1, bestPoint + 1) * step;
+  let c = b - ratio * (b - a);
+  let d = a + ratio * (b - a);
+  for (let n = 0; n < GOLDEN_STEPS; n++) {
+    if (score(c) >= score(d)) {
+      b = d;
+      d = c;
+      c = b - ratio * (b - a);
+    } else {
+      a = c;
+      c = d;
+      d = a + ratio * (b - a);
+    }
+  }
+
+  return best;
+}
+
+function addBill(total: SiteBill, bill: SiteBill): void {
+  total.energy += bill.energy;
+  total.demand += bill.demand;
+  total.export += bill.export;
+  total.total += bill.total;
+}
+
+export function optimiseBESS_Site(options: SiteOptions): SiteResult {
+  const { times, loadMW, solarMW, tariff, exportLimitMW, ...battery } = options;
+  const settings = resolveOptions({ ...battery, prices: [] });
+  const terms = prepareTerms(options, settings);
+  const T = times.length;
+  const grid = buildGrid(T, settings);
+  const { E, dE } = grid;
+
+  const baselineMW = terms.baseMW.map(v => settle(v, terms));
+  const baseline: SiteBill = { energy: 0, demand: 0, export: 0, total: 0 };
+  const withBattery: SiteBill = { energy: 0, demand: 0, export: 0, total: 0 };
+  const months: BillingMonth[] = [];
+  const schedule: SiteInterval[] = [];
+  let operatingCost = 0;
+  let energyCharged = 0;
+  let energyDischarged = 0;
+  let throughput = 0;
+
+  let i = Math.round(E * settings.soc0 / dE);
+  terms.months.forEach((month, m) => {
+    const last = m === terms.months.length - 1;
+    // Each month is its own horizon; only the last is held to socT
+    const monthSettings: DpSettings = { ...settings, soc0: i * dE / E, socT: last ? settings.socT : null };
+    const monthGrid = buildGrid(month.to - month.from, monthSettings);
+    const { path, cap } = optimiseMonth(terms, month, monthGrid, monthSettings, i);
+
+    const before = monthBill(terms, month, baselineMW, 0, settings);
+    addBill(baseline, before);
+    addBill(withBattery, path.bill);
+    operatingCost += path.operatingCost;
+    months.push({ month: month.key, share: month.share, importCap: cap, baseline: before, battery: path.bill });
+
+    for (let t = 0; t < path.actions.length; t++) {
+      const u = month.from + t;
+      const k = path.actions[t];
+      const batteryMW = gridPower(k, grid, settings);
+      const gridMW = path.gridMW[t];
+      i += k;
+      throughput += Math.abs(k) * dE;
+      if (k > 0) {
+        energyCharged += -batteryMW * settings.dtHours;
+      } else {
+        energyDischarged += batteryMW * settings.dtHours;
+      }
+      schedule.push({
+        t: u,
+        time: times[u],
+        loadMW: loadMW[u],
+        solarMW: solarMW ? solarMW[u] : 0,
+        batteryMW,
+        gridMW,
+        curtailedMW: gridMW - (terms.baseMW[u] - batteryMW),
+        importRate: terms.importRate[u],
+        exportRate: terms.exportRate,
+        cost: intervalCost(u, gridMW, terms, settings) + settings.throughputCost * Math.abs(k) * dE,
+        socMWh: i * dE,
+        socFraction: i * dE / E
+      });
+    }
+  });
+
+  const savings: SiteBill = {
+    energy: baseline.energy - withBattery.energy,
+    demand: baseline.demand - withBattery.demand,
+    export: baseline.export - withBattery.export,
+    total: baseline.total - withBattery.total
+  };
+  const cycles = throughput / (2 * E);
+
+  return {
+    baseline,
+    battery: withBattery,
+    savings,
+    operatingCost,
+    netSavings: savings.total - operatingCost,
+    cycles,
+    cyclesPerDay: cycles / (T * settings.dtHours / 24),
+    energyCharged,
+    energyDischarged,
+    months,
+    schedule,
+    settings: { ...settings, exportLimitMW: exportLimitMW ?? null }
+  };
+}
@@ -0,0 +1,355 @@
+/**
+ * Scenario-based Battery Optimiser (stochastic dynamic programming)
+ *
+ * The DP optimiser (dp-optimizer.ts) knows every price in advance, so a
+ * backtest with it is an upper bound on what a battery could have earned.
+ * This one builds a policy from a set of equally likely price scenarios: in
+ * each interval the battery sees that interval's price (as if bidding at its
+ * reservation prices) but only the scenario spread for the intervals after.
+ *
+ * Scenario prices are treated as independent draws interval by interval, so
+ * the value of a SoC at t is the mean, over the K scenario prices at t, of the
+ * best action's value. The risk-averse policy replaces the mean with
+ *   (1 - riskWeight) * mean + riskWeight * CVaR_alpha
+ * where CVaR_alpha is the mean of the worst alpha share. Applying it interval
+ * by interval (nested CVaR) keeps the policy time-consistent.
+ *
+ * Both policies are run over every scenario and, when given, the realised
+ * prices, and set against perfect hindsight (optimiseBESS_DP on the same
+ * path). The difference is the foresight gap: revenue a backtest counts that
+ * an operator without foresight wouldn't have captured.
+ *
+ * Energy only: FCAS, ramp limits and the degradation model aren't applied;
+ * loss factors are, as in the DP.
+ * maxCycles is met on average across the scenarios, by the same shadow-price
+ * bisection as the DP.
+ */
+
+import {
+  optimiseBESS_DP,
+  resolveOptions,
+  buildGrid,
+  terminalValues,
+  INFEASIBLE,
+  CYCLE_BISECTION_STEPS,
+  type DpOptions,
+  type DpSettings,
+  type DispatchInterval,
+  type Grid
+} from './dp-optimizer';
+
+export interface StochasticOptions extends Omit<DpOptions, 'prices' | 'rampRateMW' | 'fcas' | 'degradation'> {
+  scenarios: number[][];          // equally likely price paths ($/MWh), all the same length
+  realised?: number[] | null;     // actual prices to backtest the policies on
+  alpha?: number;                 // CVaR tail share (default 0.1)
+  riskWeight?: number;            // weight on CVaR in the risk-averse policy (default 0.5)
+}
+
+export interface PathOutcome {
+  revenue: number;
+  cycles: number;
+  cyclesPerDay: number;
+}
+
+export interface RevenueDistribution {
+  expected: number;
+  cvar: number;                   // mean of the worst alpha share
+  min: number;
+  max: number;
+}
+
+export interface PolicyEvaluation {
+  scenarios: RevenueDistribution & {
+    cyclesPerDay: number;         // mean across scenarios
+    foresightGap: number;         // mean of hindsight minus policy revenue
+  };
+  realised: (PathOutcome & {
+    foresightGap: number;
+    captureRate: number | null;   // policy / hindsight revenue
+    schedule: DispatchInterval[];
+  }) | null;
+  cycleShadowPrice: number;       // $/MWh added to throughputCost to meet maxCycles
+}
+
+export interface StochasticResult {
+  expectedValue: PolicyEvaluation;
+  riskAverse: PolicyEvaluation;
+  hindsight: {
+    scenarios: RevenueDistribution;
+    realised: PathOutcome | null;
+  };
+  alpha: number;
+  riskWeight: number;
+  scenarioCount: number;
+  settings: DpSettings;
+}
+
+interface Policy {
+  value: Float64Array[];          // V[t][soc] before seeing the price at t
+  decisionCost: number;
+}
+
+// Mean of the lowest `alpha` share of equally weighted values (sorted ascending)
+function lowerTailMean(sorted: ArrayLike<number>, alpha: number): number {
+  const mass = alpha * sorted.length;
+  let total = 0;
+  let taken = 0;
+  for (let n = 0; n < sorted.length && taken < mass; n++) {
+    const weight = Math.min(1, mass - taken);
+    total += weight * sorted[n];
+    taken += weight;
+  }
+  return total / taken;
+}
+
+function distribution(values: number[], alpha: number): RevenueDistribution {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    expected: values.reduce((sum, v) => sum + v, 0) / values.length,
+    cvar: lowerTailMean(sorted, alpha),
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+}
+
+// $ for moving k SoC steps at price p, less the decision cost on throughput
+function actionReward(p: number, k: number, grid: Grid, s: DpSettings, decisionCost: number): number {
+  const energy = Math.abs(k) * grid.dE;
+  return k > 0
+    ? -p * s.loadLossFactor * energy / s.etaC - decisionCost * energy
+    : p * s.generationLossFactor * s.etaD * energy - decisionCost * energy;
+}
+
+/**
+ * Backward induction over SoC. For a given SoC each action's value is linear
+ * in the price (slope = MWh sold, intercept = value of the SoC it leads to),
+ * so the best action at every scenario price comes from the upper envelope of
+ * those lines, walked once per interval with the prices sorted.
+ */
+function solvePolicy(
+  sortedPrices: Float64Array[],
+  grid: Grid,
+  s: DpSettings,
+  riskWeight: number,
+  alpha: number,
+  decisionCost: number
+): Policy {
+  const { T, dE, socSteps, maxChargeK, maxDischK, nK } = grid;
+  const K = sortedPrices[0].length;
+  const value: Float64Array[] = new Array(T + 1);
+  value[T] = terminalValues([], grid, s);
+
+  const slopes = new Float64Array(nK);
+  const intercepts = new Float64Array(nK);
+  const outcomes = new Float64Array(K);
+  for (let t = T - 1; t >= 0; t--) {
+    const next = value[t + 1];
+    const prices = sortedPrices[t];
+    const current = new Float64Array(socSteps);
+
+    for (let i = 0; i < socSteps; i++) {
+      // Slopes rise as k falls (charging buys, discharging sells)
+      let h = 0;
+      for (let k = Math.min(maxChargeK, socSteps - 1 - i); k >= Math.max(-maxDischK, -i); k--) {
+        const future = next[i + k];
+        if (future <= INFEASIBLE / 10) {
+          continue;
+        }
+        const slope = k > 0 ? -k * dE * s.loadLossFactor / s.etaC : -k * dE * s.etaD * s.generationLossFactor;
+        const intercept = future - decisionCost * Math.abs(k) * dE;
+        // Drop the last line while the new one overtakes it before it overtakes the one below
+        while (h >= 2 && (intercepts[h - 2] - intercept) * (slopes[h - 1] - slopes[h - 2])
+          <= (intercepts[h - 2] - intercepts[h - 1]) * (slope - slopes[h - 2])) {
+          h--;
+        }
+        slopes[h] = slope;
+        intercepts[h] = intercept;
+        h++;
+      }
+
+      // Feasibility doesn't depend on the price
+      if (h === 0) {
+        current[i] = INFEASIBLE;
+        continue;
+      }
+
+      let line = 0;
+      let mean = 0;
+      for (let n = 0; n < K; n++) {
+        const p = prices[n];
+        while (line + 1 < h && slopes[line + 1] * p + intercepts[line + 1] >= slopes[line] * p + intercepts[line]) {
+          line++;
+        }
+        outcomes[n] = slopes[line] * p + intercepts[line];
+        mean += outcomes[n];
+      }
+      mean /= K;
+      current[i] = riskWeight > 0
+        ? (1 - riskWeight) * mean + riskWeight * lowerTailMean(outcomes.sort(), alpha)
+        : mean;
+    }
+
+    value[t] = current;
+  }
+
+  return { value, decisionCost };
+}
+
+// Follow the policy along one price path; cash uses the real throughput cost, not the shadow price
+function runPolicy(prices: number[], grid: Grid, s: DpSettings, policy: Policy, withSchedule = false) {
+  const { T, E, dE, socSteps, maxChargeK, maxDischK } = grid;
+
+  let i = Math.round(E * s.soc0 / dE);
+  if (policy.value[0][i] <= INFEASIBLE / 10) {
+    throw new Error('Terminal SoC cannot be reached from the initial SoC within the horizon');
+  }
+
+  const schedule: DispatchInterval[] = [];
+  let revenue = 0;
+  let throughput = 0;
+
+  for (let t = 0; t < T; t++) {
+    const price = prices[t];
+    const next = policy.value[t + 1];
+    let best = INFEASIBLE;
+    let bestK = 0;
+    for (let k = Math.max(-maxDischK, -i); k <= Math.min(maxChargeK, socSteps - 1 - i); k++) {
+      if (next[i + k] <= INFEASIBLE / 10) {
+        continue;
+      }
+      const candidate = actionReward(price, k, grid, s, policy.decisionCost) + next[i + k];
+      if (candidate > best) {
+        best = candidate;
+        bestK = k;
+      }
+    }
+
+    const dSoC = bestK * dE;
+    const buyMWh = bestK > 0 ? dSoC / s.etaC : 0;
+    const sellMWh = bestK < 0 ? -dSoC * s.etaD : 0;
+    const cash = price * (s.generationLossFactor * sellMWh - s.loadLossFactor * buyMWh) - s.throughputCost * Math.abs(dSoC);
+    revenue += cash;
+    throughput += Math.abs(dSoC);
+    i += bestK;
+
+    if (withSchedule) {
+      schedule.push({
+        t,
+        price,
+        op: bestK > 0 ? 'charge' : bestK < 0 ? 'discharge' : 'hold',
+        powerMW: (sellMWh - buyMWh) / s.dtHours,
+        buyMWh,
+        sellMWh,
+        cash,
+        socMWh: i * dE,
+        socFraction: i * dE / E
+      });
+    }
+  }
+
+  const cycles = throughput / (2 * E);
+  return { revenue, cycles, cyclesPerDay: cycles / (T * s.dtHours / 24), schedule };
+}
+
+export function optimiseBESS_Stochastic(options: StochasticOptions): StochasticResult {
+  const { scenarios, realised = null, alpha = 0.1, riskWeight = 0.5, ...battery } = options;
+
+  const T = scenarios[0]?.length ?? 0;
+  if (!T || scenarios.some(path => path.length !== T || path.some(p => !Number.isFinite(p)))) {
+    throw new Error('scenarios must be non-empty price paths of equal length');
+  }
+  if (realised && (realised.length !== T || realised.some(p => !Number.isFinite(p)))) {
+    throw new Error('realised prices must match the scenario length');
+  }
+  if (!(alpha > 0 && alpha <= 1) || !(riskWeight >= 0 && riskWeight <= 1)) {
+    throw new Error('alpha must be in (0, 1] and riskWeight in [0, 1]');
+  }
+
+  const settings = resolveOptions({ ...battery, prices: scenarios[0] });
+
+  // One terminal valuation for every path, so policy and hindsight revenues compare fairly
+  if (settings.socT === null && settings.salvagePrice === null) {
+    const early = scenarios.flatMap(path => path.slice(0, 60)).sort((a, b) => a - b);
+    settings.salvagePrice = early[Math.floor(early.length / 2)];
+  }
+  const grid = buildGrid(T, settings);
+  const sortedPrices = Array.from({ length: T }, (_, t) => Float64Array.from(scenarios, path => path[t]).sort());
+  const maxAbsPrice = Math.max(...scenarios.map(path => Math.max(...path.map(Math.abs))))
+    * Math.max(1, settings.generationLossFactor, settings.loadLossFactor);
+
+  const { fcasServices: _services, regulationMinutes: _minutes, ...dpSettings } = settings;
+  const hindsight = (prices: number[]): PathOutcome => {
+    const { revenue, cycles, cyclesPerDay } = optimiseBESS_DP({ ...dpSettings, prices });
+    return { revenue, cycles, cyclesPerDay };
+  };
+  const hindsightScenarios = scenarios.map(hindsight);
+  const hindsightRealised = realised ? hindsight(realised) : null;
+
+  const fitPolicy = (weight: number): PolicyEvaluation => {
+    const evaluate = (decisionCost: number) => {
+      const policy = solvePolicy(sortedPrices, grid, settings, weight, alpha, decisionCost);
+      const outcomes = scenarios.map(path => runPolicy(path, grid, settings, policy));
+      const cyclesPerDay = outcomes.reduce((sum, o) => sum + o.cyclesPerDay, 0) / outcomes.length;
+      return { policy, outcomes, cyclesPerDay };
+    };
+
+    let best = evaluate(settings.throughputCost);
+    let shadowPrice = 0;
+
+    if (settings.maxCycles !== null && best.cyclesPerDay > settings.maxCycles + 1e-9) {
+      let lo = 0;
+      let hi = 2 * maxAbsPrice + 1;
+      best = evaluate(settings.throughputCost + hi);
+      for (let step = 0; step < CYCLE_BISECTION_STEPS; step++) {
+        const mid = (lo + hi) / 2;
+        const candidate = evaluate(settings.throughputCost + mid);
+        if (candidate.cyclesPerDay > settings.maxCycles) {
+          lo = mid;
+        } else {
+          hi = mid;
+          best = candidate;
+        }
+      }
+      shadowPrice = hi;
+    }
+
+    const revenues = best.outcomes.map(o => o.revenue);
+    const gaps = hindsightScenarios.map((h, n) => h.revenue - revenues[n]);
+
+    let realisedOutcome: PolicyEvaluation['realised'] = null;
+    if (realised && hindsightRealised) {
+      const { revenue, cycles, cyclesPerDay, schedule } = runPolicy(realised, grid, settings, best.policy, true);
+      realisedOutcome = {
+        revenue,
+        cycles,
+        cyclesPerDay,
+        foresightGap: hindsightRealised.revenue - revenue,
+        captureRate: hindsightRealised.revenue > 0 ? revenue / hindsightRealised.revenue : null,
+        schedule
+      };
+    }
+
+    return {
+      scenarios: {
+        ...distribution(revenues, alpha),
+        cyclesPerDay: best.cyclesPerDay,
+        foresightGap: gaps.reduce((sum, g) => sum + g, 0) / gaps.length
+      },
+      realised: realisedOutcome,
+      cycleShadowPrice: shadowPrice
+    };
+  };
+
+  return {
+    expectedValue: fitPolicy(0),
+    riskAverse: fitPolicy(riskWeight),
+    hindsight: {
+      scenarios: distribution(hindsightScenarios.map(h => h.revenue), alpha),
+      realised: hindsightRealised
+    },
+    alpha,
+    riskWeight,
+    scenarioCount: scenarios.length,
+    settings
+  };
+}
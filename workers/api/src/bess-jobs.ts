@@ -0,0 +1,625 @@
+/**
+ * Long-Horizon BESS Optimisation Jobs
+ * A year of 5-minute prices is too much for one DP solve inside a request, so
+ * region runs longer than MAX_OPTIMISE_INTERVALS (or sent with ?async=true)
+ * become a job. The horizon is split into NEM-day windows, each solved with
+ * `lookahead_hours` of the following prices so the battery isn't emptied at
+ * midnight. Only the window's own day is kept, and its closing SoC becomes
+ * the next window's starting SoC. Ramp limits apply within a window only.
+ *
+ * Each job is run by its own BessJobRunner Durable Object, which works through
+ * windows in alarm-sized batches. A window's schedule goes to R2; its
+ * reservation prices and SoC path stay in the runner's storage, along with
+ * running totals for the headline figures. The job record lives in KV (like
+ * export jobs) for the status endpoint, and every batch is pushed to the
+ * owner's WebSocket sessions through the TradingRoom.
+ *
+ * A year's result is far bigger than a Durable Object can hold as one value
+ * (or comfortably build in memory), so when the last window is done the
+ * response is uploaded to R2 a series at a time over further alarms, reading
+ * the windows back one by one (r2-parts.ts), and saved to the run history
+ * (bess-runs.ts).
+ */
+
+import { TimeUtil } from '../../../shared/utils/time';
+import { parseTimeBound } from './price-history';
+import {
+  dpOptions,
+  loadFcasSeries,
+  responseHead,
+  scheduleEntry,
+  type OptimiseRequest,
+  type ResponseHead
+} from './bess';
+import { recordRun, runResultKey, runResultMetadata } from './bess-runs';
+import { PartWriter, startPartUpload, type PartUpload } from './r2-parts';
+import {
+  optimiseBESS_DP,
+  type DispatchInterval,
+  type DpResult,
+  type DpSettings,
+  type ReservationPrices
+} from '../../../shared/bess/dp-optimizer';
+import { assessDegradation } from '../../../shared/bess/degradation';
+
+interface Env {
+  DB: D1Database;
+  CACHE: KVNamespace;
+  ARCHIVE: R2Bucket;
+  TRADING_ROOM: DurableObjectNamespace;
+  BESS_JOBS: DurableObjectNamespace;
+}
+
+// Longest horizon a job will take
+export const MAX_JOB_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOB_TTL = 7 * 24 * 60 * 60;     // Keep job records for 7 days
+const BATCH_BUDGET_MS = 10_000;       // Solve time per alarm before yielding
+
+export interface BessJob {
+  id: string;
+  user_id: string;
+  status: 'queued' | 'running' | 'completed' | 'failed';
+  request: OptimiseRequest;
+  rerun_of: number | null;
+  from: string;
+  to: string;
+  windows_total: number;
+  windows_done: number;
+  progress: number;                   // 0..1
+  soc: number;                        // SoC fraction carried into the next window
+  revenue_so_far: number;
+  run_id: number | null;
+  error?: string;
+  created_at: string;
+  updated_at: string;
+}
+
+// The part of one window's solution that is kept
+interface WindowResult {
+  schedule: DispatchInterval[];
+  times: string[];
+  reservation: ReservationPrices & { bySoC: Record<string, ReservationPrices> };
+  cycleShadowPrice: number;
+  settings: DpSettings | null;        // null when the day had no prices
+}
+
+// What the runner's storage keeps of a window; the schedule is in R2
+interface StoredWindow {
+  reservation: WindowResult['reservation'];
+  soc: number[];                      // MWh at the end of each interval
+}
+
+// Sums over the windows solved so far, for the response's headline figures
+interface JobTotals {
+  intervals: number;
+  priceSum: number;
+  operations: number;
+  wearCostPriced: number;
+  revenue: number;
+  throughput: number;
+  energyCharged: number;
+  energyDischarged: number;
+  chargeCost: number;
+  dischargeIncome: number;
+  revenueByService: DpResult['revenueByService'];
+  socSum: number;                     // of SoC fractions, for the run's avg_soc
+  shadowPriceSum: number;
+  solvedWindows: number;
+  settings: DpSettings | null;        // the first solved window's
+  levels: string[];                   // SoC levels of the reservation prices
+}
+
+// One array in the response, written across every window in turn
+interface ResultSection {
+  open: string;                       // JSON text before the array's first item
+  series: 'schedule' | 'charge' | 'discharge';
+  level?: string;
+}
+
+// The response's multipart upload, kept in storage until it's complete
+interface ResultUpload extends PartUpload {
+  key: string;
+  head: ResponseHead;
+  settings: DpSettings;
+  avgSoc: number;
+  section: number;
+  window: number;                     // next window to write in this section
+  items: number;                      // written so far in this section
+}
+
+function jobKey(jobId: string): string {
+  return `bess:job:${jobId}`;
+}
+
+function windowKey(index: number): string {
+  return `window:${String(index).padStart(4, '0')}`;
+}
+
+function windowScheduleKey(jobId: string, index: number): string {
+  return `bess-jobs/${jobId}/${String(index).padStart(4, '0')}.json`;
+}
+
+/**
+ * Whole days covered by a region request, or null for supplied prices.
+ * Throws on bad dates or a horizon longer than MAX_JOB_DAYS.
+ */
+export function jobHorizon(request: OptimiseRequest): { from: string; to: string; days: number } | null {
+  if (request.prices) {
+    return null;
+  }
+  const from = parseTimeBound(request.start_date!);
+  const to = parseTimeBound(request.end_date!, 'to');
+  const days = Math.ceil((new Date(to).getTime() - new Date(from).getTime()) / DAY_MS);
+  if (days <= 0) {
+    throw new Error('start_date must be before end_date');
+  }
+  if (days > MAX_JOB_DAYS) {
+    throw new Error(`Horizon too long - at most ${MAX_JOB_DAYS} days per job`);
+  }
+  return { from, to, days };
+}
+
+export async function getBessJob(kv: KVNamespace, jobId: string): Promise<BessJob | null> {
+  return await kv.get(jobKey(jobId), 'json') as BessJob | null;
+}
+
+async function saveBessJob(kv: KVNamespace, job: BessJob): Promise<void> {
+  job.updated_at = TimeUtil.nowUTC();
+  await kv.put(jobKey(job.id), JSON.stringify(job), { expirationTtl: JOB_TTL });
+}
+
+// Create the job record and hand it to its runner
+export async function startBessJob(
+  env: Env,
+  userId: string,
+  request: OptimiseRequest,
+  rerunOf: number | null = null
+): Promise<BessJob> {
+  const horizon = jobHorizon(request)!;
+  const now = TimeUtil.nowUTC();
+  const job: BessJob = {
+    id: crypto.randomUUID(),
+    user_id: userId,
+    status: 'queued',
+    request,
+    rerun_of: rerunOf,
+    from: horizon.from,
+    to: horizon.to,
+    windows_total: horizon.days,
+    windows_done: 0,
+    progress: 0,
+    soc: request.initial_soc,
+    revenue_so_far: 0,
+    run_id: null,
+    created_at: now,
+    updated_at: now
+  };
+  await saveBessJob(env.CACHE, job);
+
+  const runner = env.BESS_JOBS.get(env.BESS_JOBS.idFromName(job.id));
+  await runner.fetch('http://bess-jobs/start', { method: 'POST', body: JSON.stringify(job) });
+
+  return job;
+}
+
+// Job status as returned by the API and pushed over the WebSocket
+export function jobResponse(job: BessJob) {
+  const { request: _request, ...status } = job;
+  return {
+    ...status,
+    region: job.request.region,
+    start_date: job.request.start_date,
+    end_date: job.request.end_date,
+    status_url: `/api/bess/jobs/${job.id}`,
+    run_url: job.run_id ? `/api/bess/runs/${job.run_id}` : null
+  };
+}
+
+/**
+ * Solve window `index`: its NEM day plus lookahead, keeping only the day.
+ * The last window has no lookahead and honours the request's terminal SoC.
+ */
+async function solveWindow(db: D1Database, job: BessJob, index: number): Promise<WindowResult> {
+  const start = new Date(job.from).getTime() + index * DAY_MS;
+  const end = new Date(job.to).getTime();
+  const keepUntil = Math.min(start + DAY_MS, end);
+  const solveUntil = Math.min(keepUntil + job.request.lookahead_hours * 60 * 60 * 1000, end);
+
+  const result = await db.prepare(`
+    SELECT settlement_date, price
+    FROM dispatch_prices
+    WHERE region = ?
+      AND settlement_date > ?
+      AND settlement_date <= ?
+    ORDER BY settlement_date
+  `).bind(job.request.region, new Date(start).toISOString(), new Date(solveUntil).toISOString()).all();
+
+  const rows = result.results as { settlement_date: string; price: number }[];
+  const kept = rows.filter(r => new Date(r.settlement_date).getTime() <= keepUntil).length;
+  if (kept === 0) {
+    // No prices for the day (a gap in the data): hold and carry the SoC over
+    return {
+      schedule: [],
+      times: [],
+      reservation: { charge: [], discharge: [], bySoC: {} },
+      cycleShadowPrice: 0,
+      settings: null
+    };
+  }
+
+  const times = rows.map(r => r.settlement_date);
+  const fcas = job.request.fcas
+    ? await loadFcasSeries(db, job.request.region!, job.request.fcas.services, new Date(start).toISOString(), times)
+    : null;
+
+  const isLast = index === job.windows_total - 1;
+  const solve = (count: number) => optimiseBESS_DP({
+    ...dpOptions(job.request, rows.slice(0, count).map(r => r.price), fcas && {
+      prices: sliceSeries(fcas.prices, count),
+      enablementMax: sliceSeries(fcas.enablementMax, count)
+    }),
+    soc0: job.soc,
+    socT: isLast ? job.request.terminal_soc : null
+  });
+
+  let dp = solve(rows.length);
+
+  // The cycle cap holds on average over day + lookahead, so the kept day can
+  // exceed it; solve that day alone when it does
+  const { maxCycles, capacityMWh, etaC, etaD, dtHours } = dp.settings;
+  if (maxCycles !== null && rows.length > kept) {
+    const throughput = dp.schedule.slice(0, kept)
+      .reduce((sum, s) => sum + s.buyMWh * etaC + s.sellMWh / etaD, 0);
+    if (throughput / (2 * capacityMWh) / (kept * dtHours / 24) > maxCycles + 1e-6) {
+      dp = solve(kept);
+    }
+  }
+
+  const keep = <T>(values: T[]) => values.slice(0, kept);
+  return {
+    schedule: keep(dp.schedule),
+    times: keep(times),
+    reservation: {
+      charge: keep(dp.reservation.charge),
+      discharge: keep(dp.reservation.discharge),
+      bySoC: Object.fromEntries(Object.entries(dp.reservation.bySoC).map(([level, prices]) => [
+        level,
+        { charge: keep(prices.charge), discharge: keep(prices.discharge) }
+      ]))
+    },
+    cycleShadowPrice: dp.cycleShadowPrice,
+    settings: dp.settings
+  };
+}
+
+function sliceSeries<T>(series: Partial<Record<string, T[]>>, count: number): Partial<Record<string, T[]>> {
+  return Object.fromEntries(Object.entries(series).map(([service, values]) => [service, values!.slice(0, count)]));
+}
+
+function emptyTotals(): JobTotals {
+  return {
+    intervals: 0,
+    priceSum: 0,
+    operations: 0,
+    wearCostPriced: 0,
+    revenue: 0,
+    throughput: 0,
+    energyCharged: 0,
+    energyDischarged: 0,
+    chargeCost: 0,
+    dischargeIncome: 0,
+    revenueByService: { energy: 0 },
+    socSum: 0,
+    shadowPriceSum: 0,
+    solvedWindows: 0,
+    settings: null,
+    levels: []
+  };
+}
+
+function addWindow(totals: JobTotals, window: WindowResult): void {
+  if (!window.settings) {
+    return;
+  }
+  totals.settings ??= window.settings;
+  if (totals.levels.length === 0) {
+    totals.levels = Object.keys(window.reservation.bySoC);
+  }
+  totals.solvedWindows++;
+  totals.shadowPriceSum += window.cycleShadowPrice;
+
+  const { etaC, etaD, generationLossFactor, loadLossFactor } = window.settings;
+  for (const interval of window.schedule) {
+    totals.intervals++;
+    totals.priceSum += interval.price;
+    totals.operations += interval.op !== 'hold' ? 1 : 0;
+    totals.wearCostPriced += interval.wearCost ?? 0;
+    totals.socSum += interval.socFraction;
+    totals.revenue += interval.cash;
+    let energyCash = interval.cash;
+    for (const [service, enabled] of Object.entries(interval.fcas ?? {})) {
+      const key = service as keyof JobTotals['revenueByService'];
+      totals.revenueByService[key] = (totals.revenueByService[key] ?? 0) + enabled.cash;
+      energyCash -= enabled.cash;
+    }
+    totals.revenueByService.energy! += energyCash;
+    totals.throughput += interval.buyMWh * etaC + interval.sellMWh / etaD;
+    totals.energyCharged += interval.buyMWh;
+    totals.energyDischarged += interval.sellMWh;
+    totals.chargeCost += interval.price * loadLossFactor * interval.buyMWh;
+    totals.dischargeIncome += interval.price * generationLossFactor * interval.sellMWh;
+  }
+}
+
+/**
+ * The whole horizon's figures from the totals, as the DP would report them
+ * for one solve. Degradation is counted over the full SoC path, as cycles
+ * can span windows.
+ */
+function combinedResult(
+  totals: JobTotals,
+  settings: DpSettings,
+  socSeries: number[]
+): Omit<DpResult, 'schedule' | 'socSeries' | 'reservation'> {
+  const { capacityMWh: E, dtHours } = settings;
+  const cycles = totals.throughput / (2 * E);
+  const avgChargePrice = totals.energyCharged > 0 ? totals.chargeCost / totals.energyCharged : 0;
+  const avgDischargePrice = totals.energyDischarged > 0 ? totals.dischargeIncome / totals.energyDischarged : 0;
+  return {
+    revenue: totals.revenue,
+    cycles,
+    cyclesPerDay: cycles / (totals.intervals * dtHours / 24),
+    throughput: totals.throughput,
+    energyCharged: totals.energyCharged,
+    energyDischarged: totals.energyDischarged,
+    avgChargePrice,
+    avgDischargePrice,
+    avgSpread: avgDischargePrice - avgChargePrice,
+    // Mean over windows; each window prices its own cycle limit
+    cycleShadowPrice: totals.shadowPriceSum / Math.max(totals.solvedWindows, 1),
+    revenueByService: totals.revenueByService,
+    degradation: settings.degradation
+      ? assessDegradation(socSeries, E, totals.intervals * dtHours, settings.degradation)
+      : null,
+    settings
+  };
+}
+
+// The response's arrays in the order optimiseResponse gives them
+function resultSections(levels: string[]): ResultSection[] {
+  return [
+    { open: ',"schedule":[', series: 'schedule' },
+    { open: '],"reservation_prices":{"charge":[', series: 'charge' },
+    { open: '],"discharge":[', series: 'discharge' },
+    ...levels.flatMap((level, i): ResultSection[] => [
+      { open: `]${i === 0 ? ',"by_soc":{' : '},'}${JSON.stringify(level)}:{"charge":[`, series: 'charge', level },
+      { open: '],"discharge":[', series: 'discharge', level }
+    ])
+  ];
+}
+
+function resultClose(levels: string[], settings: DpSettings): string {
+  return `${levels.length > 0 ? ']}}}' : '],"by_soc":{}}'},"settings":${JSON.stringify(settings)}}`;
+}
+
+// Push a job update to the owner's WebSocket sessions; best effort
+async function notifyOwner(env: Env, job: BessJob): Promise<void> {
+  try {
+    const room = env.TRADING_ROOM.get(env.TRADING_ROOM.idFromName('global'));
+    await room.fetch('http://trading-room/notify', {
+      method: 'POST',
+      body: JSON.stringify({
+        userId: job.user_id,
+        message: { type: 'BESS_JOB_UPDATE', job: jobResponse(job) }
+      })
+    });
+  } catch (error) {
+    console.error('BESS job notification failed:', error);
+  }
+}
+
+// BESS Job Runner Durable Object - one instance per job (idFromName(jobId))
+export class BessJobRunner {
+  state: DurableObjectState;
+  env: Env;
+
+  constructor(state: DurableObjectState, env: Env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request: Request): Promise<Response> {
+    const url = new URL(request.url);
+
+    if (url.pathname === '/start' && request.method === 'POST') {
+      const job = await request.json() as BessJob;
+      await this.state.storage.put('job', job);
+      await this.state.storage.setAlarm(Date.now());
+      return Response.json({ started: job.id });
+    }
+
+    return new Response('Not found', { status: 404 });
+  }
+
+  async alarm(): Promise<void> {
+    const job = await this.state.storage.get<BessJob>('job');
+    if (!job || job.status === 'completed' || job.status === 'failed') {
+      return;
+    }
+
+    try {
+      job.status = 'running';
+      const started = Date.now();
+      const totals = await this.state.storage.get<JobTotals>('totals') ?? emptyTotals();
+      while (job.windows_done < job.windows_total && Date.now() - started < BATCH_BUDGET_MS) {
+        const index = job.windows_done;
+        const window = await solveWindow(this.env.DB, job, index);
+        const last = window.schedule[window.schedule.length - 1];
+        if (last) {
+          job.soc = last.socFraction;
+        }
+        job.revenue_so_far += window.schedule.reduce((sum, s) => sum + s.cash, 0);
+        addWindow(totals, window);
+
+        await this.env.ARCHIVE.put(windowScheduleKey(job.id, index), JSON.stringify({
+          schedule: window.schedule,
+          times: window.times
+        }));
+        const stored: StoredWindow = { reservation: window.reservation, soc: window.schedule.map(s => s.socMWh) };
+        job.windows_done++;
+        // One put, so a retried alarm can't count a window twice
+        await this.state.storage.put({ job, totals, [windowKey(index)]: stored });
+      }
+      job.progress = job.windows_done / job.windows_total;
+
+      if (job.windows_done === job.windows_total && await this.writeResult(job, totals, started)) {
+        await this.cleanUp(job);
+      } else {
+        await this.state.storage.put('job', job);
+        await this.state.storage.setAlarm(Date.now());
+      }
+    } catch (error: any) {
+      console.error(`BESS job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      const upload = await this.state.storage.get<ResultUpload>('result');
+      if (upload) {
+        await this.env.ARCHIVE.resumeMultipartUpload(upload.key, upload.uploadId).abort().catch(() => {});
+      }
+      await this.cleanUp(job);
+    }
+
+    await saveBessJob(this.env.CACHE, job);
+    await notifyOwner(this.env, job);
+  }
+
+  /**
+   * Upload the response one array at a time, reading the windows back for
+   * each, then save it as a run. Returns false if the batch budget runs out
+   * first; the upload carries on from the same window next alarm.
+   */
+  private async writeResult(job: BessJob, totals: JobTotals, started: number): Promise<boolean> {
+    if (!totals.settings) {
+      throw new Error('No price data for that region and date range');
+    }
+    const sections = resultSections(totals.levels);
+
+    let upload = await this.state.storage.get<ResultUpload>('result');
+    let writer: PartWriter;
+    if (upload) {
+      writer = new PartWriter(this.state.storage, this.env.ARCHIVE, upload.key, upload);
+      await writer.open();
+    } else {
+      const settings: DpSettings = {
+        ...totals.settings,
+        soc0: job.request.initial_soc,
+        socT: job.request.terminal_soc,
+        salvagePrice: null
+      };
+      const head = responseHead(job.request, {
+        from: job.from,
+        to: job.to,
+        intervals: totals.intervals,
+        priceSum: totals.priceSum,
+        operations: totals.operations,
+        wearCostPriced: totals.wearCostPriced
+      }, combinedResult(totals, settings, await this.socSeries(job, settings)));
+
+      const key = runResultKey(job.user_id);
+      upload = {
+        ...await startPartUpload(this.env.ARCHIVE, key, runResultMetadata(job.user_id)),
+        key,
+        head,
+        settings,
+        avgSoc: totals.socSum / totals.intervals,
+        section: 0,
+        window: 0,
+        items: 0
+      };
+      writer = new PartWriter(this.state.storage, this.env.ARCHIVE, key, upload);
+      await writer.write(JSON.stringify(head).slice(0, -1) + sections[0].open);
+      await writer.save({ result: upload });
+    }
+
+    while (upload.section < sections.length) {
+      const section = sections[upload.section];
+      for (; upload.window < job.windows_total; upload.window++) {
+        if (Date.now() - started >= BATCH_BUDGET_MS) {
+          await writer.save({ result: upload });
+          return false;
+        }
+        const items = await this.sectionItems(job, section, upload);
+        if (items.length > 0) {
+          await writer.write((upload.items > 0 ? ',' : '') + items.join(','));
+          upload.items += items.length;
+        }
+      }
+      upload.section++;
+      upload.window = 0;
+      upload.items = 0;
+      await writer.write(upload.section < sections.length
+        ? sections[upload.section].open
+        : resultClose(totals.levels, upload.settings));
+    }
+    await writer.complete();
+
+    job.run_id = await recordRun(
+      this.env,
+      job.user_id,
+      job.request,
+      { ...upload.head, settings: upload.settings },
+      upload.key,
+      upload.avgSoc,
+      job.rerun_of
+    );
+    job.status = 'completed';
+    job.revenue_so_far = upload.head.total_revenue;
+    return true;
+  }
+
+  // The SoC path over the whole horizon, for degradation
+  private async socSeries(job: BessJob, settings: DpSettings): Promise<number[]> {
+    const series = [settings.soc0 * settings.capacityMWh];
+    for (let first = 0; first < job.windows_total; first += 100) {
+      const keys = Array.from({ length: Math.min(100, job.windows_total - first) }, (_, i) => windowKey(first + i));
+      const stored = await this.state.storage.get<StoredWindow>(keys);
+      for (const key of keys) {
+        for (const value of stored.get(key)!.soc) {
+          series.push(value);
+        }
+      }
+    }
+    return series;
+  }
+
+  // One window's items for a section, as JSON
+  private async sectionItems(job: BessJob, section: ResultSection, upload: ResultUpload): Promise<string[]> {
+    if (section.series === 'schedule') {
+      const object = await this.env.ARCHIVE.get(windowScheduleKey(job.id, upload.window));
+      if (!object) {
+        throw new Error(`Window ${upload.window} is missing from the archive`);
+      }
+      const { schedule, times } = await object.json<Pick<WindowResult, 'schedule' | 'times'>>();
+      return schedule.map((s, i) => JSON.stringify(scheduleEntry({ ...s, t: upload.items + i }, times[i] ?? null)));
+    }
+
+    const stored = await this.state.storage.get<StoredWindow>(windowKey(upload.window));
+    const prices = section.level ? stored!.reservation.bySoC[section.level] : stored!.reservation;
+    return prices ? prices[section.series].map(price => JSON.stringify(price)) : [];
+  }
+
+  // Drop the job's windows from R2 and its state from storage
+  private async cleanUp(job: BessJob): Promise<void> {
+    let cursor: string | undefined;
+    do {
+      const listed = await this.env.ARCHIVE.list({ prefix: `bess-jobs/${job.id}/`, cursor });
+      if (listed.objects.length > 0) {
+        await this.env.ARCHIVE.delete(listed.objects.map(object => object.key));
+      }
+      cursor = listed.truncated ? listed.cursor : undefined;
+    } while (cursor);
+    await this.state.storage.deleteAll();
+  }
+}
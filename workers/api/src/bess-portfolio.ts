@@ -0,0 +1,223 @@
+/**
+ * BESS Portfolio Runs
+ * Request parsing and price loading for /api/bess/optimize/portfolio, which
+ * dispatches several batteries together (shared/bess/portfolio-optimizer.ts).
+ * Each battery has its own region, size, efficiency and loss factors (given,
+ * or looked up by DUID or connection point in loss-factors.ts); a shared
+ * connection limit and a portfolio cycle budget are optional.
+ *
+ * Stored prices are lined up by settlement date, and only intervals every
+ * region has are optimised.
+ */
+
+import { z } from 'zod';
+import { NEM_REGIONS, parseTimeBound } from './price-history';
+import { BatteryFieldsSchema, batteryOptions, MAX_OPTIMISE_DAYS, MAX_OPTIMISE_INTERVALS } from './bess';
+import { LossFactorFieldsSchema, applyLossFactors, lossFactorOptions, lossFactorResponse } from './loss-factors';
+import { optimiseBESS_Portfolio, portfolioSolves, type PortfolioResult } from '../../../shared/bess/portfolio-optimizer';
+
+export const MAX_PORTFOLIO_ASSETS = 10;
+// Work grows with DP solves x intervals (portfolioSolves): a few seconds of
+// CPU, or ten batteries over two weeks when nothing couples them
+export const MAX_PORTFOLIO_SOLVE_INTERVALS = 24 * MAX_OPTIMISE_INTERVALS;
+
+const PortfolioAssetSchema = BatteryFieldsSchema.extend({
+  name: z.string().trim().min(1).max(50),
+  region: z.enum(NEM_REGIONS),
+  ...LossFactorFieldsSchema.shape
+}).refine(
+  a => a.max_cycles === null,
+  { message: 'Use the portfolio cycle_budget instead of max_cycles', path: ['max_cycles'] }
+);
+
+const PortfolioRequestSchema = z.object({
+  assets: z.array(PortfolioAssetSchema).min(1).max(MAX_PORTFOLIO_ASSETS),
+  // Either stored prices for a date range...
+  start_date: z.string().optional(),
+  end_date: z.string().optional(),
+  // ...or explicit series per region ($/MWh, oldest first, all the same length)
+  prices: z.record(z.enum(NEM_REGIONS), z.array(z.number()).min(1).max(MAX_OPTIMISE_INTERVALS)).optional(),
+  interval_minutes: z.number().positive().max(60).default(5),
+
+  connection_limit_mw: z.number().positive().nullable().default(null),   // on the batteries' net power
+  cycle_budget: z.number().positive().nullable().default(null)          // portfolio cycles per day
+}).refine(
+  r => r.prices || (r.start_date && r.end_date),
+  { message: 'Provide prices, or start_date and end_date' }
+).refine(
+  r => new Set(r.assets.map(a => a.name)).size === r.assets.length,
+  { message: 'Asset names must be unique', path: ['assets'] }
+).refine(
+  r => r.connection_limit_mw === null || new Set(r.assets.map(a => a.region)).size === 1,
+  { message: 'Assets sharing a connection point must be in one region', path: ['connection_limit_mw'] }
+);
+
+export type PortfolioRequest = z.infer<typeof PortfolioRequestSchema>;
+
+export interface PortfolioSeries {
+  prices: Partial<Record<typeof NEM_REGIONS[number], number[]>>;
+  times: string[] | null;     // settlement dates (interval end, UTC) when loaded from D1
+  from: string | null;
+  to: string | null;
+}
+
+export function parsePortfolioRequest(body: unknown): PortfolioRequest {
+  return PortfolioRequestSchema.parse(body);
+}
+
+// Each battery's loss factors, for the financial year the run starts in
+export async function applyPortfolioLossFactors(db: D1Database, request: PortfolioRequest): Promise<PortfolioRequest> {
+  return {
+    ...request,
+    assets: await Promise.all(request.assets.map(asset => applyLossFactors(db, asset, request.start_date)))
+  };
+}
+
+// A connection limit and a cycle budget each multiply the solves, so they shorten the longest run
+function checkSize(request: PortfolioRequest, intervals: number): void {
+  const solves = portfolioSolves(request.assets.length, request.connection_limit_mw !== null, request.cycle_budget !== null);
+  if (intervals * solves > MAX_PORTFOLIO_SOLVE_INTERVALS) {
+    throw new Error(
+      `Portfolio too large: ${solves} battery solves x ${intervals} intervals is over ${MAX_PORTFOLIO_SOLVE_INTERVALS}; ` +
+      `use fewer batteries or a shorter range`
+    );
+  }
+}
+
+// Dates are whole NEM days, as for /api/prices/history
+export async function loadPortfolioPrices(db: D1Database, request: PortfolioRequest): Promise<PortfolioSeries> {
+  const regions = [...new Set(request.assets.map(a => a.region))];
+
+  if (request.prices) {
+    const missing = regions.filter(region => !request.prices![region]);
+    if (missing.length) {
+      throw new Error(`No prices given for ${missing.join(', ')}`);
+    }
+    const lengths = new Set(regions.map(region => request.prices![region]!.length));
+    if (lengths.size > 1) {
+      throw new Error('Price series for every region must be the same length');
+    }
+    checkSize(request, [...lengths][0]);
+    return { prices: request.prices, times: null, from: null, to: null };
+  }
+
+  const from = parseTimeBound(request.start_date!);
+  const to = parseTimeBound(request.end_date!, 'to');
+  if (from >= to) {
+    throw new Error('start_date must be before end_date');
+  }
+
+  const byRegion = await Promise.all(regions.map(async region => {
+    const result = await db.prepare(`
+      SELECT settlement_date, price
+      FROM dispatch_prices
+      WHERE region = ?
+        AND settlement_date > ?
+        AND settlement_date <= ?
+      ORDER BY settlement_date
+      LIMIT ?
+    `).bind(region, from, to, MAX_OPTIMISE_INTERVALS + 1).all();
+    const rows = result.results as { settlement_date: string; price: number }[];
+    return new Map(rows.map(r => [r.settlement_date, r.price]));
+  }));
+  if (byRegion.some(prices => prices.size > MAX_OPTIMISE_INTERVALS)) {
+    throw new Error(`Portfolio runs cover at most ${MAX_OPTIMISE_DAYS} days`);
+  }
+
+  const times = [...byRegion[0].keys()].filter(time => byRegion.every(prices => prices.has(time)));
+  if (times.length === 0) {
+    throw new Error('No dispatch prices for every region in that range');
+  }
+  checkSize(request, times.length);
+
+  return {
+    prices: Object.fromEntries(regions.map((region, r) => [region, times.map(time => byRegion[r].get(time)!)])),
+    times,
+    from,
+    to
+  };
+}
+
+export function runPortfolio(request: PortfolioRequest, series: PortfolioSeries): PortfolioResult {
+  return optimiseBESS_Portfolio({
+    assets: request.assets.map(asset => {
+      const { maxCycles: _maxCycles, ...battery } = batteryOptions(asset);
+      return { ...battery, ...lossFactorOptions(asset), name: asset.name, prices: series.prices[asset.region]! };
+    }),
+    dtHours: (request.prices ? request.interval_minutes : 5) / 60,
+    connectionLimitMW: request.connection_limit_mw,
+    cycleBudget: request.cycle_budget
+  });
+}
+
+// API response shape (snake_case, like /api/bess/optimize)
+export function portfolioResponse(request: PortfolioRequest, series: PortfolioSeries, result: PortfolioResult) {
+  const names = result.assets.map(a => a.name);
+  const byName = (matrix: (number | null)[][]) => Object.fromEntries(names.map((name, a) =>
+    [name, Object.fromEntries(names.map((other, b) => [other, matrix[a][b]]))]));
+  const { diversification: d } = result;
+
+  return {
+    from: series.from,
+    to: series.to,
+    intervals: result.netPowerMW.length,
+    interval_minutes: result.settings.dtHours * 60,
+    total_revenue: result.revenue,
+    standalone_revenue: result.standaloneRevenue,
+    coordination_cost: result.coordinationCost,
+    cycles: result.cycles,
+    cycles_per_day: result.cyclesPerDay,
+    cycle_shadow_price: result.cycleShadowPrice,
+    connection_limit_mw: result.settings.connectionLimitMW,
+    cycle_budget: result.settings.cycleBudget,
+    peak_export_mw: result.peakExportMW,
+    peak_import_mw: result.peakImportMW,
+    passes: result.passes,
+    assets: result.assets.map((asset, a) => {
+      const { region } = request.assets[a];
+      const prices = series.prices[region]!;
+      const r = asset.result;
+      return {
+        name: asset.name,
+        region,
+        loss_factors: lossFactorResponse(request.assets[a]),
+        capacity_mwh: request.assets[a].capacity_mwh,
+        power_mw: request.assets[a].power_mw,
+        revenue: r.revenue,
+        revenue_share: result.revenue !== 0 ? r.revenue / result.revenue : null,
+        standalone_revenue: asset.standaloneRevenue,
+        standalone_cycles_per_day: asset.standaloneCyclesPerDay,
+        cycles: r.cycles,
+        cycles_per_day: r.cyclesPerDay,
+        energy_charged_mwh: r.energyCharged,
+        energy_discharged_mwh: r.energyDischarged,
+        avg_charge_price: r.avgChargePrice,          // loss-adjusted
+        avg_discharge_price: r.avgDischargePrice,
+        schedule: r.schedule.map(s => ({
+          interval: s.t,
+          time: series.times?.[s.t] ?? null,
+          price: prices[s.t],
+          action: s.op.toUpperCase(),
+          mw: s.powerMW,
+          soc_mwh: s.socMWh,
+          soc: s.socFraction,
+          cash: s.cash
+        }))
+      };
+    }),
+    diversification: {
+      period: d.period,
+      periods: d.periods,
+      revenue_correlation: byName(d.revenueCorrelation),
+      price_correlation: byName(d.priceCorrelation),
+      diversification_ratio: d.diversificationRatio,
+      revenue_concentration: d.revenueConcentration,
+      coincident_discharge: d.coincidentDischarge
+    },
+    schedule: result.netPowerMW.map((mw, t) => ({
+      interval: t,
+      time: series.times?.[t] ?? null,
+      net_mw: mw
+    }))
+  };
+}
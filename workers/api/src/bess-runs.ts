@@ -0,0 +1,355 @@
+/**
+ * BESS Run History
+ * Every /api/bess/optimize run is saved to bess_optimizations with its
+ * parameters and a result summary. The full response (schedule and
+ * reservation prices) is written to the ARCHIVE R2 bucket as JSON, because a
+ * two-week schedule is too large for a D1 row.
+ *
+ * Runs belong to the user who made them; API keys act as their owner.
+ */
+
+import { z } from 'zod';
+import { parseOptimiseRequest, type OptimiseRequest, type OptimiseResponse, type ResponseHead } from './bess';
+import { LossFactorFieldsSchema } from './loss-factors';
+
+interface Env {
+  DB: D1Database;
+  ARCHIVE: R2Bucket;
+}
+
+// Request fields stored with a run: everything but the price series and label
+export type RunParameters = Omit<OptimiseRequest, 'prices' | 'label'>;
+
+export interface BessRun {
+  id: number;
+  user_id: string;
+  label: string | null;
+  region: string | null;
+  capacity_mwh: number;
+  power_mw: number;
+  efficiency: number;           // round trip
+  start_date: string | null;
+  end_date: string | null;
+  intervals: number | null;
+  parameters: RunParameters | null;
+  total_revenue: number;
+  total_cycles: number | null;
+  avg_soc: number | null;
+  summary: RunSummary | null;
+  schedule_key: string | null;
+  rerun_of: number | null;
+  created_at: string;
+}
+
+// Response fields kept in the summary column (everything but per-interval data)
+const SUMMARY_FIELDS = [
+  'from',
+  'to',
+  'intervals',
+  'total_revenue',
+  'revenue_by_service',
+  'avg_price',
+  'operations_count',
+  'cycles',
+  'cycles_per_day',
+  'cycle_shadow_price',
+  'energy_charged_mwh',
+  'energy_discharged_mwh',
+  'avg_charge_price',
+  'avg_discharge_price',
+  'loss_factors',
+  'wear_cost',
+  'degradation'
+] as const;
+
+export type RunSummary = Pick<OptimiseResponse, typeof SUMMARY_FIELDS[number]>;
+
+// Summary metrics shown side by side by /api/bess/compare
+const COMPARED_METRICS = [
+  'total_revenue',
+  'avg_price',
+  'operations_count',
+  'cycles',
+  'cycles_per_day',
+  'energy_charged_mwh',
+  'energy_discharged_mwh',
+  'avg_charge_price',
+  'avg_discharge_price',
+  'wear_cost'
+] as const;
+
+export const RunListQuerySchema = z.object({
+  region: z.string().toUpperCase().optional(),
+  label: z.string().optional(),     // substring match
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+export type RunListQuery = z.infer<typeof RunListQuerySchema>;
+
+export const RunLabelSchema = z.object({
+  label: z.string().trim().min(1).max(100).nullable()
+});
+
+// Parameters that may be changed when re-running; the price source is fixed
+export const RerunSchema = z.object({
+  capacity_mwh: z.number().positive(),
+  power_mw: z.number().positive(),
+  efficiency: z.number().gt(0).max(1),
+  charge_efficiency: z.number().gt(0).max(1),
+  discharge_efficiency: z.number().gt(0).max(1),
+  initial_soc: z.number().min(0).max(1),
+  terminal_soc: z.number().min(0).max(1).nullable(),
+  throughput_cost: z.number().min(0),
+  max_cycles: z.number().positive().nullable(),
+  ramp_rate_mw: z.number().positive().nullable(),
+  soc_steps: z.number().int().min(21).max(801).nullable(),
+  ...LossFactorFieldsSchema.shape,
+  label: z.string().trim().min(1).max(100)
+}).partial().strict();
+
+function parseRun(row: any): BessRun {
+  return {
+    ...row,
+    parameters: row.parameters ? JSON.parse(row.parameters) : null,
+    summary: row.summary ? JSON.parse(row.summary) : null
+  };
+}
+
+// Where a run's full response goes in R2
+export function runResultKey(userId: string): string {
+  return `bess-runs/${userId}/${crypto.randomUUID()}.json`;
+}
+
+export function runResultMetadata(userId: string): R2PutOptions {
+  return {
+    httpMetadata: { contentType: 'application/json' },
+    customMetadata: { userId }
+  };
+}
+
+/**
+ * Save a run: the full response to R2, then the row. Returns the run id.
+ */
+export async function saveRun(
+  env: Env,
+  userId: string,
+  request: OptimiseRequest,
+  response: OptimiseResponse,
+  rerunOf: number | null = null
+): Promise<number> {
+  const avgSoc = response.schedule.reduce((sum, s) => sum + s.soc, 0) / response.schedule.length;
+  const scheduleKey = runResultKey(userId);
+  await env.ARCHIVE.put(scheduleKey, JSON.stringify(response), runResultMetadata(userId));
+  return await recordRun(env, userId, request, response, scheduleKey, avgSoc, rerunOf);
+}
+
+/**
+ * Insert the row for a run whose full response is already at `scheduleKey`
+ * (long-horizon jobs upload it in parts). Returns the run id.
+ */
+export async function recordRun(
+  env: Env,
+  userId: string,
+  request: OptimiseRequest,
+  response: ResponseHead & Pick<OptimiseResponse, 'settings'>,
+  scheduleKey: string,
+  avgSoc: number,
+  rerunOf: number | null = null
+): Promise<number> {
+  const { prices: _prices, label = null, ...parameters } = request;
+  const summary = Object.fromEntries(SUMMARY_FIELDS.map(field => [field, response[field]]));
+  const { etaC, etaD } = response.settings;
+
+  const row = await env.DB.prepare(`
+    INSERT INTO bess_optimizations (
+      user_id, label, region, capacity_mwh, power_mw, efficiency, start_date, end_date,
+      intervals, parameters, total_revenue, total_cycles, avg_soc, summary, schedule_key, rerun_of, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    RETURNING id
+  `).bind(
+    userId,
+    label,
+    request.region ?? null,
+    request.capacity_mwh,
+    request.power_mw,
+    etaC * etaD,
+    request.start_date ?? null,
+    request.end_date ?? null,
+    response.intervals,
+    JSON.stringify(parameters),
+    response.total_revenue,
+    response.cycles,
+    avgSoc,
+    JSON.stringify(summary),
+    scheduleKey,
+    rerunOf
+  ).first<{ id: number }>();
+
+  return row!.id;
+}
+
+export async function listRuns(
+  db: D1Database,
+  userId: string,
+  query: RunListQuery
+): Promise<{ runs: BessRun[]; total: number }> {
+  const conditions = ['user_id = ?'];
+  const params: any[] = [userId];
+  if (query.region) {
+    conditions.push('region = ?');
+    params.push(query.region);
+  }
+  if (query.label) {
+    conditions.push("label LIKE '%' || ? || '%'");
+    params.push(query.label);
+  }
+  const where = conditions.join(' AND ');
+
+  const [rows, count] = await Promise.all([
+    db.prepare(`
+      SELECT * FROM bess_optimizations
+      WHERE ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).bind(...params, query.limit, query.offset).all(),
+    db.prepare(`SELECT COUNT(*) as total FROM bess_optimizations WHERE ${where}`)
+      .bind(...params).first<{ total: number }>()
+  ]);
+
+  return { runs: rows.results.map(parseRun), total: count?.total ?? 0 };
+}
+
+// A run owned by userId, or null
+export async function getRun(db: D1Database, userId: string, id: string | number): Promise<BessRun | null> {
+  const row = await db.prepare('SELECT * FROM bess_optimizations WHERE id = ? AND user_id = ?')
+    .bind(id, userId)
+    .first();
+  return row ? parseRun(row) : null;
+}
+
+// The full response saved with a run; null for runs saved before history was kept
+export async function getRunResult(archive: R2Bucket, run: BessRun): Promise<OptimiseResponse | null> {
+  if (!run.schedule_key) {
+    return null;
+  }
+  const object = await archive.get(run.schedule_key);
+  return object ? await object.json<OptimiseResponse>() : null;
+}
+
+export async function setRunLabel(db: D1Database, run: BessRun, label: string | null): Promise<void> {
+  await db.prepare('UPDATE bess_optimizations SET label = ? WHERE id = ?')
+    .bind(label, run.id)
+    .run();
+}
+
+export async function deleteRun(env: Env, run: BessRun): Promise<void> {
+  await env.DB.prepare('DELETE FROM bess_optimizations WHERE id = ?').bind(run.id).run();
+  if (run.schedule_key) {
+    await env.ARCHIVE.delete(run.schedule_key);
+  }
+}
+
+/**
+ * Optimisation request that repeats a run with some parameters changed.
+ * Region runs reload prices from D1 (picking up any revised data); runs on
+ * supplied prices reuse the series from the saved result.
+ */
+export async function rerunRequest(
+  archive: R2Bucket,
+  run: BessRun,
+  changes: z.infer<typeof RerunSchema>
+): Promise<OptimiseRequest> {
+  if (!run.parameters) {
+    throw new Error('This run was saved without its parameters and cannot be re-run');
+  }
+
+  const body: Record<string, unknown> = { ...run.parameters, ...changes };
+  // The run saved the loss factors it looked up; changing what they're looked up by looks them up again
+  if (['duid', 'connection_point', 'loss_factor_year', 'loss_factor_version'].some(field => field in changes)) {
+    body.generation_loss_factor = changes.generation_loss_factor;
+    body.load_loss_factor = changes.load_loss_factor;
+  }
+  if (!run.region) {
+    const result = await getRunResult(archive, run);
+    if (!result) {
+      throw new Error('The price series for this run is no longer available');
+    }
+    body.prices = result.schedule.map(s => s.price);
+  }
+
+  return parseOptimiseRequest(body);
+}
+
+// A run as returned by the API (the R2 key is internal)
+export function runResponse(run: BessRun) {
+  const { schedule_key: _key, ...rest } = run;
+  return rest;
+}
+
+// Runs saved before summaries were kept still have revenue and cycles
+function metricValue(run: BessRun, metric: typeof COMPARED_METRICS[number]): number | null {
+  if (run.summary) {
+    return run.summary[metric] ?? null;
+  }
+  if (metric === 'total_revenue') return run.total_revenue;
+  if (metric === 'cycles') return run.total_cycles;
+  return null;
+}
+
+function runOverview(run: BessRun) {
+  return {
+    id: run.id,
+    label: run.label,
+    region: run.region,
+    start_date: run.start_date,
+    end_date: run.end_date,
+    created_at: run.created_at,
+    parameters: run.parameters
+  };
+}
+
+/**
+ * Two runs side by side: their parameters, the parameters that differ, and
+ * each summary metric with the difference (b - a).
+ */
+export function compareRuns(a: BessRun, b: BessRun) {
+  const parameterDifferences: Record<string, { a: unknown; b: unknown }> = {};
+  const keys = new Set([...Object.keys(a.parameters ?? {}), ...Object.keys(b.parameters ?? {})]);
+  for (const key of keys) {
+    const valueA = (a.parameters as any)?.[key] ?? null;
+    const valueB = (b.parameters as any)?.[key] ?? null;
+    if (JSON.stringify(valueA) !== JSON.stringify(valueB)) {
+      parameterDifferences[key] = { a: valueA, b: valueB };
+    }
+  }
+
+  const metrics: Record<string, { a: number | null; b: number | null; difference: number | null }> = {};
+  for (const metric of COMPARED_METRICS) {
+    const valueA = metricValue(a, metric);
+    const valueB = metricValue(b, metric);
+    metrics[metric] = {
+      a: valueA,
+      b: valueB,
+      difference: valueA !== null && valueB !== null ? valueB - valueA : null
+    };
+  }
+
+  // Energy and each FCAS service either run earned from
+  const revenueByService: typeof metrics = {};
+  const servicesA = a.summary?.revenue_by_service ?? { energy: a.total_revenue };
+  const servicesB = b.summary?.revenue_by_service ?? { energy: b.total_revenue };
+  for (const service of new Set([...Object.keys(servicesA), ...Object.keys(servicesB)])) {
+    const valueA = (servicesA as Record<string, number>)[service] ?? 0;
+    const valueB = (servicesB as Record<string, number>)[service] ?? 0;
+    revenueByService[service] = { a: valueA, b: valueB, difference: valueB - valueA };
+  }
+
+  return {
+    a: runOverview(a),
+    b: runOverview(b),
+    parameter_differences: parameterDifferences,
+    metrics,
+    revenue_by_service: revenueByService
+  };
+}
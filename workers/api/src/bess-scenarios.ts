@@ -0,0 +1,307 @@
+/**
+ * BESS Scenario Runs
+ * Request parsing and scenario building for /api/bess/optimize/stochastic,
+ * which runs the scenario-based optimiser (shared/bess/stochastic-optimizer.ts)
+ * to show how much of a perfect-foresight backtest is realistically capturable.
+ *
+ * Scenarios are built a whole day at a time, so each keeps a realistic daily
+ * shape, from one of two sources:
+ *   - history: dispatch prices on days drawn from the lookback window
+ *   - forecast: the stored P5MIN/PREDISPATCH forecast for the horizon, plus
+ *     the forecast error (actual minus forecast) on a day drawn from the
+ *     lookback window
+ *
+ * Only the latest forecast for each interval is kept, so the errors are those
+ * of forecasts made shortly before dispatch and understate day-ahead uncertainty.
+ */
+
+import { z } from 'zod';
+import { NEM_REGIONS, parseTimeBound } from './price-history';
+import { BatteryFieldsSchema, batteryOptions } from './bess';
+import { LossFactorFieldsSchema, lossFactorOptions, lossFactorResponse } from './loss-factors';
+import {
+  optimiseBESS_Stochastic,
+  type PolicyEvaluation,
+  type StochasticResult
+} from '../../../shared/bess/stochastic-optimizer';
+
+export const MAX_SCENARIO_DAYS = 7;
+// Work grows with intervals x scenarios (every scenario is also solved with hindsight)
+export const MAX_SCENARIO_INTERVALS = 12_000;
+
+const INTERVAL_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_INTERVALS = 288;
+const MIN_DAY_COVERAGE = 0.9;         // share of a lookback day's intervals needed to sample it
+
+const ScenarioOptionsSchema = z.object({
+  source: z.enum(['history', 'forecast']).default('history'),
+  count: z.number().int().min(2).max(50).default(20),
+  lookback_days: z.number().int().min(7).max(90).default(28),
+  seed: z.number().int().default(1)   // same seed, same scenarios
+});
+
+const StochasticRequestSchema = BatteryFieldsSchema.extend({
+  region: z.enum(NEM_REGIONS),
+  start_date: z.string(),
+  end_date: z.string(),
+  scenarios: ScenarioOptionsSchema.default({}),
+  ...LossFactorFieldsSchema.shape,
+  cvar_alpha: z.number().gt(0).max(1).default(0.1),     // worst share of outcomes
+  cvar_weight: z.number().min(0).max(1).default(0.5)    // weight on CVaR in the risk-averse policy
+}).refine(
+  r => r.ramp_rate_mw === null,
+  { message: 'ramp_rate_mw is not supported for scenario runs', path: ['ramp_rate_mw'] }
+);
+
+export type StochasticRequest = z.infer<typeof StochasticRequestSchema>;
+
+export interface ScenarioSet {
+  from: string;
+  to: string;
+  times: string[];              // settlement dates (interval end, UTC)
+  scenarios: number[][];
+  realised: number[] | null;    // dispatch prices, once the whole horizon has settled
+  daysAvailable: number;        // lookback days the scenarios were drawn from
+}
+
+export function parseStochasticRequest(body: unknown): StochasticRequest {
+  return StochasticRequestSchema.parse(body);
+}
+
+// Small seeded generator (mulberry32) so a request can be repeated exactly
+function seededRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let x = Math.imul(state ^ (state >>> 15), 1 | state);
+    x = (x + Math.imul(x ^ (x >>> 7), 61 | x)) ^ x;
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Settlement dates of the 5-minute intervals in (from, to]
+function intervalTimes(from: number, to: number): string[] {
+  const times: string[] = [];
+  for (let t = from + INTERVAL_MS; t <= to; t += INTERVAL_MS) {
+    times.push(new Date(t).toISOString());
+  }
+  return times;
+}
+
+async function loadDispatchPrices(db: D1Database, region: string, from: number, to: number): Promise<Map<string, number>> {
+  const result = await db.prepare(`
+    SELECT settlement_date, price
+    FROM dispatch_prices
+    WHERE region = ?
+      AND settlement_date > ?
+      AND settlement_date <= ?
+  `).bind(region, new Date(from).toISOString(), new Date(to).toISOString()).all();
+
+  const rows = result.results as { settlement_date: string; price: number }[];
+  return new Map(rows.map(r => [r.settlement_date, r.price]));
+}
+
+/**
+ * Forecast price for each 5-minute interval in (from, to]: P5MIN where it has
+ * the interval, otherwise the PREDISPATCH half hour the interval falls in.
+ */
+async function loadForecastPrices(db: D1Database, region: string, from: number, to: number): Promise<Map<string, number>> {
+  const halfHour = 6 * INTERVAL_MS;
+  const lastHalfHour = Math.ceil(to / halfHour) * halfHour;
+
+  const [p5min, predispatch] = await Promise.all([
+    db.prepare(`
+      SELECT interval_datetime, rrp
+      FROM p5min_forecasts
+      WHERE region = ? AND interval_datetime > ? AND interval_datetime <= ? AND rrp IS NOT NULL
+    `).bind(region, new Date(from).toISOString(), new Date(to).toISOString()).all(),
+    db.prepare(`
+      SELECT interval_datetime, rrp
+      FROM predispatch_forecasts
+      WHERE region = ? AND interval_datetime > ? AND interval_datetime <= ? AND rrp IS NOT NULL
+    `).bind(region, new Date(from).toISOString(), new Date(lastHalfHour).toISOString()).all()
+  ]);
+
+  const fiveMinute = new Map((p5min.results as { interval_datetime: string; rrp: number }[])
+    .map(r => [r.interval_datetime, r.rrp]));
+  const halfHourly = new Map((predispatch.results as { interval_datetime: string; rrp: number }[])
+    .map(r => [r.interval_datetime, r.rrp]));
+
+  const forecasts = new Map<string, number>();
+  for (let t = from + INTERVAL_MS; t <= to; t += INTERVAL_MS) {
+    const time = new Date(t).toISOString();
+    const price = fiveMinute.get(time) ?? halfHourly.get(new Date(Math.ceil(t / halfHour) * halfHour).toISOString());
+    if (price !== undefined) {
+      forecasts.set(time, price);
+    }
+  }
+  return forecasts;
+}
+
+/**
+ * One 288-interval profile per day of `days` starting at `start`, for days
+ * with enough data; gaps are filled from the previous interval.
+ */
+function dayProfiles(values: Map<string, number>, start: number, days: number): number[][] {
+  const profiles: number[][] = [];
+  for (let d = 0; d < days; d++) {
+    const times = intervalTimes(start + d * DAY_MS, start + (d + 1) * DAY_MS);
+    const day = times.map(time => values.get(time));
+    const present = day.filter(v => v !== undefined) as number[];
+    if (present.length < MIN_DAY_COVERAGE * DAY_INTERVALS) {
+      continue;
+    }
+    let last = present[0];
+    profiles.push(day.map(v => (last = v ?? last)));
+  }
+  return profiles;
+}
+
+// `count` paths of `length` intervals, each a run of randomly drawn days
+function sampleDays(profiles: number[][], count: number, length: number, random: () => number): number[][] {
+  return Array.from({ length: count }, () => {
+    const path: number[] = [];
+    while (path.length < length) {
+      path.push(...profiles[Math.floor(random() * profiles.length)]);
+    }
+    return path.slice(0, length);
+  });
+}
+
+// Dates are whole NEM days, as for /api/bess/optimize
+export async function loadScenarios(db: D1Database, request: StochasticRequest): Promise<ScenarioSet> {
+  const from = parseTimeBound(request.start_date);
+  const to = parseTimeBound(request.end_date, 'to');
+  const start = new Date(from).getTime();
+  const end = new Date(to).getTime();
+  if (start >= end) {
+    throw new Error('start_date must be before end_date');
+  }
+  if (end - start > MAX_SCENARIO_DAYS * DAY_MS) {
+    throw new Error(`Scenario runs cover at most ${MAX_SCENARIO_DAYS} days`);
+  }
+
+  const { source, count, lookback_days: lookbackDays, seed } = request.scenarios;
+  const times = intervalTimes(start, end);
+  if (times.length * count > MAX_SCENARIO_INTERVALS) {
+    throw new Error(`Too many scenario intervals: intervals x scenarios.count must be at most ${MAX_SCENARIO_INTERVALS}`);
+  }
+
+  // Lookback days end where the horizon starts, at the same time of day
+  const lookbackStart = start - lookbackDays * DAY_MS;
+  const [history, settled] = await Promise.all([
+    loadDispatchPrices(db, request.region, lookbackStart, start),
+    loadDispatchPrices(db, request.region, start, end)
+  ]);
+  const realised = times.every(time => settled.has(time)) ? times.map(time => settled.get(time)!) : null;
+  const random = seededRandom(seed);
+
+  if (source === 'history') {
+    const profiles = dayProfiles(history, lookbackStart, lookbackDays);
+    if (profiles.length === 0) {
+      throw new Error('No complete days of price history in the lookback window');
+    }
+    return { from, to, times, scenarios: sampleDays(profiles, count, times.length, random), realised, daysAvailable: profiles.length };
+  }
+
+  const [forecast, pastForecasts] = await Promise.all([
+    loadForecastPrices(db, request.region, start, end),
+    loadForecastPrices(db, request.region, lookbackStart, start)
+  ]);
+  if (forecast.size === 0) {
+    throw new Error('No forecasts cover that date range');
+  }
+  let last = forecast.values().next().value as number;
+  const base = times.map(time => (last = forecast.get(time) ?? last));
+
+  const errors = new Map<string, number>();
+  for (const [time, predicted] of pastForecasts) {
+    const actual = history.get(time);
+    if (actual !== undefined) {
+      errors.set(time, actual - predicted);
+    }
+  }
+  const profiles = dayProfiles(errors, lookbackStart, lookbackDays);
+  if (profiles.length === 0) {
+    throw new Error('No complete days of forecast history in the lookback window');
+  }
+
+  const scenarios = sampleDays(profiles, count, times.length, random)
+    .map(path => path.map((error, t) => base[t] + error));
+  return { from, to, times, scenarios, realised, daysAvailable: profiles.length };
+}
+
+export function runStochastic(request: StochasticRequest, set: ScenarioSet): StochasticResult {
+  return optimiseBESS_Stochastic({
+    ...batteryOptions(request),
+    ...lossFactorOptions(request),
+    dtHours: 5 / 60,
+    scenarios: set.scenarios,
+    realised: set.realised,
+    alpha: request.cvar_alpha,
+    riskWeight: request.cvar_weight
+  });
+}
+
+// API response shape (snake_case, like /api/bess/optimize)
+export function stochasticResponse(request: StochasticRequest, set: ScenarioSet, result: StochasticResult) {
+  const policy = (evaluation: PolicyEvaluation) => ({
+    scenarios: {
+      expected_revenue: evaluation.scenarios.expected,
+      cvar_revenue: evaluation.scenarios.cvar,
+      min_revenue: evaluation.scenarios.min,
+      max_revenue: evaluation.scenarios.max,
+      cycles_per_day: evaluation.scenarios.cyclesPerDay,
+      foresight_gap: evaluation.scenarios.foresightGap
+    },
+    realised: evaluation.realised && {
+      revenue: evaluation.realised.revenue,
+      cycles: evaluation.realised.cycles,
+      cycles_per_day: evaluation.realised.cyclesPerDay,
+      foresight_gap: evaluation.realised.foresightGap,
+      capture_rate: evaluation.realised.captureRate,
+      schedule: evaluation.realised.schedule.map(s => ({
+        interval: s.t,
+        time: set.times[s.t],
+        price: s.price,
+        action: s.op.toUpperCase(),
+        mw: s.powerMW,
+        soc_mwh: s.socMWh,
+        soc: s.socFraction,
+        cash: s.cash
+      }))
+    },
+    cycle_shadow_price: evaluation.cycleShadowPrice
+  });
+
+  const { hindsight } = result;
+  return {
+    region: request.region,
+    from: set.from,
+    to: set.to,
+    intervals: set.times.length,
+    scenarios: {
+      ...request.scenarios,
+      days_available: set.daysAvailable
+    },
+    cvar: { alpha: result.alpha, weight: result.riskWeight },
+    loss_factors: lossFactorResponse(request),
+    expected_value: policy(result.expectedValue),
+    risk_averse: policy(result.riskAverse),
+    hindsight: {
+      scenarios: {
+        expected_revenue: hindsight.scenarios.expected,
+        cvar_revenue: hindsight.scenarios.cvar,
+        min_revenue: hindsight.scenarios.min,
+        max_revenue: hindsight.scenarios.max
+      },
+      realised: hindsight.realised && {
+        revenue: hindsight.realised.revenue,
+        cycles: hindsight.realised.cycles,
+        cycles_per_day: hindsight.realised.cyclesPerDay
+      }
+    },
+    settings: result.settings
+  };
+}
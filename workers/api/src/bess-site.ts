@@ -0,0 +1,232 @@
+/**
+ * BESS Site Runs
+ * Request parsing for /api/bess/optimize/site, which runs the behind-the-meter
+ * optimiser (shared/bess/site-optimizer.ts) against a site's own load profile
+ * and network tariff to size up bill savings rather than wholesale revenue.
+ *
+ * The load profile (NEM12/NEM13 or CSV, see load-profile.ts), or the meter
+ * data already uploaded for an NMI (meter-data.ts), sets the horizon and
+ * interval length; an optional solar profile is resampled onto it. Tariff
+ * rates are $/MWh and demand charges $/kW per month, as networks publish them.
+ */
+
+import { z } from 'zod';
+import { parseTimeBound } from './price-history';
+import { BatteryFieldsSchema, batteryOptions } from './bess';
+import { parseLoadProfile, resampleProfile, type LoadProfile } from './load-profile';
+import { meterSeries } from './meter-data';
+import { TimeUtil } from '../../../shared/utils/time';
+import {
+  optimiseBESS_Site,
+  type MonthBill,
+  type SiteBill,
+  type SiteResult,
+  type SiteTariff
+} from '../../../shared/bess/site-optimizer';
+
+// A year of 30-minute reads, or two months of 5-minute
+export const MAX_SITE_INTERVALS = 17_568;
+const MAX_PROFILE_LENGTH = 5_000_000;    // characters of uploaded file
+
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// When a rate applies, in NEM time
+const TariffWindowSchema = z.object({
+  days: z.enum(['all', 'weekdays', 'weekends']).default('all'),
+  start: z.string().regex(CLOCK_PATTERN).default('00:00'),
+  end: z.string().regex(CLOCK_PATTERN).default('24:00'),   // before start wraps past midnight
+  months: z.array(z.number().int().min(1).max(12)).optional()
+});
+
+const SiteTariffSchema = z.object({
+  // The first period covering an interval sets its rate; every interval needs one
+  energy: z.array(TariffWindowSchema.extend({
+    name: z.string().trim().min(1).max(50),
+    rate_per_mwh: z.number()
+  })).min(1).max(20),
+  // Monthly charge on the peak import in each window
+  demand: z.array(TariffWindowSchema.extend({
+    name: z.string().trim().min(1).max(50),
+    rate_per_kw_month: z.number().min(0)
+  })).max(10).default([]),
+  export_rate_per_mwh: z.number().default(0)                // feed-in
+}).refine(
+  t => new Set(t.demand.map(c => c.name)).size === t.demand.length,
+  { message: 'Demand charge names must be unique', path: ['demand'] }
+);
+
+const SiteRequestSchema = BatteryFieldsSchema.extend({
+  load_profile: z.string().min(1).max(MAX_PROFILE_LENGTH).optional(),   // NEM12, NEM13 or CSV file contents
+  nmi: z.string().trim().min(1).max(10).optional(),                      // or uploaded meter data
+  meter_resolution: z.enum(['5m', '30m']).default('30m'),
+  solar_profile: z.string().min(1).max(MAX_PROFILE_LENGTH).optional(),
+  tariff: SiteTariffSchema,
+  export_limit_mw: z.number().min(0).nullable().default(null),
+  // Optional window on the profile, as NEM days or ISO timestamps
+  start_date: z.string().optional(),
+  end_date: z.string().optional()
+}).refine(
+  r => !r.load_profile !== !r.nmi,
+  { message: 'Give either load_profile or nmi', path: ['load_profile'] }
+).refine(
+  r => r.max_cycles === null && r.ramp_rate_mw === null,
+  { message: 'max_cycles and ramp_rate_mw are not supported for site runs', path: ['max_cycles'] }
+);
+
+export type SiteRequest = z.infer<typeof SiteRequestSchema>;
+
+export interface SiteSeries {
+  nmi: string | null;
+  intervalMinutes: number;
+  times: string[];              // interval end, UTC
+  loadMW: number[];
+  solarMW: number[] | null;
+}
+
+export function parseSiteRequest(body: unknown): SiteRequest {
+  return SiteRequestSchema.parse(body);
+}
+
+// NEM day holding a UTC instant
+function nemDay(utcMs: number): string {
+  return TimeUtil.utcToAEMO(new Date(utcMs).toISOString()).slice(0, 10).replace(/\//g, '-');
+}
+
+// An NMI's stored net import, over the NEM days the run's date range touches
+async function meterProfile(
+  db: D1Database,
+  userId: string,
+  request: SiteRequest,
+  from: string | null,
+  to: string | null
+): Promise<LoadProfile> {
+  const series = await meterSeries(db, userId, request.nmi!, {
+    from: from ? nemDay(Date.parse(from)) : undefined,
+    to: to ? nemDay(Date.parse(to) - 1) : undefined,
+    resolution: request.meter_resolution
+  });
+  if (!series) {
+    throw new Error(`No meter data uploaded for NMI ${request.nmi}`);
+  }
+  const missing = series.points.filter(p => p.net_kwh === null).length;
+  if (missing > 0) {
+    throw new Error(`Meter data for NMI ${request.nmi} is missing ${missing} intervals between ${series.from} and ${series.to}`);
+  }
+
+  const hours = series.intervalMinutes / 60;
+  return {
+    format: 'mdff',
+    intervalMinutes: series.intervalMinutes,
+    times: series.points.map(p => p.interval_end),
+    mw: series.points.map(p => p.net_kwh! / 1000 / hours),
+    nmi: series.nmi
+  };
+}
+
+export async function loadSiteSeries(db: D1Database, userId: string, request: SiteRequest): Promise<SiteSeries> {
+  const from = request.start_date ? parseTimeBound(request.start_date) : null;
+  const to = request.end_date ? parseTimeBound(request.end_date, 'to') : null;
+  const load = request.nmi
+    ? await meterProfile(db, userId, request, from, to)
+    : parseLoadProfile(request.load_profile!);
+
+  const keep = load.times
+    .map((time, i) => ({ time, i }))
+    .filter(({ time }) => (!from || time > from) && (!to || time <= to));
+  if (keep.length === 0) {
+    throw new Error('The load profile has no intervals in that date range');
+  }
+  if (keep.length > MAX_SITE_INTERVALS) {
+    throw new Error(`Load profile too long: at most ${MAX_SITE_INTERVALS} intervals per run`);
+  }
+  const times = keep.map(k => k.time);
+
+  let solarMW: number[] | null = null;
+  if (request.solar_profile) {
+    const solar = parseLoadProfile(request.solar_profile);
+    // A generation meter's NEM12 or NEM13 file records output as exports
+    const generation = solar.format === 'mdff' ? { ...solar, mw: solar.mw.map(v => Math.max(0, -v)) } : solar;
+    solarMW = resampleProfile(generation, times, load.intervalMinutes);
+    if (solarMW.some(v => v < 0)) {
+      throw new Error('Solar profile must not be negative');
+    }
+  }
+
+  return {
+    nmi: load.nmi,
+    intervalMinutes: load.intervalMinutes,
+    times,
+    loadMW: keep.map(k => load.mw[k.i]),
+    solarMW
+  };
+}
+
+function siteTariff(request: SiteRequest): SiteTariff {
+  const { tariff } = request;
+  const window = (w: z.infer<typeof TariffWindowSchema>) => ({ days: w.days, start: w.start, end: w.end, months: w.months });
+  return {
+    energy: tariff.energy.map(r => ({ name: r.name, rate: r.rate_per_mwh, ...window(r) })),
+    demand: tariff.demand.map(c => ({ name: c.name, rate: c.rate_per_kw_month * 1000, ...window(c) })),
+    exportRate: tariff.export_rate_per_mwh
+  };
+}
+
+export function runSite(request: SiteRequest, series: SiteSeries): SiteResult {
+  const { maxCycles: _maxCycles, rampRateMW: _rampRateMW, ...battery } = batteryOptions(request);
+  return optimiseBESS_Site({
+    ...battery,
+    dtHours: series.intervalMinutes / 60,
+    times: series.times,
+    loadMW: series.loadMW,
+    solarMW: series.solarMW,
+    tariff: siteTariff(request),
+    exportLimitMW: request.export_limit_mw
+  });
+}
+
+// API response shape (snake_case, like /api/bess/optimize)
+export function siteResponse(series: SiteSeries, result: SiteResult) {
+  const bill = (b: SiteBill) => ({ energy: b.energy, demand: b.demand, export: b.export, total: b.total });
+  const monthBill = (b: MonthBill) => ({ ...bill(b), peaks_mw: b.peaks });
+
+  return {
+    nmi: series.nmi,
+    interval_minutes: series.intervalMinutes,
+    from: new Date(Date.parse(series.times[0]) - series.intervalMinutes * 60 * 1000).toISOString(),
+    to: series.times[series.times.length - 1],
+    intervals: series.times.length,
+    bill: {
+      baseline: bill(result.baseline),
+      battery: bill(result.battery)
+    },
+    savings: bill(result.savings),
+    operating_cost: result.operatingCost,
+    net_savings: result.netSavings,
+    cycles: result.cycles,
+    cycles_per_day: result.cyclesPerDay,
+    energy_charged_mwh: result.energyCharged,
+    energy_discharged_mwh: result.energyDischarged,
+    months: result.months.map(m => ({
+      month: m.month,
+      share: m.share,
+      import_cap_mw: m.importCap,
+      baseline: monthBill(m.baseline),
+      battery: monthBill(m.battery)
+    })),
+    schedule: result.schedule.map(s => ({
+      interval: s.t,
+      time: s.time,
+      load_mw: s.loadMW,
+      solar_mw: s.solarMW,
+      battery_mw: s.batteryMW,
+      grid_mw: s.gridMW,
+      curtailed_mw: s.curtailedMW,
+      import_rate: s.importRate,
+      export_rate: s.exportRate,
+      cost: s.cost,
+      soc_mwh: s.socMWh,
+      soc: s.socFraction
+    })),
+    settings: result.settings
+  };
+}
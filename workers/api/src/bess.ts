@@ -0,0 +1,354 @@
+/**
+ * BESS Optimisation Module
+ * Request parsing and price loading for /api/bess/optimize, which runs the
+ * shared DP optimiser (shared/bess/dp-optimizer.ts) over either stored
+ * dispatch prices or a price series supplied by the caller. With `fcas`, the
+ * optimiser also co-optimises FCAS using fcas_prices (or supplied series).
+ * A `duid` or `connection_point` applies that point's generation and load
+ * loss factors (loss-factors.ts), resolved before the run.
+ */
+
+import { z } from 'zod';
+import { NEM_REGIONS, parseTimeBound } from './price-history';
+import {
+  optimiseBESS_DP,
+  FCAS_SERVICES,
+  type DispatchInterval,
+  type DpOptions,
+  type DpResult,
+  type FcasService
+} from '../../../shared/bess/dp-optimizer';
+import { projectCapacity } from '../../../shared/bess/degradation';
+import { LossFactorFieldsSchema, lossFactorOptions, lossFactorResponse } from './loss-factors';
+
+// Synchronous runs are capped at two weeks of 5-minute intervals; longer
+// region runs become jobs (bess-jobs.ts)
+export const MAX_OPTIMISE_DAYS = 14;
+export const MAX_OPTIMISE_INTERVALS = MAX_OPTIMISE_DAYS * 288;
+
+// Round-trip efficiency when the request gives none (the BESS app's default)
+const DEFAULT_ROUND_TRIP_EFFICIENCY = 0.85;
+
+const FcasRequestSchema = z.object({
+  services: z.array(z.enum(FCAS_SERVICES)).min(1).default([...FCAS_SERVICES]),
+  max_mw: z.record(z.enum(FCAS_SERVICES), z.number().min(0)).optional(),   // default power_mw
+  regulation_minutes: z.number().min(0).max(60).default(5),                 // SoC headroom for regulation
+  // With explicit prices: $/MW/h per interval for each service offered
+  prices: z.record(z.enum(FCAS_SERVICES), z.array(z.number())).optional()
+});
+
+const DegradationRequestSchema = z.object({
+  cycle_life: z.number().positive().default(6000),                  // full cycles to end of life
+  dod_exponent: z.number().positive().max(4).default(1.5),          // wear vs depth of discharge
+  end_of_life_capacity: z.number().gt(0).lt(1).default(0.8),
+  calendar_fade_pct: z.number().min(0).max(10).default(1),          // % of capacity per year
+  pack_cost_per_kwh: z.number().min(0).default(250),                // replacement cost
+  project_years: z.number().int().min(1).max(40).default(20)        // capacity projection length
+});
+
+// Battery and operating limits, shared with scenario runs (bess-scenarios.ts)
+export const BatteryFieldsSchema = z.object({
+  capacity_mwh: z.number().positive(),
+  power_mw: z.number().positive(),
+  efficiency: z.number().gt(0).max(1).optional(),            // round trip, split evenly
+  charge_efficiency: z.number().gt(0).max(1).optional(),
+  discharge_efficiency: z.number().gt(0).max(1).optional(),
+  initial_soc: z.number().min(0).max(1).default(0.5),
+  terminal_soc: z.number().min(0).max(1).nullable().default(null),
+  throughput_cost: z.number().min(0).default(0),             // $/MWh
+  max_cycles: z.number().positive().nullable().default(null), // per day
+  ramp_rate_mw: z.number().positive().nullable().default(null),
+  soc_steps: z.number().int().min(21).max(801).nullable().default(null)
+});
+
+export type BatteryFields = z.infer<typeof BatteryFieldsSchema>;
+
+const OptimiseRequestSchema = BatteryFieldsSchema.extend({
+  // Either stored prices for a region and date range...
+  region: z.enum(NEM_REGIONS).optional(),
+  start_date: z.string().optional(),
+  end_date: z.string().optional(),
+  // ...or an explicit series ($/MWh, oldest first)
+  prices: z.array(z.number()).min(1).max(MAX_OPTIMISE_INTERVALS).optional(),
+  interval_minutes: z.number().positive().max(60).default(5),
+
+  lookahead_hours: z.number().min(0).max(48).default(24),    // jobs only: see bess-jobs.ts
+  ...LossFactorFieldsSchema.shape,
+  fcas: FcasRequestSchema.optional(),
+  degradation: DegradationRequestSchema.optional(),
+
+  label: z.string().trim().min(1).max(100).optional()       // name for the saved run
+}).refine(
+  r => r.prices || (r.region && r.start_date && r.end_date),
+  { message: 'Provide prices, or region with start_date and end_date' }
+).refine(
+  r => !r.prices || !r.fcas || r.fcas.prices,
+  { message: 'With explicit prices, FCAS prices must be given as fcas.prices', path: ['fcas', 'prices'] }
+);
+
+export type OptimiseRequest = z.infer<typeof OptimiseRequestSchema>;
+
+export interface FcasSeries {
+  prices: Partial<Record<FcasService, number[]>>;
+  enablementMax: Partial<Record<FcasService, (number | null)[]>>;   // regional requirement, from D1
+}
+
+export interface PriceSeries {
+  prices: number[];
+  times: string[] | null;     // settlement dates (interval end, UTC) when loaded from D1
+  from: string | null;
+  to: string | null;
+  fcas: FcasSeries | null;
+}
+
+export function parseOptimiseRequest(body: unknown): OptimiseRequest {
+  return OptimiseRequestSchema.parse(body);
+}
+
+// Dates are whole NEM days, as for /api/prices/history
+export async function loadOptimisePrices(db: D1Database, request: OptimiseRequest): Promise<PriceSeries> {
+  if (request.prices) {
+    const fcas = request.fcas && {
+      prices: Object.fromEntries(request.fcas.services
+        .filter(service => request.fcas!.prices![service])
+        .map(service => [service, request.fcas!.prices![service]])),
+      enablementMax: {}
+    };
+    return { prices: request.prices, times: null, from: null, to: null, fcas: fcas || null };
+  }
+
+  const from = parseTimeBound(request.start_date!);
+  const to = parseTimeBound(request.end_date!, 'to');
+  if (from >= to) {
+    throw new Error('start_date must be before end_date');
+  }
+
+  const result = await db.prepare(`
+    SELECT settlement_date, price
+    FROM dispatch_prices
+    WHERE region = ?
+      AND settlement_date > ?
+      AND settlement_date <= ?
+    ORDER BY settlement_date
+    LIMIT ?
+  `).bind(request.region, from, to, MAX_OPTIMISE_INTERVALS + 1).all();
+
+  const rows = result.results as { settlement_date: string; price: number }[];
+  const times = rows.map(r => r.settlement_date);
+  return {
+    prices: rows.map(r => r.price),
+    times,
+    from,
+    to,
+    fcas: request.fcas && rows.length <= MAX_OPTIMISE_INTERVALS
+      ? await loadFcasSeries(db, request.region!, request.fcas.services, from, times)
+      : null
+  };
+}
+
+/**
+ * FCAS prices and regional requirements aligned to `times` (dispatch
+ * settlement dates, ascending, after `from`). The scraper skips zero prices,
+ * so a missing row is a zero price.
+ */
+export async function loadFcasSeries(
+  db: D1Database,
+  region: string,
+  services: FcasService[],
+  from: string,
+  times: string[]
+): Promise<FcasSeries> {
+  const series: FcasSeries = { prices: {}, enablementMax: {} };
+  for (const service of services) {
+    series.prices[service] = new Array(times.length).fill(0);
+    series.enablementMax[service] = new Array(times.length).fill(null);
+  }
+  if (times.length === 0) {
+    return series;
+  }
+
+  const result = await db.prepare(`
+    SELECT settlement_date, service, price, enablement_max
+    FROM fcas_prices
+    WHERE region = ?
+      AND settlement_date > ?
+      AND settlement_date <= ?
+      AND service IN (${services.map(() => '?').join(', ')})
+  `).bind(region, from, times[times.length - 1], ...services).all();
+
+  const index = new Map(times.map((time, i) => [time, i]));
+  for (const row of result.results as { settlement_date: string; service: FcasService; price: number; enablement_max: number | null }[]) {
+    const i = index.get(row.settlement_date);
+    if (i === undefined) {
+      continue;
+    }
+    series.prices[row.service]![i] = row.price;
+    series.enablementMax[row.service]![i] = row.enablement_max && row.enablement_max > 0 ? row.enablement_max : null;
+  }
+  return series;
+}
+
+// Optimiser options for the battery itself, without prices or interval length
+export function batteryOptions(battery: BatteryFields) {
+  const perSide = Math.sqrt(battery.efficiency ?? DEFAULT_ROUND_TRIP_EFFICIENCY);
+  return {
+    capacityMWh: battery.capacity_mwh,
+    powerMW: battery.power_mw,
+    etaC: battery.charge_efficiency ?? perSide,
+    etaD: battery.discharge_efficiency ?? perSide,
+    soc0: battery.initial_soc,
+    socT: battery.terminal_soc,
+    throughputCost: battery.throughput_cost,
+    maxCycles: battery.max_cycles,
+    rampRateMW: battery.ramp_rate_mw,
+    socSteps: battery.soc_steps
+  };
+}
+
+export function dpOptions(request: OptimiseRequest, prices: number[], fcas: FcasSeries | null = null): DpOptions {
+  return {
+    prices,
+    dtHours: (request.prices ? request.interval_minutes : 5) / 60,
+    ...batteryOptions(request),
+    ...lossFactorOptions(request),
+    fcas: fcas && request.fcas
+      ? {
+          prices: fcas.prices,
+          enablementMax: fcas.enablementMax,
+          maxMW: request.fcas.max_mw,
+          regulationMinutes: request.fcas.regulation_minutes
+        }
+      : null,
+    degradation: request.degradation
+      ? {
+          cycleLife: request.degradation.cycle_life,
+          dodExponent: request.degradation.dod_exponent,
+          endOfLifeCapacity: request.degradation.end_of_life_capacity,
+          calendarFadePerYear: request.degradation.calendar_fade_pct / 100,
+          replacementCost: request.degradation.pack_cost_per_kwh * 1000
+        }
+      : null
+  };
+}
+
+export function runOptimisation(request: OptimiseRequest, series: PriceSeries): DpResult {
+  return optimiseBESS_DP(dpOptions(request, series.prices, series.fcas));
+}
+
+export type OptimiseResponse = ReturnType<typeof optimiseResponse>;
+export type ResponseHead = ReturnType<typeof responseHead>;
+
+// What the headline figures need from the schedule, so a result stitched
+// together window by window (bess-jobs.ts) can report them without holding it
+export interface ScheduleTotals {
+  from: string | null;
+  to: string | null;
+  intervals: number;
+  priceSum: number;
+  operations: number;              // intervals that aren't 'hold'
+  wearCostPriced: number;
+}
+
+// API response shape (snake_case, like the rest of /api)
+export function optimiseResponse(request: OptimiseRequest, series: PriceSeries, result: DpResult) {
+  const { prices } = series;
+  const totals: ScheduleTotals = {
+    from: series.from,
+    to: series.to,
+    intervals: prices.length,
+    priceSum: prices.reduce((a, b) => a + b, 0),
+    operations: result.schedule.filter(s => s.op !== 'hold').length,
+    wearCostPriced: result.schedule.reduce((sum, s) => sum + (s.wearCost ?? 0), 0)
+  };
+  return {
+    ...responseHead(request, totals, result),
+    schedule: result.schedule.map(s => scheduleEntry(s, series.times?.[s.t] ?? null)),
+    reservation_prices: {
+      charge: result.reservation.charge,
+      discharge: result.reservation.discharge,
+      by_soc: result.reservation.bySoC
+    },
+    settings: result.settings
+  };
+}
+
+// Everything in the response up to the per-interval series
+export function responseHead(
+  request: OptimiseRequest,
+  totals: ScheduleTotals,
+  result: Omit<DpResult, 'schedule' | 'socSeries' | 'reservation'>
+) {
+  return {
+    region: request.region ?? null,
+    from: totals.from,
+    to: totals.to,
+    intervals: totals.intervals,
+    total_revenue: result.revenue,
+    revenue_by_service: result.revenueByService,
+    avg_price: totals.priceSum / totals.intervals,
+    operations_count: totals.operations,
+    cycles: result.cycles,
+    cycles_per_day: result.cyclesPerDay,
+    cycle_shadow_price: result.cycleShadowPrice,
+    energy_charged_mwh: result.energyCharged,
+    energy_discharged_mwh: result.energyDischarged,
+    avg_charge_price: result.avgChargePrice,
+    avg_discharge_price: result.avgDischargePrice,
+    loss_factors: lossFactorResponse(request),
+    wear_cost: result.degradation?.wearCost ?? null,
+    degradation: degradationReport(request, totals, result)
+  };
+}
+
+export function scheduleEntry(s: DispatchInterval, time: string | null) {
+  return {
+    interval: s.t,
+    time,
+    price: s.price,
+    action: s.op.toUpperCase(),
+    mw: s.powerMW,
+    soc_mwh: s.socMWh,
+    soc: s.socFraction,
+    cash: s.cash,
+    ...(s.fcas && { fcas: s.fcas }),
+    ...(s.wearCost !== undefined && { wear_cost: s.wearCost })
+  };
+}
+
+/**
+ * Rainflow-counted wear over the schedule, and capacity over the project life
+ * if the battery ran like this every year. `wear_cost_priced` is the wear the
+ * optimiser charged its decisions (see shared/bess/degradation.ts).
+ */
+function degradationReport(
+  request: OptimiseRequest,
+  totals: ScheduleTotals,
+  result: Omit<DpResult, 'schedule' | 'socSeries' | 'reservation'>
+) {
+  const model = result.settings.degradation;
+  if (!model || !result.degradation || !request.degradation) {
+    return null;
+  }
+
+  const summary = result.degradation;
+  const hours = totals.intervals * result.settings.dtHours;
+  const projection = projectCapacity(model, summary.lifeUsed * 8760 / hours, request.degradation.project_years);
+  return {
+    equivalent_full_cycles: summary.equivalentFullCycles,
+    cycle_count: summary.cycleCount,
+    depth_histogram: summary.depthHistogram,
+    life_used: summary.lifeUsed,
+    cycle_fade: summary.cycleFade,
+    calendar_fade: summary.calendarFade,
+    capacity_fade: summary.capacityFade,
+    wear_cost: summary.wearCost,
+    wear_cost_priced: totals.wearCostPriced,
+    end_of_life_year: projection.find(p => p.capacity <= model.endOfLifeCapacity)?.year ?? null,
+    projection: projection.map(p => ({
+      year: p.year,
+      capacity: p.capacity,
+      cycle_fade: p.cycleFade,
+      calendar_fade: p.calendarFade
+    }))
+  };
+}
@@ -0,0 +1,532 @@
+/**
+ * Market Data Export Module
+ * Streams market tables as CSV or Parquet for a region and time window
+ *
+ * Column definitions come straight from the scraper's init-schema.sql (with
+ * scripts/schema-market.sql filling in tables it doesn't define), so an
+ * export always matches the documented schema. Small exports stream
+ * directly; large ones run as a job that writes to the ARCHIVE R2 bucket and
+ * is polled through a KV-backed status record. Each job is run by its own
+ * ExportJobRunner Durable Object, which uploads CSV a multipart part at a time
+ * in alarm-sized batches (as BessJobRunner does for BESS jobs), so exports
+ * aren't bound by a request's lifetime.
+ */
+
+import { z } from 'zod';
+import { parquetWriteBuffer, type ColumnSource } from 'hyparquet-writer';
+import scraperSchemaSql from '../../scraper/init-schema.sql';
+import marketSchemaSql from '../../../scripts/schema-market.sql';
+import { TimeUtil } from '../../../shared/utils/time';
+import { parseTimeBound } from './price-history';
+import { PartWriter, startPartUpload, type PartUpload } from './r2-parts';
+
+interface Env {
+  DB: D1Database;
+  CACHE: KVNamespace;
+  ARCHIVE: R2Bucket;
+  EXPORT_JOBS: DurableObjectNamespace;
+}
+
+export const EXPORTABLE_TABLES = [
+  'dispatch_prices',
+  'fcas_prices',
+  'interconnector_flows',
+  'p5min_forecasts',
+  'predispatch_forecasts',
+  'generation_by_fuel'
+] as const;
+
+export type ExportTable = typeof EXPORTABLE_TABLES[number];
+export type ExportFormat = 'csv' | 'parquet';
+
+// Rows above this are exported through an R2 job instead of a direct stream
+export const DIRECT_EXPORT_ROW_LIMIT = 50000;
+
+// Parquet is assembled in memory, so cap it well below Worker memory limits
+export const MAX_PARQUET_ROWS = 500000;
+
+const PAGE_SIZE = 5000;
+const JOB_TTL = 7 * 24 * 60 * 60;     // Keep job records for 7 days
+const BATCH_BUDGET_MS = 10_000;       // Upload time per alarm before yielding
+
+export interface ColumnDef {
+  name: string;
+  type: string; // SQLite declared type: INTEGER, REAL, TEXT, BOOLEAN
+}
+
+export interface ExportRequest {
+  table: ExportTable;
+  format: ExportFormat;
+  region?: string;
+  from: string;
+  to: string;
+}
+
+// Keyset position: the last exported row's time and id
+interface RowCursor {
+  time: string;
+  id: number;
+}
+
+// A CSV job's multipart upload (r2-parts.ts), kept in its runner's storage between alarms
+interface CsvUpload extends PartUpload {
+  cursor: RowCursor | null;
+}
+
+export interface ExportJob {
+  id: string;
+  user_id: string;
+  status: 'queued' | 'running' | 'completed' | 'failed';
+  request: ExportRequest;
+  rows: number;
+  bytes: number;
+  r2_key: string;
+  error?: string;
+  created_at: string;
+  updated_at: string;
+}
+
+const ExportQuerySchema = z.object({
+  format: z.enum(['csv', 'parquet']).default('csv'),
+  region: z.string().toUpperCase().optional(),
+  from: z.string(),
+  to: z.string()
+});
+
+/**
+ * Parse CREATE TABLE statements into column definitions.
+ * Table-level constraints (UNIQUE, PRIMARY KEY, FOREIGN KEY, CHECK) are skipped.
+ */
+export function parseSchemaColumns(sql: string): Record<string, ColumnDef[]> {
+  const tables: Record<string, ColumnDef[]> = {};
+  const stripped = sql.replace(/--[^\n]*/g, '');
+  const createRegex = /CREATE TABLE(?: IF NOT EXISTS)?\s+(\w+)\s*\(/gi;
+
+  let match: RegExpExecArray | null;
+  while ((match = createRegex.exec(stripped)) !== null) {
+    // Walk to the matching close paren so nested CHECK(...) lists survive
+    let depth = 1;
+    let i = createRegex.lastIndex;
+    const start = i;
+    for (; i < stripped.length && depth > 0; i++) {
+      if (stripped[i] === '(') depth++;
+      if (stripped[i] === ')') depth--;
+    }
+    const body = stripped.substring(start, i - 1);
+
+    const columns: ColumnDef[] = [];
+    for (const part of splitTopLevel(body)) {
+      const definition = part.trim();
+      if (!definition || /^(UNIQUE|PRIMARY|FOREIGN|CHECK|CONSTRAINT)\b/i.test(definition)) {
+        continue;
+      }
+      const [name, type = 'TEXT'] = definition.split(/\s+/);
+      columns.push({ name, type: type.toUpperCase() });
+    }
+
+    tables[match[1]] = columns;
+  }
+
+  return tables;
+}
+
+function splitTopLevel(body: string): string[] {
+  const parts: string[] = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of body) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+// init-schema.sql is authoritative; schema-market.sql covers interconnector_flows
+const SCHEMA_COLUMNS: Record<string, ColumnDef[]> = {
+  ...parseSchemaColumns(marketSchemaSql),
+  ...parseSchemaColumns(scraperSchemaSql)
+};
+
+/**
+ * Columns exported for a table (the surrogate id is internal and omitted)
+ */
+export function getExportColumns(table: ExportTable): ColumnDef[] {
+  const columns = SCHEMA_COLUMNS[table];
+  if (!columns) {
+    throw new Error(`No schema definition found for ${table}`);
+  }
+  return columns.filter(col => col.name !== 'id');
+}
+
+function getTimeColumn(table: ExportTable): string {
+  const names = getExportColumns(table).map(col => col.name);
+  return names.includes('settlement_date') ? 'settlement_date' : 'interval_datetime';
+}
+
+/**
+ * Region filter for a table.
+ * Interconnectors match on either end; NEM-wide tables such as
+ * generation_by_fuel have no region column and ignore the filter.
+ */
+function getRegionClause(table: ExportTable): { sql: string; params: number } | null {
+  const names = getExportColumns(table).map(col => col.name);
+  if (names.includes('region')) {
+    return { sql: 'region = ?', params: 1 };
+  }
+  if (names.includes('from_region') && names.includes('to_region')) {
+    return { sql: '(from_region = ? OR to_region = ?)', params: 2 };
+  }
+  return null;
+}
+
+export function parseExportRequest(
+  table: string,
+  query: Record<string, string | undefined>
+): ExportRequest {
+  if (!(EXPORTABLE_TABLES as readonly string[]).includes(table)) {
+    throw new Error(`Table not exportable: ${table}`);
+  }
+
+  const parsed = ExportQuerySchema.parse(query);
+  const from = parseTimeBound(parsed.from);
+  const to = parseTimeBound(parsed.to, 'to');
+  if (from >= to) {
+    throw new Error('`from` must be earlier than `to`');
+  }
+
+  return {
+    table: table as ExportTable,
+    format: parsed.format,
+    region: parsed.region,
+    from,
+    to
+  };
+}
+
+function buildWhere(request: ExportRequest): { sql: string; binds: unknown[] } {
+  const timeColumn = getTimeColumn(request.table);
+  const clauses = [`${timeColumn} > ?`, `${timeColumn} <= ?`];
+  const binds: unknown[] = [request.from, request.to];
+
+  const regionClause = request.region ? getRegionClause(request.table) : null;
+  if (regionClause) {
+    clauses.push(regionClause.sql);
+    for (let i = 0; i < regionClause.params; i++) {
+      binds.push(request.region);
+    }
+  }
+
+  return { sql: clauses.join(' AND '), binds };
+}
+
+export async function countExportRows(db: D1Database, request: ExportRequest): Promise<number> {
+  const where = buildWhere(request);
+  const result = await db.prepare(`
+    SELECT COUNT(*) AS count FROM ${request.table} WHERE ${where.sql}
+  `).bind(...where.binds).first();
+  return (result?.count as number) || 0;
+}
+
+/**
+ * Page through matching rows in time order using a (time, id) keyset,
+ * so large exports never re-scan with OFFSET. Starts after `cursor` if given.
+ */
+async function* iterateRows(db: D1Database, request: ExportRequest, cursor: RowCursor | null = null): AsyncGenerator<any[]> {
+  const timeColumn = getTimeColumn(request.table);
+  const where = buildWhere(request);
+
+  while (true) {
+    const keyset = cursor ? `AND (${timeColumn} > ? OR (${timeColumn} = ? AND id > ?))` : '';
+    const keysetBinds = cursor ? [cursor.time, cursor.time, cursor.id] : [];
+
+    const result = await db.prepare(`
+      SELECT * FROM ${request.table}
+      WHERE ${where.sql} ${keyset}
+      ORDER BY ${timeColumn}, id
+      LIMIT ${PAGE_SIZE}
+    `).bind(...where.binds, ...keysetBinds).all();
+
+    const rows = result.results as any[];
+    if (rows.length === 0) return;
+
+    yield rows;
+
+    if (rows.length < PAGE_SIZE) return;
+    cursor = cursorAfter(request, rows);
+  }
+}
+
+function cursorAfter(request: ExportRequest, rows: any[]): RowCursor {
+  const last = rows[rows.length - 1];
+  return { time: last[getTimeColumn(request.table)], id: last.id };
+}
+
+function csvValue(value: unknown): string {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLines(columns: ColumnDef[], rows: any[]): string {
+  return rows
+    .map(row => columns.map(col => csvValue(row[col.name])).join(','))
+    .join('\n') + '\n';
+}
+
+/**
+ * Stream a CSV export straight to the client
+ */
+export function streamCsv(db: D1Database, request: ExportRequest): ReadableStream<Uint8Array> {
+  const columns = getExportColumns(request.table);
+  const encoder = new TextEncoder();
+  const pages = iterateRows(db, request);
+  let headerSent = false;
+
+  return new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      try {
+        if (!headerSent) {
+          headerSent = true;
+          controller.enqueue(encoder.encode(columns.map(col => col.name).join(',') + '\n'));
+          return;
+        }
+
+        const next = await pages.next();
+        if (next.done) {
+          controller.close();
+          return;
+        }
+        controller.enqueue(encoder.encode(csvLines(columns, next.value)));
+      } catch (error) {
+        controller.error(error);
+      }
+    }
+  });
+}
+
+function parquetType(column: ColumnDef): ColumnSource['type'] {
+  switch (column.type) {
+    case 'REAL':
+      return 'DOUBLE';
+    case 'INTEGER':
+      return 'INT32';
+    case 'BOOLEAN':
+      return 'BOOLEAN';
+    default:
+      return 'STRING';
+  }
+}
+
+/**
+ * Build a Parquet file in memory. Columns are typed from the schema;
+ * timestamps stay as UTC ISO strings, matching what D1 stores.
+ */
+export async function buildParquet(db: D1Database, request: ExportRequest): Promise<{ buffer: ArrayBuffer; rows: number }> {
+  const columns = getExportColumns(request.table);
+  const data: Record<string, unknown[]> = {};
+  for (const col of columns) {
+    data[col.name] = [];
+  }
+
+  let rows = 0;
+  for await (const page of iterateRows(db, request)) {
+    rows += page.length;
+    if (rows > MAX_PARQUET_ROWS) {
+      throw new Error(`Parquet exports are limited to ${MAX_PARQUET_ROWS} rows - use CSV or a shorter window`);
+    }
+    for (const row of page) {
+      for (const col of columns) {
+        const value = row[col.name];
+        data[col.name].push(value === undefined ? null : col.type === 'BOOLEAN' && value !== null ? Boolean(value) : value);
+      }
+    }
+  }
+
+  const buffer = parquetWriteBuffer({
+    columnData: columns.map(col => ({
+      name: col.name,
+      data: data[col.name],
+      type: parquetType(col)
+    })) as ColumnSource[]
+  });
+
+  return { buffer, rows };
+}
+
+export function exportFilename(request: ExportRequest): string {
+  const region = request.region ? `_${request.region}` : '';
+  const from = TimeUtil.formatAEMODate(request.from);
+  const to = TimeUtil.formatAEMODate(request.to);
+  return `${request.table}${region}_${from}_${to}.${request.format}`;
+}
+
+export function contentType(format: ExportFormat): string {
+  return format === 'csv' ? 'text/csv; charset=utf-8' : 'application/vnd.apache.parquet';
+}
+
+// Job bookkeeping (KV)
+
+function jobKey(jobId: string): string {
+  return `export:job:${jobId}`;
+}
+
+export async function getExportJob(kv: KVNamespace, jobId: string): Promise<ExportJob | null> {
+  return await kv.get(jobKey(jobId), 'json') as ExportJob | null;
+}
+
+async function saveExportJob(kv: KVNamespace, job: ExportJob): Promise<void> {
+  job.updated_at = TimeUtil.nowUTC();
+  await kv.put(jobKey(job.id), JSON.stringify(job), { expirationTtl: JOB_TTL });
+}
+
+async function createExportJob(kv: KVNamespace, userId: string, request: ExportRequest): Promise<ExportJob> {
+  const id = crypto.randomUUID();
+  const now = TimeUtil.nowUTC();
+  const job: ExportJob = {
+    id,
+    user_id: userId,
+    status: 'queued',
+    request,
+    rows: 0,
+    bytes: 0,
+    r2_key: `exports/${now.split('T')[0]}/${id}/${exportFilename(request)}`,
+    created_at: now,
+    updated_at: now
+  };
+  await saveExportJob(kv, job);
+  return job;
+}
+
+// Create the job record and hand it to its runner
+export async function startExportJob(env: Env, userId: string, request: ExportRequest): Promise<ExportJob> {
+  const job = await createExportJob(env.CACHE, userId, request);
+  const runner = env.EXPORT_JOBS.get(env.EXPORT_JOBS.idFromName(job.id));
+  await runner.fetch('http://export-jobs/start', { method: 'POST', body: JSON.stringify(job) });
+  return job;
+}
+
+function exportMetadata(job: ExportJob): R2PutOptions {
+  return {
+    httpMetadata: {
+      contentType: contentType(job.request.format),
+      contentDisposition: `attachment; filename="${exportFilename(job.request)}"`
+    },
+    customMetadata: {
+      table: job.request.table,
+      region: job.request.region || 'ALL',
+      from: job.request.from,
+      to: job.request.to,
+      user_id: job.user_id
+    }
+  };
+}
+
+// Export Job Runner Durable Object - one instance per job (idFromName(jobId))
+export class ExportJobRunner {
+  state: DurableObjectState;
+  env: Env;
+
+  constructor(state: DurableObjectState, env: Env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request: Request): Promise<Response> {
+    const url = new URL(request.url);
+
+    if (url.pathname === '/start' && request.method === 'POST') {
+      const job = await request.json() as ExportJob;
+      await this.state.storage.put('job', job);
+      await this.state.storage.setAlarm(Date.now());
+      return Response.json({ started: job.id });
+    }
+
+    return new Response('Not found', { status: 404 });
+  }
+
+  async alarm(): Promise<void> {
+    const job = await this.state.storage.get<ExportJob>('job');
+    if (!job || job.status === 'completed' || job.status === 'failed') {
+      return;
+    }
+
+    try {
+      job.status = 'running';
+      const done = job.request.format === 'parquet'
+        ? await this.writeParquet(job)
+        : await this.writeCsvBatch(job);
+
+      if (done) {
+        job.status = 'completed';
+        await this.state.storage.deleteAll();
+      } else {
+        await this.state.storage.put('job', job);
+        await this.state.storage.setAlarm(Date.now());
+      }
+    } catch (error: any) {
+      console.error(`Export job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message || 'Unknown error';
+      const upload = await this.state.storage.get<CsvUpload>('upload');
+      if (upload) {
+        await this.env.ARCHIVE.resumeMultipartUpload(job.r2_key, upload.uploadId).abort().catch(() => {});
+      }
+      await this.state.storage.deleteAll();
+    }
+
+    await saveExportJob(this.env.CACHE, job);
+  }
+
+  // Parquet is assembled in memory (capped at MAX_PARQUET_ROWS), so it's written in one go
+  private async writeParquet(job: ExportJob): Promise<boolean> {
+    const { buffer, rows } = await buildParquet(this.env.DB, job.request);
+    await this.env.ARCHIVE.put(job.r2_key, buffer, exportMetadata(job));
+    job.rows = rows;
+    job.bytes = buffer.byteLength;
+    return true;
+  }
+
+  /**
+   * Write CSV until the batch budget runs out. The upload, the bytes short
+   * of a full part and the cursor past the rows they hold are kept in
+   * storage for the next alarm.
+   */
+  private async writeCsvBatch(job: ExportJob): Promise<boolean> {
+    const columns = getExportColumns(job.request.table);
+
+    let progress = await this.state.storage.get<CsvUpload>('upload');
+    let writer: PartWriter;
+    if (progress) {
+      writer = new PartWriter(this.state.storage, this.env.ARCHIVE, job.r2_key, progress);
+      await writer.open();
+    } else {
+      // Saved with the header, so a retried alarm can't start without it
+      progress = { ...await startPartUpload(this.env.ARCHIVE, job.r2_key, exportMetadata(job)), cursor: null };
+      writer = new PartWriter(this.state.storage, this.env.ARCHIVE, job.r2_key, progress);
+      job.bytes += await writer.write(columns.map(col => col.name).join(',') + '\n');
+      await writer.save({ upload: progress });
+    }
+
+    const started = Date.now();
+    for await (const page of iterateRows(this.env.DB, job.request, progress.cursor)) {
+      job.bytes += await writer.write(csvLines(columns, page));
+      job.rows += page.length;
+      progress.cursor = cursorAfter(job.request, page);
+
+      if (Date.now() - started >= BATCH_BUDGET_MS) {
+        await writer.save({ upload: progress });
+        return false;
+      }
+    }
+
+    await writer.complete();
+    return true;
+  }
+}
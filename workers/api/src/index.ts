@@ -1,8 +1,123 @@
 // API Gateway Worker - Serves all data to frontend apps
-import { Hono } from 'hono';
+import { Hono, type Context } from 'hono';
 import { cors } from 'hono/cors';
 import { bearerAuth } from 'hono/bearer-auth';
+import { ZodError } from 'zod';
 import { CacheManager, RequestCoalescer } from './cache-manager';
+import {
+  parsePriceHistoryQuery,
+  queryPriceHistory,
+  estimatePoints,
+  MAX_POINTS,
+  type PriceHistoryOptions
+} from './price-history';
+import {
+  EXPORTABLE_TABLES,
+  DIRECT_EXPORT_ROW_LIMIT,
+  getExportColumns,
+  parseExportRequest,
+  countExportRows,
+  streamCsv,
+  buildParquet,
+  startExportJob,
+  getExportJob,
+  exportFilename,
+  contentType,
+  type ExportRequest
+} from './exports';
+import { requirePermission, normaliseRole, type Role, type Permission } from './rbac';
+import { rateLimit, rateLimitSubject, getUsage } from './rate-limit';
+import {
+  MAX_OPTIMISE_DAYS,
+  MAX_OPTIMISE_INTERVALS,
+  parseOptimiseRequest,
+  loadOptimisePrices,
+  runOptimisation,
+  optimiseResponse,
+  type OptimiseRequest,
+  type PriceSeries
+} from './bess';
+import type { DpResult } from '../../../shared/bess/dp-optimizer';
+import {
+  RunListQuerySchema,
+  RunLabelSchema,
+  RerunSchema,
+  saveRun,
+  listRuns,
+  getRun,
+  getRunResult,
+  setRunLabel,
+  deleteRun,
+  rerunRequest,
+  compareRuns,
+  runResponse,
+  type RunListQuery
+} from './bess-runs';
+import { jobHorizon, startBessJob, getBessJob, jobResponse } from './bess-jobs';
+import {
+  parseStochasticRequest,
+  loadScenarios,
+  runStochastic,
+  stochasticResponse,
+  type ScenarioSet,
+  type StochasticRequest
+} from './bess-scenarios';
+import type { StochasticResult } from '../../../shared/bess/stochastic-optimizer';
+import {
+  parseSiteRequest,
+  loadSiteSeries,
+  runSite,
+  siteResponse,
+  type SiteRequest,
+  type SiteSeries
+} from './bess-site';
+import type { SiteResult } from '../../../shared/bess/site-optimizer';
+import {
+  parsePortfolioRequest,
+  applyPortfolioLossFactors,
+  loadPortfolioPrices,
+  runPortfolio,
+  portfolioResponse,
+  type PortfolioRequest,
+  type PortfolioSeries
+} from './bess-portfolio';
+import type { PortfolioResult } from '../../../shared/bess/portfolio-optimizer';
+import { parseMdff, type MdffFile } from './mdff-parser';
+import {
+  MAX_METER_FILE_BYTES,
+  MeterSeriesQuerySchema,
+  UploadListQuerySchema,
+  saveMeterData,
+  listMeters,
+  listUploads,
+  uploadResponse,
+  meterSeries,
+  seriesResponse,
+  type MeterSeries,
+  type MeterSeriesQuery,
+  type UploadListQuery
+} from './meter-data';
+import { parseLossFactors, type LossFactorFile } from './loss-factor-parser';
+import {
+  MAX_LOSS_FACTOR_FILE_BYTES,
+  FinancialYearSchema,
+  LossFactorQuerySchema,
+  LossFactorImportQuerySchema,
+  importLossFactors,
+  listLossFactorVersions,
+  versionResponse,
+  queryLossFactors,
+  applyLossFactors,
+  type LossFactorQuery
+} from './loss-factors';
+import { type AuditEvent, writeAudit, auditRequestContext } from '../../../shared/audit/audit-log';
+import {
+  type AccessTokenClaims,
+  hasKeySet,
+  parseKeySet,
+  verifyJwt,
+  isRevoked
+} from '../../../shared/auth/jwt';
 
 export interface Env {
   DB: D1Database;
@@ -10,12 +125,32 @@ export interface Env {
   ARCHIVE: R2Bucket;
   AUTH_WORKER: Service;
   TRADING_ROOM: DurableObjectNamespace;
+  RATE_LIMITER: DurableObjectNamespace;
+  BESS_JOBS: DurableObjectNamespace;
+  EXPORT_JOBS: DurableObjectNamespace;
+  SCRAPER?: Service;
+  SCRAPER_ADMIN_TOKEN?: string;
+  AUTH_DB?: D1Database; // sunney-auth, for writing audit_log
+  JWT_KEYS?: string;    // Same key set as the auth worker; JWTs are verified locally
+  JWT_SECRET?: string;  // Single-key alternative to JWT_KEYS
+  JWT_CACHE?: KVNamespace; // Auth worker's KV; only the token revocation list is read
 }
 
+// Values set by the auth middleware for downstream handlers
+export interface Variables {
+  userId: string;
+  email: string;
+  role: Role;
+  scopes?: Permission[];
+  apiKeyId?: number;
+}
+
+type AppEnv = { Bindings: Env; Variables: Variables };
+
 // Global request coalescer instance
 const coalescer = new RequestCoalescer();
 
-const app = new Hono<{ Bindings: Env }>();
+const app = new Hono<AppEnv>();
 
 // CORS configuration
 app.use('*', cors({
@@ -24,24 +159,53 @@ app.use('*', cors({
 }));
 
 // Authentication middleware for all /api routes
+// Accepts a Bearer JWT or, for scripts and scheduled jobs, an X-API-Key
 app.use('/api/*', async (c, next) => {
   const authHeader = c.req.header('Authorization');
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  const apiKey = c.req.header('X-API-Key');
+  
+  if (!apiKey && (!authHeader || !authHeader.startsWith('Bearer '))) {
     return c.json({ error: 'Unauthorized - no token provided' }, 401);
   }
   
-  const token = authHeader.substring(7);
+  // JWTs are checked locally against the key set shared with the auth worker
+  if (!apiKey && hasKeySet(c.env)) {
+    let claims: AccessTokenClaims;
+    try {
+      claims = await verifyJwt(authHeader!.substring(7), parseKeySet(c.env));
+      if (!claims.sid) {
+        throw new Error('Token has no session');
+      }
+      if (c.env.JWT_CACHE && await isRevoked(c.env.JWT_CACHE, claims)) {
+        throw new Error('Token revoked');
+      }
+    } catch (error: any) {
+      return c.json({ error: 'Invalid token', details: error.message }, 401);
+    }
+    
+    c.set('userId', claims.userId);
+    c.set('email', claims.email);
+    c.set('role', normaliseRole(claims.role));
+    await next();
+    return;
+  }
   
   try {
-    // Verify token with auth worker via service binding
+    // API keys need the auth database, so they are verified by the auth worker
+    // (as are JWTs if this worker has no key set configured)
     const authResponse = await c.env.AUTH_WORKER.fetch(
-      new Request('http://auth-worker/auth/verify', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`
-          // No body or Content-Type needed for verification
-        }
-      })
+      apiKey
+        ? new Request('http://auth-worker/auth/api-keys/verify', {
+            method: 'POST',
+            headers: { 'X-API-Key': apiKey }
+          })
+        : new Request('http://auth-worker/auth/verify', {
+            method: 'POST',
+            headers: {
+              'Authorization': `Bearer ${authHeader!.substring(7)}`
+              // No body or Content-Type needed for verification
+            }
+          })
     );
     
     if (!authResponse.ok) {
@@ -64,6 +228,13 @@ app.use('/api/*', async (c, next) => {
     
     c.set('userId', authData.userId);
     c.set('email', authData.email);
+    c.set('role', normaliseRole(authData.role));
+    
+    // API keys are limited to their scopes; JWT sessions get the role's full permissions
+    if (apiKey) {
+      c.set('scopes', authData.scopes || []);
+      c.set('apiKeyId', authData.keyId);
+    }
     
     await next();
   } catch (error: any) {
@@ -75,6 +246,17 @@ app.use('/api/*', async (c, next) => {
   }
 });
 
+// Token-bucket limits per user or API key and route class (see rate-limit.ts)
+app.use('/api/*', rateLimit());
+
+// Market data routes; matters for API keys without the market:read scope
+app.use('/api/prices/*', requirePermission('market:read'));
+app.use('/api/forward/*', requirePermission('market:read'));
+app.use('/api/fcas/*', requirePermission('market:read'));
+app.use('/api/demand/*', requirePermission('market:read'));
+app.use('/api/export/*', requirePermission('market:read'));
+app.use('/api/ingestion/*', requirePermission('market:read'));
+
 // Health check (no auth required)
 app.get('/health', (c) => {
   return c.json({ 
@@ -96,6 +278,10 @@ app.get('/', (c) => {
       demand: '/api/demand',
       trading: '/api/trading',
       bess: '/api/bess',
+      export: '/api/export',
+      ingestion: '/api/ingestion',
+      meterData: '/api/meter-data',
+      lossFactors: '/api/loss-factors',
       websocket: '/api/ws'
     }
   });
@@ -159,29 +345,56 @@ app.get('/api/prices/latest', async (c) => {
 });
 
 // Historical prices
+// Supports from/to bounds, resolution (5m, 30m, hourly, daily) and server-side
+// aggregation; `hours` remains as a shorthand for a window ending now
+app.get('/api/prices/history', async (c) => {
+  return handlePriceHistory(c);
+});
+
 app.get('/api/prices/history/:region', async (c) => {
-  const region = c.req.param('region').toUpperCase();
-  const hours = parseInt(c.req.query('hours') || '24');
-  
-  const result = await c.env.DB.prepare(`
-    SELECT 
-      price,
-      demand,
-      settlement_date
-    FROM dispatch_prices
-    WHERE region = ?
-      AND settlement_date > datetime('now', '-${hours} hours')
-    ORDER BY settlement_date DESC
-  `).bind(region).all();
-  
-  return c.json({
-    region,
-    hours,
-    count: result.results.length,
-    data: result.results
-  });
+  return handlePriceHistory(c, c.req.param('region'));
 });
 
+async function handlePriceHistory(c: Context<AppEnv>, pathRegion?: string) {
+  let options: PriceHistoryOptions;
+  try {
+    options = parsePriceHistoryQuery(c.req.query(), pathRegion);
+  } catch (error: any) {
+    return c.json({
+      error: 'Invalid price history query',
+      details: error instanceof ZodError ? error.issues : error.message
+    }, 400);
+  }
+
+  const points = estimatePoints(options);
+  if (points > MAX_POINTS) {
+    return c.json({
+      error: 'Query too large - narrow the time range or use a coarser resolution',
+      estimated_points: points,
+      max_points: MAX_POINTS
+    }, 400);
+  }
+
+  const result = await queryPriceHistory(c.env.DB, options);
+  const hours = c.req.query('hours');
+
+  if (pathRegion) {
+    const region = options.regions[0];
+    return c.json({
+      region,
+      ...(hours ? { hours: parseFloat(hours) } : {}),
+      from: result.from,
+      to: result.to,
+      resolution: result.resolution,
+      stats: result.stats,
+      count: result.series[region].length,
+      data: result.series[region]
+    });
+  }
+
+  return c.json(result);
+}
+
 // Forward prices with tiered caching and coalescing
 app.get('/api/forward/:region', async (c) => {
   const region = c.req.param('region').toUpperCase();
@@ -333,7 +546,7 @@ app.get('/api/demand/forecast', async (c) => {
 });
 
 // Trading endpoints
-app.get('/api/trading/positions', async (c) => {
+app.get('/api/trading/positions', requirePermission('trading:read'), async (c) => {
   const userId = c.get('userId');
   
   const result = await c.env.DB.prepare(`
@@ -359,7 +572,7 @@ app.get('/api/trading/positions', async (c) => {
   });
 });
 
-app.post('/api/trading/position', async (c) => {
+app.post('/api/trading/position', requirePermission('trading:write'), async (c) => {
   const userId = c.get('userId');
   const body = await c.req.json();
   
@@ -376,13 +589,24 @@ app.post('/api/trading/position', async (c) => {
     body.quantity
   ).first();
   
+  audit(c, {
+    action: 'position_opened',
+    resource: `position:${result.id}`,
+    details: {
+      region: body.region,
+      position_type: body.position_type,
+      entry_price: body.entry_price,
+      quantity: body.quantity
+    }
+  });
+  
   return c.json({
     success: true,
     position_id: result.id
   });
 });
 
-app.post('/api/trading/close/:id', async (c) => {
+app.post('/api/trading/close/:id', requirePermission('trading:write'), async (c) => {
   const userId = c.get('userId');
   const positionId = c.req.param('id');
   const body = await c.req.json();
@@ -410,70 +634,659 @@ app.post('/api/trading/close/:id', async (c) => {
     WHERE id = ? AND user_id = ?
   `).bind(body.exit_price, pnl, positionId, userId).run();
   
+  audit(c, {
+    action: 'position_closed',
+    resource: `position:${positionId}`,
+    details: { exit_price: body.exit_price, pnl }
+  });
+  
   return c.json({
     success: true,
     pnl
   });
 });
 
-// BESS optimization endpoint
-app.post('/api/bess/optimize', async (c) => {
-  const body = await c.req.json();
-  const { region, capacity_mwh, power_mw, efficiency, start_date, end_date } = body;
+// BESS optimization endpoint (runs are saved to the history below)
+app.post('/api/bess/optimize', requirePermission('bess:run'), async (c) => {
+  let request: OptimiseRequest;
+  try {
+    request = parseOptimiseRequest(await c.req.json());
+  } catch (error: any) {
+    return c.json({
+      error: 'Invalid optimisation request',
+      details: error instanceof ZodError ? error.issues : error.message
+    }, 400);
+  }
   
-  // Get historical prices for optimization
-  const prices = await c.env.DB.prepare(`
-    SELECT 
-      settlement_date,
-      price
-    FROM dispatch_prices
-    WHERE region = ?
-      AND settlement_date BETWEEN ? AND ?
-    ORDER BY settlement_date
-  `).bind(region, start_date, end_date).all();
-  
-  // Simple optimization logic (charge when cheap, discharge when expensive)
-  const priceArray = prices.results.map(p => p.price);
-  const avgPrice = priceArray.reduce((a, b) => a + b, 0) / priceArray.length;
-  
-  let soc = capacity_mwh / 2; // Start at 50% state of charge
-  let revenue = 0;
-  const operations = [];
-  
-  for (const period of prices.results) {
-    if (period.price < avgPrice * 0.8 && soc < capacity_mwh * 0.9) {
-      // Charge
-      const chargeAmount = Math.min(power_mw / 12, capacity_mwh - soc);
-      soc += chargeAmount * efficiency;
-      revenue -= period.price * chargeAmount;
-      operations.push({
-        time: period.settlement_date,
-        action: 'CHARGE',
-        mw: chargeAmount * 12,
-        price: period.price
-      });
-    } else if (period.price > avgPrice * 1.2 && soc > capacity_mwh * 0.1) {
-      // Discharge
-      const dischargeAmount = Math.min(power_mw / 12, soc);
-      soc -= dischargeAmount;
-      revenue += period.price * dischargeAmount * efficiency;
-      operations.push({
-        time: period.settlement_date,
-        action: 'DISCHARGE',
-        mw: dischargeAmount * 12,
-        price: period.price
-      });
+  return optimiseAndSave(c, request);
+});
+
+// BESS optimisation against price scenarios: policies without perfect foresight
+app.post('/api/bess/optimize/stochastic', requirePermission('bess:run'), async (c) => {
+  let request: StochasticRequest;
+  let scenarios: ScenarioSet;
+  try {
+    request = parseStochasticRequest(await c.req.json());
+    request = await applyLossFactors(c.env.DB, request, request.start_date);
+    scenarios = await loadScenarios(c.env.DB, request);
+  } catch (error: any) {
+    return c.json({
+      error: 'Invalid optimisation request',
+      details: error instanceof ZodError ? error.issues : error.message
+    }, 400);
+  }
+  
+  let result: StochasticResult;
+  try {
+    result = runStochastic(request, scenarios);
+  } catch (error: any) {
+    // Infeasible terminal SoC or a problem too large for one request
+    return c.json({ error: 'Optimisation failed', details: error.message }, 422);
+  }
+  
+  audit(c, {
+    action: 'bess_optimised',
+    resource: `bess:${request.region}`,
+    details: {
+      mode: 'stochastic',
+      region: request.region,
+      start_date: request.start_date,
+      end_date: request.end_date,
+      scenario_source: request.scenarios.source,
+      scenario_count: request.scenarios.count
+    }
+  });
+  
+  return c.json(stochasticResponse(request, scenarios, result));
+});
+
+// Behind-the-meter BESS optimisation: bill savings on a site's load profile and tariff
+app.post('/api/bess/optimize/site', requirePermission('bess:run'), async (c) => {
+  let request: SiteRequest;
+  let series: SiteSeries;
+  try {
+    request = parseSiteRequest(await c.req.json());
+    series = await loadSiteSeries(c.env.DB, c.get('userId'), request);
+  } catch (error: any) {
+    return c.json({
+      error: 'Invalid optimisation request',
+      details: error instanceof ZodError ? error.issues : error.message
+    }, 400);
+  }
+  
+  let result: SiteResult;
+  try {
+    result = runSite(request, series);
+  } catch (error: any) {
+    // Tariff gaps, an infeasible terminal SoC or a problem too large for one request
+    return c.json({ error: 'Optimisation failed', details: error.message }, 422);
+  }
+  
+  audit(c, {
+    action: 'bess_optimised',
+    resource: `bess:site:${series.nmi ?? 'custom'}`,
+    details: {
+      mode: 'site',
+      nmi: series.nmi,
+      intervals: series.times.length,
+      capacity_mwh: request.capacity_mwh,
+      power_mw: request.power_mw,
+      net_savings: result.netSavings
+    }
+  });
+  
+  return c.json(siteResponse(series, result));
+});
+
+// Several batteries dispatched together, with an optional shared connection limit and cycle budget
+app.post('/api/bess/optimize/portfolio', requirePermission('bess:run'), async (c) => {
+  let request: PortfolioRequest;
+  let series: PortfolioSeries;
+  try {
+    request = await applyPortfolioLossFactors(c.env.DB, parsePortfolioRequest(await c.req.json()));
+    series = await loadPortfolioPrices(c.env.DB, request);
+  } catch (error: any) {
+    return c.json({
+      error: 'Invalid optimisation request',
+      details: error instanceof ZodError ? error.issues : error.message
+    }, 400);
+  }
+  
+  let result: PortfolioResult;
+  try {
+    result = runPortfolio(request, series);
+  } catch (error: any) {
+    // Infeasible terminal SoC or a problem too large for one request
+    return c.json({ error: 'Optimisation failed', details: error.message }, 422);
+  }
+  
+  audit(c, {
+    action: 'bess_optimised',
+    resource: `bess:portfolio:${[...new Set(request.assets.map(a => a.region))].join(',')}`,
+    details: {
+      mode: 'portfolio',
+      assets: request.assets.length,
+      start_date: request.start_date ?? null,
+      end_date: request.end_date ?? null,
+      connection_limit_mw: request.connection_limit_mw,
+      cycle_budget: request.cycle_budget,
+      total_revenue: result.revenue
+    }
+  });
+  
+  return c.json(portfolioResponse(request, series, result));
+});
+
+// BESS run history - the caller's own runs only
+app.get('/api/bess/history', requirePermission('bess:read'), async (c) => {
+  let query: RunListQuery;
+  try {
+    query = RunListQuerySchema.parse(c.req.query());
+  } catch (error: any) {
+    return c.json({ error: 'Invalid query', details: error.issues ?? error.message }, 400);
+  }
+  
+  const { runs, total } = await listRuns(c.env.DB, c.get('userId'), query);
+  
+  return c.json({
+    limit: query.limit,
+    offset: query.offset,
+    total,
+    count: runs.length,
+    runs: runs.map(runResponse)
+  });
+});
+
+app.get('/api/bess/compare', requirePermission('bess:read'), async (c) => {
+  const idA = c.req.query('a');
+  const idB = c.req.query('b');
+  if (!idA || !idB) {
+    return c.json({ error: 'Give the two run ids as ?a=&b=' }, 400);
+  }
+  
+  const [runA, runB] = await Promise.all([
+    getRun(c.env.DB, c.get('userId'), idA),
+    getRun(c.env.DB, c.get('userId'), idB)
+  ]);
+  if (!runA || !runB) {
+    return c.json({ error: 'Run not found', details: { a: !!runA, b: !!runB } }, 404);
+  }
+  
+  return c.json(compareRuns(runA, runB));
+});
+
+// Long-horizon job status (progress is also pushed as BESS_JOB_UPDATE on /api/ws)
+app.get('/api/bess/jobs/:id', requirePermission('bess:read'), async (c) => {
+  const job = await getBessJob(c.env.CACHE, c.req.param('id'));
+  if (!job || job.user_id !== c.get('userId')) {
+    return c.json({ error: 'BESS job not found' }, 404);
+  }
+  
+  return c.json(jobResponse(job));
+});
+
+app.get('/api/bess/runs/:id', requirePermission('bess:read'), async (c) => {
+  const run = await getRun(c.env.DB, c.get('userId'), c.req.param('id'));
+  if (!run) {
+    return c.json({ error: 'Run not found' }, 404);
+  }
+  
+  return c.json({
+    ...runResponse(run),
+    result: await getRunResult(c.env.ARCHIVE, run)
+  });
+});
+
+app.post('/api/bess/runs/:id/rerun', requirePermission('bess:run'), async (c) => {
+  const run = await getRun(c.env.DB, c.get('userId'), c.req.param('id'));
+  if (!run) {
+    return c.json({ error: 'Run not found' }, 404);
+  }
+  
+  let request: OptimiseRequest;
+  try {
+    const changes = RerunSchema.parse(await c.req.json().catch(() => ({})));
+    request = await rerunRequest(c.env.ARCHIVE, run, changes);
+  } catch (error: any) {
+    return c.json({
+      error: 'Invalid re-run request',
+      details: error instanceof ZodError ? error.issues : error.message
+    }, 400);
+  }
+  
+  return optimiseAndSave(c, request, run.id);
+});
+
+app.patch('/api/bess/runs/:id', requirePermission('bess:run'), async (c) => {
+  const run = await getRun(c.env.DB, c.get('userId'), c.req.param('id'));
+  if (!run) {
+    return c.json({ error: 'Run not found' }, 404);
+  }
+  
+  let label: string | null;
+  try {
+    ({ label } = RunLabelSchema.parse(await c.req.json()));
+  } catch (error: any) {
+    return c.json({
+      error: 'Invalid request',
+      details: error instanceof ZodError ? error.issues : error.message
+    }, 400);
+  }
+  
+  await setRunLabel(c.env.DB, run, label);
+  
+  return c.json({ ...runResponse(run), label });
+});
+
+app.delete('/api/bess/runs/:id', requirePermission('bess:run'), async (c) => {
+  const run = await getRun(c.env.DB, c.get('userId'), c.req.param('id'));
+  if (!run) {
+    return c.json({ error: 'Run not found' }, 404);
+  }
+  
+  await deleteRun(c.env, run);
+  
+  audit(c, {
+    action: 'bess_run_deleted',
+    resource: `bess_run:${run.id}`,
+    details: { label: run.label, region: run.region, total_revenue: run.total_revenue }
+  });
+  
+  return c.json({ success: true, deleted: run.id });
+});
+
+// Customer meter data: NEM12/NEM13 uploads, kept per user
+app.post('/api/meter-data', requirePermission('meter:data'), async (c) => {
+  if (Number(c.req.header('content-length') ?? 0) > MAX_METER_FILE_BYTES) {
+    return c.json({ error: 'File too large', details: `At most ${MAX_METER_FILE_BYTES} bytes` }, 413);
+  }
+  
+  let text: string;
+  let filename: string | null = c.req.query('filename') ?? null;
+  let file: MdffFile;
+  try {
+    if ((c.req.header('content-type') ?? '').includes('multipart/form-data')) {
+      const upload = (await c.req.parseBody()).file;
+      if (!(upload instanceof File)) {
+        throw new Error('Send the meter data file in a "file" field');
+      }
+      text = await upload.text();
+      filename = filename ?? (upload.name || null);
+    } else {
+      text = await c.req.text();
+    }
+    if (text.length > MAX_METER_FILE_BYTES) {
+      return c.json({ error: 'File too large', details: `At most ${MAX_METER_FILE_BYTES} bytes` }, 413);
+    }
+    file = parseMdff(text);
+  } catch (error: any) {
+    return c.json({ error: 'Invalid meter data file', details: error.message }, 400);
+  }
+  
+  const upload = await saveMeterData(c.env, c.get('userId'), filename, text, file);
+  
+  audit(c, {
+    action: 'meter_data_uploaded',
+    resource: `meter_upload:${upload.id}`,
+    details: { filename, format: file.format, nmis: upload.nmis, days: upload.days }
+  });
+  
+  return c.json({ success: true, upload: uploadResponse(upload) });
+});
+
+app.get('/api/meter-data', requirePermission('meter:read'), async (c) => {
+  const meters = await listMeters(c.env.DB, c.get('userId'));
+  
+  return c.json({ count: meters.length, meters });
+});
+
+app.get('/api/meter-data/uploads', requirePermission('meter:read'), async (c) => {
+  let query: UploadListQuery;
+  try {
+    query = UploadListQuerySchema.parse(c.req.query());
+  } catch (error: any) {
+    return c.json({ error: 'Invalid query', details: error.issues ?? error.message }, 400);
+  }
+  
+  const { uploads, total } = await listUploads(c.env.DB, c.get('userId'), query);
+  
+  return c.json({
+    limit: query.limit,
+    offset: query.offset,
+    total,
+    count: uploads.length,
+    uploads: uploads.map(uploadResponse)
+  });
+});
+
+// Consumption and generation for one NMI at 5 or 30 minutes, on the NEM interval grid
+app.get('/api/meter-data/:nmi/series', requirePermission('meter:read'), async (c) => {
+  let query: MeterSeriesQuery;
+  let series: MeterSeries | null;
+  try {
+    query = MeterSeriesQuerySchema.parse(c.req.query());
+    series = await meterSeries(c.env.DB, c.get('userId'), c.req.param('nmi'), query);
+  } catch (error: any) {
+    return c.json({
+      error: 'Invalid query',
+      details: error instanceof ZodError ? error.issues : error.message
+    }, 400);
+  }
+  if (!series) {
+    return c.json({ error: 'No meter data for that NMI' }, 404);
+  }
+  
+  return c.json(seriesResponse(series));
+});
+
+// Loss factors (MLF/DLF) by connection point and DUID; each import is a new version of its financial year
+app.post('/api/loss-factors', requirePermission('market:admin'), async (c) => {
+  if (Number(c.req.header('content-length') ?? 0) > MAX_LOSS_FACTOR_FILE_BYTES) {
+    return c.json({ error: 'File too large', details: `At most ${MAX_LOSS_FACTOR_FILE_BYTES} bytes` }, 413);
+  }
+  
+  let text: string;
+  let filename: string | null;
+  let file: LossFactorFile;
+  try {
+    const query = LossFactorImportQuerySchema.parse(c.req.query());
+    filename = query.filename ?? null;
+    if ((c.req.header('content-type') ?? '').includes('multipart/form-data')) {
+      const upload = (await c.req.parseBody()).file;
+      if (!(upload instanceof File)) {
+        throw new Error('Send the loss factor file in a "file" field');
+      }
+      text = await upload.text();
+      filename = filename ?? (upload.name || null);
+    } else {
+      text = await c.req.text();
+    }
+    if (text.length > MAX_LOSS_FACTOR_FILE_BYTES) {
+      return c.json({ error: 'File too large', details: `At most ${MAX_LOSS_FACTOR_FILE_BYTES} bytes` }, 413);
     }
+    file = parseLossFactors(text, query.financial_year ?? null);
+  } catch (error: any) {
+    return c.json({
+      error: 'Invalid loss factor file',
+      details: error instanceof ZodError ? error.issues : error.message
+    }, 400);
   }
   
+  const version = await importLossFactors(c.env, c.get('userId'), filename, text, file);
+  
+  audit(c, {
+    action: 'loss_factors_imported',
+    resource: `loss_factors:${version.financial_year}:${version.version}`,
+    details: { filename, format: file.format, entries: version.entries, skipped: file.skipped }
+  });
+  
+  return c.json({ success: true, version: versionResponse(version), skipped: file.skipped });
+});
+
+app.get('/api/loss-factors', requirePermission('market:read'), async (c) => {
+  let query: LossFactorQuery;
+  try {
+    query = LossFactorQuerySchema.parse(c.req.query());
+  } catch (error: any) {
+    return c.json({ error: 'Invalid query', details: error.issues ?? error.message }, 400);
+  }
+  
+  const { financial_year, total, entries } = await queryLossFactors(c.env.DB, query);
+  
   return c.json({
-    total_revenue: revenue,
-    operations_count: operations.length,
-    operations: operations.slice(0, 100), // Limit response size
-    avg_price: avgPrice
+    financial_year,
+    version: query.version ?? null,
+    limit: query.limit,
+    offset: query.offset,
+    total,
+    count: entries.length,
+    entries
   });
 });
 
+app.get('/api/loss-factors/versions', requirePermission('market:read'), async (c) => {
+  let financialYear: string | undefined;
+  try {
+    financialYear = FinancialYearSchema.optional().parse(c.req.query('financial_year'));
+  } catch (error: any) {
+    return c.json({ error: 'Invalid query', details: error.issues ?? error.message }, 400);
+  }
+  
+  const versions = await listLossFactorVersions(c.env.DB, financialYear);
+  
+  return c.json({ count: versions.length, versions: versions.map(versionResponse) });
+});
+
+// NEMWEB ingestion ledger (written by the scraper's processed_files table)
+app.get('/api/ingestion/summary', async (c) => {
+  const result = await c.env.DB.prepare(`
+    SELECT
+      report,
+      COUNT(*) AS files,
+      SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END) AS succeeded,
+      SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failed,
+      SUM(CASE WHEN status = 'processing' THEN 1 ELSE 0 END) AS processing,
+      SUM(row_count) AS rows,
+      MAX(CASE WHEN status = 'success' THEN filename END) AS latest_file,
+      MAX(completed_at) AS last_completed_at
+    FROM processed_files
+    GROUP BY report
+    ORDER BY report
+  `).all();
+
+  return c.json({
+    timestamp: new Date().toISOString(),
+    reports: result.results
+  });
+});
+
+app.get('/api/ingestion/files', async (c) => {
+  const report = c.req.query('report');
+  const status = c.req.query('status');
+  const limit = Math.min(Math.max(parseInt(c.req.query('limit') || '100') || 100, 1), 1000);
+  const offset = Math.max(parseInt(c.req.query('offset') || '0') || 0, 0);
+
+  if (status && !['processing', 'success', 'failed'].includes(status)) {
+    return c.json({ error: 'status must be processing, success or failed' }, 400);
+  }
+
+  const conditions: string[] = [];
+  const params: any[] = [];
+  if (report) {
+    conditions.push('report = ?');
+    params.push(report);
+  }
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const result = await c.env.DB.prepare(`
+    SELECT report, filename, status, row_count, error, attempts, started_at, completed_at
+    FROM processed_files
+    ${where}
+    ORDER BY started_at DESC
+    LIMIT ? OFFSET ?
+  `).bind(...params, limit, offset).all();
+
+  return c.json({
+    report: report ?? null,
+    status: status ?? null,
+    limit,
+    offset,
+    count: result.results.length,
+    files: result.results
+  });
+});
+
+// Market data exports (CSV / Parquet)
+// Small windows stream directly; larger ones become an R2-backed job
+app.get('/api/export/tables', (c) => {
+  return c.json({
+    tables: EXPORTABLE_TABLES.map(table => ({
+      table,
+      columns: getExportColumns(table)
+    })),
+    formats: ['csv', 'parquet'],
+    direct_row_limit: DIRECT_EXPORT_ROW_LIMIT
+  });
+});
+
+app.get('/api/export/jobs/:id', async (c) => {
+  const job = await getExportJob(c.env.CACHE, c.req.param('id'));
+  if (!job || job.user_id !== c.get('userId')) {
+    return c.json({ error: 'Export job not found' }, 404);
+  }
+
+  return c.json({
+    ...job,
+    download_url: job.status === 'completed' ? `/api/export/jobs/${job.id}/download` : null
+  });
+});
+
+app.get('/api/export/jobs/:id/download', async (c) => {
+  const job = await getExportJob(c.env.CACHE, c.req.param('id'));
+  if (!job || job.user_id !== c.get('userId')) {
+    return c.json({ error: 'Export job not found' }, 404);
+  }
+  if (job.status !== 'completed') {
+    return c.json({ error: `Export job is ${job.status}` }, 409);
+  }
+
+  const object = await c.env.ARCHIVE.get(job.r2_key);
+  if (!object) {
+    return c.json({ error: 'Export file no longer available' }, 410);
+  }
+
+  return new Response(object.body, {
+    headers: {
+      'Content-Type': contentType(job.request.format),
+      'Content-Disposition': `attachment; filename="${exportFilename(job.request)}"`,
+      'Content-Length': String(object.size)
+    }
+  });
+});
+
+app.get('/api/export/:table', async (c) => {
+  let request: ExportRequest;
+  try {
+    request = parseExportRequest(c.req.param('table'), c.req.query());
+  } catch (error: any) {
+    return c.json({
+      error: 'Invalid export request',
+      details: error instanceof ZodError ? error.issues : error.message
+    }, 400);
+  }
+
+  const rows = await countExportRows(c.env.DB, request);
+  const forceJob = c.req.query('async') === 'true';
+
+  if (forceJob || rows > DIRECT_EXPORT_ROW_LIMIT) {
+    const job = await startExportJob(c.env, c.get('userId'), request);
+
+    return c.json({
+      job_id: job.id,
+      status: job.status,
+      estimated_rows: rows,
+      status_url: `/api/export/jobs/${job.id}`
+    }, 202);
+  }
+
+  const headers = {
+    'Content-Type': contentType(request.format),
+    'Content-Disposition': `attachment; filename="${exportFilename(request)}"`,
+    'X-Export-Rows': String(rows)
+  };
+
+  if (request.format === 'parquet') {
+    const { buffer } = await buildParquet(c.env.DB, request);
+    return new Response(buffer, { headers });
+  }
+
+  return new Response(streamCsv(c.env.DB, request), { headers });
+});
+
+// Scraper control (admin only), forwarded to the scraper worker's admin routes
+const SCRAPER_ACTIONS: Record<string, string[]> = {
+  trigger: ['POST'],
+  backfill: ['GET', 'POST', 'DELETE'],
+  replay: ['POST']
+};
+
+app.all('/api/admin/scraper/:action', requirePermission('scraper:admin'), async (c) => {
+  const action = c.req.param('action');
+  const methods = SCRAPER_ACTIONS[action];
+  if (!methods) {
+    return c.json({ error: 'Unknown scraper action' }, 404);
+  }
+  if (!methods.includes(c.req.method)) {
+    return c.json({ error: 'Method not allowed' }, 405);
+  }
+  if (!c.env.SCRAPER || !c.env.SCRAPER_ADMIN_TOKEN) {
+    return c.json({ error: 'Scraper service not configured' }, 503);
+  }
+
+  const response = await c.env.SCRAPER.fetch(new Request(`http://scraper/${action}`, {
+    method: c.req.method,
+    headers: {
+      'Authorization': `Bearer ${c.env.SCRAPER_ADMIN_TOKEN}`,
+      'Content-Type': 'application/json'
+    },
+    body: c.req.method === 'POST' ? await c.req.text() : undefined
+  }));
+
+  audit(c, {
+    action: 'scraper_action',
+    resource: `scraper:${action}`,
+    details: { method: c.req.method, status: response.status }
+  });
+
+  return new Response(response.body, {
+    status: response.status,
+    headers: { 'Content-Type': response.headers.get('Content-Type') || 'text/plain' }
+  });
+});
+
+// Rate limit usage: the caller's buckets and daily counts, plus those of their
+// API keys when AUTH_DB is bound. Admins can pass ?userId= to see another user
+app.get('/api/usage', async (c) => {
+  const requested = c.req.query('userId');
+  if (requested && requested !== c.get('userId') && c.get('role') !== 'admin') {
+    return c.json({ error: 'Forbidden', details: 'Only admins can view other users' }, 403);
+  }
+  
+  const userId = requested || c.get('userId');
+  
+  try {
+    const keys = c.env.AUTH_DB
+      ? (await c.env.AUTH_DB.prepare(
+          'SELECT id, name, key_prefix FROM api_keys WHERE user_id = ? AND is_active = 1 ORDER BY id'
+        ).bind(userId).all()).results || []
+      : [];
+    
+    const [user, ...apiKeys] = await Promise.all([
+      getUsage(c.env.RATE_LIMITER, `user:${userId}`),
+      ...keys.map(async key => ({
+        id: key.id,
+        name: key.name,
+        prefix: key.key_prefix,
+        ...await getUsage(c.env.RATE_LIMITER, `key:${key.id}`)
+      }))
+    ]);
+    
+    return c.json({
+      userId,
+      current: rateLimitSubject(c),
+      user,
+      apiKeys
+    });
+  } catch (error: any) {
+    console.error('Usage lookup error:', error);
+    return c.json({ error: 'Failed to load usage', details: error.message }, 500);
+  }
+});
+
 // WebSocket endpoint for real-time updates
 app.get('/api/ws', async (c) => {
   // Get or create Trading Room Durable Object
@@ -483,10 +1296,97 @@ app.get('/api/ws', async (c) => {
   // Forward the request to the Durable Object
   const url = new URL(c.req.url);
   url.searchParams.set('userId', c.get('userId') || 'anonymous');
+  url.searchParams.set('role', c.get('role'));
   
   return room.fetch(new Request(url, c.req.raw));
 });
 
+// Load prices, optimise and save the run; shared by optimize and rerun.
+// Region runs over MAX_OPTIMISE_DAYS (or with ?async=true) start a job instead.
+async function optimiseAndSave(c: Context<AppEnv>, request: OptimiseRequest, rerunOf: number | null = null) {
+  let series: PriceSeries;
+  try {
+    request = await applyLossFactors(c.env.DB, request, request.start_date);
+    const horizon = jobHorizon(request);
+    if (horizon && (horizon.days > MAX_OPTIMISE_DAYS || c.req.query('async') === 'true')) {
+      const job = await startBessJob(c.env, c.get('userId'), request, rerunOf);
+      
+      audit(c, {
+        action: 'bess_job_started',
+        resource: `bess_job:${job.id}`,
+        details: {
+          region: request.region,
+          start_date: request.start_date,
+          end_date: request.end_date,
+          windows: job.windows_total,
+          rerun_of: rerunOf
+        }
+      });
+      
+      return c.json(jobResponse(job), 202);
+    }
+    
+    series = await loadOptimisePrices(c.env.DB, request);
+  } catch (error: any) {
+    return c.json({ error: 'Invalid optimisation request', details: error.message }, 400);
+  }
+  
+  if (series.prices.length === 0) {
+    return c.json({ error: 'No price data for that region and date range' }, 404);
+  }
+  if (series.prices.length > MAX_OPTIMISE_INTERVALS) {
+    return c.json({
+      error: 'Horizon too long - optimise at most 14 days per request',
+      max_intervals: MAX_OPTIMISE_INTERVALS
+    }, 400);
+  }
+  
+  let result: DpResult;
+  try {
+    result = runOptimisation(request, series);
+  } catch (error: any) {
+    // Infeasible terminal SoC or a problem too large for one request
+    return c.json({ error: 'Optimisation failed', details: error.message }, 422);
+  }
+  
+  const response = optimiseResponse(request, series, result);
+  
+  // A failed save shouldn't cost the caller the result
+  let runId: number | null = null;
+  try {
+    runId = await saveRun(c.env, c.get('userId'), request, response, rerunOf);
+  } catch (error) {
+    console.error('Failed to save BESS run:', error);
+  }
+  
+  audit(c, {
+    action: 'bess_optimised',
+    resource: `bess:${request.region ?? 'custom'}`,
+    details: {
+      run_id: runId,
+      rerun_of: rerunOf,
+      capacity_mwh: request.capacity_mwh,
+      power_mw: request.power_mw,
+      start_date: request.start_date,
+      end_date: request.end_date,
+      intervals: series.prices.length,
+      total_revenue: result.revenue
+    }
+  });
+  
+  return c.json({ run_id: runId, rerun_of: rerunOf, label: request.label ?? null, ...response });
+}
+
+// Record an audit event for the current user after the response is sent
+function audit(c: Context<AppEnv>, event: Omit<AuditEvent, 'userId' | 'ip' | 'userAgent'>): void {
+  c.executionCtx.waitUntil(writeAudit(c.env.AUTH_DB, {
+    ...event,
+    userId: c.get('userId'),
+    details: c.get('apiKeyId') ? { ...event.details, apiKeyId: c.get('apiKeyId') } : event.details,
+    ...auditRequestContext(c.req.raw.headers)
+  }));
+}
+
 // 404 handler
 app.notFound((c) => {
   return c.json({ error: 'Endpoint not found' }, 404);
@@ -498,6 +1398,9 @@ app.onError((err, c) => {
   return c.json({ error: 'Internal server error' }, 500);
 });
 
-// Export Durable Object
+// Export Durable Objects
 export { TradingRoom } from './trading-room';
+export { RateLimiter } from './rate-limit';
+export { BessJobRunner } from './bess-jobs';
+export { ExportJobRunner } from './exports';
 export default app;
\ No newline at end of file
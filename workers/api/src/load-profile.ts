@@ -0,0 +1,173 @@
+/**
+ * Site Load Profiles
+ * Turns the interval data uploaded for behind-the-meter runs into a regular
+ * series of average MW per interval. Two formats are accepted:
+ *   - NEM12 or NEM13 meter data, read by mdff-parser.ts. E registers are
+ *     imports and B registers exports, so a profile from a site with solar is
+ *     its net import (negative when exporting). Reactive registers are skipped.
+ *   - CSV with a header row: time in the first column, and a kwh, kw, mwh or mw
+ *     column. Times are interval END in NEM time ("YYYY-MM-DD HH:MM[:SS]"), or
+ *     ISO timestamps with an offset.
+ *
+ * Profiles must be gap-free at 5, 15, 30 or 60 minutes.
+ */
+
+import { TimeUtil } from '../../../shared/utils/time';
+import { parseMdff } from './mdff-parser';
+
+export const PROFILE_INTERVAL_MINUTES = [5, 15, 30, 60];
+
+export interface LoadProfile {
+  format: 'mdff' | 'csv';
+  intervalMinutes: number;
+  times: string[];          // interval end, UTC ISO
+  mw: number[];             // average over the interval
+  nmi: string | null;       // meter data only
+}
+
+const MINUTE_MS = 60 * 1000;
+
+// Value columns a CSV may use: MW per unit, and whether the unit is energy
+const CSV_COLUMNS: Record<string, { scale: number; energy: boolean }> = {
+  kwh: { scale: 1e-3, energy: true },
+  mwh: { scale: 1, energy: true },
+  kw: { scale: 1e-3, energy: false },
+  mw: { scale: 1, energy: false }
+};
+
+export function parseLoadProfile(text: string): LoadProfile {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) {
+    throw new Error('Load profile is empty');
+  }
+  return /^(100|200|250),/.test(lines[0])
+    ? parseMeterData(text)
+    : parseCsv(lines);
+}
+
+function parseMeterData(text: string): LoadProfile {
+  const file = parseMdff(text);
+  const energy = new Map<number, number>();    // interval end (ms) -> net MWh
+  const nmis = new Set(file.days.map(day => day.nmi));
+  const lengths = new Set(file.days.map(day => day.intervalMinutes));
+
+  if (nmis.size > 1) {
+    throw new Error(`Load profile covers several NMIs (${[...nmis].join(', ')}); upload one at a time`);
+  }
+  if (lengths.size > 1) {
+    throw new Error(`${file.format} registers have different interval lengths`);
+  }
+  for (const day of file.days) {
+    const dayStart = Date.parse(TimeUtil.parseAEMOToUTC(`${day.date} 00:00:00`));
+    const sign = day.flow === 'consumption' ? 1 : -1;
+    day.kwh.forEach((kwh, n) => {
+      const end = dayStart + (n + 1) * day.intervalMinutes * MINUTE_MS;
+      energy.set(end, (energy.get(end) ?? 0) + sign * kwh / 1000);
+    });
+  }
+
+  const intervalMinutes = [...lengths][0];
+  const hours = intervalMinutes / 60;
+  return { format: 'mdff', ...regularise(energy, intervalMinutes, mwh => mwh / hours, [...nmis][0]) };
+}
+
+// A CSV time: NEM time unless it carries an offset
+function parseCsvTime(value: string): number {
+  const cleaned = value.replace(/"/g, '').trim();
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(cleaned)) {
+    return Date.parse(cleaned);
+  }
+  const withSeconds = cleaned.replace('T', ' ').replace(/ (\d{1,2}:\d{2})$/, ' $1:00');
+  return /^\d{4}[-/]\d{2}[-/]\d{2} \d{1,2}:\d{2}:\d{2}$/.test(withSeconds)
+    ? Date.parse(TimeUtil.parseAEMOToUTC(withSeconds))
+    : NaN;
+}
+
+function parseCsv(lines: string[]): LoadProfile {
+  const header = lines[0].split(',').map(h => h.replace(/"/g, '').trim().toLowerCase());
+  const column = header.findIndex((h, i) => i > 0 && CSV_COLUMNS[h]);
+  if (column < 0) {
+    throw new Error('CSV load profile needs a header row with a time column and a kwh, kw, mwh or mw column');
+  }
+  const unit = CSV_COLUMNS[header[column]];
+
+  const values = new Map<number, number>();
+  for (const line of lines.slice(1)) {
+    const fields = line.split(',');
+    const time = parseCsvTime(fields[0]);
+    const value = Number(fields[column]);
+    if (!Number.isFinite(time) || fields[column] === undefined || fields[column].trim() === '' || !Number.isFinite(value)) {
+      throw new Error(`Unreadable CSV row: ${line}`);
+    }
+    values.set(time, value * unit.scale);
+  }
+  if (values.size < 2) {
+    throw new Error('CSV load profile needs at least two rows');
+  }
+
+  // Interval length from the closest pair of readings
+  const sorted = [...values.keys()].sort((a, b) => a - b);
+  let stepMs = Infinity;
+  for (let n = 1; n < sorted.length; n++) {
+    stepMs = Math.min(stepMs, sorted[n] - sorted[n - 1]);
+  }
+  const intervalMinutes = stepMs / MINUTE_MS;
+  if (!PROFILE_INTERVAL_MINUTES.includes(intervalMinutes)) {
+    throw new Error(`CSV interval length must be one of ${PROFILE_INTERVAL_MINUTES.join(', ')} minutes`);
+  }
+  const hours = intervalMinutes / 60;
+  return { format: 'csv', ...regularise(values, intervalMinutes, value => unit.energy ? value / hours : value, null) };
+}
+
+// Series from the first to the last interval, refusing gaps
+function regularise(
+  values: Map<number, number>,
+  intervalMinutes: number,
+  toMW: (value: number) => number,
+  nmi: string | null
+): Omit<LoadProfile, 'format'> {
+  const ends = [...values.keys()].sort((a, b) => a - b);
+  const stepMs = intervalMinutes * MINUTE_MS;
+  const first = ends[0];
+  const count = (ends[ends.length - 1] - first) / stepMs + 1;
+  if (!Number.isInteger(count)) {
+    throw new Error(`Load profile times are not on a ${intervalMinutes}-minute grid`);
+  }
+  if (count !== ends.length) {
+    const missing = Array.from({ length: count }, (_, n) => first + n * stepMs).find(t => !values.has(t))!;
+    throw new Error(`Load profile has ${count - ends.length} missing intervals, the first ending ${new Date(missing).toISOString()}`);
+  }
+
+  return {
+    intervalMinutes,
+    times: ends.map(t => new Date(t).toISOString()),
+    mw: ends.map(t => toMW(values.get(t)!)),
+    nmi
+  };
+}
+
+/**
+ * A profile's average MW over each interval ending at `times`, e.g. an hourly
+ * solar estimate on a 30-minute load profile. The profile must cover them all.
+ */
+export function resampleProfile(profile: LoadProfile, times: string[], intervalMinutes: number): number[] {
+  const sourceMs = profile.intervalMinutes * MINUTE_MS;
+  const targetMs = intervalMinutes * MINUTE_MS;
+  const start = Date.parse(profile.times[0]) - sourceMs;
+
+  return times.map(time => {
+    const to = Date.parse(time);
+    const from = to - targetMs;
+    const first = Math.floor((from - start) / sourceMs);
+    const last = Math.ceil((to - start) / sourceMs) - 1;
+    if (first < 0 || last >= profile.mw.length) {
+      throw new Error(`Profile does not cover the interval ending ${time}`);
+    }
+    let total = 0;
+    for (let n = first; n <= last; n++) {
+      const overlap = Math.min(to, start + (n + 1) * sourceMs) - Math.max(from, start + n * sourceMs);
+      total += profile.mw[n] * overlap;
+    }
+    return total / targetMs;
+  });
+}
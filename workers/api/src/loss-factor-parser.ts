@@ -0,0 +1,357 @@
+/**
+ * AEMO Loss Factor Parser
+ * Reads the marginal (MLF) and distribution (DLF) loss factors AEMO publishes
+ * for each financial year, in either of two CSV layouts:
+ *
+ *   MLF tables: the "Marginal Loss Factors for the YYYY-YY Financial Year"
+ *     tables saved as CSV. Each table has a header row (Location, Voltage,
+ *     DUID, Connection Point ID, TNI, then an MLF column per financial year,
+ *     split into Generation and Load MLF for bidirectional units) and may be
+ *     preceded by a heading row such as "Queensland Generators". A Region
+ *     column, or the region named in the heading, sets each row's region; an
+ *     unsided MLF column under a Loads or Generators heading is that side's.
+ *     DLF columns are read where present.
+ *   MMS DUDETAILSUMMARY: the C/I/D file NEMweb publishes. TRANSMISSIONLOSSFACTOR
+ *     is the MLF (the load MLF for a LOAD unit), SECONDARY_TLF the load MLF of a
+ *     BIDIRECTIONAL unit, and DISTRIBUTIONLOSSFACTOR the DLF. Of the
+ *     registrations in force during the year, each DUID's latest is used.
+ *
+ * Rows for the same connection point and DUID are merged, so a battery listed
+ * in both the generator and load tables gets both MLFs.
+ */
+
+import { NEM_REGIONS } from './price-history';
+
+export type LossFactorFormat = 'mlf' | 'dudetailsummary';
+
+export interface LossFactorRow {
+  region: string | null;
+  connectionPoint: string;    // connection point ID or TNI; '' when only the DUID is given
+  duid: string;               // '' for points listed without a unit
+  stationName: string | null;
+  generationMlf: number | null;
+  loadMlf: number | null;
+  dlf: number | null;
+}
+
+export interface LossFactorFile {
+  format: LossFactorFormat;
+  financialYear: string;
+  rows: LossFactorRow[];
+  skipped: number;            // data rows without a key or a usable factor
+}
+
+const FINANCIAL_YEAR = /^(\d{4})-(\d{2})$/;
+
+// Loss factors outside this range are typos or a different column
+const MIN_FACTOR = 0.5;
+const MAX_FACTOR = 1.5;
+
+// Region headings and names used in the MLF tables
+const REGION_NAMES: [RegExp, typeof NEM_REGIONS[number]][] = [
+  [/^(new south wales|nsw)/, 'NSW1'],
+  [/^(victoria|vic)/, 'VIC1'],
+  [/^(queensland|qld)/, 'QLD1'],
+  [/^(south australia|sa)\b/, 'SA1'],
+  [/^(tasmania|tas)/, 'TAS1']
+];
+
+export function isFinancialYear(value: string): boolean {
+  const match = FINANCIAL_YEAR.exec(value);
+  return !!match && (Number(match[1]) + 1) % 100 === Number(match[2]);
+}
+
+// NEM day (YYYY-MM-DD) to its financial year, e.g. 2025-08-01 -> 2025-26
+export function financialYearOf(date: string): string {
+  const year = Number(date.slice(0, 4));
+  const start = Number(date.slice(5, 7)) >= 7 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+// First and last NEM day of a financial year
+export function financialYearDates(financialYear: string): { from: string; to: string } {
+  const start = Number(financialYear.slice(0, 4));
+  return { from: `${start}-07-01`, to: `${start + 1}-06-30` };
+}
+
+export function parseLossFactors(text: string, financialYear: string | null = null): LossFactorFile {
+  if (financialYear !== null && !isFinancialYear(financialYear)) {
+    throw new Error(`Invalid financial year: ${financialYear} (use YYYY-YY, e.g. 2025-26)`);
+  }
+  const records = text.split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(splitCsvLine);
+  if (records.length === 0) {
+    throw new Error('Loss factor file is empty');
+  }
+
+  const file = records.some(r => r[0] === 'I' && r[2]?.toUpperCase() === 'DUDETAILSUMMARY')
+    ? readDuDetailSummary(records, financialYear)
+    : readMlfTables(records, financialYear);
+  if (file.rows.length === 0) {
+    throw new Error(`No loss factors for ${file.financialYear} in the file`);
+  }
+  return file;
+}
+
+// Quoted fields may hold commas ("Bayswater, 330 kV") and doubled quotes
+function splitCsvLine(line: string): string[] {
+  const fields: string[] = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === ',' && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function regionOf(value: string): string | null {
+  const name = value.toLowerCase().trim();
+  const code = name.toUpperCase();
+  if ((NEM_REGIONS as readonly string[]).includes(code)) {
+    return code;
+  }
+  return REGION_NAMES.find(([pattern]) => pattern.test(name))?.[1] ?? null;
+}
+
+function factor(value: string | undefined): number | null {
+  if (!value) {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) && number >= MIN_FACTOR && number <= MAX_FACTOR ? number : null;
+}
+
+// Merges rows with the same key; later values replace earlier ones field by field
+class RowSet {
+  private rows = new Map<string, LossFactorRow>();
+  skipped = 0;
+
+  add(row: LossFactorRow): void {
+    if ((!row.connectionPoint && !row.duid) || (row.generationMlf === null && row.loadMlf === null && row.dlf === null)) {
+      this.skipped++;
+      return;
+    }
+    const key = `${row.connectionPoint}|${row.duid}`;
+    const existing = this.rows.get(key);
+    if (!existing) {
+      this.rows.set(key, row);
+      return;
+    }
+    existing.region = row.region ?? existing.region;
+    existing.stationName = row.stationName ?? existing.stationName;
+    existing.generationMlf = row.generationMlf ?? existing.generationMlf;
+    existing.loadMlf = row.loadMlf ?? existing.loadMlf;
+    existing.dlf = row.dlf ?? existing.dlf;
+  }
+
+  values(): LossFactorRow[] {
+    return [...this.rows.values()];
+  }
+}
+
+type Side = 'generation' | 'load' | null;
+
+interface MlfColumn {
+  index: number;
+  side: Side;                 // null: both, unless the table heading says otherwise
+  year: string | null;
+}
+
+interface MlfHeader {
+  region: number;
+  station: number;
+  duid: number;
+  connectionPoint: number;
+  tni: number;
+  mlf: MlfColumn[];
+  dlf: MlfColumn[];
+}
+
+function normalise(cell: string): string {
+  return cell.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function columnYear(name: string): string | null {
+  const match = /\b(20\d{2}) (\d{2}|20\d{2})\b/.exec(name);
+  return match ? `${match[1]}-${match[2].slice(-2)}` : null;
+}
+
+function columnSide(name: string): Side {
+  return /\bgen/.test(name) ? 'generation' : /\bload\b|consum/.test(name) ? 'load' : null;
+}
+
+function readHeader(record: string[]): MlfHeader | null {
+  const names = record.map(normalise);
+  const find = (pattern: RegExp) => names.findIndex(name => pattern.test(name));
+  const header: MlfHeader = {
+    region: find(/^region( id)?$/),
+    station: find(/^(location|station( name)?|connection point name|generator|load|name)$/),
+    duid: find(/^duid$/),
+    connectionPoint: find(/^(connection point( id)?|connectionpointid|cp id)$/),
+    tni: find(/^(tni|tni code|transmission node identifier)$/),
+    mlf: [],
+    dlf: []
+  };
+  names.forEach((name, index) => {
+    if (/\bdlf\b|distribution loss factor/.test(name)) {
+      header.dlf.push({ index, side: null, year: columnYear(name) });
+    } else if (/\bmlf\b|\btlf\b|marginal loss factor|transmission loss factor/.test(name)) {
+      header.mlf.push({ index, side: columnSide(name), year: columnYear(name) });
+    }
+  });
+  const keyed = header.duid >= 0 || header.connectionPoint >= 0 || header.tni >= 0;
+  return keyed && (header.mlf.length || header.dlf.length) ? header : null;
+}
+
+// A table is for the year if an MLF column is (or, with no MLF columns, a DLF column)
+function coversYear(header: MlfHeader, financialYear: string): boolean {
+  const columns = header.mlf.length ? header.mlf : header.dlf;
+  return columns.some(c => c.year === null || c.year === financialYear);
+}
+
+function readMlfTables(records: string[][], requested: string | null): LossFactorFile {
+  const headers = records.map(readHeader);
+  const years = headers.flatMap(h => h ? [...h.mlf, ...h.dlf].map(c => c.year) : [])
+    .filter((year): year is string => year !== null && isFinancialYear(year))
+    .sort();
+  if (headers.every(h => h === null)) {
+    throw new Error('No loss factor table found: expected a header row with DUID, Connection Point ID or TNI and an MLF column');
+  }
+  const financialYear = requested ?? years[years.length - 1];
+  if (!financialYear) {
+    throw new Error('The file does not say which financial year it covers; give financial_year');
+  }
+
+  const set = new RowSet();
+  let header: MlfHeader | null = null;
+  let region: string | null = null;
+  let section: Side = null;
+
+  for (let r = 0; r < records.length; r++) {
+    const record = records[r];
+    const cells = record.filter(Boolean);
+    if (headers[r]) {
+      header = headers[r];
+      continue;
+    }
+    if (cells.length === 1) {
+      // A title, or a table heading ("Queensland Generators", "Victoria Loads") that starts a new table
+      const heading = normalise(cells[0]);
+      const headingRegion = regionOf(heading);
+      const headingSide: Side = /\bload/.test(heading) ? 'load' : /\bgenerat/.test(heading) ? 'generation' : null;
+      if (headingRegion || headingSide) {
+        region = headingRegion ?? region;
+        section = headingSide;
+        header = null;
+      }
+      continue;
+    }
+    if (!header || !coversYear(header, financialYear)) {
+      continue;
+    }
+
+    const h = header;
+    const cell = (index: number) => index >= 0 ? record[index] ?? '' : '';
+    const mlf = (side: Side) => {
+      const column = h.mlf.find(c => (c.year === null || c.year === financialYear)
+        && (c.side === side || (c.side === null && (section === null || section === side))));
+      return column ? factor(record[column.index]) : null;
+    };
+    const dlf = h.dlf.find(c => c.year === null || c.year === financialYear);
+
+    set.add({
+      region: regionOf(cell(h.region)) ?? region,
+      connectionPoint: (cell(h.connectionPoint) || cell(h.tni)).toUpperCase(),
+      duid: cell(h.duid).toUpperCase(),
+      stationName: cell(h.station) || null,
+      generationMlf: mlf('generation'),
+      loadMlf: mlf('load'),
+      dlf: dlf ? factor(record[dlf.index]) : null
+    });
+  }
+
+  return { format: 'mlf', financialYear, rows: set.values(), skipped: set.skipped };
+}
+
+// MMS date ("YYYY/MM/DD HH:MM:SS") to its NEM day
+function mmsDate(value: string | undefined): string | null {
+  const match = /^(\d{4})\/(\d{2})\/(\d{2})/.exec(value ?? '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+function readDuDetailSummary(records: string[][], requested: string | null): LossFactorFile {
+  let fields: Map<string, number> | null = null;
+  const registrations: { start: string; end: string | null; record: string[] }[] = [];
+
+  for (const record of records) {
+    if (record[2]?.toUpperCase() !== 'DUDETAILSUMMARY') {
+      continue;
+    }
+    if (record[0] === 'I') {
+      // Field names follow I,PARTICIPANT_REGISTRATION,DUDETAILSUMMARY,<version>
+      fields = new Map(record.slice(4).map((name, i) => [name.toUpperCase(), i + 4]));
+    } else if (record[0] === 'D' && fields) {
+      const start = mmsDate(record[fields.get('START_DATE') ?? -1]);
+      if (start) {
+        registrations.push({ start, end: mmsDate(record[fields.get('END_DATE') ?? -1]), record });
+      }
+    }
+  }
+  if (!fields || !fields.has('DUID') || !fields.has('TRANSMISSIONLOSSFACTOR')) {
+    throw new Error('DUDETAILSUMMARY file has no DUID and TRANSMISSIONLOSSFACTOR fields');
+  }
+
+  const starts = registrations.map(r => r.start).sort();
+  const financialYear = requested ?? (starts.length ? financialYearOf(starts[starts.length - 1]) : null);
+  if (!financialYear) {
+    throw new Error('DUDETAILSUMMARY file has no registrations');
+  }
+  const year = financialYearDates(financialYear);
+
+  // Each DUID's latest registration in force at some point in the year
+  const latest = new Map<string, { start: string; record: string[] }>();
+  for (const registration of registrations) {
+    // END_DATE is exclusive: a registration ending on 1 July isn't in force that year
+    if (registration.start > year.to || (registration.end !== null && registration.end <= year.from)) {
+      continue;
+    }
+    const duid = registration.record[fields.get('DUID')!]?.toUpperCase();
+    const current = latest.get(duid);
+    if (duid && (!current || registration.start >= current.start)) {
+      latest.set(duid, registration);
+    }
+  }
+
+  const set = new RowSet();
+  const get = (record: string[], name: string) => fields!.has(name) ? record[fields!.get(name)!] : undefined;
+  for (const [duid, { record }] of latest) {
+    const type = get(record, 'DISPATCHTYPE')?.toUpperCase();
+    const tlf = factor(get(record, 'TRANSMISSIONLOSSFACTOR'));
+    set.add({
+      region: regionOf(get(record, 'REGIONID') ?? ''),
+      connectionPoint: (get(record, 'CONNECTIONPOINTID') ?? '').toUpperCase(),
+      duid,
+      stationName: get(record, 'STATIONID') || null,
+      generationMlf: type === 'LOAD' ? null : tlf,
+      loadMlf: type === 'LOAD' ? tlf : type === 'BIDIRECTIONAL' ? factor(get(record, 'SECONDARY_TLF')) ?? tlf : null,
+      dlf: factor(get(record, 'DISTRIBUTIONLOSSFACTOR'))
+    });
+  }
+
+  return { format: 'dudetailsummary', financialYear, rows: set.values(), skipped: set.skipped };
+}
@@ -0,0 +1,388 @@
+/**
+ * Loss Factors
+ * Marginal (MLF) and distribution (DLF) loss factors by connection point and
+ * DUID, imported from AEMO's published files (loss-factor-parser.ts). Each
+ * import becomes the next version of its financial year in
+ * loss_factor_versions, and the raw file is kept in the ARCHIVE R2 bucket,
+ * so earlier figures stay queryable and a run can pin the version it used.
+ *
+ * Lookups take each factor from the newest version at or below the one asked
+ * for that has it: a mid-year revision listing only the changed points, or a
+ * DLF-only file, updates those points without hiding the rest.
+ *
+ * Energy is settled at the regional price times MLF x DLF, with the
+ * generation MLF on energy sent out and the load MLF on energy taken. Where
+ * only one side is published for a point, it's used for both.
+ */
+
+import { z } from 'zod';
+import { TimeUtil } from '../../../shared/utils/time';
+import { parseTimeBound } from './price-history';
+import {
+  financialYearOf,
+  isFinancialYear,
+  type LossFactorFile,
+  type LossFactorFormat,
+  type LossFactorRow
+} from './loss-factor-parser';
+
+interface Env {
+  DB: D1Database;
+  ARCHIVE: R2Bucket;
+}
+
+export const MAX_LOSS_FACTOR_FILE_BYTES = 20_000_000;
+
+// Rows inserted per D1 batch
+const BATCH_SIZE = 100;
+
+export const FinancialYearSchema = z.string().refine(isFinancialYear, 'Use YYYY-YY, e.g. 2025-26');
+
+// Connection point IDs, TNIs and DUIDs are upper case in every AEMO file
+const CodeSchema = z.string().trim().min(1).max(20).toUpperCase();
+
+export const LossFactorQuerySchema = z.object({
+  financial_year: FinancialYearSchema.optional(),           // default: the latest imported
+  version: z.coerce.number().int().positive().optional(),   // default: the latest
+  region: z.string().toUpperCase().optional(),
+  duid: CodeSchema.optional(),
+  connection_point: CodeSchema.optional(),
+  search: z.string().trim().min(1).max(50).optional(),      // DUID, connection point or station name
+  limit: z.coerce.number().int().min(1).max(2000).default(500),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+export type LossFactorQuery = z.infer<typeof LossFactorQuerySchema>;
+
+export const LossFactorImportQuerySchema = z.object({
+  financial_year: FinancialYearSchema.optional(),   // default: from the file
+  filename: z.string().max(200).optional()
+});
+
+// Optimiser request fields: a DUID or connection point to look up, or the factors themselves
+export const LossFactorFieldsSchema = z.object({
+  duid: CodeSchema.optional(),
+  connection_point: CodeSchema.optional(),
+  loss_factor_year: FinancialYearSchema.optional(),              // default: the year the run starts in
+  loss_factor_version: z.number().int().positive().optional(),   // default: the latest
+  generation_loss_factor: z.number().gt(0).max(2).optional(),    // MLF x DLF; overrides the lookup
+  load_loss_factor: z.number().gt(0).max(2).optional()
+});
+
+export type LossFactorFields = z.infer<typeof LossFactorFieldsSchema>;
+
+export interface LossFactorVersion {
+  financial_year: string;
+  version: number;
+  format: LossFactorFormat;
+  filename: string | null;
+  entries: number;
+  file_key: string | null;
+  user_id: string | null;
+  created_at: string;
+}
+
+export interface LossFactorEntry {
+  financial_year: string;
+  version: number;                // newest version the entry's factors come from
+  region: string | null;
+  connection_point: string | null;
+  duid: string | null;
+  station_name: string | null;
+  generation_mlf: number | null;
+  load_mlf: number | null;
+  dlf: number | null;
+  generation_loss_factor: number; // generation (or only) MLF x DLF
+  load_loss_factor: number;       // load (or only) MLF x DLF
+}
+
+interface LossFactorRecord {
+  financial_year: string;
+  version: number;
+  connection_point: string;
+  duid: string;
+  region: string | null;
+  station_name: string | null;
+  generation_mlf: number | null;
+  load_mlf: number | null;
+  dlf: number | null;
+}
+
+/**
+ * Save a parsed file as the next version of its financial year: the raw file
+ * to R2, its loss factors, then the version row. Rows only count once their
+ * version row exists (see PUBLISHED), so readers never see a half-imported
+ * version, and a failed import removes what it wrote.
+ */
+export async function importLossFactors(
+  env: Env,
+  userId: string,
+  filename: string | null,
+  text: string,
+  file: LossFactorFile
+): Promise<LossFactorVersion> {
+  const fileKey = `loss-factors/${file.financialYear}/${crypto.randomUUID()}.csv`;
+  await env.ARCHIVE.put(fileKey, text, {
+    httpMetadata: { contentType: 'text/csv' },
+    customMetadata: { userId, filename: filename ?? '', format: file.format }
+  });
+
+  // Past both tables, so rows left by an import that died part way aren't reused
+  const next = await env.DB.prepare(`
+    SELECT MAX(version) + 1 as version FROM (
+      SELECT COALESCE(MAX(version), 0) as version FROM loss_factor_versions WHERE financial_year = ?
+      UNION ALL
+      SELECT COALESCE(MAX(version), 0) FROM loss_factors WHERE financial_year = ?
+    )
+  `).bind(file.financialYear, file.financialYear).first<{ version: number }>();
+  const versionNumber = next!.version;
+
+  const stmt = env.DB.prepare(`
+    INSERT INTO loss_factors (
+      financial_year, version, connection_point, duid, region, station_name, generation_mlf, load_mlf, dlf
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const bindRow = (row: LossFactorRow) => stmt.bind(
+    file.financialYear,
+    versionNumber,
+    row.connectionPoint,
+    row.duid,
+    row.region,
+    row.stationName,
+    row.generationMlf,
+    row.loadMlf,
+    row.dlf
+  );
+
+  try {
+    for (let i = 0; i < file.rows.length; i += BATCH_SIZE) {
+      await env.DB.batch(file.rows.slice(i, i + BATCH_SIZE).map(bindRow));
+    }
+
+    // Publishing: fails on the primary key if another import took the number meanwhile
+    const version = await env.DB.prepare(`
+      INSERT INTO loss_factor_versions (financial_year, version, format, filename, entries, file_key, user_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      RETURNING *
+    `).bind(
+      file.financialYear,
+      versionNumber,
+      file.format,
+      filename,
+      file.rows.length,
+      fileKey,
+      userId
+    ).first<LossFactorVersion>();
+    return version!;
+  } catch (error) {
+    // Only while unpublished: a version row means the number belongs to another import
+    await env.DB.prepare(`
+      DELETE FROM loss_factors
+      WHERE financial_year = ? AND version = ?
+        AND NOT EXISTS (SELECT 1 FROM loss_factor_versions WHERE financial_year = ? AND version = ?)
+    `).bind(file.financialYear, versionNumber, file.financialYear, versionNumber).run().catch(() => {});
+    await env.ARCHIVE.delete(fileKey).catch(() => {});
+    throw error;
+  }
+}
+
+export async function listLossFactorVersions(db: D1Database, financialYear?: string): Promise<LossFactorVersion[]> {
+  const result = await db.prepare(`
+    SELECT * FROM loss_factor_versions
+    ${financialYear ? 'WHERE financial_year = ?' : ''}
+    ORDER BY financial_year DESC, version DESC
+  `).bind(...(financialYear ? [financialYear] : [])).all<LossFactorVersion>();
+  return result.results;
+}
+
+// A version as returned by the API (the R2 key is internal)
+export function versionResponse(version: LossFactorVersion) {
+  const { file_key: _key, ...rest } = version;
+  return rest;
+}
+
+/**
+ * Fold every version's records for each connection point and DUID into one
+ * entry, newest first. Records must be sorted by key, then version descending.
+ */
+function entries(records: LossFactorRecord[]): LossFactorEntry[] {
+  const merged: LossFactorEntry[] = [];
+  let key: string | null = null;
+  for (const record of records) {
+    const recordKey = `${record.connection_point}|${record.duid}`;
+    const entry = merged[merged.length - 1];
+    if (recordKey !== key) {
+      key = recordKey;
+      merged.push({
+        financial_year: record.financial_year,
+        version: record.version,
+        region: record.region,
+        connection_point: record.connection_point || null,
+        duid: record.duid || null,
+        station_name: record.station_name,
+        generation_mlf: record.generation_mlf,
+        load_mlf: record.load_mlf,
+        dlf: record.dlf,
+        generation_loss_factor: 1,
+        load_loss_factor: 1
+      });
+      continue;
+    }
+    entry.region = entry.region ?? record.region;
+    entry.station_name = entry.station_name ?? record.station_name;
+    entry.generation_mlf = entry.generation_mlf ?? record.generation_mlf;
+    entry.load_mlf = entry.load_mlf ?? record.load_mlf;
+    entry.dlf = entry.dlf ?? record.dlf;
+  }
+
+  for (const entry of merged) {
+    const dlf = entry.dlf ?? 1;
+    entry.generation_loss_factor = (entry.generation_mlf ?? entry.load_mlf ?? 1) * dlf;
+    entry.load_loss_factor = (entry.load_mlf ?? entry.generation_mlf ?? 1) * dlf;
+  }
+  return merged;
+}
+
+// Rows of an import still in progress (or one that failed) have no version row yet
+const PUBLISHED = `EXISTS (
+  SELECT 1 FROM loss_factor_versions v
+  WHERE v.financial_year = loss_factors.financial_year AND v.version = loss_factors.version
+)`;
+
+async function latestFinancialYear(db: D1Database): Promise<string | null> {
+  const row = await db.prepare('SELECT MAX(financial_year) as financial_year FROM loss_factor_versions')
+    .first<{ financial_year: string | null }>();
+  return row?.financial_year ?? null;
+}
+
+/**
+ * Loss factors for a financial year (the latest imported by default), one
+ * entry per connection point and DUID.
+ */
+export async function queryLossFactors(db: D1Database, query: LossFactorQuery) {
+  const financialYear = query.financial_year ?? await latestFinancialYear(db);
+  if (!financialYear) {
+    return { financial_year: null, total: 0, entries: [] as LossFactorEntry[] };
+  }
+
+  const conditions = ['financial_year = ?', PUBLISHED];
+  const params: unknown[] = [financialYear];
+  if (query.version) {
+    conditions.push('version <= ?');
+    params.push(query.version);
+  }
+  if (query.duid) {
+    conditions.push('duid = ?');
+    params.push(query.duid);
+  }
+  if (query.connection_point) {
+    conditions.push('connection_point = ?');
+    params.push(query.connection_point);
+  }
+  if (query.search) {
+    conditions.push(`(duid LIKE ? OR connection_point LIKE ? OR station_name LIKE ?)`);
+    params.push(...new Array(3).fill(`%${query.search}%`));
+  }
+
+  const result = await db.prepare(`
+    SELECT * FROM loss_factors
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY connection_point, duid, version DESC
+  `).bind(...params).all<LossFactorRecord>();
+
+  // Region is filtered after merging, as a revision may only carry it on an older row
+  const all = entries(result.results).filter(entry => !query.region || entry.region === query.region);
+  return {
+    financial_year: financialYear,
+    total: all.length,
+    entries: all.slice(query.offset, query.offset + query.limit)
+  };
+}
+
+/**
+ * One DUID's (or, without a DUID, one connection point's) loss factors.
+ * A DUID is matched whatever connection point it's listed under.
+ */
+export async function findLossFactors(
+  db: D1Database,
+  key: { duid?: string; connection_point?: string },
+  financialYear: string,
+  version: number | null = null
+): Promise<LossFactorEntry | null> {
+  const column = key.duid ? 'duid' : 'connection_point';
+  const result = await db.prepare(`
+    SELECT * FROM loss_factors
+    WHERE financial_year = ?
+      AND ${column} = ?
+      AND ${PUBLISHED}
+      ${version ? 'AND version <= ?' : ''}
+    ORDER BY version DESC
+  `).bind(financialYear, key.duid ?? key.connection_point, ...(version ? [version] : [])).all<LossFactorRecord>();
+
+  // A connection point's own rows (listed without a unit) rather than its units', when it has them
+  const own = key.duid ? result.results : result.results.filter(record => !record.duid);
+  const records = own.length ? own : result.results;
+  if (records.length === 0) {
+    return null;
+  }
+  // Fold as one point: the DUID under its newest connection point, or the point alone
+  const [entry] = entries(records.map(record => ({
+    ...record,
+    connection_point: records[0].connection_point,
+    duid: key.duid ? record.duid : ''
+  })));
+  return entry;
+}
+
+/**
+ * Fill in generation_loss_factor and load_loss_factor from the table when a
+ * request names a DUID or connection point, and record the year and version
+ * used. Factors given explicitly are kept. `startDate` is the run's first day
+ * (any form parseTimeBound takes); without one, the current year is used.
+ */
+export async function applyLossFactors<T extends LossFactorFields>(
+  db: D1Database,
+  fields: T,
+  startDate?: string
+): Promise<T> {
+  if ((!fields.duid && !fields.connection_point)
+    || (fields.generation_loss_factor !== undefined && fields.load_loss_factor !== undefined)) {
+    return fields;
+  }
+
+  const financialYear = fields.loss_factor_year
+    ?? financialYearOf(TimeUtil.utcToAEMO(startDate ? parseTimeBound(startDate) : TimeUtil.nowUTC()).replace(/\//g, '-'));
+  const entry = await findLossFactors(db, fields, financialYear, fields.loss_factor_version ?? null);
+  if (!entry) {
+    const point = fields.duid ? `DUID ${fields.duid}` : `connection point ${fields.connection_point}`;
+    throw new Error(`No loss factors for ${point} in ${financialYear}`);
+  }
+
+  return {
+    ...fields,
+    loss_factor_year: financialYear,
+    loss_factor_version: entry.version,
+    generation_loss_factor: fields.generation_loss_factor ?? entry.generation_loss_factor,
+    load_loss_factor: fields.load_loss_factor ?? entry.load_loss_factor
+  };
+}
+
+// Optimiser options for the factors a request ended up with
+export function lossFactorOptions(fields: LossFactorFields) {
+  return {
+    generationLossFactor: fields.generation_loss_factor ?? 1,
+    loadLossFactor: fields.load_loss_factor ?? 1
+  };
+}
+
+// The factors applied to a run, and where they came from
+export function lossFactorResponse(fields: LossFactorFields) {
+  return {
+    duid: fields.duid ?? null,
+    connection_point: fields.connection_point ?? null,
+    financial_year: fields.loss_factor_year ?? null,
+    version: fields.loss_factor_version ?? null,
+    generation: fields.generation_loss_factor ?? 1,
+    load: fields.load_loss_factor ?? 1
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * Meter Data File Format (MDFF) Parser
+ * Reads the NEM12 (interval meter) and NEM13 (accumulation meter) files that
+ * metering providers and retailers send, into one row per NMI, register stream
+ * and NEM day of interval energy in kWh.
+ *
+ *   NEM12: 100 header, 200 per register stream (NMI, suffix, UOM, interval
+ *          length), 300 per day of interval values, 400 per-interval quality
+ *          where the 300 record's quality is V (variable), 500/900 ignored
+ *   NEM13: 100 header, 250 per register read (previous and current read,
+ *          quantity, direction), 550/900 ignored
+ *
+ * Direction follows AEMO's grid-side naming: NEM12 suffixes starting E and
+ * NEM13 direction E ("export from grid") are consumption; suffix B and
+ * direction I ("import to grid") are generation. Reactive and other streams
+ * are skipped and listed.
+ *
+ * Dates and times in MDFF are NEM time (AEST). An accumulation meter records
+ * no shape, so each NEM13 quantity is spread evenly over its read period in
+ * 30-minute intervals; intervals outside every read period have quality N.
+ */
+
+import { TimeUtil } from '../../../shared/utils/time';
+
+export type MeterFlow = 'consumption' | 'generation';
+
+export interface MeterDay {
+  nmi: string;
+  stream: string;             // NMI suffix, e.g. E1, B1
+  flow: MeterFlow;
+  date: string;               // NEM day, YYYY-MM-DD
+  intervalMinutes: number;
+  kwh: number[];              // one value per interval, the first ending 00:00 + intervalMinutes
+  quality: string[];          // quality method per interval: A, E52, S14, F, N...
+  source: 'interval' | 'accumulation';
+}
+
+export interface MdffFile {
+  format: 'NEM12' | 'NEM13';
+  created: string | null;     // file creation time from the 100 record, UTC ISO
+  fromParticipant: string | null;
+  toParticipant: string | null;
+  days: MeterDay[];
+  skipped: string[];          // streams not read, as NMI/suffix (UOM)
+}
+
+export const INTERVAL_LENGTHS = [5, 15, 30];
+
+// NEM13 reads are spread over intervals of this length
+const ACCUMULATION_INTERVAL_MINUTES = 30;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// kWh per unit of each energy UOM
+const ENERGY_UNITS: Record<string, number> = {
+  wh: 1e-3,
+  kwh: 1,
+  mwh: 1e3
+};
+
+export function parseMdff(text: string): MdffFile {
+  const records = text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => line.split(',').map(field => field.trim()));
+  if (records.length === 0) {
+    throw new Error('Meter data file is empty');
+  }
+
+  const header = records[0][0] === '100' ? records[0] : null;
+  const version = header?.[1]?.toUpperCase();
+  const format = version === 'NEM13' || (!header && records.some(r => r[0] === '250')) ? 'NEM13' : 'NEM12';
+  if (header && version !== 'NEM12' && version !== 'NEM13') {
+    throw new Error(`Unsupported meter data file version: ${header[1]}`);
+  }
+
+  const file: MdffFile = {
+    format,
+    created: header?.[2] && /^\d{12}$/.test(header[2]) ? TimeUtil.parseAEMOToUTC(`${header[2]}00`) : null,
+    fromParticipant: header?.[3] || null,
+    toParticipant: header?.[4] || null,
+    days: [],
+    skipped: []
+  };
+  file.days = format === 'NEM12' ? readNem12(records, file.skipped) : readNem13(records, file.skipped);
+  if (file.days.length === 0) {
+    throw new Error(`No energy readings in the ${format} file`);
+  }
+  return file;
+}
+
+function flowOf(indicator: string | undefined, consumption: string, generation: string): MeterFlow | null {
+  const code = indicator?.toUpperCase();
+  return code === consumption ? 'consumption' : code === generation ? 'generation' : null;
+}
+
+// YYYYMMDD to YYYY-MM-DD
+function nemDate(value: string): string {
+  if (!/^\d{8}$/.test(value)) {
+    throw new Error(`Invalid MDFF date: ${value}`);
+  }
+  return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+}
+
+function readNem12(records: string[][], skipped: string[]): MeterDay[] {
+  // Keyed by NMI, stream and date so a later 300 record for the same day replaces an earlier one
+  const days = new Map<string, MeterDay>();
+  let stream: { nmi: string; suffix: string; flow: MeterFlow; scale: number; minutes: number } | null = null;
+  let current: MeterDay | null = null;
+
+  for (const record of records) {
+    switch (record[0]) {
+      case '200': {
+        // 200,NMI,Configuration,RegisterID,NMISuffix,MDMDataStreamID,MeterSerial,UOM,IntervalLength,NextReadDate
+        const [, nmi, , , suffix, , , uom, length] = record;
+        const flow = flowOf(suffix?.charAt(0), 'E', 'B');
+        const scale = ENERGY_UNITS[uom?.toLowerCase()];
+        const minutes = Number(length);
+        stream = null;
+        current = null;
+        if (!flow || !scale) {
+          skipped.push(`${nmi}/${suffix} (${uom})`);
+          break;
+        }
+        if (!INTERVAL_LENGTHS.includes(minutes)) {
+          throw new Error(`Unsupported interval length for ${nmi}/${suffix}: ${length}`);
+        }
+        stream = { nmi, suffix, flow, scale, minutes };
+        break;
+      }
+      case '300': {
+        // 300,IntervalDate,Value1..ValueN,QualityMethod,ReasonCode,ReasonDescription,UpdateDateTime,MSATSLoadDateTime
+        current = null;
+        if (!stream) {
+          break;
+        }
+        const count = 1440 / stream.minutes;
+        const date = nemDate(record[1]);
+        if (record.length < count + 2) {
+          throw new Error(`Short 300 record for ${stream.nmi}/${stream.suffix} on ${date}`);
+        }
+        const kwh = record.slice(2, count + 2).map((value, n) => {
+          const number = Number(value);
+          if (value === '' || !Number.isFinite(number)) {
+            throw new Error(`Invalid interval value for ${stream!.nmi}/${stream!.suffix} on ${date}, interval ${n + 1}`);
+          }
+          return number * stream!.scale;
+        });
+        const quality = record[count + 2] || 'A';
+        current = {
+          nmi: stream.nmi,
+          stream: stream.suffix,
+          flow: stream.flow,
+          date,
+          intervalMinutes: stream.minutes,
+          kwh,
+          quality: new Array(count).fill(quality),
+          source: 'interval'
+        };
+        days.set(`${stream.nmi}|${stream.suffix}|${date}`, current);
+        break;
+      }
+      case '400': {
+        // 400,StartInterval,EndInterval,QualityMethod,ReasonCode,ReasonDescription
+        if (!current) {
+          break;
+        }
+        const start = Number(record[1]);
+        const end = Number(record[2]);
+        if (!(start >= 1 && end >= start && end <= current.kwh.length) || !record[3]) {
+          throw new Error(`Invalid 400 record for ${current.nmi}/${current.stream} on ${current.date}`);
+        }
+        current.quality.fill(record[3], start - 1, end);
+        break;
+      }
+    }
+  }
+
+  return [...days.values()];
+}
+
+function readNem13(records: string[][], skipped: string[]): MeterDay[] {
+  const days = new Map<string, MeterDay>();
+  const count = 1440 / ACCUMULATION_INTERVAL_MINUTES;
+  const intervalMs = ACCUMULATION_INTERVAL_MINUTES * MINUTE_MS;
+
+  for (const record of records) {
+    if (record[0] !== '250') {
+      continue;
+    }
+    // 250,NMI,Configuration,RegisterID,NMISuffix,MDMDataStreamID,MeterSerial,DirectionIndicator,
+    //     PreviousRead,PreviousReadDateTime,PreviousQuality,PreviousReason,PreviousReasonDescription,
+    //     CurrentRead,CurrentReadDateTime,CurrentQuality,CurrentReason,CurrentReasonDescription,
+    //     Quantity,UOM,NextReadDate,UpdateDateTime,MSATSLoadDateTime
+    const nmi = record[1];
+    const suffix = record[4];
+    const flow = flowOf(record[7], 'E', 'I');
+    const scale = ENERGY_UNITS[record[19]?.toLowerCase()];
+    if (!flow || !scale) {
+      skipped.push(`${nmi}/${suffix} (${record[19]})`);
+      continue;
+    }
+
+    const from = Date.parse(TimeUtil.parseAEMOToUTC(record[9] ?? ''));
+    const to = Date.parse(TimeUtil.parseAEMOToUTC(record[14] ?? ''));
+    const quantity = Number(record[18]) * scale;
+    if (!/^\d{14}$/.test(record[9] ?? '') || !/^\d{14}$/.test(record[14] ?? '') || !(to > from) || !record[18] || !Number.isFinite(quantity)) {
+      throw new Error(`Invalid 250 record for ${nmi}/${suffix}`);
+    }
+    const quality = record[15] || 'A';
+
+    // Spread the quantity evenly over the intervals the read period overlaps
+    const perMs = quantity / (to - from);
+    for (let end = Math.floor(from / intervalMs) * intervalMs + intervalMs; end - intervalMs < to; end += intervalMs) {
+      const overlap = Math.min(end, to) - Math.max(end - intervalMs, from);
+      // Interval index within its NEM day
+      const nemMs = end - intervalMs + 10 * 60 * MINUTE_MS;
+      const date = new Date(nemMs - (nemMs % DAY_MS)).toISOString().slice(0, 10);
+      const n = Math.floor((nemMs % DAY_MS) / intervalMs);
+
+      const key = `${nmi}|${suffix}|${date}`;
+      let day = days.get(key);
+      if (!day) {
+        day = {
+          nmi,
+          stream: suffix,
+          flow,
+          date,
+          intervalMinutes: ACCUMULATION_INTERVAL_MINUTES,
+          kwh: new Array(count).fill(0),
+          quality: new Array(count).fill('N'),
+          source: 'accumulation'
+        };
+        days.set(key, day);
+      } else if (day.flow !== flow) {
+        throw new Error(`Register ${nmi}/${suffix} is read in both directions`);
+      }
+      day.kwh[n] += perMs * overlap;
+      day.quality[n] = quality;
+    }
+  }
+
+  return [...days.values()];
+}
@@ -0,0 +1,379 @@
+/**
+ * Customer Meter Data
+ * NEM12/NEM13 files uploaded to /api/meter-data are parsed by mdff-parser.ts
+ * and stored as one meter_reads row per NMI, register stream and NEM day (the
+ * interval kWh as JSON), so a re-sent file or a revised day simply replaces
+ * the earlier read. The raw file is kept in the ARCHIVE R2 bucket and each
+ * upload is logged in meter_uploads.
+ *
+ * Series are served at 5 or 30 minutes on the NEM interval grid: 5- and
+ * 15-minute reads are summed into 30-minute intervals, and 15- and 30-minute
+ * reads are split evenly into 5-minute intervals.
+ *
+ * Meter data belongs to the user who uploaded it; API keys act as their owner.
+ */
+
+import { z } from 'zod';
+import { TimeUtil } from '../../../shared/utils/time';
+import type { MdffFile, MeterDay, MeterFlow } from './mdff-parser';
+
+interface Env {
+  DB: D1Database;
+  ARCHIVE: R2Bucket;
+}
+
+export const MAX_METER_FILE_BYTES = 10_000_000;
+
+// Points per series request: a year of 30-minute or two months of 5-minute intervals
+export const MAX_SERIES_POINTS = 17_568;
+
+// Rows upserted per D1 batch
+const BATCH_SIZE = 100;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const NEM_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const RESOLUTION_MINUTES = { '5m': 5, '30m': 30 } as const;
+
+export const MeterSeriesQuerySchema = z.object({
+  // NEM days, inclusive; default to the NMI's stored range
+  from: z.string().regex(NEM_DATE, 'Use YYYY-MM-DD').optional(),
+  to: z.string().regex(NEM_DATE, 'Use YYYY-MM-DD').optional(),
+  resolution: z.enum(['5m', '30m']).default('30m')
+}).refine(
+  q => !q.from || !q.to || q.from <= q.to,
+  { message: 'from must not be after to', path: ['from'] }
+);
+
+export type MeterSeriesQuery = z.infer<typeof MeterSeriesQuerySchema>;
+
+export const UploadListQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+export type UploadListQuery = z.infer<typeof UploadListQuerySchema>;
+
+export interface MeterUpload {
+  id: number;
+  user_id: string;
+  filename: string | null;
+  format: MdffFile['format'];
+  nmis: string[];
+  from_date: string;
+  to_date: string;
+  days: number;
+  skipped: string[];
+  file_key: string | null;
+  created_at: string;
+}
+
+export interface MeterSeriesPoint {
+  interval_start: string;       // UTC
+  interval_end: string;         // UTC
+  nem_time: string;             // interval end, NEM time
+  consumption_kwh: number | null;
+  generation_kwh: number | null;
+  net_kwh: number | null;       // consumption less generation; negative when exporting
+  quality: string | null;
+}
+
+export interface MeterSeries {
+  nmi: string;
+  from: string;
+  to: string;
+  intervalMinutes: number;
+  streams: { stream: string; flow: MeterFlow }[];
+  points: MeterSeriesPoint[];
+}
+
+function parseUpload(row: any): MeterUpload {
+  return {
+    ...row,
+    nmis: JSON.parse(row.nmis),
+    skipped: row.skipped ? JSON.parse(row.skipped) : []
+  };
+}
+
+// Stored quality: one code when the whole day shares it, else a JSON array
+function packQuality(quality: string[]): string {
+  return quality.every(q => q === quality[0]) ? quality[0] : JSON.stringify(quality);
+}
+
+function unpackQuality(value: string, count: number): string[] {
+  return value.startsWith('[') ? JSON.parse(value) : new Array(count).fill(value);
+}
+
+/**
+ * Save a parsed file: the raw file to R2, the upload row, then every day's
+ * reads (replacing any already stored for the same NMI, stream and day).
+ */
+export async function saveMeterData(
+  env: Env,
+  userId: string,
+  filename: string | null,
+  text: string,
+  file: MdffFile
+): Promise<MeterUpload> {
+  const nmis = [...new Set(file.days.map(d => d.nmi))].sort();
+  const dates = file.days.map(d => d.date).sort();
+
+  const fileKey = `meter-data/${userId}/${crypto.randomUUID()}.csv`;
+  await env.ARCHIVE.put(fileKey, text, {
+    httpMetadata: { contentType: 'text/csv' },
+    customMetadata: { userId, filename: filename ?? '', format: file.format }
+  });
+
+  const row = await env.DB.prepare(`
+    INSERT INTO meter_uploads (user_id, filename, format, nmis, from_date, to_date, days, skipped, file_key, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    RETURNING *
+  `).bind(
+    userId,
+    filename,
+    file.format,
+    JSON.stringify(nmis),
+    dates[0],
+    dates[dates.length - 1],
+    file.days.length,
+    JSON.stringify(file.skipped),
+    fileKey
+  ).first();
+  const upload = parseUpload(row);
+
+  const stmt = env.DB.prepare(`
+    INSERT INTO meter_reads (user_id, nmi, stream, flow, read_date, interval_minutes, kwh, quality, source, upload_id, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(user_id, nmi, stream, read_date) DO UPDATE SET
+      flow = excluded.flow,
+      interval_minutes = excluded.interval_minutes,
+      kwh = excluded.kwh,
+      quality = excluded.quality,
+      source = excluded.source,
+      upload_id = excluded.upload_id,
+      updated_at = excluded.updated_at
+  `);
+  const bindDay = (day: MeterDay) => stmt.bind(
+    userId,
+    day.nmi,
+    day.stream,
+    day.flow,
+    day.date,
+    day.intervalMinutes,
+    JSON.stringify(day.kwh.map(v => Math.round(v * 1e6) / 1e6)),
+    packQuality(day.quality),
+    day.source,
+    upload.id
+  );
+  for (let i = 0; i < file.days.length; i += BATCH_SIZE) {
+    await env.DB.batch(file.days.slice(i, i + BATCH_SIZE).map(bindDay));
+  }
+
+  return upload;
+}
+
+/**
+ * The caller's NMIs with the streams stored for each and the days they cover.
+ */
+export async function listMeters(db: D1Database, userId: string) {
+  const rows = await db.prepare(`
+    SELECT nmi, stream, flow, MIN(interval_minutes) as interval_minutes, MAX(source) as source,
+      MIN(read_date) as from_date, MAX(read_date) as to_date, COUNT(*) as days
+    FROM meter_reads
+    WHERE user_id = ?
+    GROUP BY nmi, stream, flow
+    ORDER BY nmi, stream
+  `).bind(userId).all<{
+    nmi: string;
+    stream: string;
+    flow: MeterFlow;
+    interval_minutes: number;
+    source: MeterDay['source'];
+    from_date: string;
+    to_date: string;
+    days: number;
+  }>();
+
+  const meters = new Map<string, { nmi: string; from_date: string; to_date: string; streams: typeof rows.results }>();
+  for (const row of rows.results) {
+    const meter = meters.get(row.nmi);
+    if (!meter) {
+      meters.set(row.nmi, { nmi: row.nmi, from_date: row.from_date, to_date: row.to_date, streams: [row] });
+      continue;
+    }
+    meter.from_date = row.from_date < meter.from_date ? row.from_date : meter.from_date;
+    meter.to_date = row.to_date > meter.to_date ? row.to_date : meter.to_date;
+    meter.streams.push(row);
+  }
+
+  return [...meters.values()].map(meter => ({
+    ...meter,
+    streams: meter.streams.map(({ nmi: _nmi, ...stream }) => stream)
+  }));
+}
+
+export async function listUploads(
+  db: D1Database,
+  userId: string,
+  query: UploadListQuery
+): Promise<{ uploads: MeterUpload[]; total: number }> {
+  const [rows, count] = await Promise.all([
+    db.prepare(`
+      SELECT * FROM meter_uploads
+      WHERE user_id = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).bind(userId, query.limit, query.offset).all(),
+    db.prepare('SELECT COUNT(*) as total FROM meter_uploads WHERE user_id = ?')
+      .bind(userId).first<{ total: number }>()
+  ]);
+
+  return { uploads: rows.results.map(parseUpload), total: count?.total ?? 0 };
+}
+
+// An upload as returned by the API (the R2 key is internal)
+export function uploadResponse(upload: MeterUpload) {
+  const { file_key: _key, ...rest } = upload;
+  return rest;
+}
+
+// One code for several reads: A when all are actual, else the first that is not
+function mergeQuality(codes: string[]): string | null {
+  return codes.find(q => q !== 'A') ?? codes[0] ?? null;
+}
+
+// A day's reads at another interval length: summed into longer intervals or split evenly into shorter
+function resampleDay(kwh: number[], quality: string[], fromMinutes: number, toMinutes: number) {
+  if (fromMinutes <= toMinutes) {
+    const group = toMinutes / fromMinutes;
+    return Array.from({ length: kwh.length / group }, (_, n) => ({
+      kwh: kwh.slice(n * group, (n + 1) * group).reduce((sum, v) => sum + v, 0),
+      quality: mergeQuality(quality.slice(n * group, (n + 1) * group))
+    }));
+  }
+  const split = fromMinutes / toMinutes;
+  return Array.from({ length: kwh.length * split }, (_, n) => ({
+    kwh: kwh[Math.floor(n / split)] / split,
+    quality: quality[Math.floor(n / split)]
+  }));
+}
+
+const round = (value: number | null) => value === null ? null : Math.round(value * 1e4) / 1e4;
+
+/**
+ * Consumption and generation for one NMI over whole NEM days, or null if the
+ * caller has no reads for it. Streams of the same flow (e.g. general and
+ * controlled load) are added together. A flow the NMI has reads for is null
+ * on days they are missing; a flow it has none for (no solar) is zero.
+ */
+export async function meterSeries(
+  db: D1Database,
+  userId: string,
+  nmi: string,
+  query: MeterSeriesQuery
+): Promise<MeterSeries | null> {
+  const stored = await db.prepare(`
+    SELECT flow, MIN(read_date) as from_date, MAX(read_date) as to_date
+    FROM meter_reads WHERE user_id = ? AND nmi = ?
+    GROUP BY flow
+  `).bind(userId, nmi).all<{ flow: MeterFlow; from_date: string; to_date: string }>();
+  if (stored.results.length === 0) {
+    return null;
+  }
+  const flows = new Set(stored.results.map(r => r.flow));
+  const from = query.from ?? stored.results.map(r => r.from_date).sort()[0];
+  const to = query.to ?? stored.results.map(r => r.to_date).sort().pop()!;
+
+  const intervalMinutes = RESOLUTION_MINUTES[query.resolution];
+  const perDay = 1440 / intervalMinutes;
+  const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+  if (days < 1) {
+    throw new Error(`No NEM days between ${from} and ${to}`);
+  }
+  if (days * perDay > MAX_SERIES_POINTS) {
+    throw new Error(`Too many points (${days * perDay}); at most ${MAX_SERIES_POINTS} per request, so narrow the date range`);
+  }
+
+  const rows = await db.prepare(`
+    SELECT stream, flow, read_date, interval_minutes, kwh, quality
+    FROM meter_reads
+    WHERE user_id = ? AND nmi = ? AND read_date BETWEEN ? AND ?
+    ORDER BY read_date, stream
+  `).bind(userId, nmi, from, to).all<{
+    stream: string;
+    flow: MeterFlow;
+    read_date: string;
+    interval_minutes: number;
+    kwh: string;
+    quality: string;
+  }>();
+  const count = days * perDay;
+  const energy: Record<MeterFlow, (number | null)[]> = {
+    consumption: new Array(count).fill(flows.has('consumption') ? null : 0),
+    generation: new Array(count).fill(flows.has('generation') ? null : 0)
+  };
+  const quality: string[][] = Array.from({ length: count }, () => []);
+  const streams = new Map<string, MeterFlow>();
+
+  for (const row of rows.results) {
+    streams.set(row.stream, row.flow);
+    const kwh: number[] = JSON.parse(row.kwh);
+    const offset = (Date.parse(row.read_date) - Date.parse(from)) / DAY_MS * perDay;
+    resampleDay(kwh, unpackQuality(row.quality, kwh.length), row.interval_minutes, intervalMinutes)
+      .forEach((read, n) => {
+        energy[row.flow][offset + n] = (energy[row.flow][offset + n] ?? 0) + read.kwh;
+        if (read.quality) {
+          quality[offset + n].push(read.quality);
+        }
+      });
+  }
+
+  const start = Date.parse(TimeUtil.parseAEMOToUTC(`${from} 00:00:00`));
+  const points = Array.from({ length: count }, (_, n): MeterSeriesPoint => {
+    const end = new Date(start + (n + 1) * intervalMinutes * MINUTE_MS).toISOString();
+    const consumption = energy.consumption[n];
+    const generation = energy.generation[n];
+    return {
+      interval_start: new Date(start + n * intervalMinutes * MINUTE_MS).toISOString(),
+      interval_end: end,
+      nem_time: TimeUtil.utcToAEMO(end),
+      consumption_kwh: round(consumption),
+      generation_kwh: round(generation),
+      net_kwh: consumption === null || generation === null ? null : round(consumption - generation),
+      quality: mergeQuality(quality[n])
+    };
+  });
+
+  return {
+    nmi,
+    from,
+    to,
+    intervalMinutes,
+    streams: [...streams].map(([stream, flow]) => ({ stream, flow })).sort((a, b) => a.stream.localeCompare(b.stream)),
+    points
+  };
+}
+
+// API response shape, with totals over the intervals that have reads
+export function seriesResponse(series: MeterSeries) {
+  const total = (field: 'consumption_kwh' | 'generation_kwh' | 'net_kwh') =>
+    round(series.points.reduce((sum, p) => sum + (p[field] ?? 0), 0));
+
+  return {
+    nmi: series.nmi,
+    from: series.from,
+    to: series.to,
+    interval_minutes: series.intervalMinutes,
+    streams: series.streams,
+    intervals: series.points.length,
+    missing_intervals: series.points.filter(p => p.net_kwh === null).length,
+    totals: {
+      consumption_kwh: total('consumption_kwh'),
+      generation_kwh: total('generation_kwh'),
+      net_kwh: total('net_kwh')
+    },
+    series: series.points
+  };
+}
@@ -0,0 +1,5 @@
+// SQL schema files are bundled as text (see [[rules]] in wrangler.toml)
+declare module '*.sql' {
+  const content: string;
+  export default content;
+}
@@ -0,0 +1,278 @@
+/**
+ * Price History Query Module
+ * Time-range, multi-region and resolution-aware queries over dispatch_prices
+ *
+ * Aggregation happens in D1 (avg/min/max/VWAP) so clients no longer pull
+ * every 5-minute row and bucket it in the browser. Percentiles need the raw
+ * prices, so they are computed here from a second, narrower query.
+ */
+
+import { z } from 'zod';
+import { TimeUtil } from '../../../shared/utils/time';
+
+export const NEM_REGIONS = ['NSW1', 'VIC1', 'QLD1', 'SA1', 'TAS1'] as const;
+
+// Bucket width in seconds for each supported resolution
+export const RESOLUTION_SECONDS = {
+  '5m': 300,
+  '30m': 1800,
+  'hourly': 3600,
+  'daily': 86400
+} as const;
+
+export type PriceResolution = keyof typeof RESOLUTION_SECONDS;
+
+const BASE_STATS = ['avg', 'min', 'max', 'vwap'] as const;
+const PERCENTILE_PATTERN = /^p(\d{1,2})$/;
+
+// Guard against queries that would return more buckets than a Worker can serialise
+export const MAX_POINTS = 50000;
+
+// NEM time is fixed UTC+10; daily buckets are cut at AEST midnight
+const AEST_OFFSET_SECONDS = 10 * 60 * 60;
+
+// Settlement dates mark the END of a 5-minute dispatch interval
+const DISPATCH_INTERVAL_SECONDS = 300;
+
+export interface PriceHistoryOptions {
+  regions: string[];
+  from: string;            // UTC ISO, exclusive (interval ending after this)
+  to: string;              // UTC ISO, inclusive
+  resolution: PriceResolution;
+  stats: string[];         // avg, min, max, vwap and/or pNN percentiles
+  order: 'asc' | 'desc';
+}
+
+export interface PriceBucket {
+  interval_start: string;
+  interval_end: string;
+  count: number;
+  price: number;           // Time-weighted average (same as avg)
+  demand: number;          // Average demand across the bucket
+  [stat: string]: number | string | null;
+}
+
+export interface PriceHistoryResult {
+  regions: string[];
+  from: string;
+  to: string;
+  resolution: PriceResolution;
+  stats: string[];
+  count: number;
+  series: Record<string, PriceBucket[]>;
+}
+
+const PriceHistoryQuerySchema = z.object({
+  regions: z.array(z.enum(NEM_REGIONS)).min(1),
+  from: z.string().optional(),
+  to: z.string().optional(),
+  hours: z.coerce.number().positive().max(24 * 366).optional(),
+  resolution: z.enum(['5m', '30m', 'hourly', 'daily']).default('5m'),
+  stats: z.array(z.string()).optional(),
+  order: z.enum(['asc', 'desc']).default('desc')
+});
+
+/**
+ * Parse a time bound from the query string.
+ * Date-only values (YYYY-MM-DD) are whole NEM days: as a `from` bound they
+ * start at 00:00 AEST, as a `to` bound the day is included in full.
+ * Anything else must be a full ISO timestamp.
+ */
+export function parseTimeBound(value: string, bound: 'from' | 'to' = 'from'): string {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const dayStart = TimeUtil.parseAEMOToUTC(`${value} 00:00:00`);
+    return bound === 'to'
+      ? new Date(new Date(dayStart).getTime() + 86400 * 1000).toISOString()
+      : dayStart;
+  }
+
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) {
+    throw new Error(`Invalid timestamp: ${value}`);
+  }
+  return parsed.toISOString();
+}
+
+/**
+ * Build query options from request parameters.
+ * `regions` may come from the path (single region) or a comma-separated list.
+ * Falls back to the legacy `hours` window when no explicit range is given.
+ */
+export function parsePriceHistoryQuery(
+  query: Record<string, string | undefined>,
+  pathRegion?: string
+): PriceHistoryOptions {
+  const regionList = pathRegion
+    ? [pathRegion]
+    : (query.regions || query.region || '').split(',').filter(Boolean);
+
+  const parsed = PriceHistoryQuerySchema.parse({
+    regions: regionList.map(r => r.trim().toUpperCase()),
+    from: query.from,
+    to: query.to,
+    hours: query.hours,
+    resolution: query.resolution,
+    stats: query.stats ? query.stats.split(',').map(s => s.trim().toLowerCase()) : undefined,
+    order: query.order
+  });
+
+  const to = parsed.to ? parseTimeBound(parsed.to, 'to') : TimeUtil.nowUTC();
+  const from = parsed.from
+    ? parseTimeBound(parsed.from)
+    : new Date(new Date(to).getTime() - (parsed.hours ?? 24) * 3600 * 1000).toISOString();
+
+  if (from >= to) {
+    throw new Error('`from` must be earlier than `to`');
+  }
+
+  const stats = parsed.stats ?? [...BASE_STATS];
+  for (const stat of stats) {
+    if (!(BASE_STATS as readonly string[]).includes(stat) && !PERCENTILE_PATTERN.test(stat)) {
+      throw new Error(`Unknown statistic: ${stat}`);
+    }
+  }
+
+  return {
+    regions: [...new Set(parsed.regions)],
+    from,
+    to,
+    resolution: parsed.resolution,
+    stats,
+    order: parsed.order
+  };
+}
+
+/**
+ * Estimate the number of rows a query will produce.
+ * Percentiles are computed from raw 5-minute rows, so those are what count.
+ */
+export function estimatePoints(options: PriceHistoryOptions): number {
+  const rangeSeconds = (new Date(options.to).getTime() - new Date(options.from).getTime()) / 1000;
+  const bucketSeconds = options.stats.some(s => PERCENTILE_PATTERN.test(s))
+    ? DISPATCH_INTERVAL_SECONDS
+    : RESOLUTION_SECONDS[options.resolution];
+  return Math.ceil(rangeSeconds / bucketSeconds) * options.regions.length;
+}
+
+export async function queryPriceHistory(
+  db: D1Database,
+  options: PriceHistoryOptions
+): Promise<PriceHistoryResult> {
+  const bucketSeconds = RESOLUTION_SECONDS[options.resolution];
+  const placeholders = options.regions.map(() => '?').join(', ');
+  const direction = options.order === 'asc' ? 'ASC' : 'DESC';
+
+  // Bucket by interval START so a 30-min bucket holds the six dispatch
+  // intervals ending at :05..:30, matching AEMO trading intervals
+  const bucketExpr = `
+    ((CAST(strftime('%s', settlement_date) AS INTEGER) - ${DISPATCH_INTERVAL_SECONDS} + ${AEST_OFFSET_SECONDS})
+      / ${bucketSeconds}) * ${bucketSeconds} - ${AEST_OFFSET_SECONDS}`;
+
+  const result = await db.prepare(`
+    SELECT
+      region,
+      ${bucketExpr} AS bucket,
+      COUNT(*) AS count,
+      AVG(price) AS avg,
+      MIN(price) AS min,
+      MAX(price) AS max,
+      SUM(price * demand) / NULLIF(SUM(demand), 0) AS vwap,
+      AVG(demand) AS demand
+    FROM dispatch_prices
+    WHERE region IN (${placeholders})
+      AND settlement_date > ?
+      AND settlement_date <= ?
+    GROUP BY region, bucket
+    ORDER BY region, bucket ${direction}
+  `).bind(...options.regions, options.from, options.to).all();
+
+  const percentiles = options.stats
+    .map(s => s.match(PERCENTILE_PATTERN))
+    .filter((m): m is RegExpMatchArray => m !== null)
+    .map(m => parseInt(m[1]));
+
+  const rawPrices = percentiles.length > 0
+    ? await loadRawPrices(db, options, bucketExpr)
+    : new Map<string, number[]>();
+
+  const series: Record<string, PriceBucket[]> = {};
+  for (const region of options.regions) {
+    series[region] = [];
+  }
+
+  for (const row of result.results as any[]) {
+    const start = new Date(row.bucket * 1000);
+    const bucket: PriceBucket = {
+      interval_start: start.toISOString(),
+      interval_end: new Date(start.getTime() + bucketSeconds * 1000).toISOString(),
+      count: row.count,
+      price: row.avg,
+      demand: row.demand
+    };
+
+    for (const stat of options.stats) {
+      if (stat in row) {
+        bucket[stat] = row[stat];
+      }
+    }
+
+    if (percentiles.length > 0) {
+      const prices = rawPrices.get(`${row.region}:${row.bucket}`) || [];
+      for (const p of percentiles) {
+        bucket[`p${p}`] = percentile(prices, p);
+      }
+    }
+
+    series[row.region].push(bucket);
+  }
+
+  return {
+    regions: options.regions,
+    from: options.from,
+    to: options.to,
+    resolution: options.resolution,
+    stats: options.stats,
+    count: result.results.length,
+    series
+  };
+}
+
+// Raw prices grouped by region and bucket, each list sorted ascending
+async function loadRawPrices(
+  db: D1Database,
+  options: PriceHistoryOptions,
+  bucketExpr: string
+): Promise<Map<string, number[]>> {
+  const placeholders = options.regions.map(() => '?').join(', ');
+  const result = await db.prepare(`
+    SELECT region, ${bucketExpr} AS bucket, price
+    FROM dispatch_prices
+    WHERE region IN (${placeholders})
+      AND settlement_date > ?
+      AND settlement_date <= ?
+    ORDER BY region, bucket, price
+  `).bind(...options.regions, options.from, options.to).all();
+
+  const grouped = new Map<string, number[]>();
+  for (const row of result.results as any[]) {
+    const key = `${row.region}:${row.bucket}`;
+    const list = grouped.get(key);
+    if (list) {
+      list.push(row.price);
+    } else {
+      grouped.set(key, [row.price]);
+    }
+  }
+  return grouped;
+}
+
+// Linear-interpolated percentile over an ascending list
+export function percentile(sorted: number[], p: number): number | null {
+  if (sorted.length === 0) return null;
+  if (sorted.length === 1) return sorted[0];
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
@@ -0,0 +1,131 @@
+/**
+ * R2 Multipart Uploads Across Alarms
+ * Durable Objects that write a large R2 object over several alarms (CSV
+ * exports, long-horizon BESS results) upload it as a multipart upload. R2
+ * needs every part but the last to be the same size, so PartWriter only
+ * uploads whole R2_PART_SIZE parts and holds the remainder; when an alarm
+ * yields, the remainder is saved in the object's storage alongside the
+ * caller's own progress, split into chunks under the 128 KiB value limit.
+ */
+
+export const R2_PART_SIZE = 5 * 1024 * 1024;
+const TAIL_CHUNK_SIZE = 120 * 1024;
+
+// Kept in the caller's progress record; the tail sits under tail:0 .. tail:<tailChunks - 1>
+export interface PartUpload {
+  uploadId: string;
+  parts: R2UploadedPart[];
+  tailChunks: number;
+}
+
+export function concatBytes(pieces: Uint8Array[], byteLength: number): Uint8Array {
+  if (pieces.length === 1 && pieces[0].byteLength === byteLength) {
+    return pieces[0];
+  }
+  const joined = new Uint8Array(byteLength);
+  let offset = 0;
+  for (const piece of pieces) {
+    joined.set(piece, offset);
+    offset += piece.byteLength;
+  }
+  return joined;
+}
+
+export async function startPartUpload(bucket: R2Bucket, key: string, options?: R2MultipartOptions): Promise<PartUpload> {
+  const upload = await bucket.createMultipartUpload(key, options);
+  return { uploadId: upload.uploadId, parts: [], tailChunks: 0 };
+}
+
+export class PartWriter {
+  progress: PartUpload;
+  private storage: DurableObjectStorage;
+  private upload: R2MultipartUpload;
+  private pending: Uint8Array[] = [];
+  private pendingBytes = 0;
+  private encoder = new TextEncoder();
+
+  constructor(storage: DurableObjectStorage, bucket: R2Bucket, key: string, progress: PartUpload) {
+    this.storage = storage;
+    this.upload = bucket.resumeMultipartUpload(key, progress.uploadId);
+    this.progress = progress;
+  }
+
+  // Pick up the remainder a previous alarm left in storage
+  async open(): Promise<void> {
+    const keys = tailKeys(0, this.progress.tailChunks ?? 0);
+    if (keys.length === 0) {
+      return;
+    }
+    const chunks = await this.storage.get<Uint8Array>(keys);
+    for (const key of keys) {
+      this.push(chunks.get(key)!);
+    }
+  }
+
+  // Returns the number of bytes added
+  async write(data: string | Uint8Array): Promise<number> {
+    const bytes = typeof data === 'string' ? this.encoder.encode(data) : data;
+    this.push(bytes);
+    if (this.pendingBytes >= R2_PART_SIZE) {
+      await this.flushParts();
+    }
+    return bytes.byteLength;
+  }
+
+  /**
+   * Save the remainder with `entries` (which should include the record
+   * holding this.progress) in one put, so the two can't disagree.
+   */
+  async save(entries: Record<string, unknown>): Promise<void> {
+    const tail = concatBytes(this.pending, this.pendingBytes);
+    const previousChunks = this.progress.tailChunks ?? 0;
+    this.progress.tailChunks = Math.ceil(tail.byteLength / TAIL_CHUNK_SIZE);
+
+    const puts: Record<string, unknown> = { ...entries };
+    for (let i = 0; i < this.progress.tailChunks; i++) {
+      puts[`tail:${i}`] = tail.slice(i * TAIL_CHUNK_SIZE, (i + 1) * TAIL_CHUNK_SIZE);
+    }
+    await this.storage.put(puts);
+
+    const stale = tailKeys(this.progress.tailChunks, previousChunks);
+    if (stale.length > 0) {
+      await this.storage.delete(stale);
+    }
+  }
+
+  // Upload what's left as the last part (any size) and finish the object
+  async complete(): Promise<void> {
+    await this.flushParts();
+    if (this.pendingBytes > 0 || this.progress.parts.length === 0) {
+      await this.uploadPart(concatBytes(this.pending, this.pendingBytes));
+      this.pending = [];
+      this.pendingBytes = 0;
+    }
+    await this.upload.complete(this.progress.parts);
+  }
+
+  private push(bytes: Uint8Array): void {
+    this.pending.push(bytes);
+    this.pendingBytes += bytes.byteLength;
+  }
+
+  // Upload every full part pending and keep the remainder
+  private async flushParts(): Promise<void> {
+    const buffered = concatBytes(this.pending, this.pendingBytes);
+    let offset = 0;
+    for (; offset + R2_PART_SIZE <= buffered.byteLength; offset += R2_PART_SIZE) {
+      await this.uploadPart(buffered.subarray(offset, offset + R2_PART_SIZE));
+    }
+    this.pending = [buffered.subarray(offset)];
+    this.pendingBytes = buffered.byteLength - offset;
+  }
+
+  private async uploadPart(chunk: Uint8Array): Promise<void> {
+    const part = await this.upload.uploadPart(this.progress.parts.length + 1, chunk);
+    this.progress.parts.push({ partNumber: part.partNumber, etag: part.etag });
+  }
+}
+
+function tailKeys(from: number, to: number): string[] {
+  return Array.from({ length: Math.max(to - from, 0) }, (_, i) => `tail:${from + i}`);
+}
@@ -0,0 +1,213 @@
+/**
+ * API Rate Limiting
+ * Token buckets per caller - `user:<id>` for JWT sessions, `key:<id>` for API
+ * keys - with a separate bucket per route class, so polling cached prices
+ * can't use up the allowance for BESS optimisations and vice versa.
+ *
+ * Each caller's buckets live in one RateLimiter Durable Object, which keeps
+ * them consistent across edge locations (KV allows one write per second per
+ * key, too few for a counter). The DO also keeps daily allowed/limited counts
+ * for the usage endpoint.
+ *
+ * Responses carry X-RateLimit-Limit, -Remaining and -Reset (seconds until the
+ * bucket is full again); a 429 adds Retry-After (seconds until the next token).
+ */
+
+import type { Context, MiddlewareHandler, Next } from 'hono';
+
+export type RouteClass = 'read' | 'trading' | 'export' | 'optimize' | 'default';
+
+interface BucketConfig {
+  capacity: number;         // burst size
+  refillPerSecond: number;  // sustained rate
+}
+
+export const RATE_LIMITS: Record<RouteClass, BucketConfig> = {
+  read: { capacity: 120, refillPerSecond: 2 },          // cached market data
+  trading: { capacity: 30, refillPerSecond: 0.5 },
+  export: { capacity: 10, refillPerSecond: 1 / 30 },    // CSV/Parquet exports
+  optimize: { capacity: 5, refillPerSecond: 1 / 12 },   // BESS optimise (incl. scenario runs) and re-run, 5 a minute sustained
+  default: { capacity: 60, refillPerSecond: 1 }
+};
+
+// Days of per-class counts kept for the usage endpoint
+const USAGE_DAYS = 7;
+
+export interface RateLimitResult {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  reset: number;        // seconds until the bucket is full
+  retryAfter: number;   // seconds until a request would be allowed; 0 if allowed
+}
+
+interface Bucket {
+  tokens: number;
+  updatedAt: number;    // ms
+}
+
+interface DayUsage {
+  date: string;         // YYYY-MM-DD (UTC)
+  counts: Partial<Record<RouteClass, { allowed: number; limited: number }>>;
+}
+
+export function routeClass(path: string): RouteClass {
+  if (path.startsWith('/api/bess/optimize') || /^\/api\/bess\/runs\/[^/]+\/rerun$/.test(path)) return 'optimize';
+  if (path.startsWith('/api/trading/')) return 'trading';
+  // Job status polling and the table list are cheap; only starting an export counts as one
+  if (/^\/api\/export\/(?!jobs\/|tables$)/.test(path)) return 'export';
+  if (/^\/api\/(prices|forward|fcas|demand|ingestion)\//.test(path)) return 'read';
+  return 'default';
+}
+
+// Must run after the auth middleware has set userId (and apiKeyId for API keys)
+export function rateLimitSubject(c: Context<any>): string {
+  const apiKeyId = c.get('apiKeyId');
+  return apiKeyId ? `key:${apiKeyId}` : `user:${c.get('userId')}`;
+}
+
+function limiterFor(namespace: DurableObjectNamespace, subject: string): DurableObjectStub {
+  return namespace.get(namespace.idFromName(subject));
+}
+
+/**
+ * Spend one token from the caller's bucket for this route class, or answer
+ * 429. If the limiter is unreachable the request is let through rather than
+ * taking the API down with it.
+ */
+export function rateLimit(): MiddlewareHandler<any> {
+  return async (c: Context<any>, next: Next) => {
+    let result: RateLimitResult | null = null;
+    try {
+      const response = await limiterFor(c.env.RATE_LIMITER, rateLimitSubject(c)).fetch('http://rate-limiter/consume', {
+        method: 'POST',
+        body: JSON.stringify({ routeClass: routeClass(c.req.path) })
+      });
+      result = await response.json() as RateLimitResult;
+    } catch (error) {
+      console.error('Rate limiter unavailable:', error);
+    }
+
+    if (!result) {
+      await next();
+      return;
+    }
+
+    const headers: Record<string, string> = {
+      'X-RateLimit-Limit': String(result.limit),
+      'X-RateLimit-Remaining': String(result.remaining),
+      'X-RateLimit-Reset': String(result.reset)
+    };
+
+    if (!result.allowed) {
+      return c.json({
+        error: 'Rate limit exceeded',
+        details: `Too many ${routeClass(c.req.path)} requests; retry in ${result.retryAfter}s`,
+        retryAfter: result.retryAfter
+      }, 429, { ...headers, 'Retry-After': String(result.retryAfter) });
+    }
+
+    await next();
+
+    // WebSocket upgrade responses can't be copied to add headers
+    if (c.res.status !== 101) {
+      for (const [name, value] of Object.entries(headers)) {
+        c.header(name, value);
+      }
+    }
+  };
+}
+
+// Current buckets and recent daily counts for one subject
+export async function getUsage(namespace: DurableObjectNamespace, subject: string) {
+  const response = await limiterFor(namespace, subject).fetch('http://rate-limiter/usage');
+  return { subject, ...await response.json() as object };
+}
+
+// Rate Limiter Durable Object - one instance per subject (idFromName(subject))
+export class RateLimiter {
+  state: DurableObjectState;
+  buckets: Partial<Record<RouteClass, Bucket>> = {};
+  usage: DayUsage[] = [];
+
+  constructor(state: DurableObjectState) {
+    this.state = state;
+    this.state.blockConcurrencyWhile(async () => {
+      this.buckets = await this.state.storage.get('buckets') || {};
+      this.usage = await this.state.storage.get('usage') || [];
+    });
+  }
+
+  async fetch(request: Request): Promise<Response> {
+    const url = new URL(request.url);
+
+    if (url.pathname === '/consume' && request.method === 'POST') {
+      const { routeClass } = await request.json() as { routeClass: RouteClass };
+      const result = this.consume(routeClass in RATE_LIMITS ? routeClass : 'default');
+      await this.state.storage.put({ buckets: this.buckets, usage: this.usage });
+      return Response.json(result);
+    }
+
+    if (url.pathname === '/usage') {
+      return Response.json(this.report());
+    }
+
+    return new Response('Not found', { status: 404 });
+  }
+
+  consume(routeClass: RouteClass, now = Date.now()): RateLimitResult {
+    const { capacity, refillPerSecond } = RATE_LIMITS[routeClass];
+    const bucket = this.buckets[routeClass] = {
+      tokens: this.tokensAt(routeClass, now),
+      updatedAt: now
+    };
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+    this.count(routeClass, allowed, now);
+
+    return {
+      allowed,
+      limit: capacity,
+      remaining: Math.floor(bucket.tokens),
+      reset: Math.ceil((capacity - bucket.tokens) / refillPerSecond),
+      retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerSecond)
+    };
+  }
+
+  report(now = Date.now()) {
+    const buckets: Record<string, { limit: number; remaining: number; refillPerMinute: number }> = {};
+    for (const routeClass of Object.keys(RATE_LIMITS) as RouteClass[]) {
+      const { capacity, refillPerSecond } = RATE_LIMITS[routeClass];
+      buckets[routeClass] = {
+        limit: capacity,
+        remaining: Math.floor(this.tokensAt(routeClass, now)),
+        refillPerMinute: refillPerSecond * 60
+      };
+    }
+    return { buckets, days: this.usage };
+  }
+
+  // Tokens in a bucket at `now`, after refilling since its last update
+  private tokensAt(routeClass: RouteClass, now: number): number {
+    const { capacity, refillPerSecond } = RATE_LIMITS[routeClass];
+    const bucket = this.buckets[routeClass];
+    if (!bucket) {
+      return capacity;
+    }
+    return Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * refillPerSecond);
+  }
+
+  private count(routeClass: RouteClass, allowed: boolean, now: number): void {
+    const date = new Date(now).toISOString().substring(0, 10);
+    let day = this.usage[this.usage.length - 1];
+    if (!day || day.date !== date) {
+      day = { date, counts: {} };
+      this.usage = [...this.usage, day].slice(-USAGE_DAYS);
+    }
+    const counts = day.counts[routeClass] ??= { allowed: 0, limited: 0 };
+    counts[allowed ? 'allowed' : 'limited']++;
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Role-Based Access Control
+ * Roles come from the `role` claim the auth worker puts in every token.
+ * Requests made with an API key are further limited to the key's scopes.
+ *
+ *   admin    - everything, including scraper control and reference data imports
+ *   trader   - market data, BESS tools, own meter data, read/write trading
+ *   user     - market data, BESS tools, own meter data, read-only view of own trading
+ *   analyst  - read-only: market data, own BESS runs and meter data; no trading state at all
+ *
+ * bess:run and meter:data write (optimisations save runs and start jobs;
+ * meter data is uploaded to D1 and R2), so their reads are separate
+ * permissions.
+ */
+
+import type { Context, MiddlewareHandler, Next } from 'hono';
+
+export const ROLES = ['user', 'analyst', 'trader', 'admin'] as const;
+export type Role = typeof ROLES[number];
+
+export type Permission =
+  | 'market:read'
+  | 'bess:read'
+  | 'bess:run'
+  | 'meter:read'
+  | 'meter:data'
+  | 'trading:read'
+  | 'trading:write'
+  | 'market:admin'
+  | 'scraper:admin';
+
+const ROLE_PERMISSIONS: Record<Role, Permission[]> = {
+  admin: ['market:read', 'bess:read', 'bess:run', 'meter:read', 'meter:data', 'trading:read', 'trading:write', 'market:admin', 'scraper:admin'],
+  trader: ['market:read', 'bess:read', 'bess:run', 'meter:read', 'meter:data', 'trading:read', 'trading:write'],
+  user: ['market:read', 'bess:read', 'bess:run', 'meter:read', 'meter:data', 'trading:read'],
+  analyst: ['market:read', 'bess:read', 'meter:read']
+};
+
+// Tokens issued before roles were embedded carry no claim; treat them as plain users
+export function normaliseRole(role: unknown): Role {
+  return (ROLES as readonly string[]).includes(role as string) ? role as Role : 'user';
+}
+
+export function hasPermission(role: Role, permission: Permission): boolean {
+  return ROLE_PERMISSIONS[role].includes(permission);
+}
+
+/**
+ * Route guard. Must run after the auth middleware has set `role`
+ * (and `scopes` for API-key requests).
+ */
+export function requirePermission(permission: Permission): MiddlewareHandler<any> {
+  return async (c: Context<any>, next: Next) => {
+    const role = normaliseRole(c.get('role'));
+    if (!hasPermission(role, permission)) {
+      return c.json({
+        error: 'Forbidden',
+        details: `Role '${role}' lacks permission '${permission}'`
+      }, 403);
+    }
+
+    const scopes = c.get('scopes') as Permission[] | undefined;
+    if (scopes && !scopes.includes(permission)) {
+      return c.json({
+        error: 'Forbidden',
+        details: `API key lacks scope '${permission}'`
+      }, 403);
+    }
+
+    await next();
+  };
+}
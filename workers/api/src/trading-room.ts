@@ -40,6 +40,13 @@ export class TradingRoom {
       return new Response('Broadcast sent', { status: 200 });
     }
     
+    // Message for one user's sessions (e.g. BESS job progress)
+    if (url.pathname === '/notify' && request.method === 'POST') {
+      const { userId, message } = await request.json() as { userId: string; message: any };
+      this.notifyUser(userId, message);
+      return new Response('Notification sent', { status: 200 });
+    }
+    
     // Get current sessions count
     if (url.pathname === '/stats') {
       return new Response(JSON.stringify({
@@ -60,10 +67,12 @@ export class TradingRoom {
     // Extract session info from query params
     const url = new URL(request.url);
     const userId = url.searchParams.get('userId');
+    const role = url.searchParams.get('role') || 'user';
     const regions = url.searchParams.get('regions')?.split(',') || ['NSW1'];
     
     const sessionInfo: SessionInfo = {
       userId,
+      role,
       regions,
       connectedAt: new Date().toISOString()
     };
@@ -124,6 +133,14 @@ export class TradingRoom {
         break;
         
       case 'TRADE':
+        // Only traders and admins may publish trades
+        if (!TRADE_WRITE_ROLES.includes(session.role)) {
+          ws.send(JSON.stringify({
+            type: 'ERROR',
+            message: 'Forbidden: trading requires the trader role'
+          }));
+          break;
+        }
         // Broadcast trade to relevant users
         await this.broadcastTrade(data, session.userId);
         break;
@@ -180,8 +197,9 @@ export class TradingRoom {
       }
     };
     
-    // Broadcast to all sessions
+    // Broadcast to all sessions allowed to see trading activity
     this.sessions.forEach((session, ws) => {
+      if (!TRADE_READ_ROLES.includes(session.role)) return;
       try {
         ws.send(JSON.stringify(message));
       } catch (error) {
@@ -189,10 +207,27 @@ export class TradingRoom {
       }
     });
   }
+
+  notifyUser(userId: string, message: any) {
+    const payload = JSON.stringify(message);
+    this.sessions.forEach((session, ws) => {
+      if (session.userId !== userId) return;
+      try {
+        ws.send(payload);
+      } catch (error) {
+        this.sessions.delete(ws);
+      }
+    });
+  }
 }
 
+// Roles allowed to publish trades / see trading activity (analysts only get prices)
+const TRADE_WRITE_ROLES = ['trader', 'admin'];
+const TRADE_READ_ROLES = ['user', 'trader', 'admin'];
+
 interface SessionInfo {
   userId: string | null;
+  role: string;
   regions: string[];
   connectedAt: string;
 }
@@ -0,0 +1,72 @@
+// Account Token Module - Single-use tokens for password reset and email verification
+// Tokens are random, sent to the user once, and stored only as SHA-256 hashes
+
+export type AccountTokenKind = 'password_reset' | 'email_verification';
+
+const TABLES: Record<AccountTokenKind, string> = {
+  password_reset: 'password_resets',
+  email_verification: 'email_verifications'
+};
+
+export const TOKEN_TTL_SECONDS: Record<AccountTokenKind, number> = {
+  password_reset: 60 * 60,        // 1 hour
+  email_verification: 24 * 60 * 60 // 24 hours
+};
+
+export async function hashToken(token: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function randomToken(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '');
+}
+
+/**
+ * Issue a new token for a user. Any earlier unused token of the same kind
+ * is retired so only the latest email works.
+ */
+export async function issueAccountToken(db: D1Database, kind: AccountTokenKind, userId: string | number): Promise<string> {
+  const table = TABLES[kind];
+  const token = randomToken();
+  const tokenHash = await hashToken(token);
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_SECONDS[kind] * 1000).toISOString();
+
+  await db.batch([
+    db.prepare(`UPDATE ${table} SET used = 1 WHERE user_id = ? AND used = 0`).bind(userId),
+    db.prepare(`INSERT INTO ${table} (user_id, token_hash, expires_at) VALUES (?, ?, ?)`)
+      .bind(userId, tokenHash, expiresAt)
+  ]);
+
+  return token;
+}
+
+/**
+ * Mark a token used and return its user, or null if it is unknown,
+ * expired or already used. The single UPDATE makes this race-free.
+ */
+export async function consumeAccountToken(db: D1Database, kind: AccountTokenKind, token: string): Promise<number | null> {
+  const row = await db.prepare(`
+    UPDATE ${TABLES[kind]}
+    SET used = 1
+    WHERE token_hash = ? AND used = 0 AND expires_at > ?
+    RETURNING user_id
+  `).bind(await hashToken(token), new Date().toISOString()).first();
+
+  return row ? row.user_id as number : null;
+}
+
+// True if a token of this kind was issued to the user within the last `seconds`
+export async function issuedRecently(db: D1Database, kind: AccountTokenKind, userId: string | number, seconds: number): Promise<boolean> {
+  const row = await db.prepare(`
+    SELECT 1 FROM ${TABLES[kind]}
+    WHERE user_id = ? AND created_at > datetime('now', ?)
+    LIMIT 1
+  `).bind(userId, `-${seconds} seconds`).first();
+
+  return !!row;
+}
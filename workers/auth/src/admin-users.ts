@@ -0,0 +1,117 @@
+// Admin Users Module - Listing and searching accounts for the admin user management page
+
+export interface UserSearch {
+  q?: string;                          // matches email or name
+  role?: string;
+  status?: 'active' | 'inactive';
+  limit?: number;
+  offset?: number;
+}
+
+export const USER_PAGE_SIZE = 50;
+const USER_MAX_PAGE_SIZE = 200;
+
+const USER_COLUMNS = `
+  u.id, u.email, u.name, u.role, u.is_active, u.email_verified,
+  u.created_at, u.last_login, u.failed_logins, u.locked_until,
+  COALESCE(m.enabled, 0) AS mfa_enabled
+`;
+
+// The shape admin endpoints return; never includes the password hash
+export function adminUserView(row: Record<string, unknown>) {
+  const lockedUntil = row.locked_until as string | null;
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role || 'user',
+    active: !!row.is_active,
+    emailVerified: !!row.email_verified,
+    mfaEnabled: !!row.mfa_enabled,
+    createdAt: row.created_at,
+    lastLogin: row.last_login,
+    failedLogins: row.failed_logins || 0,
+    lockedUntil: lockedUntil && new Date(lockedUntil).getTime() > Date.now() ? lockedUntil : null
+  };
+}
+
+export async function searchUsers(db: D1Database, search: UserSearch) {
+  const conditions: string[] = [];
+  const params: unknown[] = [];
+
+  if (search.q) {
+    conditions.push("(u.email LIKE ? ESCAPE '\\' OR u.name LIKE ? ESCAPE '\\')");
+    const pattern = `%${search.q.replace(/[\\%_]/g, ch => `\\${ch}`)}%`;
+    params.push(pattern, pattern);
+  }
+  if (search.role) {
+    conditions.push('u.role = ?');
+    params.push(search.role);
+  }
+  if (search.status) {
+    conditions.push('u.is_active = ?');
+    params.push(search.status === 'active' ? 1 : 0);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const limit = Math.min(Math.max(search.limit || USER_PAGE_SIZE, 1), USER_MAX_PAGE_SIZE);
+  const offset = Math.max(search.offset || 0, 0);
+
+  const [rows, count] = await db.batch([
+    db.prepare(`
+      SELECT ${USER_COLUMNS}
+      FROM users u
+      LEFT JOIN user_mfa m ON m.user_id = u.id
+      ${where}
+      ORDER BY u.created_at DESC, u.id DESC
+      LIMIT ? OFFSET ?
+    `).bind(...params, limit, offset),
+    db.prepare(`SELECT COUNT(*) AS total FROM users u ${where}`).bind(...params)
+  ]);
+
+  const total = ((count.results?.[0] as any)?.total as number) || 0;
+
+  return {
+    users: (rows.results || []).map(row => adminUserView(row as Record<string, unknown>)),
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + limit < total
+    }
+  };
+}
+
+export async function getAdminUser(db: D1Database, userId: string | number) {
+  const row = await db.prepare(`
+    SELECT ${USER_COLUMNS},
+      (SELECT COUNT(*) FROM api_keys k WHERE k.user_id = u.id AND k.is_active = 1) AS api_keys
+    FROM users u
+    LEFT JOIN user_mfa m ON m.user_id = u.id
+    WHERE u.id = ?
+  `).bind(userId).first();
+
+  return row ? { ...adminUserView(row), activeApiKeys: (row.api_keys as number) || 0 } : null;
+}
+
+// Active admins other than `exceptUserId`; used to stop the last admin being removed
+export async function countOtherActiveAdmins(db: D1Database, exceptUserId: string | number): Promise<number> {
+  const row = await db.prepare(
+    "SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND is_active = 1 AND id != ?"
+  ).bind(exceptUserId).first();
+  return (row?.count as number) || 0;
+}
+
+export async function setUserActive(db: D1Database, userId: string | number, active: boolean): Promise<void> {
+  await db.prepare(
+    'UPDATE users SET is_active = ?, updated_at = datetime("now") WHERE id = ?'
+  ).bind(active ? 1 : 0, userId).run();
+}
+
+// Hashes of the user's keys, so their cached verifications can be purged on role or status changes
+export async function activeApiKeyHashes(db: D1Database, userId: string | number): Promise<string[]> {
+  const result = await db.prepare(
+    'SELECT key_hash FROM api_keys WHERE user_id = ? AND is_active = 1'
+  ).bind(userId).all();
+  return (result.results || []).map(row => row.key_hash as string);
+}
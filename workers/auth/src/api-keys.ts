@@ -0,0 +1,116 @@
+// API Key Module - Long-lived credentials for scripts and scheduled jobs
+// Only a SHA-256 hash of each key is stored; the full key is returned once at creation
+
+// Scopes a key can carry; the API worker intersects them with the owner's role
+export const API_KEY_SCOPES = [
+  'market:read', 'bess:read', 'bess:run', 'meter:read', 'meter:data', 'trading:read', 'trading:write'
+] as const;
+export type ApiKeyScope = typeof API_KEY_SCOPES[number];
+
+// Keys look like sk_sunney_<43 base64url chars>; the first 16 chars are kept for display
+const KEY_PREFIX = 'sk_sunney_';
+const DISPLAY_PREFIX_LENGTH = 16;
+
+// Verified keys are cached briefly so each API request doesn't hit D1
+const VERIFY_CACHE_TTL = 60;
+
+export interface ApiKeyIdentity {
+  keyId: number;
+  userId: string;
+  email: string;
+  role: string;
+  scopes: ApiKeyScope[];
+}
+
+export function generateApiKey(): { key: string; prefix: string } {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  const key = KEY_PREFIX + btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '');
+  return { key, prefix: key.substring(0, DISPLAY_PREFIX_LENGTH) };
+}
+
+export async function hashApiKey(key: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Write scopes that predate their read scope, and still carry it
+const IMPLIED_SCOPES: Partial<Record<ApiKeyScope, ApiKeyScope>> = {
+  'bess:run': 'bess:read',
+  'meter:data': 'meter:read'
+};
+
+// Stored as a comma-separated list; the schema default 'read' predates scopes
+export function parseScopes(permissions: string | null): ApiKeyScope[] {
+  if (!permissions || permissions === 'read') {
+    return ['market:read'];
+  }
+  const scopes = permissions
+    .split(',')
+    .map(s => s.trim())
+    .filter((s): s is ApiKeyScope => (API_KEY_SCOPES as readonly string[]).includes(s));
+  const implied = scopes.map(s => IMPLIED_SCOPES[s]).filter((s): s is ApiKeyScope => !!s);
+  return [...new Set([...scopes, ...implied])];
+}
+
+/**
+ * Resolve a presented key to its owner, or null if unknown, revoked,
+ * expired or the owner is deactivated. Updates last_used at most once a minute.
+ */
+export async function verifyApiKey(db: D1Database, cache: KVNamespace | undefined, key: string): Promise<ApiKeyIdentity | null> {
+  if (!key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const keyHash = await hashApiKey(key);
+  const cacheKey = `apikey:${keyHash}`;
+
+  if (cache) {
+    const cached = await cache.get(cacheKey, 'json') as ApiKeyIdentity | null;
+    if (cached) {
+      return cached;
+    }
+  }
+
+  const row = await db.prepare(`
+    SELECT k.id, k.user_id, k.permissions, k.expires_at, u.email, u.role, u.is_active AS user_active
+    FROM api_keys k
+    JOIN users u ON u.id = k.user_id
+    WHERE k.key_hash = ? AND k.is_active = 1
+  `).bind(keyHash).first();
+
+  if (!row || !row.user_active) {
+    return null;
+  }
+  if (row.expires_at && new Date(row.expires_at as string).getTime() <= Date.now()) {
+    return null;
+  }
+
+  await db.prepare(`
+    UPDATE api_keys SET last_used = datetime('now')
+    WHERE id = ? AND (last_used IS NULL OR last_used < datetime('now', '-1 minute'))
+  `).bind(row.id).run();
+
+  const identity: ApiKeyIdentity = {
+    keyId: row.id as number,
+    userId: String(row.user_id),
+    email: row.email as string,
+    role: (row.role as string) || 'user',
+    scopes: parseScopes(row.permissions as string)
+  };
+
+  if (cache) {
+    await cache.put(cacheKey, JSON.stringify(identity), { expirationTtl: VERIFY_CACHE_TTL });
+  }
+
+  return identity;
+}
+
+// Drop a cached verification so revocation takes effect immediately
+export async function purgeApiKeyCache(cache: KVNamespace | undefined, keyHash: string): Promise<void> {
+  if (cache) {
+    await cache.delete(`apikey:${keyHash}`);
+  }
+}
@@ -1,19 +1,101 @@
 // Authentication Worker - Handles user auth and JWT tokens
-import { Hono } from 'hono';
+import { Hono, type Context, type Next } from 'hono';
 import { cors } from 'hono/cors';
 import { z } from 'zod';
 import bcrypt from 'bcryptjs';
 import { JWTCache } from './jwt-cache';
+import {
+  API_KEY_SCOPES,
+  generateApiKey,
+  hashApiKey,
+  parseScopes,
+  verifyApiKey,
+  purgeApiKeyCache
+} from './api-keys';
+import { createMailer } from './mailer';
+import { issueAccountToken, consumeAccountToken, issuedRecently } from './account-tokens';
+import {
+  type AttemptContext,
+  recordLoginAttempt,
+  checkLoginThrottle,
+  lockRemainingSeconds,
+  registerFailedLogin,
+  clearFailedLogins,
+  unlockAccount
+} from './login-throttle';
+import {
+  type ClientInfo,
+  ACCESS_TOKEN_TTL,
+  createSession,
+  getSession,
+  rotateRefreshToken,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  updateSessionsRole,
+  publicSession
+} from './sessions';
+import { provisioningUri } from './totp';
+import {
+  type MfaChallenge,
+  MFA_CHALLENGE_TTL,
+  getMfaStatus,
+  beginEnrolment,
+  confirmEnrolment,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  disableMfa,
+  getMfaPolicy,
+  isMfaRequired,
+  setMfaPolicy,
+  createChallenge,
+  getChallenge,
+  failChallenge,
+  completeChallenge
+} from './mfa';
+import { type AuditEvent, writeAudit, queryAudit } from '../../../shared/audit/audit-log';
+import {
+  type AccessTokenClaims,
+  hasKeySet,
+  parseKeySet,
+  signJwt,
+  verifyJwt,
+  revokeAccessTokens
+} from '../../../shared/auth/jwt';
+import {
+  searchUsers,
+  getAdminUser,
+  countOtherActiveAdmins,
+  setUserActive,
+  activeApiKeyHashes
+} from './admin-users';
 
 export interface Env {
   DB: D1Database;
   SESSIONS: KVNamespace;
-  JWT_SECRET: string;
+  JWT_SECRET?: string;     // Single signing key; superseded by JWT_KEYS
+  JWT_KEYS?: string;       // JSON key set with kids for rotation (shared/auth/jwt.ts)
   JWT_CACHE?: KVNamespace; // Optional for backward compatibility
+  APP_URL?: string;        // Base URL for links in emails
+  MAILER?: string;         // 'http' | 'console' | 'kv' (see mailer.ts); unset sends nothing
+  MFA_ENCRYPTION_KEY?: string; // Encrypts stored TOTP secrets; falls back to JWT_SECRET
   [key: string]: any;
 }
 
-const app = new Hono<{ Bindings: Env }>();
+// Roles stored in users.role; embedded in every token as the `role` claim
+const ROLES = ['user', 'analyst', 'trader', 'admin'] as const;
+type Role = typeof ROLES[number];
+
+// Values set by requireAuth / requireAdmin for downstream handlers
+interface Variables {
+  userId: string;
+  email: string;
+  role: Role;
+  sessionId: string;
+}
+
+const app = new Hono<{ Bindings: Env; Variables: Variables }>();
 
 // CORS configuration
 app.use('*', cors({
@@ -38,6 +120,58 @@ const RegisterSchema = z.object({
   name: z.string().min(2)
 });
 
+const RoleUpdateSchema = z.object({
+  role: z.enum(ROLES)
+});
+
+const ForgotPasswordSchema = z.object({
+  email: z.string().email()
+});
+
+const RefreshSchema = z.object({
+  refreshToken: z.string().min(1)
+});
+
+const ResetPasswordSchema = z.object({
+  token: z.string().min(20),
+  password: z.string().min(8)
+});
+
+const VerifyEmailSchema = z.object({
+  token: z.string().min(20)
+});
+
+const MfaLoginSchema = z.object({
+  challengeToken: z.string().min(1),
+  code: z.string().min(6).max(20)
+});
+
+const MfaSetupSchema = z.object({
+  challengeToken: z.string().min(1).optional()
+});
+
+const MfaEnableSchema = z.object({
+  code: z.string().min(6).max(6),
+  challengeToken: z.string().min(1).optional()
+});
+
+const MfaCodeSchema = z.object({
+  code: z.string().min(6).max(20)
+});
+
+const MfaPolicySchema = z.object({
+  required: z.boolean()
+});
+
+// Minimum gap between verification/reset emails to the same user
+const RESEND_COOLDOWN_SECONDS = 60;
+
+const ApiKeyCreateSchema = z.object({
+  name: z.string().min(1).max(100),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1).default(['market:read']),
+  expiresInDays: z.number().int().positive().max(3650).optional()
+});
+
 // Health check
 app.get('/health', (c) => {
   return c.json({ 
@@ -50,10 +184,10 @@ app.get('/health', (c) => {
 // Register endpoint
 app.post('/auth/register', async (c) => {
   try {
-    // Check if JWT_SECRET exists
-    if (!c.env.JWT_SECRET) {
-      console.error('JWT_SECRET not found in environment');
-      return c.json({ error: 'Server configuration error: JWT_SECRET missing' }, 500);
+    // Check a signing key is configured
+    if (!hasKeySet(c.env)) {
+      console.error('JWT_KEYS / JWT_SECRET not found in environment');
+      return c.json({ error: 'Server configuration error: JWT signing key missing' }, 500);
     }
     
     const body = await c.req.json();
@@ -73,30 +207,34 @@ app.post('/auth/register', async (c) => {
     
     // Create user
     const result = await c.env.DB.prepare(
-      'INSERT INTO users (email, password_hash, name, created_at) VALUES (?, ?, ?, datetime("now")) RETURNING id'
+      'INSERT INTO users (email, password_hash, name, created_at) VALUES (?, ?, ?, datetime("now")) RETURNING id, role'
     ).bind(data.email, passwordHash, data.name).first();
     
     if (!result || !result.id) {
       throw new Error('Failed to create user - no ID returned');
     }
     
-    // Generate JWT
+    // Start a session for this device
     const userId = String(result.id);
-    const token = await generateJWT(userId, data.email, c.env.JWT_SECRET);
+    const role = (result.role as Role) || 'user';
+    const tokens = await startSession(c, { userId, email: data.email, role });
+    audit(c, { userId, action: 'register', resource: `user:${userId}` });
     
-    // Store session
-    await c.env.SESSIONS.put(`session:${userId}`, JSON.stringify({
-      userId: userId,
-      email: data.email,
-      createdAt: new Date().toISOString()
-    }), { expirationTtl: 86400 }); // 24 hours
+    // Registration still succeeds if the email can't be sent; the user can resend
+    try {
+      await sendVerificationEmail(c.env, userId, data.email);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
     
     return c.json({
-      token,
+      ...tokens,
       user: {
         id: result.id,
         email: data.email,
-        name: data.name
+        name: data.name,
+        role,
+        emailVerified: false
       }
     });
   } catch (error: any) {
@@ -115,45 +253,132 @@ app.post('/auth/login', async (c) => {
     const body = await c.req.json();
     const data = LoginSchema.parse(body);
     
+    const attempt = attemptContext(c, data.email);
+    
+    // Sliding-window limits per email and per IP
+    const throttled = await checkLoginThrottle(c.env.DB, attempt);
+    if (throttled) {
+      await recordLoginAttempt(c.env.DB, attempt, false);
+      c.header('Retry-After', String(throttled.retryAfter));
+      return c.json({
+        error: 'Too many login attempts',
+        details: `Try again in ${throttled.retryAfter} seconds`
+      }, 429);
+    }
+    
     // Get user
     const user = await c.env.DB.prepare(
-      'SELECT id, email, password_hash, name FROM users WHERE email = ?'
+      'SELECT id, email, password_hash, name, role, email_verified, is_active, locked_until FROM users WHERE email = ?'
     ).bind(data.email).first();
     
     if (!user) {
+      await recordLoginAttempt(c.env.DB, attempt, false);
       return c.json({ error: 'Invalid credentials' }, 401);
     }
     
+    // Locked accounts are refused before the password is even checked
+    const lockedFor = lockRemainingSeconds(user.locked_until as string | null);
+    if (lockedFor > 0) {
+      await recordLoginAttempt(c.env.DB, attempt, false);
+      c.header('Retry-After', String(lockedFor));
+      return c.json({
+        error: 'Account temporarily locked',
+        details: `Too many failed logins. Try again in ${lockedFor} seconds or reset your password.`
+      }, 423);
+    }
+    
     // Verify password
     const valid = await bcrypt.compare(data.password, user.password_hash as string);
     if (!valid) {
+      await recordLoginAttempt(c.env.DB, attempt, false);
+      await registerFailedLogin(c.env.DB, user.id as number, attempt);
       return c.json({ error: 'Invalid credentials' }, 401);
     }
     
-    // Generate JWT
-    const token = await generateJWT(user.id as string, user.email as string, c.env.JWT_SECRET);
+    // Only revealed to someone who knows the password
+    if (!user.is_active) {
+      await recordLoginAttempt(c.env.DB, attempt, false);
+      return c.json({ error: 'Account deactivated', details: 'Contact an administrator' }, 403);
+    }
     
-    // Store session
-    await c.env.SESSIONS.put(`session:${user.id}`, JSON.stringify({
-      userId: user.id,
-      email: user.email,
-      createdAt: new Date().toISOString()
-    }), { expirationTtl: 86400 });
+    // Enrolled users must present a second factor; roles that require MFA must enrol first.
+    // Either way no session exists until that step succeeds
+    const role = (user.role as Role) || 'user';
+    const mfa = await getMfaStatus(c.env.DB, user.id as number);
+    if (mfa.enabled || await isMfaRequired(c.env.DB, role)) {
+      const challengeToken = await createChallenge(c.env.SESSIONS, {
+        userId: String(user.id),
+        email: user.email as string,
+        role,
+        purpose: mfa.enabled ? 'verify' : 'enroll'
+      });
+      return c.json({
+        mfaRequired: mfa.enabled,
+        mfaEnrollmentRequired: !mfa.enabled,
+        challengeToken,
+        expiresIn: MFA_CHALLENGE_TTL
+      });
+    }
     
-    return c.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name
-      }
-    });
+    return c.json(await completeLogin(c, user, attempt));
   } catch (error) {
     console.error('Login error:', error);
     return c.json({ error: 'Login failed' }, 500);
   }
 });
 
+// Second login step for MFA-enrolled users: a TOTP code or a recovery code
+app.post('/auth/login/mfa', requireMfaKey, async (c) => {
+  let data: z.infer<typeof MfaLoginSchema>;
+  try {
+    data = MfaLoginSchema.parse(await c.req.json());
+  } catch (error: any) {
+    return c.json({ error: 'Invalid request', details: error.errors ?? error.message }, 400);
+  }
+  
+  const challenge = await getChallenge(c.env.SESSIONS, data.challengeToken, 'verify');
+  if (!challenge) {
+    return c.json({ error: 'MFA challenge expired', details: 'Sign in again' }, 401);
+  }
+  
+  const attempt = attemptContext(c, challenge.email);
+  const user = await c.env.DB.prepare(
+    'SELECT id, email, name, role, email_verified, is_active, locked_until FROM users WHERE id = ?'
+  ).bind(challenge.userId).first();
+  if (!user) {
+    return c.json({ error: 'MFA challenge expired', details: 'Sign in again' }, 401);
+  }
+  
+  // The account may have been deactivated since the password step
+  if (!user.is_active) {
+    await completeChallenge(c.env.SESSIONS, data.challengeToken);
+    await recordLoginAttempt(c.env.DB, attempt, false);
+    return c.json({ error: 'Account deactivated', details: 'Contact an administrator' }, 403);
+  }
+  
+  // Wrong codes count towards the same lockout as wrong passwords
+  const lockedFor = lockRemainingSeconds(user.locked_until as string | null);
+  if (lockedFor > 0) {
+    await completeChallenge(c.env.SESSIONS, data.challengeToken);
+    c.header('Retry-After', String(lockedFor));
+    return c.json({ error: 'Account temporarily locked', details: `Try again in ${lockedFor} seconds` }, 423);
+  }
+  
+  const method = await verifySecondFactor(c.env.DB, challenge.userId, data.code, mfaKey(c.env));
+  if (!method) {
+    await failChallenge(c.env.SESSIONS, data.challengeToken, challenge);
+    await recordLoginAttempt(c.env.DB, attempt, false);
+    await registerFailedLogin(c.env.DB, challenge.userId, attempt);
+    return c.json({ error: 'Invalid code' }, 401);
+  }
+  
+  await completeChallenge(c.env.SESSIONS, data.challengeToken);
+  return c.json({
+    ...await completeLogin(c, user, attempt, { mfa: method }),
+    mfaMethod: method
+  });
+});
+
 // Verify token endpoint with caching
 app.post('/auth/verify', async (c) => {
   const authHeader = c.req.header('Authorization');
@@ -173,144 +398,937 @@ app.post('/auth/verify', async (c) => {
         valid: true,
         userId: cached.userId,
         email: cached.email,
+        role: cached.role || 'user',
         cached: true // For monitoring
       });
     }
   }
   
   try {
-    const payload = await verifyJWT(token, c.env.JWT_SECRET);
-    
-    // Check session exists
-    const session = await c.env.SESSIONS.get(`session:${payload.userId}`);
-    if (!session) {
+    const identity = await authenticateToken(c.env, token);
+    if (!identity) {
       return c.json({ valid: false }, 401);
     }
     
-    // Cache the valid token
+    // Cache the valid token, no longer than it lives
     if (c.env.JWT_CACHE) {
       const cache = new JWTCache(c.env.JWT_CACHE);
-      await cache.set(token, {
-        userId: payload.userId,
-        email: payload.email
-      });
+      await cache.set(token, identity, identity.expiresAt);
     }
     
     return c.json({ 
       valid: true,
-      userId: payload.userId,
-      email: payload.email
+      ...identity
     });
   } catch (error) {
     return c.json({ valid: false }, 401);
   }
 });
 
-// Logout endpoint
-app.post('/auth/logout', async (c) => {
-  const authHeader = c.req.header('Authorization');
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    const token = authHeader.substring(7);
+// Exchange a refresh token for a new access/refresh pair (the old refresh token stops working)
+app.post('/auth/refresh', async (c) => {
+  let data: z.infer<typeof RefreshSchema>;
+  try {
+    data = RefreshSchema.parse(await c.req.json());
+  } catch (error: any) {
+    return c.json({ error: 'Invalid request', details: error.errors ?? error.message }, 400);
+  }
+  
+  const result = await rotateRefreshToken(c.env.SESSIONS, data.refreshToken, clientInfo(c));
+  
+  if (result.status === 'reused') {
+    // An old refresh token came back: someone else has a copy. The session is gone; kill its access tokens too
+    console.warn(`Refresh token reuse for user ${result.session.userId}, session ${result.session.sessionId} revoked`);
+    await revokeAccess(c.env, result.session.userId, result.session.sessionId);
+    return c.json({ error: 'Refresh token reused', details: 'Session revoked; please sign in again' }, 401);
+  }
+  if (result.status === 'superseded') {
+    return c.json({ error: 'Refresh token superseded', details: 'This session was just refreshed elsewhere; use the newer token' }, 409);
+  }
+  if (result.status === 'invalid') {
+    return c.json({ error: 'Invalid refresh token' }, 401);
+  }
+  
+  const { session } = result;
+  const token = await generateJWT(session.userId, session.email, session.role as Role, session.sessionId, c.env);
+  
+  return c.json({
+    token,
+    refreshToken: result.refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+});
+
+// Sessions - one per signed-in device
+app.get('/auth/sessions', requireAuth, async (c) => {
+  const sessions = await listSessions(c.env.SESSIONS, c.get('userId'));
+  return c.json({
+    sessions: sessions.map(s => publicSession(s, c.get('sessionId')))
+  });
+});
+
+app.delete('/auth/sessions/:id', requireAuth, async (c) => {
+  const userId = c.get('userId');
+  const sessionId = c.req.param('id');
+  
+  const session = await getSession(c.env.SESSIONS, userId, sessionId);
+  if (!session) {
+    return c.json({ error: 'Session not found' }, 404);
+  }
+  
+  await revokeSession(c.env.SESSIONS, userId, sessionId);
+  await revokeAccess(c.env, userId, sessionId);
+  audit(c, { userId, action: 'session_revoked', resource: `session:${sessionId}`, details: { device: session.device } });
+  
+  return c.json({ success: true, current: sessionId === c.get('sessionId') });
+});
+
+// Password reset - always answers the same way so it can't be used to probe for accounts
+app.post('/auth/forgot-password', async (c) => {
+  let data: z.infer<typeof ForgotPasswordSchema>;
+  try {
+    data = ForgotPasswordSchema.parse(await c.req.json());
+  } catch (error: any) {
+    return c.json({ error: 'Invalid email', details: error.errors ?? error.message }, 400);
+  }
+  
+  const user = await c.env.DB.prepare(
+    'SELECT id, email, name FROM users WHERE email = ? AND is_active = 1'
+  ).bind(data.email).first();
+  
+  if (user && !(await issuedRecently(c.env.DB, 'password_reset', user.id as number, RESEND_COOLDOWN_SECONDS))) {
     try {
-      const payload = await verifyJWT(token, c.env.JWT_SECRET);
-      await c.env.SESSIONS.delete(`session:${payload.userId}`);
+      await sendPasswordResetEmail(c.env, user);
     } catch (error) {
-      // Ignore errors on logout
+      console.error('Password reset email error:', error);
     }
   }
   
+  return c.json({
+    success: true,
+    message: 'If that email belongs to an account, a reset link has been sent'
+  });
+});
+
+app.post('/auth/reset-password', async (c) => {
+  let data: z.infer<typeof ResetPasswordSchema>;
+  try {
+    data = ResetPasswordSchema.parse(await c.req.json());
+  } catch (error: any) {
+    return c.json({ error: 'Invalid request', details: error.errors ?? error.message }, 400);
+  }
+  
+  const userId = await consumeAccountToken(c.env.DB, 'password_reset', data.token);
+  if (!userId) {
+    return c.json({ error: 'Reset link is invalid or has expired' }, 400);
+  }
+  
+  const passwordHash = await bcrypt.hash(data.password, 10);
+  
+  // Receiving the email proves ownership of the address, so mark it verified
+  // too, and lift any login lockout
+  await c.env.DB.prepare(
+    'UPDATE users SET password_hash = ?, email_verified = 1, failed_logins = 0, locked_until = NULL, updated_at = datetime("now") WHERE id = ?'
+  ).bind(passwordHash, userId).run();
+  
+  // Sign the user out everywhere
+  const revoked = await revokeAllSessions(c.env.SESSIONS, String(userId));
+  await revokeAccess(c.env, String(userId));
+  audit(c, { userId, action: 'password_reset', resource: `user:${userId}`, details: { sessionsRevoked: revoked.length } });
+  
   return c.json({ success: true });
 });
 
-// JWT utilities - simplified for Workers environment
-async function generateJWT(userId: string, email: string, secret: string): Promise<string> {
-  const header = {
-    alg: 'HS256',
-    typ: 'JWT'
-  };
+// Email verification
+app.post('/auth/verify-email', async (c) => {
+  let data: z.infer<typeof VerifyEmailSchema>;
+  try {
+    data = VerifyEmailSchema.parse(await c.req.json());
+  } catch (error: any) {
+    return c.json({ error: 'Invalid request', details: error.errors ?? error.message }, 400);
+  }
   
-  const payload = {
-    userId,
-    email,
-    exp: Math.floor(Date.now() / 1000) + (24 * 60 * 60), // 24 hours
-    iat: Math.floor(Date.now() / 1000)
-  };
+  const userId = await consumeAccountToken(c.env.DB, 'email_verification', data.token);
+  if (!userId) {
+    return c.json({ error: 'Verification link is invalid or has expired' }, 400);
+  }
   
-  // Use TextEncoder to handle UTF-8 properly
-  const encoder = new TextEncoder();
-  const headerBytes = encoder.encode(JSON.stringify(header));
-  const payloadBytes = encoder.encode(JSON.stringify(payload));
+  await c.env.DB.prepare(
+    'UPDATE users SET email_verified = 1, updated_at = datetime("now") WHERE id = ?'
+  ).bind(userId).run();
   
-  // Convert to base64url
-  const encodedHeader = btoa(String.fromCharCode(...headerBytes))
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/=/g, '');
-    
-  const encodedPayload = btoa(String.fromCharCode(...payloadBytes))
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/=/g, '');
-  
-  const data = `${encodedHeader}.${encodedPayload}`;
-  const key = await crypto.subtle.importKey(
-    'raw',
-    encoder.encode(secret),
-    { name: 'HMAC', hash: 'SHA-256' },
-    false,
-    ['sign']
-  );
+  return c.json({ success: true });
+});
+
+app.post('/auth/resend-verification', requireAuth, async (c) => {
+  const user = await c.env.DB.prepare(
+    'SELECT id, email, email_verified FROM users WHERE id = ?'
+  ).bind(c.get('userId')).first();
+  
+  if (!user) {
+    return c.json({ error: 'User not found' }, 404);
+  }
+  if (user.email_verified) {
+    return c.json({ error: 'Email already verified' }, 400);
+  }
+  if (await issuedRecently(c.env.DB, 'email_verification', user.id as number, RESEND_COOLDOWN_SECONDS)) {
+    return c.json({ error: 'Please wait a minute before requesting another email' }, 429);
+  }
+  
+  try {
+    await sendVerificationEmail(c.env, user.id as number, user.email as string);
+  } catch (error: any) {
+    console.error('Verification email error:', error);
+    return c.json({ error: 'Could not send verification email', details: error.message }, 502);
+  }
+  
+  return c.json({ success: true });
+});
+
+// MFA management. Setup and enable also accept an enrolment challenge from
+// /auth/login, so users in an MFA-required role can enrol before they have a session
+app.get('/auth/mfa', requireAuth, async (c) => {
+  const userId = c.get('userId');
+  const [status, required] = await Promise.all([
+    getMfaStatus(c.env.DB, userId),
+    isMfaRequired(c.env.DB, c.get('role'))
+  ]);
+  
+  return c.json({
+    enabled: status.enabled,
+    required,
+    recoveryCodesRemaining: status.recoveryCodesRemaining
+  });
+});
+
+app.post('/auth/mfa/setup', requireMfaKey, async (c) => {
+  let data: z.infer<typeof MfaSetupSchema>;
+  try {
+    data = MfaSetupSchema.parse(await c.req.json().catch(() => ({})));
+  } catch (error: any) {
+    return c.json({ error: 'Invalid request', details: error.errors ?? error.message }, 400);
+  }
+  
+  const enrollee = await resolveEnrollee(c, data.challengeToken);
+  if (!enrollee) {
+    return c.json({ error: 'Unauthorized' }, 401);
+  }
+  
+  const status = await getMfaStatus(c.env.DB, enrollee.userId);
+  if (status.enabled) {
+    return c.json({ error: 'MFA already enabled', details: 'Disable it before enrolling a new device' }, 409);
+  }
+  
+  const secret = await beginEnrolment(c.env.DB, enrollee.userId, mfaKey(c.env));
+  
+  return c.json({
+    secret,
+    otpauthUri: provisioningUri(secret, enrollee.email)
+  });
+});
+
+app.post('/auth/mfa/enable', requireMfaKey, async (c) => {
+  let data: z.infer<typeof MfaEnableSchema>;
+  try {
+    data = MfaEnableSchema.parse(await c.req.json());
+  } catch (error: any) {
+    return c.json({ error: 'Invalid request', details: error.errors ?? error.message }, 400);
+  }
+  
+  const enrollee = await resolveEnrollee(c, data.challengeToken);
+  if (!enrollee) {
+    return c.json({ error: 'Unauthorized' }, 401);
+  }
+  
+  const recoveryCodes = await confirmEnrolment(c.env.DB, enrollee.userId, data.code, mfaKey(c.env));
+  if (!recoveryCodes) {
+    if (enrollee.challenge && data.challengeToken) {
+      await failChallenge(c.env.SESSIONS, data.challengeToken, enrollee.challenge);
+    }
+    return c.json({ error: 'Invalid code', details: 'Run setup first and enter the current code from your authenticator' }, 400);
+  }
+  
+  // Enrolling from a login challenge finishes that login
+  if (enrollee.challenge && data.challengeToken) {
+    await completeChallenge(c.env.SESSIONS, data.challengeToken);
+    const user = await c.env.DB.prepare(
+      'SELECT id, email, name, role, email_verified, is_active FROM users WHERE id = ?'
+    ).bind(enrollee.userId).first();
+    audit(c, { userId: enrollee.userId, action: 'mfa_enabled', resource: `user:${enrollee.userId}`, details: { atLogin: true } });
+    // Enrolled, but no session for an account deactivated since the password step
+    if (!user?.is_active) {
+      await recordLoginAttempt(c.env.DB, attemptContext(c, enrollee.email), false);
+      return c.json({ error: 'Account deactivated', details: 'Contact an administrator' }, 403);
+    }
+    return c.json({
+      ...await completeLogin(c, user!, attemptContext(c, enrollee.email), { mfa: 'enrolled' }),
+      recoveryCodes
+    });
+  }
+  
+  audit(c, { userId: enrollee.userId, action: 'mfa_enabled', resource: `user:${enrollee.userId}` });
+  return c.json({ success: true, recoveryCodes });
+});
+
+app.post('/auth/mfa/disable', requireMfaKey, requireAuth, async (c) => {
+  let data: z.infer<typeof MfaCodeSchema>;
+  try {
+    data = MfaCodeSchema.parse(await c.req.json());
+  } catch (error: any) {
+    return c.json({ error: 'Invalid request', details: error.errors ?? error.message }, 400);
+  }
+  
+  if (await isMfaRequired(c.env.DB, c.get('role'))) {
+    return c.json({ error: 'MFA is required for your role' }, 409);
+  }
+  
+  const userId = c.get('userId');
+  if (!await verifySecondFactor(c.env.DB, userId, data.code, mfaKey(c.env))) {
+    return c.json({ error: 'Invalid code' }, 400);
+  }
+  
+  await disableMfa(c.env.DB, userId);
+  audit(c, { userId, action: 'mfa_disabled', resource: `user:${userId}` });
+  return c.json({ success: true });
+});
+
+app.post('/auth/mfa/recovery-codes', requireMfaKey, requireAuth, async (c) => {
+  let data: z.infer<typeof MfaCodeSchema>;
+  try {
+    data = MfaCodeSchema.parse(await c.req.json());
+  } catch (error: any) {
+    return c.json({ error: 'Invalid request', details: error.errors ?? error.message }, 400);
+  }
+  
+  const userId = c.get('userId');
+  if (!await verifySecondFactor(c.env.DB, userId, data.code, mfaKey(c.env))) {
+    return c.json({ error: 'Invalid code' }, 400);
+  }
+  
+  return c.json({ recoveryCodes: await regenerateRecoveryCodes(c.env.DB, userId) });
+});
+
+// Admin: which roles must use MFA
+app.get('/auth/admin/mfa-policy', requireAdmin, async (c) => {
+  const policy = await getMfaPolicy(c.env.DB);
+  return c.json({
+    policy: Object.fromEntries(ROLES.map(role => [role, policy[role] ?? false]))
+  });
+});
+
+app.put('/auth/admin/mfa-policy/:role', requireAdmin, async (c) => {
+  const role = c.req.param('role');
+  if (!(ROLES as readonly string[]).includes(role)) {
+    return c.json({ error: 'Unknown role', details: `Expected one of ${ROLES.join(', ')}` }, 400);
+  }
+  
+  let data: z.infer<typeof MfaPolicySchema>;
+  try {
+    data = MfaPolicySchema.parse(await c.req.json());
+  } catch (error: any) {
+    return c.json({ error: 'Invalid request', details: error.errors ?? error.message }, 400);
+  }
   
-  const signature = await crypto.subtle.sign(
-    'HMAC',
-    key,
-    encoder.encode(data)
+  await setMfaPolicy(c.env.DB, role, data.required, c.get('userId'));
+  audit(c, { userId: c.get('userId'), action: 'mfa_policy_changed', resource: `role:${role}`, details: { required: data.required } });
+  
+  return c.json({ success: true, role, required: data.required });
+});
+
+// Admin: clear a user's MFA (lost device); they re-enrol at next login if their role requires it
+app.delete('/auth/admin/users/:id/mfa', requireAdmin, async (c) => {
+  const userId = c.req.param('id');
+  const user = await c.env.DB.prepare('SELECT id FROM users WHERE id = ?').bind(userId).first();
+  if (!user) {
+    return c.json({ error: 'User not found' }, 404);
+  }
+  
+  await disableMfa(c.env.DB, userId);
+  audit(c, { userId: c.get('userId'), action: 'mfa_reset', resource: `user:${userId}` });
+  return c.json({ success: true });
+});
+
+// Admin: audit log, newest first. Filters: userId, action, resource (exact, or a
+// prefix ending in ':' such as 'position:'), from/to (UTC), limit, offset
+app.get('/auth/admin/audit', requireAdmin, async (c) => {
+  const userId = c.req.query('userId');
+  if (userId !== undefined && !/^\d+$/.test(userId)) {
+    return c.json({ error: 'userId must be numeric' }, 400);
+  }
+  
+  try {
+    const result = await queryAudit(c.env.DB, {
+      userId: userId !== undefined ? Number(userId) : undefined,
+      action: c.req.query('action'),
+      resource: c.req.query('resource'),
+      from: c.req.query('from'),
+      to: c.req.query('to'),
+      limit: parseInt(c.req.query('limit') || '') || undefined,
+      offset: parseInt(c.req.query('offset') || '') || undefined
+    });
+    return c.json(result);
+  } catch (error: any) {
+    if (!String(error.message).startsWith('Invalid timestamp')) {
+      throw error;
+    }
+    return c.json({ error: 'Invalid audit query', details: error.message }, 400);
+  }
+});
+
+// Admin: user management. Search by email/name (q), role and status (active|inactive)
+app.get('/auth/admin/users', requireAdmin, async (c) => {
+  const role = c.req.query('role');
+  const status = c.req.query('status');
+  if (role && !(ROLES as readonly string[]).includes(role)) {
+    return c.json({ error: 'Unknown role', details: `Expected one of ${ROLES.join(', ')}` }, 400);
+  }
+  if (status && status !== 'active' && status !== 'inactive') {
+    return c.json({ error: 'status must be active or inactive' }, 400);
+  }
+  
+  return c.json(await searchUsers(c.env.DB, {
+    q: c.req.query('q')?.trim() || undefined,
+    role,
+    status: status as 'active' | 'inactive' | undefined,
+    limit: parseInt(c.req.query('limit') || '') || undefined,
+    offset: parseInt(c.req.query('offset') || '') || undefined
+  }));
+});
+
+app.get('/auth/admin/users/:id', requireAdmin, async (c) => {
+  const userId = c.req.param('id');
+  const user = await getAdminUser(c.env.DB, userId);
+  if (!user) {
+    return c.json({ error: 'User not found' }, 404);
+  }
+  
+  const sessions = await listSessions(c.env.SESSIONS, String(user.id));
+  return c.json({
+    user,
+    sessions: sessions.map(s => publicSession(s))
+  });
+});
+
+// Deactivate: blocks login and API keys, and signs the user out of every device
+app.post('/auth/admin/users/:id/deactivate', requireAdmin, async (c) => {
+  const userId = c.req.param('id');
+  const user = await getAdminUser(c.env.DB, userId);
+  if (!user) {
+    return c.json({ error: 'User not found' }, 404);
+  }
+  if (String(user.id) === c.get('userId')) {
+    return c.json({ error: 'You cannot deactivate your own account' }, 409);
+  }
+  if (user.role === 'admin' && await countOtherActiveAdmins(c.env.DB, userId) === 0) {
+    return c.json({ error: 'Cannot deactivate the last admin' }, 409);
+  }
+  
+  await setUserActive(c.env.DB, userId, false);
+  
+  const revoked = await revokeAllSessions(c.env.SESSIONS, String(user.id));
+  await revokeAccess(c.env, String(user.id));
+  await purgeUserApiKeys(c.env, userId);
+  
+  audit(c, {
+    userId: c.get('userId'),
+    action: 'user_deactivated',
+    resource: `user:${user.id}`,
+    details: { email: user.email, sessionsRevoked: revoked.length }
+  });
+  
+  return c.json({ success: true, user: { ...user, active: false }, sessionsRevoked: revoked.length });
+});
+
+app.post('/auth/admin/users/:id/reactivate', requireAdmin, async (c) => {
+  const userId = c.req.param('id');
+  const user = await getAdminUser(c.env.DB, userId);
+  if (!user) {
+    return c.json({ error: 'User not found' }, 404);
+  }
+  
+  await setUserActive(c.env.DB, userId, true);
+  await purgeUserApiKeys(c.env, userId);
+  audit(c, { userId: c.get('userId'), action: 'user_reactivated', resource: `user:${user.id}`, details: { email: user.email } });
+  
+  return c.json({ success: true, user: { ...user, active: true } });
+});
+
+// Send the user a reset link; admins never see or choose the new password
+app.post('/auth/admin/users/:id/reset-password', requireAdmin, async (c) => {
+  const userId = c.req.param('id');
+  const user = await c.env.DB.prepare(
+    'SELECT id, email, name, is_active FROM users WHERE id = ?'
+  ).bind(userId).first();
+  
+  if (!user) {
+    return c.json({ error: 'User not found' }, 404);
+  }
+  if (!user.is_active) {
+    return c.json({ error: 'User is deactivated', details: 'Reactivate the account first' }, 409);
+  }
+  
+  try {
+    await sendPasswordResetEmail(c.env, user);
+  } catch (error: any) {
+    console.error('Admin password reset email error:', error);
+    return c.json({ error: 'Could not send reset email', details: error.message }, 502);
+  }
+  
+  audit(c, { userId: c.get('userId'), action: 'password_reset_requested', resource: `user:${user.id}` });
+  
+  return c.json({ success: true, message: `Reset link sent to ${user.email}` });
+});
+
+// Admin: change a user's role
+app.put('/auth/admin/users/:id/role', requireAdmin, async (c) => {
+  let data: z.infer<typeof RoleUpdateSchema>;
+  try {
+    data = RoleUpdateSchema.parse(await c.req.json());
+  } catch (error: any) {
+    return c.json({ error: 'Invalid role', details: error.errors ?? error.message }, 400);
+  }
+  
+  const userId = c.req.param('id');
+  const user = await c.env.DB.prepare(
+    'SELECT id, email, role FROM users WHERE id = ?'
+  ).bind(userId).first();
+  
+  if (!user) {
+    return c.json({ error: 'User not found' }, 404);
+  }
+  
+  // Never leave the system without an admin
+  if (user.role === 'admin' && data.role !== 'admin' && await countOtherActiveAdmins(c.env.DB, userId) === 0) {
+    return c.json({ error: 'Cannot remove the last admin' }, 409);
+  }
+  
+  await c.env.DB.prepare(
+    'UPDATE users SET role = ?, updated_at = datetime("now") WHERE id = ?'
+  ).bind(data.role, userId).run();
+  
+  // Apply the new role to every live session and drop cached verifications
+  await updateSessionsRole(c.env.SESSIONS, userId, data.role);
+  await revokeAccess(c.env, String(userId));
+  await purgeUserApiKeys(c.env, userId);
+  audit(c, {
+    userId: c.get('userId'),
+    action: 'role_changed',
+    resource: `user:${userId}`,
+    details: { from: user.role, to: data.role }
+  });
+  
+  return c.json({
+    success: true,
+    user: {
+      id: user.id,
+      email: user.email,
+      previousRole: user.role,
+      role: data.role
+    }
+  });
+});
+
+// Admin: lift a login lockout
+app.post('/auth/admin/users/:id/unlock', requireAdmin, async (c) => {
+  const userId = c.req.param('id');
+  const user = await c.env.DB.prepare(
+    'SELECT id, email, failed_logins, locked_until FROM users WHERE id = ?'
+  ).bind(userId).first();
+  
+  if (!user) {
+    return c.json({ error: 'User not found' }, 404);
+  }
+  
+  const { ip, userAgent } = attemptContext(c, user.email as string);
+  await unlockAccount(c.env.DB, { id: user.id as number, email: user.email as string }, c.get('userId'), { ip, userAgent });
+  
+  return c.json({
+    success: true,
+    user: {
+      id: user.id,
+      email: user.email,
+      wasLocked: lockRemainingSeconds(user.locked_until as string | null) > 0,
+      failedLogins: user.failed_logins || 0
+    }
+  });
+});
+
+// API keys - managed by the owning user; the full key is only ever returned on create/rotate
+app.get('/auth/api-keys', requireAuth, async (c) => {
+  const result = await c.env.DB.prepare(`
+    SELECT id, name, key_prefix, permissions, last_used, created_at, expires_at, is_active
+    FROM api_keys
+    WHERE user_id = ?
+    ORDER BY created_at DESC
+  `).bind(c.get('userId')).all();
+  
+  return c.json({
+    keys: result.results.map((k: any) => ({
+      id: k.id,
+      name: k.name,
+      prefix: k.key_prefix,
+      scopes: parseScopes(k.permissions),
+      last_used: k.last_used,
+      created_at: k.created_at,
+      expires_at: k.expires_at,
+      active: !!k.is_active
+    }))
+  });
+});
+
+app.post('/auth/api-keys', requireAuth, async (c) => {
+  let data: z.infer<typeof ApiKeyCreateSchema>;
+  try {
+    data = ApiKeyCreateSchema.parse(await c.req.json());
+  } catch (error: any) {
+    return c.json({ error: 'Invalid API key request', details: error.errors ?? error.message }, 400);
+  }
+  
+  const expiresAt = data.expiresInDays
+    ? new Date(Date.now() + data.expiresInDays * 86400 * 1000).toISOString()
+    : null;
+  
+  const created = await createApiKey(c.env, c.get('userId'), data.name, data.scopes.join(','), expiresAt);
+  audit(c, {
+    userId: c.get('userId'),
+    action: 'api_key_created',
+    resource: `api_key:${created.id}`,
+    details: { name: data.name, scopes: data.scopes, prefix: created.prefix }
+  });
+  
+  return c.json({
+    ...created,
+    name: data.name,
+    scopes: data.scopes,
+    expires_at: expiresAt,
+    warning: 'Store this key now - it will not be shown again'
+  }, 201);
+});
+
+// Rotate: issue a replacement with the same name, scopes and expiry, and revoke the old key
+app.post('/auth/api-keys/:id/rotate', requireAuth, async (c) => {
+  const existing = await c.env.DB.prepare(`
+    SELECT id, name, key_hash, permissions, expires_at
+    FROM api_keys
+    WHERE id = ? AND user_id = ? AND is_active = 1
+  `).bind(c.req.param('id'), c.get('userId')).first();
+  
+  if (!existing) {
+    return c.json({ error: 'API key not found' }, 404);
+  }
+  
+  const created = await createApiKey(
+    c.env,
+    c.get('userId'),
+    existing.name as string,
+    existing.permissions as string,
+    existing.expires_at as string | null
   );
   
-  const encodedSignature = btoa(String.fromCharCode(...new Uint8Array(signature)))
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/=/g, '');
+  await c.env.DB.prepare('UPDATE api_keys SET is_active = 0 WHERE id = ?').bind(existing.id).run();
+  await purgeApiKeyCache(c.env.JWT_CACHE, existing.key_hash as string);
+  audit(c, {
+    userId: c.get('userId'),
+    action: 'api_key_rotated',
+    resource: `api_key:${created.id}`,
+    details: { replaces: existing.id, prefix: created.prefix }
+  });
+  
+  return c.json({
+    ...created,
+    name: existing.name,
+    scopes: parseScopes(existing.permissions as string),
+    expires_at: existing.expires_at,
+    replaces: existing.id,
+    warning: 'Store this key now - it will not be shown again'
+  }, 201);
+});
+
+app.delete('/auth/api-keys/:id', requireAuth, async (c) => {
+  const existing = await c.env.DB.prepare(
+    'SELECT id, key_hash FROM api_keys WHERE id = ? AND user_id = ?'
+  ).bind(c.req.param('id'), c.get('userId')).first();
+  
+  if (!existing) {
+    return c.json({ error: 'API key not found' }, 404);
+  }
+  
+  await c.env.DB.prepare('UPDATE api_keys SET is_active = 0 WHERE id = ?').bind(existing.id).run();
+  await purgeApiKeyCache(c.env.JWT_CACHE, existing.key_hash as string);
+  audit(c, { userId: c.get('userId'), action: 'api_key_revoked', resource: `api_key:${existing.id}` });
+  
+  return c.json({ success: true, id: existing.id });
+});
+
+// Verify an API key (called by the API worker via service binding)
+app.post('/auth/api-keys/verify', async (c) => {
+  const key = c.req.header('X-API-Key');
+  if (!key) {
+    return c.json({ valid: false }, 401);
+  }
+  
+  const identity = await verifyApiKey(c.env.DB, c.env.JWT_CACHE, key);
+  if (!identity) {
+    return c.json({ valid: false }, 401);
+  }
   
-  return `${data}.${encodedSignature}`;
+  return c.json({ valid: true, ...identity });
+});
+
+// Logout endpoint
+app.post('/auth/logout', async (c) => {
+  const authHeader = c.req.header('Authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const token = authHeader.substring(7);
+    try {
+      // Only this device's session ends; other devices stay signed in
+      const payload = await verifyJWT(token, c.env);
+      if (payload.sid) {
+        await revokeSession(c.env.SESSIONS, payload.userId, payload.sid);
+        await revokeAccess(c.env, payload.userId, payload.sid);
+        audit(c, { userId: payload.userId, action: 'logout', resource: `session:${payload.sid}` });
+      }
+    } catch (error) {
+      // Ignore errors on logout
+    }
+  }
+  
+  return c.json({ success: true });
+});
+
+// Verify a token and its session; the session's role wins so role changes apply immediately.
+// `client` is only passed for direct calls; /auth/verify is called by other workers
+async function authenticateToken(
+  env: Env,
+  token: string,
+  client?: ClientInfo
+): Promise<{ userId: string; email: string; role: Role; sessionId: string; expiresAt: number } | null> {
+  try {
+    const payload = await verifyJWT(token, env);
+    
+    // Tokens from before per-device sessions carry no sid and are no longer accepted
+    if (!payload.sid) {
+      return null;
+    }
+    
+    const session = await getSession(env.SESSIONS, payload.userId, payload.sid);
+    if (!session) {
+      return null;
+    }
+    
+    await touchSession(env.SESSIONS, session, client);
+    
+    return {
+      userId: payload.userId,
+      email: payload.email,
+      role: (session.role || payload.role || 'user') as Role,
+      sessionId: payload.sid,
+      expiresAt: payload.exp * 1000
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Route guards - a valid Bearer token (and session) is required; requireAdmin also needs the admin role
+async function requireAuth(c: Context<{ Bindings: Env; Variables: Variables }>, next: Next) {
+  return authGuard(c, next, false);
 }
 
-async function verifyJWT(token: string, secret: string): Promise<any> {
-  const [header, payload, signature] = token.split('.');
+async function requireAdmin(c: Context<{ Bindings: Env; Variables: Variables }>, next: Next) {
+  return authGuard(c, next, true);
+}
+
+// MFA routes need a key for the stored TOTP secrets; JWT_KEYS alone doesn't provide one
+async function requireMfaKey(c: Context<{ Bindings: Env; Variables: Variables }>, next: Next) {
+  if (!c.env.MFA_ENCRYPTION_KEY && !c.env.JWT_SECRET) {
+    console.error('MFA_ENCRYPTION_KEY / JWT_SECRET not found in environment');
+    return c.json({ error: 'Server configuration error: MFA encryption key missing', details: 'Set MFA_ENCRYPTION_KEY' }, 500);
+  }
+  await next();
+}
+
+async function authGuard(c: Context<{ Bindings: Env; Variables: Variables }>, next: Next, adminOnly: boolean) {
+  const authHeader = c.req.header('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return c.json({ error: 'Unauthorized - no token provided' }, 401);
+  }
   
-  const encoder = new TextEncoder();
-  const data = encoder.encode(`${header}.${payload}`);
+  const identity = await authenticateToken(c.env, authHeader.substring(7), clientInfo(c));
+  if (!identity) {
+    return c.json({ error: 'Invalid token' }, 401);
+  }
+  if (adminOnly && identity.role !== 'admin') {
+    return c.json({ error: 'Forbidden', details: 'Admin role required' }, 403);
+  }
   
-  const key = await crypto.subtle.importKey(
-    'raw',
-    encoder.encode(secret),
-    { name: 'HMAC', hash: 'SHA-256' },
-    false,
-    ['verify']
-  );
+  c.set('userId', identity.userId);
+  c.set('email', identity.email);
+  c.set('role', identity.role);
+  c.set('sessionId', identity.sessionId);
+  await next();
+}
+
+function clientInfo(c: Context<{ Bindings: Env; Variables: Variables }>): ClientInfo {
+  return {
+    ip: c.req.header('CF-Connecting-IP') || null,
+    userAgent: c.req.header('User-Agent') || null
+  };
+}
+
+// Who is attempting a login, for login_attempts and audit_log
+function attemptContext(c: Context<{ Bindings: Env; Variables: Variables }>, email: string): AttemptContext {
+  return { email, ...clientInfo(c) };
+}
+
+// Final step of every successful login: record it, clear the failure streak and start a session
+async function completeLogin(
+  c: Context<{ Bindings: Env; Variables: Variables }>,
+  user: Record<string, unknown>,
+  attempt: AttemptContext,
+  auditDetails?: Record<string, unknown>
+) {
+  await recordLoginAttempt(c.env.DB, attempt, true);
+  await clearFailedLogins(c.env.DB, user.id as number);
+  await c.env.DB.prepare(
+    'UPDATE users SET last_login = datetime("now") WHERE id = ?'
+  ).bind(user.id).run();
   
-  // Decode signature from base64url
-  const normalizedSig = signature
-    .replace(/-/g, '+')
-    .replace(/_/g, '/');
-  const padding = (4 - normalizedSig.length % 4) % 4;
-  const paddedSig = normalizedSig + '='.repeat(padding);
-  const sigBytes = Uint8Array.from(atob(paddedSig), c => c.charCodeAt(0));
+  // Start a session for this device; other devices stay signed in
+  const role = (user.role as Role) || 'user';
+  const tokens = await startSession(c, { userId: String(user.id), email: user.email as string, role });
+  audit(c, { userId: user.id as number, action: 'login', resource: `user:${user.id}`, details: auditDetails });
   
-  const valid = await crypto.subtle.verify('HMAC', key, sigBytes, data);
+  return {
+    ...tokens,
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role,
+      emailVerified: !!user.email_verified
+    }
+  };
+}
+
+// The user enrolling in MFA: a signed-in user, or one holding an enrolment challenge from /auth/login
+async function resolveEnrollee(
+  c: Context<{ Bindings: Env; Variables: Variables }>,
+  challengeToken?: string
+): Promise<{ userId: string; email: string; challenge?: MfaChallenge } | null> {
+  if (challengeToken) {
+    const challenge = await getChallenge(c.env.SESSIONS, challengeToken, 'enroll');
+    return challenge ? { userId: challenge.userId, email: challenge.email, challenge } : null;
+  }
   
-  if (!valid) {
-    throw new Error('Invalid token');
+  const authHeader = c.req.header('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
   }
+  const identity = await authenticateToken(c.env, authHeader.substring(7), clientInfo(c));
+  return identity ? { userId: identity.userId, email: identity.email } : null;
+}
+
+// Record an audit event after the response is sent
+function audit(c: Context<{ Bindings: Env; Variables: Variables }>, event: Omit<AuditEvent, 'ip' | 'userAgent'>): void {
+  c.executionCtx.waitUntil(writeAudit(c.env.DB, { ...event, ...clientInfo(c) }));
+}
+
+// Never derived from JWT_KEYS: rotating signing keys must not make stored secrets unreadable
+// Only called behind requireMfaKey
+function mfaKey(env: Env): string {
+  return (env.MFA_ENCRYPTION_KEY || env.JWT_SECRET)!;
+}
+
+// Create a session for the calling device and issue its first token pair
+async function startSession(
+  c: Context<{ Bindings: Env; Variables: Variables }>,
+  user: { userId: string; email: string; role: Role }
+): Promise<{ token: string; refreshToken: string; expiresIn: number }> {
+  const { session, refreshToken } = await createSession(c.env.SESSIONS, user, clientInfo(c));
+  const token = await generateJWT(user.userId, user.email, user.role, session.sessionId, c.env);
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+function appUrl(env: Env): string {
+  return (env.APP_URL as string | undefined) || 'https://sunney.io';
+}
+
+// The mailer is resolved first, so nothing is issued when mail can't be sent
+async function sendPasswordResetEmail(env: Env, user: Record<string, unknown>): Promise<void> {
+  const mailer = createMailer(env);
+  const token = await issueAccountToken(env.DB, 'password_reset', user.id as number);
+  await mailer.send({
+    to: user.email as string,
+    subject: 'Reset your Sunney.io password',
+    text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in 1 hour and can only be used once.\n\n${appUrl(env)}/auth/reset-password.html?token=${token}\n\nIf you didn't ask for this, you can ignore this email.`
+  });
+}
+
+async function sendVerificationEmail(env: Env, userId: string | number, email: string): Promise<void> {
+  const mailer = createMailer(env);
+  const token = await issueAccountToken(env.DB, 'email_verification', userId);
+  await mailer.send({
+    to: email,
+    subject: 'Verify your Sunney.io email address',
+    text: `Welcome to Sunney.io!\n\nConfirm your email address with the link below. It expires in 24 hours.\n\n${appUrl(env)}/auth/verify-email.html?token=${token}`
+  });
+}
+
+async function createApiKey(
+  env: Env,
+  userId: string,
+  name: string,
+  permissions: string,
+  expiresAt: string | null
+): Promise<{ id: number; key: string; prefix: string }> {
+  const { key, prefix } = generateApiKey();
+  const keyHash = await hashApiKey(key);
   
-  // Decode payload
-  const normalizedPayload = payload
-    .replace(/-/g, '+')
-    .replace(/_/g, '/');
-  const payloadPadding = (4 - normalizedPayload.length % 4) % 4;
-  const paddedPayload = normalizedPayload + '='.repeat(payloadPadding);
+  const result = await env.DB.prepare(`
+    INSERT INTO api_keys (user_id, key_hash, key_prefix, name, permissions, expires_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+    RETURNING id
+  `).bind(userId, keyHash, prefix, name, permissions, expiresAt).first();
   
-  return JSON.parse(atob(paddedPayload));
+  return { id: result!.id as number, key, prefix };
+}
+
+// Access tokens are signed with the shared key set (see shared/auth/jwt.ts)
+async function generateJWT(userId: string, email: string, role: Role, sessionId: string, env: Env): Promise<string> {
+  const now = Math.floor(Date.now() / 1000);
+  return signJwt({
+    userId,
+    email,
+    role,
+    sid: sessionId,
+    iat: now,
+    exp: now + ACCESS_TOKEN_TTL // short-lived; renewed via /auth/refresh
+  }, parseKeySet(env));
+}
+
+async function verifyJWT(token: string, env: Env): Promise<AccessTokenClaims> {
+  return verifyJwt(token, parseKeySet(env));
+}
+
+/**
+ * Stop a session's (or, without sessionId, all of a user's) access tokens
+ * from being accepted before they expire: purges cached verifications here
+ * and adds them to the revocation list the API worker checks.
+ */
+async function revokeAccess(env: Env, userId: string, sessionId?: string): Promise<void> {
+  if (!env.JWT_CACHE) {
+    return;
+  }
+  await new JWTCache(env.JWT_CACHE).invalidate(userId, sessionId);
+  await revokeAccessTokens(env.JWT_CACHE, { userId, sessionId }, ACCESS_TOKEN_TTL);
+}
+
+// API key verifications are cached with the owner's role and active flag; drop them when either changes
+async function purgeUserApiKeys(env: Env, userId: string): Promise<void> {
+  for (const keyHash of await activeApiKeyHashes(env.DB, userId)) {
+    await purgeApiKeyCache(env.JWT_CACHE, keyHash);
+  }
 }
 
 export default app;
\ No newline at end of file
@@ -32,24 +32,37 @@ export class JWTCache {
     return null;
   }
 
-  async set(token: string, payload: any): Promise<void> {
+  async set(token: string, payload: any, expiresAt?: number): Promise<void> {
     const key = this.hashToken(token);
-    const data = {
-      payload,
-      expires: Date.now() + (this.TTL * 1000)
-    };
     
-    await this.cache.put(key, JSON.stringify(data), {
-      expirationTtl: this.TTL
+    // Never cache a token past its own expiry
+    const expires = Math.min(Date.now() + (this.TTL * 1000), expiresAt ?? Infinity);
+    const ttl = Math.ceil((expires - Date.now()) / 1000);
+    if (ttl <= 0) {
+      return;
+    }
+    
+    await this.cache.put(key, JSON.stringify({ payload, expires }), {
+      expirationTtl: Math.max(ttl, 60) // KV minimum; get() still honours `expires`
     });
+    
+    // Track keys per user and per session so invalidate() can find them
+    if (payload?.userId) {
+      await this.track(`user:${payload.userId}:tokens`, key);
+    }
+    if (payload?.sessionId) {
+      await this.track(`sid:${payload.sessionId}:tokens`, key);
+    }
   }
 
-  async invalidate(userId: string): Promise<void> {
+  /**
+   * Drop cached verifications. With a sessionId only that device's tokens
+   * are purged (session revoked); without one, every token for the user.
+   */
+  async invalidate(userId: string, sessionId?: string): Promise<void> {
     try {
-      // Invalidate all tokens for a user (on logout)
-      // In production, maintain a list of token keys per user
-      const userKey = `user:${userId}:tokens`;
-      const tokenListString = await this.cache.get(userKey);
+      const listKey = sessionId ? `sid:${sessionId}:tokens` : `user:${userId}:tokens`;
+      const tokenListString = await this.cache.get(listKey);
       
       if (tokenListString) {
         const tokenList = JSON.parse(tokenListString);
@@ -58,15 +71,26 @@ export class JWTCache {
         );
       }
       
-      await this.cache.delete(userKey);
+      await this.cache.delete(listKey);
     } catch (error) {
       console.error('JWT cache invalidate error:', error);
     }
   }
 
+  private async track(listKey: string, tokenKey: string): Promise<void> {
+    const existing = await this.cache.get(listKey);
+    const tokenList: string[] = existing ? JSON.parse(existing) : [];
+    if (!tokenList.includes(tokenKey)) {
+      tokenList.push(tokenKey);
+    }
+    await this.cache.put(listKey, JSON.stringify(tokenList), {
+      expirationTtl: this.TTL
+    });
+  }
+
   private hashToken(token: string): string {
-    // Use first 16 chars of token as key (they're unique enough)
-    // Full token is too long for KV key
-    return `jwt:${token.substring(0, 16)}`;
+    // Key on the signature segment: it is unique per token, whereas the
+    // leading characters are the base64 header and identical for every JWT
+    return `jwt:${token.substring(token.lastIndexOf('.') + 1)}`;
   }
 }
\ No newline at end of file
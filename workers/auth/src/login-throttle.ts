@@ -0,0 +1,152 @@
+// Login Throttle Module - Records every login attempt and enforces brute-force limits
+// Sliding windows over login_attempts cap failures per email and per IP; repeated
+// failures on a real account lock it for a doubling period (users.locked_until)
+
+import { auditStatement } from '../../../shared/audit/audit-log';
+
+// Failed attempts allowed inside the sliding window before requests get 429s
+const WINDOW_MINUTES = 15;
+const MAX_FAILURES_PER_EMAIL = 10;
+const MAX_FAILURES_PER_IP = 30;
+
+// The 5th consecutive failure locks for 1 minute, the 6th for 2, then 4, 8, ... up to a day
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_SECONDS = 60;
+const LOCKOUT_MAX_SECONDS = 24 * 60 * 60;
+
+export interface AttemptContext {
+  email: string;
+  ip: string | null;
+  userAgent: string | null;
+}
+
+export interface ThrottleResult {
+  scope: 'email' | 'ip';
+  retryAfter: number; // seconds
+}
+
+// Emails are matched case-insensitively so 'A@x.com' and 'a@x.com' share a window
+function attemptEmail(email: string): string {
+  return email.trim().toLowerCase();
+}
+
+// D1 timestamps are 'YYYY-MM-DD HH:MM:SS' in UTC
+function sqlTimestampToMs(value: string): number {
+  return new Date(value.replace(' ', 'T') + 'Z').getTime();
+}
+
+export async function recordLoginAttempt(db: D1Database, attempt: AttemptContext, success: boolean): Promise<void> {
+  await db.prepare(
+    'INSERT INTO login_attempts (email, ip_address, success) VALUES (?, ?, ?)'
+  ).bind(attemptEmail(attempt.email), attempt.ip, success ? 1 : 0).run();
+}
+
+/**
+ * Check the per-email and per-IP sliding windows. Returns null if the attempt
+ * may proceed, otherwise which limit was hit and when the oldest failure in
+ * the window falls out of it.
+ */
+export async function checkLoginThrottle(db: D1Database, attempt: AttemptContext): Promise<ThrottleResult | null> {
+  const since = `-${WINDOW_MINUTES} minutes`;
+  const [byEmail, byIp] = await db.batch([
+    db.prepare(`
+      SELECT COUNT(*) AS failures, MIN(attempted_at) AS oldest
+      FROM login_attempts
+      WHERE email = ? AND success = 0 AND attempted_at > datetime('now', ?)
+    `).bind(attemptEmail(attempt.email), since),
+    db.prepare(`
+      SELECT COUNT(*) AS failures, MIN(attempted_at) AS oldest
+      FROM login_attempts
+      WHERE ip_address = ? AND success = 0 AND attempted_at > datetime('now', ?)
+    `).bind(attempt.ip, since)
+  ]);
+
+  const limits: [ThrottleResult['scope'], any, number][] = [
+    ['email', byEmail.results?.[0], MAX_FAILURES_PER_EMAIL],
+    ['ip', attempt.ip ? byIp.results?.[0] : null, MAX_FAILURES_PER_IP]
+  ];
+
+  for (const [scope, row, max] of limits) {
+    if (row && (row.failures as number) >= max) {
+      const reopensAt = sqlTimestampToMs(row.oldest as string) + WINDOW_MINUTES * 60 * 1000;
+      return { scope, retryAfter: Math.max(1, Math.ceil((reopensAt - Date.now()) / 1000)) };
+    }
+  }
+
+  return null;
+}
+
+// Seconds left on an account lock, or 0 if it is not locked
+export function lockRemainingSeconds(lockedUntil: string | null | undefined): number {
+  if (!lockedUntil) {
+    return 0;
+  }
+  return Math.max(0, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000));
+}
+
+/**
+ * Count a wrong password against the account and lock it once the threshold
+ * is reached. Returns the new lock expiry (ISO) if this failure locked it.
+ */
+export async function registerFailedLogin(db: D1Database, userId: string | number, attempt: AttemptContext): Promise<string | null> {
+  const row = await db.prepare(`
+    UPDATE users SET failed_logins = COALESCE(failed_logins, 0) + 1
+    WHERE id = ?
+    RETURNING failed_logins
+  `).bind(userId).first();
+
+  const failures = (row?.failed_logins as number) || 0;
+  if (failures < LOCKOUT_THRESHOLD) {
+    return null;
+  }
+
+  const seconds = Math.min(LOCKOUT_BASE_SECONDS * 2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_SECONDS);
+  const lockedUntil = new Date(Date.now() + seconds * 1000).toISOString();
+
+  await db.batch([
+    db.prepare('UPDATE users SET locked_until = ? WHERE id = ?').bind(lockedUntil, userId),
+    auditStatement(db, {
+      userId,
+      action: 'account_locked',
+      resource: `user:${userId}`,
+      details: { failedLogins: failures, lockedUntil, lockSeconds: seconds },
+      ip: attempt.ip,
+      userAgent: attempt.userAgent
+    })
+  ]);
+
+  return lockedUntil;
+}
+
+// A successful login clears the failure streak
+export async function clearFailedLogins(db: D1Database, userId: string | number): Promise<void> {
+  await db.prepare(
+    'UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = ? AND (failed_logins > 0 OR locked_until IS NOT NULL)'
+  ).bind(userId).run();
+}
+
+/**
+ * Admin unlock: clears the lock and failure streak, and forgets recent
+ * failures for the email so the sliding window doesn't immediately 429.
+ */
+export async function unlockAccount(
+  db: D1Database,
+  user: { id: string | number; email: string },
+  adminId: string,
+  attempt: Omit<AttemptContext, 'email'>
+): Promise<void> {
+  await db.batch([
+    db.prepare('UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = ?').bind(user.id),
+    db.prepare(`
+      DELETE FROM login_attempts
+      WHERE email = ? AND success = 0 AND attempted_at > datetime('now', ?)
+    `).bind(attemptEmail(user.email), `-${WINDOW_MINUTES} minutes`),
+    auditStatement(db, {
+      userId: adminId,
+      action: 'account_unlocked',
+      resource: `user:${user.id}`,
+      ip: attempt.ip,
+      userAgent: attempt.userAgent
+    })
+  ]);
+}
@@ -0,0 +1,79 @@
+// Mailer Module - Pluggable delivery for account emails (password reset, verification)
+// Select with the MAILER var: 'http' in production, or 'console' / 'kv' (outbox) for local
+// development. With no mailer configured nothing is sent: account links are never logged.
+
+export interface MailMessage {
+  to: string;
+  subject: string;
+  text: string;
+}
+
+export interface Mailer {
+  send(message: MailMessage): Promise<void>;
+}
+
+// Logs messages instead of sending them - including the account links, so never in production
+export class ConsoleMailer implements Mailer {
+  async send(message: MailMessage): Promise<void> {
+    console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+  }
+}
+
+// Writes messages to KV under outbox:<timestamp>:<id> so tests can read them back
+export class KVOutboxMailer implements Mailer {
+  private kv: KVNamespace;
+  private readonly TTL = 86400; // 1 day
+
+  constructor(kv: KVNamespace) {
+    this.kv = kv;
+  }
+
+  async send(message: MailMessage): Promise<void> {
+    const key = `outbox:${Date.now()}:${crypto.randomUUID()}`;
+    await this.kv.put(key, JSON.stringify({ ...message, queuedAt: new Date().toISOString() }), {
+      expirationTtl: this.TTL
+    });
+  }
+}
+
+// POSTs JSON { from, to, subject, text } to a transactional email API
+export class HttpMailer implements Mailer {
+  constructor(private url: string, private apiKey: string, private from: string) {}
+
+  async send(message: MailMessage): Promise<void> {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ from: this.from, ...message })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Mail delivery failed: ${response.status}`);
+    }
+  }
+}
+
+export function createMailer(env: {
+  MAILER?: string;
+  MAIL_API_URL?: string;
+  MAIL_API_KEY?: string;
+  MAIL_FROM?: string;
+  SESSIONS: KVNamespace;
+}): Mailer {
+  switch (env.MAILER) {
+    case 'kv':
+      return new KVOutboxMailer(env.SESSIONS);
+    case 'http':
+      if (!env.MAIL_API_URL || !env.MAIL_API_KEY) {
+        throw new Error('MAILER=http requires MAIL_API_URL and MAIL_API_KEY');
+      }
+      return new HttpMailer(env.MAIL_API_URL, env.MAIL_API_KEY, env.MAIL_FROM || 'no-reply@sunney.io');
+    case 'console':
+      return new ConsoleMailer();
+    default:
+      throw new Error(env.MAILER ? `Unknown MAILER '${env.MAILER}'` : 'No mailer configured (set MAILER)');
+  }
+}
@@ -0,0 +1,235 @@
+// MFA Module - TOTP enrolment, recovery codes, per-role policy and login challenges
+// TOTP secrets are encrypted at rest with AES-GCM (key from MFA_ENCRYPTION_KEY, falling
+// back to JWT_SECRET); recovery codes are stored only as SHA-256 hashes.
+
+import { generateTotpSecret, verifyTotp } from './totp';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// A password-verified login waits this long for its second factor
+export const MFA_CHALLENGE_TTL = 5 * 60;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+export interface MfaStatus {
+  enrolled: boolean;        // a secret exists (possibly still pending confirmation)
+  enabled: boolean;         // confirmed and enforced at login
+  recoveryCodesRemaining: number;
+}
+
+export type ChallengePurpose = 'verify' | 'enroll';
+
+export interface MfaChallenge {
+  userId: string;
+  email: string;
+  role: string;
+  purpose: ChallengePurpose;
+  attempts: number;
+}
+
+async function sha256Hex(value: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function encryptionKey(keyMaterial: string): Promise<CryptoKey> {
+  const raw = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`mfa:${keyMaterial}`));
+  return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+// Stored as base64(iv).base64(ciphertext)
+async function encryptSecret(secret: string, keyMaterial: string): Promise<string> {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    await encryptionKey(keyMaterial),
+    new TextEncoder().encode(secret)
+  );
+  return `${btoa(String.fromCharCode(...iv))}.${btoa(String.fromCharCode(...new Uint8Array(ciphertext)))}`;
+}
+
+async function decryptSecret(stored: string, keyMaterial: string): Promise<string> {
+  const [iv, ciphertext] = stored.split('.').map(part => Uint8Array.from(atob(part), c => c.charCodeAt(0)));
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, await encryptionKey(keyMaterial), ciphertext);
+  return new TextDecoder().decode(plaintext);
+}
+
+// Recovery codes look like 4f9a-2c7e-81b0; dashes and case are ignored when checking
+function generateRecoveryCode(): string {
+  const hex = [...crypto.getRandomValues(new Uint8Array(6))].map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}`;
+}
+
+function normaliseRecoveryCode(code: string): string {
+  return code.toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+export async function getMfaStatus(db: D1Database, userId: string | number): Promise<MfaStatus> {
+  const [mfa, codes] = await db.batch([
+    db.prepare('SELECT enabled FROM user_mfa WHERE user_id = ?').bind(userId),
+    db.prepare('SELECT COUNT(*) AS remaining FROM mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL').bind(userId)
+  ]);
+  const row = mfa.results?.[0] as any;
+
+  return {
+    enrolled: !!row,
+    enabled: !!row?.enabled,
+    recoveryCodesRemaining: ((codes.results?.[0] as any)?.remaining as number) || 0
+  };
+}
+
+/**
+ * Start (or restart) enrolment with a fresh secret. The secret is not
+ * enforced until confirmEnrolment() sees a valid code from it.
+ */
+export async function beginEnrolment(db: D1Database, userId: string | number, keyMaterial: string): Promise<string> {
+  const secret = generateTotpSecret();
+  await db.prepare(`
+    INSERT INTO user_mfa (user_id, secret, enabled, last_counter, created_at)
+    VALUES (?, ?, 0, 0, datetime('now'))
+    ON CONFLICT(user_id) DO UPDATE SET
+      secret = excluded.secret,
+      enabled = 0,
+      last_counter = 0,
+      created_at = excluded.created_at,
+      enabled_at = NULL
+  `).bind(userId, await encryptSecret(secret, keyMaterial)).run();
+  return secret;
+}
+
+// Verify the first code from a pending secret, enable MFA and issue recovery codes
+export async function confirmEnrolment(db: D1Database, userId: string | number, code: string, keyMaterial: string): Promise<string[] | null> {
+  const row = await db.prepare(
+    'SELECT secret, enabled FROM user_mfa WHERE user_id = ?'
+  ).bind(userId).first();
+  if (!row || row.enabled) {
+    return null;
+  }
+
+  const counter = await verifyTotp(await decryptSecret(row.secret as string, keyMaterial), code);
+  if (counter === null) {
+    return null;
+  }
+
+  await db.prepare(`
+    UPDATE user_mfa SET enabled = 1, last_counter = ?, enabled_at = datetime('now') WHERE user_id = ?
+  `).bind(counter, userId).run();
+
+  return regenerateRecoveryCodes(db, userId);
+}
+
+// Replace all recovery codes; the plaintext codes are only ever returned here
+export async function regenerateRecoveryCodes(db: D1Database, userId: string | number): Promise<string[]> {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  const hashes = await Promise.all(codes.map(code => sha256Hex(normaliseRecoveryCode(code))));
+
+  await db.batch([
+    db.prepare('DELETE FROM mfa_recovery_codes WHERE user_id = ?').bind(userId),
+    ...hashes.map(hash =>
+      db.prepare('INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES (?, ?)').bind(userId, hash)
+    )
+  ]);
+
+  return codes;
+}
+
+/**
+ * Check a second factor for an enabled user: a 6-digit TOTP code or an unused
+ * recovery code. Accepted TOTP steps and recovery codes can't be used again.
+ */
+export async function verifySecondFactor(
+  db: D1Database,
+  userId: string | number,
+  code: string,
+  keyMaterial: string
+): Promise<'totp' | 'recovery' | null> {
+  const row = await db.prepare(
+    'SELECT secret, last_counter FROM user_mfa WHERE user_id = ? AND enabled = 1'
+  ).bind(userId).first();
+  if (!row) {
+    return null;
+  }
+
+  if (/^\s*\d{6}\s*$/.test(code)) {
+    const secret = await decryptSecret(row.secret as string, keyMaterial);
+    const counter = await verifyTotp(secret, code, (row.last_counter as number) || 0);
+    if (counter === null) {
+      return null;
+    }
+    // Conditional update so two concurrent requests can't both spend the same step
+    const claimed = await db.prepare(
+      'UPDATE user_mfa SET last_counter = ? WHERE user_id = ? AND last_counter < ?'
+    ).bind(counter, userId, counter).run();
+    return claimed.meta.changes ? 'totp' : null;
+  }
+
+  const used = await db.prepare(`
+    UPDATE mfa_recovery_codes SET used_at = datetime('now')
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+  `).bind(userId, await sha256Hex(normaliseRecoveryCode(code))).run();
+  return used.meta.changes ? 'recovery' : null;
+}
+
+export async function disableMfa(db: D1Database, userId: string | number): Promise<void> {
+  await db.batch([
+    db.prepare('DELETE FROM user_mfa WHERE user_id = ?').bind(userId),
+    db.prepare('DELETE FROM mfa_recovery_codes WHERE user_id = ?').bind(userId)
+  ]);
+}
+
+// Per-role policy: roles listed with mfa_required = 1 must enrol before they can sign in
+export async function getMfaPolicy(db: D1Database): Promise<Record<string, boolean>> {
+  const result = await db.prepare('SELECT role, mfa_required FROM role_mfa_policy').all();
+  const policy: Record<string, boolean> = {};
+  for (const row of result.results || []) {
+    policy[row.role as string] = !!row.mfa_required;
+  }
+  return policy;
+}
+
+export async function isMfaRequired(db: D1Database, role: string): Promise<boolean> {
+  const row = await db.prepare(
+    'SELECT mfa_required FROM role_mfa_policy WHERE role = ?'
+  ).bind(role).first();
+  return !!row?.mfa_required;
+}
+
+export async function setMfaPolicy(db: D1Database, role: string, required: boolean, updatedBy: string): Promise<void> {
+  await db.prepare(`
+    INSERT INTO role_mfa_policy (role, mfa_required, updated_at, updated_by)
+    VALUES (?, ?, datetime('now'), ?)
+    ON CONFLICT(role) DO UPDATE SET
+      mfa_required = excluded.mfa_required,
+      updated_at = excluded.updated_at,
+      updated_by = excluded.updated_by
+  `).bind(role, required ? 1 : 0, updatedBy).run();
+}
+
+// Login challenges live in KV (mfa_challenge:<token>) between the password and second-factor steps
+export async function createChallenge(kv: KVNamespace, challenge: Omit<MfaChallenge, 'attempts'>): Promise<string> {
+  const token = crypto.randomUUID();
+  await kv.put(`mfa_challenge:${token}`, JSON.stringify({ ...challenge, attempts: 0 }), {
+    expirationTtl: MFA_CHALLENGE_TTL
+  });
+  return token;
+}
+
+export async function getChallenge(kv: KVNamespace, token: string, purpose: ChallengePurpose): Promise<MfaChallenge | null> {
+  const challenge = await kv.get(`mfa_challenge:${token}`, 'json') as MfaChallenge | null;
+  return challenge && challenge.purpose === purpose ? challenge : null;
+}
+
+// Count a wrong code; the challenge is dropped after a few so it can't be brute-forced
+export async function failChallenge(kv: KVNamespace, token: string, challenge: MfaChallenge): Promise<void> {
+  const attempts = challenge.attempts + 1;
+  if (attempts >= MAX_CHALLENGE_ATTEMPTS) {
+    await kv.delete(`mfa_challenge:${token}`);
+    return;
+  }
+  await kv.put(`mfa_challenge:${token}`, JSON.stringify({ ...challenge, attempts }), {
+    expirationTtl: MFA_CHALLENGE_TTL
+  });
+}
+
+export async function completeChallenge(kv: KVNamespace, token: string): Promise<void> {
+  await kv.delete(`mfa_challenge:${token}`);
+}
@@ -0,0 +1,270 @@
+// Session Module - One KV session per device, with rotating refresh tokens
+// Access JWTs are short-lived and carry the session id (`sid`); the refresh token
+// is exchanged for a new pair and rotated on every use. Presenting an already
+// rotated refresh token means it leaked, so the whole session is revoked -
+// unless it was rotated out moments ago, which is two tabs refreshing at once.
+
+// KV layout: session:<userId>:<sessionId> -> SessionRecord
+//            revoked-session:<userId>:<sessionId> -> marker left by revocation
+const SESSION_PREFIX = 'session:';
+const REVOKED_PREFIX = 'revoked-session:';
+
+export const ACCESS_TOKEN_TTL = 15 * 60;               // 15 minutes
+export const SESSION_TTL = 30 * 24 * 60 * 60;          // 30 days since last activity
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;         // don't rewrite KV more often than this
+const PREVIOUS_REFRESH_HASHES = 5;                     // rotated hashes remembered for reuse detection
+const REFRESH_GRACE_MS = 30 * 1000;                    // the token just rotated out is refused, not treated as reuse
+const REVOKED_MARKER_TTL = 60 * 60;                    // outlives any write that read the session before it went
+
+export interface SessionRecord {
+  sessionId: string;
+  userId: string;
+  email: string;
+  role: string;
+  device: string;
+  ip: string | null;
+  userAgent: string | null;
+  createdAt: string;
+  lastSeen: string;
+  refreshHash: string;
+  previousRefreshHashes: string[];
+  rotatedAt?: string;           // when refreshHash replaced previousRefreshHashes[0]
+}
+
+export interface ClientInfo {
+  ip: string | null;
+  userAgent: string | null;
+}
+
+export type RefreshResult =
+  | { status: 'ok'; session: SessionRecord; refreshToken: string }
+  | { status: 'invalid' }
+  | { status: 'superseded' }
+  | { status: 'reused'; session: SessionRecord };
+
+function sessionKey(userId: string, sessionId: string): string {
+  return `${SESSION_PREFIX}${userId}:${sessionId}`;
+}
+
+function revokedKey(userId: string, sessionId: string): string {
+  return `${REVOKED_PREFIX}${userId}:${sessionId}`;
+}
+
+async function sha256(value: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function randomSecret(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '');
+}
+
+// Refresh tokens are <userId>.<sessionId>.<secret>; only the secret's hash is stored
+function parseRefreshToken(token: string): { userId: string; sessionId: string; secret: string } | null {
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts.some(p => !p)) {
+    return null;
+  }
+  const [userId, sessionId, secret] = parts;
+  return { userId, sessionId, secret };
+}
+
+// A short human label such as "Chrome on macOS" for the sessions list
+export function describeDevice(userAgent: string | null): string {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge' :
+    /Firefox\//.test(userAgent) ? 'Firefox' :
+    /Chrome\//.test(userAgent) ? 'Chrome' :
+    /Safari\//.test(userAgent) ? 'Safari' :
+    /python-requests|curl|node-fetch|axios/i.test(userAgent) ? 'Script' :
+    'Browser';
+
+  const os =
+    /iPhone|iPad/.test(userAgent) ? 'iOS' :
+    /Android/.test(userAgent) ? 'Android' :
+    /Mac OS X/.test(userAgent) ? 'macOS' :
+    /Windows/.test(userAgent) ? 'Windows' :
+    /Linux/.test(userAgent) ? 'Linux' :
+    null;
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+async function saveSession(kv: KVNamespace, session: SessionRecord): Promise<void> {
+  await kv.put(sessionKey(session.userId, session.sessionId), JSON.stringify(session), {
+    expirationTtl: SESSION_TTL
+  });
+}
+
+async function isSessionRevoked(kv: KVNamespace, userId: string, sessionId: string): Promise<boolean> {
+  return (await kv.get(revokedKey(userId, sessionId))) !== null;
+}
+
+/**
+ * Write back a session read earlier, unless it's been revoked since. KV has
+ * no compare-and-set, so revocation leaves a marker before deleting the
+ * record and the marker is checked on both sides of the write: a revocation
+ * that lands in between deletes our write, or we delete it ourselves.
+ */
+async function saveLiveSession(kv: KVNamespace, session: SessionRecord): Promise<boolean> {
+  const [current, revoked] = await Promise.all([
+    getSession(kv, session.userId, session.sessionId),
+    isSessionRevoked(kv, session.userId, session.sessionId)
+  ]);
+  if (!current || revoked) {
+    return false;
+  }
+
+  await saveSession(kv, session);
+  if (await isSessionRevoked(kv, session.userId, session.sessionId)) {
+    await kv.delete(sessionKey(session.userId, session.sessionId));
+    return false;
+  }
+  return true;
+}
+
+export async function createSession(
+  kv: KVNamespace,
+  user: { userId: string; email: string; role: string },
+  client: ClientInfo
+): Promise<{ session: SessionRecord; refreshToken: string }> {
+  const sessionId = crypto.randomUUID();
+  const secret = randomSecret();
+  const now = new Date().toISOString();
+
+  const session: SessionRecord = {
+    sessionId,
+    userId: user.userId,
+    email: user.email,
+    role: user.role,
+    device: describeDevice(client.userAgent),
+    ip: client.ip,
+    userAgent: client.userAgent,
+    createdAt: now,
+    lastSeen: now,
+    refreshHash: await sha256(secret),
+    previousRefreshHashes: []
+  };
+
+  await saveSession(kv, session);
+  return { session, refreshToken: `${user.userId}.${sessionId}.${secret}` };
+}
+
+export async function getSession(kv: KVNamespace, userId: string, sessionId: string): Promise<SessionRecord | null> {
+  return await kv.get(sessionKey(userId, sessionId), 'json') as SessionRecord | null;
+}
+
+/**
+ * Exchange a refresh token for a new one. A token that matches a hash this
+ * session has already rotated past is treated as stolen: the session is
+ * deleted and 'reused' is returned so the caller can purge access tokens.
+ * The hash rotated out within the grace window is only 'superseded': another
+ * tab sharing the token got there first, and the client should use its one.
+ */
+export async function rotateRefreshToken(kv: KVNamespace, refreshToken: string, client: ClientInfo): Promise<RefreshResult> {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { status: 'invalid' };
+  }
+
+  const session = await getSession(kv, parsed.userId, parsed.sessionId);
+  if (!session) {
+    return { status: 'invalid' };
+  }
+
+  const presentedHash = await sha256(parsed.secret);
+  if (presentedHash !== session.refreshHash) {
+    if (presentedHash === session.previousRefreshHashes[0] && session.rotatedAt
+      && Date.now() - new Date(session.rotatedAt).getTime() < REFRESH_GRACE_MS) {
+      return { status: 'superseded' };
+    }
+    if (session.previousRefreshHashes.includes(presentedHash)) {
+      await revokeSession(kv, session.userId, session.sessionId);
+      return { status: 'reused', session };
+    }
+    return { status: 'invalid' };
+  }
+
+  const secret = randomSecret();
+  const now = new Date().toISOString();
+  const rotated: SessionRecord = {
+    ...session,
+    ip: client.ip ?? session.ip,
+    userAgent: client.userAgent ?? session.userAgent,
+    lastSeen: now,
+    rotatedAt: now,
+    refreshHash: await sha256(secret),
+    previousRefreshHashes: [session.refreshHash, ...session.previousRefreshHashes].slice(0, PREVIOUS_REFRESH_HASHES)
+  };
+
+  if (!await saveLiveSession(kv, rotated)) {
+    return { status: 'invalid' };
+  }
+  return { status: 'ok', session: rotated, refreshToken: `${session.userId}.${session.sessionId}.${secret}` };
+}
+
+// Bump lastSeen, at most every few minutes so verification stays read-only in the common case
+export async function touchSession(kv: KVNamespace, session: SessionRecord, client?: ClientInfo): Promise<void> {
+  if (Date.now() - new Date(session.lastSeen).getTime() < LAST_SEEN_RESOLUTION_MS) {
+    return;
+  }
+  await saveLiveSession(kv, {
+    ...session,
+    ip: client?.ip ?? session.ip,
+    lastSeen: new Date().toISOString()
+  });
+}
+
+export async function listSessions(kv: KVNamespace, userId: string): Promise<SessionRecord[]> {
+  const sessions: SessionRecord[] = [];
+  let cursor: string | undefined;
+
+  do {
+    const page = await kv.list({ prefix: `${SESSION_PREFIX}${userId}:`, cursor });
+    const records = await Promise.all(page.keys.map(k => kv.get(k.name, 'json') as Promise<SessionRecord | null>));
+    sessions.push(...records.filter((s): s is SessionRecord => !!s));
+    cursor = 'cursor' in page ? page.cursor : undefined;
+  } while (cursor);
+
+  return sessions.sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+}
+
+// The marker goes first so a concurrent touch or role update can't put the record back
+export async function revokeSession(kv: KVNamespace, userId: string, sessionId: string): Promise<void> {
+  await kv.put(revokedKey(userId, sessionId), '1', { expirationTtl: REVOKED_MARKER_TTL });
+  await kv.delete(sessionKey(userId, sessionId));
+}
+
+// Returns the revoked session ids so cached access tokens can be purged too
+export async function revokeAllSessions(kv: KVNamespace, userId: string): Promise<string[]> {
+  const sessions = await listSessions(kv, userId);
+  await Promise.all(sessions.map(s => revokeSession(kv, userId, s.sessionId)));
+  return sessions.map(s => s.sessionId);
+}
+
+// Role changes apply to live sessions without forcing a new login; revoked ones stay gone
+export async function updateSessionsRole(kv: KVNamespace, userId: string, role: string): Promise<void> {
+  const sessions = await listSessions(kv, userId);
+  await Promise.all(sessions.map(s => saveLiveSession(kv, { ...s, role })));
+}
+
+// The shape returned by GET /auth/sessions - never includes refresh hashes
+export function publicSession(session: SessionRecord, currentSessionId?: string) {
+  return {
+    id: session.sessionId,
+    device: session.device,
+    ip: session.ip,
+    userAgent: session.userAgent,
+    createdAt: session.createdAt,
+    lastSeen: session.lastSeen,
+    current: session.sessionId === currentSessionId
+  };
+}
@@ -168,6 +168,20 @@ CREATE TABLE IF NOT EXISTS validation_log (
   created_at TEXT DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Processed NEMWEB files, one row per report type and filename
+CREATE TABLE IF NOT EXISTS processed_files (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  report TEXT NOT NULL,
+  filename TEXT NOT NULL,
+  status TEXT NOT NULL,
+  row_count INTEGER DEFAULT 0,
+  error TEXT,
+  attempts INTEGER DEFAULT 0,
+  started_at TEXT NOT NULL,
+  completed_at TEXT,
+  UNIQUE(report, filename)
+);
+
 -- Generation by fuel type (aggregated)
 CREATE TABLE IF NOT EXISTS generation_by_fuel (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -189,4 +203,5 @@ CREATE INDEX IF NOT EXISTS idx_trading_prices_settlement ON trading_prices(settl
 CREATE INDEX IF NOT EXISTS idx_p5min_forecasts_interval ON p5min_forecasts(interval_datetime DESC);
 CREATE INDEX IF NOT EXISTS idx_predispatch_forecasts_interval ON predispatch_forecasts(interval_datetime DESC);
 CREATE INDEX IF NOT EXISTS idx_stpasa_forecasts_interval ON stpasa_forecasts(interval_datetime DESC);
-CREATE INDEX IF NOT EXISTS idx_validation_log_timestamp ON validation_log(timestamp DESC);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_validation_log_timestamp ON validation_log(timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_processed_files_status ON processed_files(report, status, filename);
\ No newline at end of file
@@ -513,20 +513,18 @@ export function extractZipLinksFromHTML(html: string): string[] {
  * AEMO files have timestamps in their names
  */
 export function getLatestFile(files: string[], pattern: string): string | null {
-  const matchingFiles = files.filter(f => 
-    f.toUpperCase().includes(pattern.toUpperCase())
-  );
-  
-  if (matchingFiles.length === 0) {
-    return null;
-  }
-  
-  // Sort by embedded timestamp (files are like PUBLIC_DISPATCHIS_202401151430_0000001234.zip)
-  return matchingFiles.sort((a, b) => {
-    const timestampA = extractTimestamp(a);
-    const timestampB = extractTimestamp(b);
-    return timestampB - timestampA;
-  })[0];
+  const matchingFiles = sortFilesByTimestamp(files, pattern);
+  return matchingFiles.length > 0 ? matchingFiles[matchingFiles.length - 1] : null;
+}
+
+/**
+ * Files matching a pattern, oldest first
+ * Sorted by embedded timestamp (files are like PUBLIC_DISPATCHIS_202401151430_0000001234.zip)
+ */
+export function sortFilesByTimestamp(files: string[], pattern: string): string[] {
+  return files
+    .filter(f => f.toUpperCase().includes(pattern.toUpperCase()))
+    .sort((a, b) => extractTimestamp(a) - extractTimestamp(b));
 }
 
 function extractTimestamp(filename: string): number {
@@ -0,0 +1,395 @@
+/**
+ * Historical Backfill from NEMWEB Archive
+ * Walks Reports/Archive day/week/month bundles for a date range and replays
+ * every interval file inside them through the existing parsers.
+ *
+ * A bundle can hold hundreds of 5-minute files, far more than one Worker
+ * invocation can parse, so progress is checkpointed in KV every few seconds
+ * (KV takes one write a second per key) and at the end of each step. Each
+ * cron tick (or POST /backfill) advances the checkpoint within a time
+ * budget. All writes go through the ON CONFLICT upserts in
+ * comprehensive-fetcher.ts, so re-running any part of a range is harmless -
+ * as files after the last checkpoint are when a step is cut off.
+ *
+ * A bundle cut off part way is staged in R2 until it's finished, and the
+ * checkpoint names the last inner file done, so the next step neither
+ * downloads it again nor unzips the files already ingested. Every write
+ * re-reads the checkpoint first: a step stops as soon as its backfill has
+ * been cancelled or replaced, rather than writing it back.
+ *
+ * A bundle that fails to download goes to the back of the queue and is tried
+ * again on a later step, up to MAX_BUNDLE_ATTEMPTS times.
+ */
+
+import { unzipSync } from 'fflate';
+import { parseComprehensiveDispatchData, parseTradingData } from './aemo-comprehensive-parser';
+import { fetchWithTruncationHandling, extractZipLinksFromHTML } from './aemo-parser';
+import {
+  fetchWithRetry,
+  storeDispatchPrices,
+  storeInterconnectorFlows,
+  storeConstraints,
+  storeFCASPrices,
+  storeTradingData
+} from './comprehensive-fetcher';
+import { TimeUtil } from '../../../shared/utils/time';
+
+const AEMO_ARCHIVE = 'https://nemweb.com.au/Reports/Archive';
+const CHECKPOINT_KEY = 'backfill:checkpoint';
+const STAGING_PREFIX = 'backfill/';
+
+// Wall-clock budget per step; leaves headroom under the Worker limit
+const DEFAULT_STEP_BUDGET_MS = 20000;
+
+// Keep the last few errors only so the checkpoint stays small
+const MAX_ERRORS_KEPT = 20;
+
+// How often a step saves its progress; KV allows one write a second per key
+const CHECKPOINT_INTERVAL_MS = 5000;
+const KV_WRITE_GAP_MS = 1000;
+
+// Downloads per bundle before it's skipped, as for files in the ledger
+const MAX_BUNDLE_ATTEMPTS = 3;
+
+interface BackfillReport {
+  directory: string;
+  prefix: string;
+  ingest: (env: any, arrayBuffer: ArrayBuffer) => Promise<number>;
+}
+
+export const BACKFILL_REPORTS: Record<string, BackfillReport> = {
+  dispatch: {
+    directory: 'DispatchIS_Reports',
+    prefix: 'DISPATCHIS',
+    ingest: async (env, arrayBuffer) => {
+      const data = await parseComprehensiveDispatchData(arrayBuffer);
+      await storeDispatchPrices(env, data);
+      await storeInterconnectorFlows(env, data);
+      await storeConstraints(env, data);
+      await storeFCASPrices(env, data);
+      return data.prices.length + data.interconnectors.length + data.fcas.length;
+    }
+  },
+  trading: {
+    directory: 'TradingIS_Reports',
+    prefix: 'TRADINGIS',
+    ingest: async (env, arrayBuffer) => {
+      const data = await parseTradingData(arrayBuffer);
+      await storeTradingData(env, data);
+      return data.prices.length + data.regionSums.length;
+    }
+  }
+};
+
+export interface BackfillBundle {
+  report: string;
+  filename: string;
+  start: string;  // YYYYMMDD (AEST)
+  end: string;    // YYYYMMDD (AEST), inclusive
+  attempts?: number;  // failed downloads so far
+}
+
+export interface BackfillCheckpoint {
+  id: string;
+  status: 'running' | 'completed' | 'cancelled';
+  from: string;   // YYYYMMDD (AEST), inclusive
+  to: string;     // YYYYMMDD (AEST), inclusive
+  reports: string[];
+  bundles: BackfillBundle[];
+  bundleIndex: number;
+  lastFile: string | null;  // last inner file done in the current bundle
+  filesProcessed: number;
+  rowsStored: number;
+  errors: string[];
+  startedAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Work out which days an archive bundle covers from its filename:
+ *   PUBLIC_DISPATCHIS_20240115.zip           (day)
+ *   PUBLIC_TRADINGIS_20240114_20240120.zip   (week / range)
+ *   PUBLIC_DISPATCHIS_202401.zip             (month)
+ */
+export function parseBundleRange(filename: string): { start: string; end: string } | null {
+  const range = filename.match(/_(\d{8})_(\d{8})\.zip$/i);
+  if (range) {
+    return { start: range[1], end: range[2] };
+  }
+
+  const day = filename.match(/_(\d{8})\.zip$/i);
+  if (day) {
+    return { start: day[1], end: day[1] };
+  }
+
+  const month = filename.match(/_(\d{4})(\d{2})\.zip$/i);
+  if (month) {
+    const year = parseInt(month[1]);
+    const mon = parseInt(month[2]);
+    const lastDay = new Date(Date.UTC(year, mon, 0)).getUTCDate();
+    return { start: `${month[1]}${month[2]}01`, end: `${month[1]}${month[2]}${String(lastDay).padStart(2, '0')}` };
+  }
+
+  return null;
+}
+
+/**
+ * List the archive bundles for a report that overlap [from, to]
+ */
+export async function listArchiveBundles(report: string, from: string, to: string): Promise<BackfillBundle[]> {
+  const config = BACKFILL_REPORTS[report];
+  const html = await fetchWithTruncationHandling(`${AEMO_ARCHIVE}/${config.directory}/`);
+
+  const bundles: BackfillBundle[] = [];
+  for (const filename of extractZipLinksFromHTML(html)) {
+    if (!filename.toUpperCase().includes(config.prefix)) continue;
+
+    const range = parseBundleRange(filename);
+    if (!range || range.end < from || range.start > to) continue;
+
+    bundles.push({ report, filename, ...range });
+  }
+
+  return bundles.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+export async function getBackfillCheckpoint(env: any): Promise<BackfillCheckpoint | null> {
+  return await env.CACHE.get(CHECKPOINT_KEY, 'json');
+}
+
+async function saveCheckpoint(env: any, checkpoint: BackfillCheckpoint): Promise<void> {
+  checkpoint.updatedAt = TimeUtil.nowUTC();
+  await env.CACHE.put(CHECKPOINT_KEY, JSON.stringify(checkpoint));
+}
+
+/**
+ * Start a new backfill. Dates are NEM days (YYYY-MM-DD, AEST), inclusive.
+ */
+export async function startBackfill(
+  env: any,
+  from: string,
+  to: string,
+  reports: string[] = Object.keys(BACKFILL_REPORTS)
+): Promise<BackfillCheckpoint> {
+  const fromDay = from.replace(/-/g, '');
+  const toDay = to.replace(/-/g, '');
+
+  if (!/^\d{8}$/.test(fromDay) || !/^\d{8}$/.test(toDay) || fromDay > toDay) {
+    throw new Error('from/to must be YYYY-MM-DD with from <= to');
+  }
+
+  const unknown = reports.filter(r => !BACKFILL_REPORTS[r]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown report type(s): ${unknown.join(', ')}`);
+  }
+
+  const bundles: BackfillBundle[] = [];
+  for (const report of reports) {
+    bundles.push(...await listArchiveBundles(report, fromDay, toDay));
+  }
+
+  // A replaced backfill's step stops on its own, but may not run again to clean up
+  const previous = await getBackfillCheckpoint(env);
+  if (previous?.status === 'running') {
+    await discardStagedBundle(env, previous);
+  }
+
+  const now = TimeUtil.nowUTC();
+  const checkpoint: BackfillCheckpoint = {
+    id: crypto.randomUUID(),
+    status: bundles.length > 0 ? 'running' : 'completed',
+    from: fromDay,
+    to: toDay,
+    reports,
+    bundles,
+    bundleIndex: 0,
+    lastFile: null,
+    filesProcessed: 0,
+    rowsStored: 0,
+    errors: [],
+    startedAt: now,
+    updatedAt: now
+  };
+
+  await saveCheckpoint(env, checkpoint);
+  console.log(`Backfill ${checkpoint.id} started: ${bundles.length} bundles for ${fromDay}-${toDay}`);
+  return checkpoint;
+}
+
+export async function cancelBackfill(env: any): Promise<BackfillCheckpoint | null> {
+  const checkpoint = await getBackfillCheckpoint(env);
+  if (checkpoint && checkpoint.status === 'running') {
+    checkpoint.status = 'cancelled';
+    await saveCheckpoint(env, checkpoint);
+    await discardStagedBundle(env, checkpoint);
+  }
+  return checkpoint;
+}
+
+function stagedBundleKey(checkpoint: BackfillCheckpoint, bundle: BackfillBundle): string {
+  return `${STAGING_PREFIX}${checkpoint.id}/${bundle.filename}`;
+}
+
+async function discardStagedBundle(env: any, checkpoint: BackfillCheckpoint): Promise<void> {
+  const bundle = checkpoint.bundles[checkpoint.bundleIndex];
+  if (bundle) {
+    await env.ARCHIVE.delete(stagedBundleKey(checkpoint, bundle));
+  }
+}
+
+/**
+ * A bundle's ZIP: the copy staged by an earlier step that got part way
+ * through it, or else a fresh download from NEMWEB.
+ */
+async function loadBundle(
+  env: any,
+  checkpoint: BackfillCheckpoint,
+  bundle: BackfillBundle
+): Promise<{ zip: Uint8Array; staged: boolean }> {
+  if (checkpoint.lastFile) {
+    const object = await env.ARCHIVE.get(stagedBundleKey(checkpoint, bundle));
+    if (object) {
+      return { zip: new Uint8Array(await object.arrayBuffer()), staged: true };
+    }
+  }
+
+  const config = BACKFILL_REPORTS[bundle.report];
+  console.log(`Backfill: downloading ${bundle.filename}`);
+  const response = await fetchWithRetry(`${AEMO_ARCHIVE}/${config.directory}/${bundle.filename}`);
+  return { zip: new Uint8Array(await response.arrayBuffer()), staged: false };
+}
+
+/**
+ * Inner interval files of a bundle after `after`, in time order, limited to
+ * the requested days. Only those are decompressed, so a resumed bundle costs
+ * no more than what's left of it.
+ * Bundles nest one ZIP per interval; the timestamp is YYYYMMDDHHMM (AEST).
+ */
+function unzipIntervalFiles(zip: Uint8Array, from: string, to: string, after: string | null): Array<[string, Uint8Array]> {
+  const entries = unzipSync(zip, {
+    filter: file => {
+      if (!file.name.toLowerCase().endsWith('.zip') || (after && file.name <= after)) return false;
+      const stamp = file.name.match(/_(\d{12})_/);
+      if (!stamp) return true;
+      const day = stamp[1].substring(0, 8);
+      return day >= from && day <= to;
+    }
+  });
+  return Object.keys(entries).sort().map(name => [name, entries[name]]);
+}
+
+/**
+ * Advance the active backfill until the time budget runs out.
+ * Safe to call when nothing is running.
+ */
+export async function runBackfillStep(env: any, budgetMs: number = DEFAULT_STEP_BUDGET_MS): Promise<BackfillCheckpoint | null> {
+  const checkpoint = await getBackfillCheckpoint(env);
+  if (!checkpoint || checkpoint.status !== 'running') {
+    return checkpoint;
+  }
+
+  const deadline = Date.now() + budgetMs;
+  let lastSaved = new Date(checkpoint.updatedAt).getTime();
+  let stopped = false;
+  let current: BackfillCheckpoint | null = null;
+
+  // Periodic saves are skipped when one was made recently; the final one waits out the KV write gap.
+  // Nothing is written once the stored checkpoint is no longer this running backfill
+  const checkpointProgress = async (final = false) => {
+    const sinceSave = Date.now() - lastSaved;
+    if (!final && sinceSave < CHECKPOINT_INTERVAL_MS) {
+      return;
+    }
+    if (sinceSave < KV_WRITE_GAP_MS) {
+      await new Promise(resolve => setTimeout(resolve, KV_WRITE_GAP_MS - sinceSave));
+    }
+    current = await getBackfillCheckpoint(env);
+    if (!current || current.id !== checkpoint.id || current.status !== 'running') {
+      console.log(`Backfill ${checkpoint.id} was cancelled or replaced; stopping`);
+      stopped = true;
+      return;
+    }
+    await saveCheckpoint(env, checkpoint);
+    lastSaved = Date.now();
+  };
+
+  while (!stopped && checkpoint.bundleIndex < checkpoint.bundles.length && Date.now() < deadline) {
+    const bundle = checkpoint.bundles[checkpoint.bundleIndex];
+    const config = BACKFILL_REPORTS[bundle.report];
+
+    let zip: Uint8Array;
+    let staged: boolean;
+    let files: Array<[string, Uint8Array]>;
+    try {
+      ({ zip, staged } = await loadBundle(env, checkpoint, bundle));
+      files = unzipIntervalFiles(zip, checkpoint.from, checkpoint.to, checkpoint.lastFile);
+    } catch (error: any) {
+      bundle.attempts = (bundle.attempts ?? 0) + 1;
+      await discardStagedBundle(env, checkpoint);
+      checkpoint.lastFile = null;
+      if (bundle.attempts >= MAX_BUNDLE_ATTEMPTS) {
+        recordError(checkpoint, `${bundle.filename}: ${error.message} (skipped after ${bundle.attempts} attempts)`);
+        checkpoint.bundleIndex++;
+        continue;
+      }
+
+      // Retry later: the rest of the queue goes first, and this step ends here
+      recordError(checkpoint, `${bundle.filename}: ${error.message} (attempt ${bundle.attempts}, will retry)`);
+      checkpoint.bundles.push(...checkpoint.bundles.splice(checkpoint.bundleIndex, 1));
+      break;
+    }
+
+    let next = 0;
+    while (!stopped && next < files.length && Date.now() < deadline) {
+      const [name, bytes] = files[next];
+
+      try {
+        const rows = await config.ingest(env, bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) as ArrayBuffer);
+        checkpoint.rowsStored += rows;
+      } catch (error: any) {
+        recordError(checkpoint, `${name}: ${error.message}`);
+      }
+
+      next++;
+      checkpoint.lastFile = name;
+      checkpoint.filesProcessed++;
+      await checkpointProgress();
+    }
+
+    if (next >= files.length) {
+      await discardStagedBundle(env, checkpoint);
+      checkpoint.bundleIndex++;
+      checkpoint.lastFile = null;
+      await checkpointProgress();
+    } else if (!staged && !stopped) {
+      // Cut off part way: keep the download for the next step
+      await env.ARCHIVE.put(stagedBundleKey(checkpoint, bundle), zip, {
+        httpMetadata: { contentType: 'application/zip' }
+      });
+    }
+  }
+
+  if (!stopped) {
+    if (checkpoint.bundleIndex >= checkpoint.bundles.length) {
+      checkpoint.status = 'completed';
+    }
+    await checkpointProgress(true);
+  }
+
+  if (stopped) {
+    await discardStagedBundle(env, checkpoint);
+    return current;
+  }
+  if (checkpoint.status === 'completed') {
+    console.log(`Backfill ${checkpoint.id} completed: ${checkpoint.filesProcessed} files, ${checkpoint.rowsStored} rows`);
+  }
+  return checkpoint;
+}
+
+function recordError(checkpoint: BackfillCheckpoint, message: string): void {
+  console.error('Backfill error:', message);
+  checkpoint.errors.push(message);
+  if (checkpoint.errors.length > MAX_ERRORS_KEPT) {
+    checkpoint.errors = checkpoint.errors.slice(-MAX_ERRORS_KEPT);
+  }
+}
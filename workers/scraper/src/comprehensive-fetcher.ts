@@ -13,6 +13,7 @@ import {
 } from './aemo-comprehensive-parser';
 import { fetchWithTruncationHandling, extractZipLinksFromHTML, getLatestFile } from './aemo-parser';
 import { getGeneratorInfo, aggregateFuelTypes } from './duid-fuel-mapping';
+import { archiveRawFile } from './raw-archive';
 import { TimeUtil } from '../../../shared/utils/time';
 
 const AEMO_BASE = 'https://nemweb.com.au';
@@ -21,7 +22,7 @@ const AEMO_BASE_CAPITAL = 'https://www.nemweb.com.au/REPORTS';  // Some paths us
 /**
  * Fetch with retry logic for resilience
  */
-async function fetchWithRetry(
+export async function fetchWithRetry(
   url: string, 
   options: RequestInit = {}, 
   maxRetries: number = 3,
@@ -146,17 +147,8 @@ async function fetchDispatchData(env: any): Promise<void> {
     
     const arrayBuffer = await fileResponse.arrayBuffer();
     
-    // Store raw file in R2
-    const timestamp = TimeUtil.nowUTC();
-    const r2Key = `raw/${timestamp.split('T')[0]}/dispatch/${latestFile}`;
-    await env.ARCHIVE.put(r2Key, arrayBuffer, {
-      httpMetadata: { contentType: 'application/zip' },
-      customMetadata: {
-        source: 'AEMO',
-        type: 'DISPATCH',
-        timestamp
-      }
-    });
+    // Archive raw file
+    await archiveRawFile(env, 'dispatch', latestFile, arrayBuffer, `${url}${latestFile}`);
     
     // Parse comprehensive data
     const data = await parseComprehensiveDispatchData(arrayBuffer);
@@ -179,7 +171,7 @@ async function fetchDispatchData(env: any): Promise<void> {
   }
 }
 
-async function storeDispatchPrices(env: any, data: any): Promise<void> {
+export async function storeDispatchPrices(env: any, data: any): Promise<void> {
   if (data.prices.length === 0) return;
   
   const stmt = env.DB.prepare(`
@@ -209,7 +201,7 @@ async function storeDispatchPrices(env: any, data: any): Promise<void> {
   await env.DB.batch(batch);
 }
 
-async function storeInterconnectorFlows(env: any, data: any): Promise<void> {
+export async function storeInterconnectorFlows(env: any, data: any): Promise<void> {
   if (data.interconnectors.length === 0) return;
   
   const stmt = env.DB.prepare(`
@@ -236,7 +228,7 @@ async function storeInterconnectorFlows(env: any, data: any): Promise<void> {
   await env.DB.batch(batch);
 }
 
-async function storeConstraints(env: any, data: any): Promise<void> {
+export async function storeConstraints(env: any, data: any): Promise<void> {
   // Create constraints table if it doesn't exist
   await env.DB.prepare(`
     CREATE TABLE IF NOT EXISTS constraints (
@@ -277,7 +269,7 @@ async function storeConstraints(env: any, data: any): Promise<void> {
   await env.DB.batch(batch);
 }
 
-async function storeFCASPrices(env: any, data: any): Promise<void> {
+export async function storeFCASPrices(env: any, data: any): Promise<void> {
   if (data.fcas.length === 0) return;
   
   const stmt = env.DB.prepare(`
@@ -371,7 +363,7 @@ async function storeGeneratorDispatch(env: any, data: any): Promise<void> {
   await env.DB.batch(batch);
 }
 
-async function storeP5MinForecasts(env: any, data: any): Promise<void> {
+export async function storeP5MinForecasts(env: any, data: any): Promise<void> {
   if (!data.regionSolutions || data.regionSolutions.length === 0) {
     console.log('No P5MIN forecasts to store');
     return;
@@ -463,7 +455,7 @@ async function storeP5MinForecasts(env: any, data: any): Promise<void> {
   }
 }
 
-async function storeTradingData(env: any, data: TradingData): Promise<void> {
+export async function storeTradingData(env: any, data: TradingData): Promise<void> {
   // Create tables if they don't exist
   await env.DB.prepare(`
     CREATE TABLE IF NOT EXISTS trading_prices (
@@ -696,17 +688,8 @@ async function fetchP5MinData(env: any): Promise<void> {
     
     const arrayBuffer = await fileResponse.arrayBuffer();
     
-    // Store raw file
-    const timestamp = new Date().toISOString();
-    const r2Key = `raw/${timestamp.split('T')[0]}/p5min/${latestFile}`;
-    await env.ARCHIVE.put(r2Key, arrayBuffer, {
-      httpMetadata: { contentType: 'application/zip' },
-      customMetadata: {
-        source: 'AEMO',
-        type: 'P5MIN',
-        timestamp
-      }
-    });
+    // Archive raw file
+    await archiveRawFile(env, 'p5min', latestFile, arrayBuffer, `${url}${latestFile}`);
     
     // Parse P5MIN data
     const p5minData = await parseP5MinData(arrayBuffer);
@@ -750,17 +733,8 @@ async function fetchTradingData(env: any): Promise<void> {
     
     const arrayBuffer = await fileResponse.arrayBuffer();
     
-    // Store raw file in R2
-    const timestamp = TimeUtil.nowUTC();
-    const r2Key = `raw/${timestamp.split('T')[0]}/trading/${latestFile}`;
-    await env.ARCHIVE.put(r2Key, arrayBuffer, {
-      httpMetadata: { contentType: 'application/zip' },
-      customMetadata: {
-        source: 'AEMO',
-        type: 'TRADINGIS',
-        timestamp
-      }
-    });
+    // Archive raw file
+    await archiveRawFile(env, 'trading', latestFile, arrayBuffer, `${url}${latestFile}`);
     
     // Parse Trading data
     const tradingData = await parseTradingData(arrayBuffer);
@@ -893,24 +867,15 @@ async function fetchScadaData(env: any): Promise<void> {
     
     const arrayBuffer = await fileResponse.arrayBuffer();
     
+    // Archive raw file
+    await archiveRawFile(env, 'scada', latestFile, arrayBuffer, `${url}${latestFile}`);
+    
     // Parse SCADA data
     const scadaUnits = await parseSCADAData(arrayBuffer);
     
     // Store SCADA data
     await storeSCADAData(env, scadaUnits);
     
-    // Archive raw file
-    const timestamp = new Date().toISOString();
-    const r2Key = `raw/${timestamp.split('T')[0]}/scada/${latestFile}`;
-    await env.ARCHIVE.put(r2Key, arrayBuffer, {
-      httpMetadata: { contentType: 'application/zip' },
-      customMetadata: {
-        source: 'AEMO',
-        type: 'SCADA',
-        timestamp
-      }
-    });
-    
     console.log(`Stored ${scadaUnits.length} SCADA unit records (real-time generator output)`);
     
   } catch (error) {
@@ -0,0 +1,175 @@
+/**
+ * Processed-File Ledger
+ * Records every NEMWEB file ingested per report type in D1, so each cron
+ * run picks up all files it has not yet processed (in time order) instead
+ * of only the newest one. Skipped runs no longer lose intervals and
+ * repeated runs no longer re-parse the same file.
+ */
+
+import { fetchWithTruncationHandling, extractZipLinksFromHTML, sortFilesByTimestamp } from './aemo-parser';
+import { TimeUtil } from '../../../shared/utils/time';
+
+export type FileStatus = 'processing' | 'success' | 'failed';
+
+// Cap per run so a long outage is caught up over several ticks
+// rather than blowing the Worker's time and subrequest limits
+const DEFAULT_MAX_FILES_PER_RUN = 6;
+
+// Failed files are retried on later runs until this many attempts
+const MAX_ATTEMPTS = 3;
+
+export interface IngestOptions {
+  report: string;
+  url: string;              // Directory listing URL, ending in '/'
+  pattern: string;          // Filename pattern, e.g. 'DISPATCHIS'
+  maxFiles?: number;
+  latestOnly?: boolean;     // For forecast reports where only the newest run matters
+  handler: (arrayBuffer: ArrayBuffer, filename: string) => Promise<number>;
+}
+
+export interface IngestSummary {
+  report: string;
+  pending: number;          // Unprocessed files seen in the listing
+  processed: string[];
+  failed: string[];
+  rows: number;
+}
+
+export async function ensureLedgerTable(env: any): Promise<void> {
+  await env.DB.prepare(`
+    CREATE TABLE IF NOT EXISTS processed_files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      report TEXT NOT NULL,
+      filename TEXT NOT NULL,
+      status TEXT NOT NULL,
+      row_count INTEGER DEFAULT 0,
+      error TEXT,
+      attempts INTEGER DEFAULT 0,
+      started_at TEXT NOT NULL,
+      completed_at TEXT,
+      UNIQUE(report, filename)
+    )
+  `).run();
+}
+
+/**
+ * Files from a listing that still need ingesting, oldest first.
+ * With an empty ledger only the newest file is taken - files published
+ * before the ledger existed are not treated as gaps.
+ */
+export async function selectUnprocessedFiles(
+  env: any,
+  report: string,
+  files: string[],
+  latestOnly = false
+): Promise<string[]> {
+  if (files.length === 0) return [];
+
+  const candidates = latestOnly ? files.slice(-1) : files;
+
+  const first = await env.DB.prepare(
+    'SELECT MIN(filename) AS filename FROM processed_files WHERE report = ?'
+  ).bind(report).first();
+
+  if (!first?.filename) {
+    return files.slice(-1);
+  }
+
+  // AEMO filenames sort by their embedded timestamp within a report
+  const seen = await env.DB.prepare(`
+    SELECT filename, status, attempts
+    FROM processed_files
+    WHERE report = ? AND filename >= ?
+  `).bind(report, candidates[0]).all();
+
+  const done = new Set<string>();
+  for (const row of seen.results as any[]) {
+    if (row.status === 'success' || row.attempts >= MAX_ATTEMPTS) {
+      done.add(row.filename);
+    }
+  }
+
+  return candidates.filter(f => f >= first.filename && !done.has(f));
+}
+
+async function markProcessing(env: any, report: string, filename: string): Promise<void> {
+  await env.DB.prepare(`
+    INSERT INTO processed_files (report, filename, status, attempts, started_at)
+    VALUES (?, ?, 'processing', 1, ?)
+    ON CONFLICT(report, filename) DO UPDATE SET
+      status = 'processing',
+      error = NULL,
+      attempts = processed_files.attempts + 1,
+      started_at = excluded.started_at,
+      completed_at = NULL
+  `).bind(report, filename, TimeUtil.nowUTC()).run();
+}
+
+async function markCompleted(
+  env: any,
+  report: string,
+  filename: string,
+  status: FileStatus,
+  rowCount: number,
+  error: string | null
+): Promise<void> {
+  await env.DB.prepare(`
+    UPDATE processed_files
+    SET status = ?, row_count = ?, error = ?, completed_at = ?
+    WHERE report = ? AND filename = ?
+  `).bind(status, rowCount, error, TimeUtil.nowUTC(), report, filename).run();
+}
+
+/**
+ * Download and ingest every unprocessed file for a report, in order.
+ * A failing file is recorded and skipped; the rest of the run continues.
+ */
+export async function ingestNewFiles(env: any, options: IngestOptions): Promise<IngestSummary> {
+  await ensureLedgerTable(env);
+
+  const html = await fetchWithTruncationHandling(options.url);
+  const files = sortFilesByTimestamp(extractZipLinksFromHTML(html), options.pattern);
+  const pending = await selectUnprocessedFiles(env, options.report, files, options.latestOnly);
+
+  const summary: IngestSummary = {
+    report: options.report,
+    pending: pending.length,
+    processed: [],
+    failed: [],
+    rows: 0
+  };
+
+  for (const filename of pending.slice(0, options.maxFiles ?? DEFAULT_MAX_FILES_PER_RUN)) {
+    await markProcessing(env, options.report, filename);
+
+    try {
+      const response = await fetch(`${options.url}${filename}`, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; Sunney-Scraper/1.0)',
+          'Accept': 'application/zip,application/octet-stream,*/*'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to download ${filename}: ${response.status}`);
+      }
+
+      const rows = await options.handler(await response.arrayBuffer(), filename);
+      await markCompleted(env, options.report, filename, 'success', rows, null);
+
+      summary.processed.push(filename);
+      summary.rows += rows;
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`Error ingesting ${options.report} file ${filename}:`, message);
+      await markCompleted(env, options.report, filename, 'failed', 0, message);
+      summary.failed.push(filename);
+    }
+  }
+
+  if (summary.pending > summary.processed.length + summary.failed.length) {
+    console.log(`${options.report}: ${summary.pending - summary.processed.length - summary.failed.length} files left for the next run`);
+  }
+
+  return summary;
+}
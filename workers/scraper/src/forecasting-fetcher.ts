@@ -9,7 +9,8 @@ import {
   type PredispatchData,
   type StPasaData
 } from './aemo-comprehensive-parser';
-import { fetchWithTruncationHandling, extractZipLinksFromHTML, getLatestFile } from './aemo-parser';
+import { ingestNewFiles } from './file-ledger';
+import { archiveRawFile } from './raw-archive';
 import { TimeUtil } from '../../../shared/utils/time';
 
 const AEMO_BASE = 'https://nemweb.com.au';
@@ -22,48 +23,34 @@ export async function fetchPredispatchData(env: any): Promise<void> {
   console.log('Fetching PREDISPATCH data...');
   
   try {
-    // Fetch the report listing page
     const url = `${AEMO_BASE}/Reports/Current/PredispatchIS_Reports/`;
-    const html = await fetchWithTruncationHandling(url);
     
-    // Extract ZIP file links
-    const files = extractZipLinksFromHTML(html);
-    const latestFile = getLatestFile(files, 'PREDISPATCH');
-    
-    if (!latestFile) {
-      console.log('No PREDISPATCH file found');
-      return;
-    }
-    
-    console.log(`Downloading PREDISPATCH: ${latestFile}`);
-    
-    // Download the ZIP file
-    const fileUrl = `${url}${latestFile}`;
-    const response = await fetch(fileUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Sunney-Scraper/1.0)',
-        'Accept': 'application/zip,application/octet-stream,*/*'
+    // Only the newest run matters for forecasts; the ledger stops it being parsed twice
+    const summary = await ingestNewFiles(env, {
+      report: 'predispatch',
+      url,
+      pattern: 'PREDISPATCH',
+      latestOnly: true,
+      handler: async (arrayBuffer, filename) => {
+        // Archive the raw file to R2 first, so a file that fails to parse can be replayed
+        await archiveRawFile(env, 'predispatch', filename, arrayBuffer, `${url}${filename}`);
+        
+        // Parse the data
+        const data = await parsePredispatchData(arrayBuffer);
+        console.log(`Parsed PREDISPATCH: ${data.regionSolutions.length} regions, ${data.unitSolutions.length} units`);
+        
+        // Store the data
+        await storePredispatchForecasts(env, data);
+        
+        return data.regionSolutions.length;
       }
     });
     
-    if (!response.ok) {
-      throw new Error(`Failed to download PREDISPATCH: ${response.status}`);
+    if (summary.processed.length === 0) {
+      console.log('No new PREDISPATCH file');
+      return;
     }
     
-    const arrayBuffer = await response.arrayBuffer();
-    
-    // Parse the data
-    const data = await parsePredispatchData(arrayBuffer);
-    console.log(`Parsed PREDISPATCH: ${data.regionSolutions.length} regions, ${data.unitSolutions.length} units`);
-    
-    // Store the data
-    await storePredispatchForecasts(env, data);
-    
-    // Archive the raw file to R2
-    const date = TimeUtil.nowUTC().split('T')[0];
-    const r2Key = `archive/predispatch/${date}/${latestFile}`;
-    await env.ARCHIVE.put(r2Key, arrayBuffer);
-    
     console.log('PREDISPATCH data stored successfully');
     
   } catch (error) {
@@ -74,7 +61,7 @@ export async function fetchPredispatchData(env: any): Promise<void> {
 /**
  * Store PREDISPATCH forecasts in D1
  */
-async function storePredispatchForecasts(env: any, data: PredispatchData): Promise<void> {
+export async function storePredispatchForecasts(env: any, data: PredispatchData): Promise<void> {
   // Create tables if not exist
   await env.DB.prepare(`
     CREATE TABLE IF NOT EXISTS predispatch_forecasts (
@@ -260,48 +247,34 @@ export async function fetchStPasaData(env: any): Promise<void> {
   console.log('Fetching ST PASA data...');
   
   try {
-    // Fetch the report listing page
     const url = `${AEMO_BASE}/Reports/Current/STPASA_Reports/`;
-    const html = await fetchWithTruncationHandling(url);
     
-    // Extract ZIP file links
-    const files = extractZipLinksFromHTML(html);
-    const latestFile = getLatestFile(files, 'STPASA');
-    
-    if (!latestFile) {
-      console.log('No ST PASA file found');
-      return;
-    }
-    
-    console.log(`Downloading ST PASA: ${latestFile}`);
-    
-    // Download the ZIP file
-    const fileUrl = `${url}${latestFile}`;
-    const response = await fetch(fileUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Sunney-Scraper/1.0)',
-        'Accept': 'application/zip,application/octet-stream,*/*'
+    // Only the newest run matters for forecasts; the ledger stops it being parsed twice
+    const summary = await ingestNewFiles(env, {
+      report: 'stpasa',
+      url,
+      pattern: 'STPASA',
+      latestOnly: true,
+      handler: async (arrayBuffer, filename) => {
+        // Archive the raw file to R2 first, so a file that fails to parse can be replayed
+        await archiveRawFile(env, 'stpasa', filename, arrayBuffer, `${url}${filename}`);
+        
+        // Parse the data
+        const data = await parseStPasaData(arrayBuffer);
+        console.log(`Parsed ST PASA: ${data.regionSolutions.length} regions, ${data.unitAvailability.length} units`);
+        
+        // Store the data
+        await storeStPasaForecasts(env, data);
+        
+        return data.regionSolutions.length;
       }
     });
     
-    if (!response.ok) {
-      throw new Error(`Failed to download ST PASA: ${response.status}`);
+    if (summary.processed.length === 0) {
+      console.log('No new ST PASA file');
+      return;
     }
     
-    const arrayBuffer = await response.arrayBuffer();
-    
-    // Parse the data
-    const data = await parseStPasaData(arrayBuffer);
-    console.log(`Parsed ST PASA: ${data.regionSolutions.length} regions, ${data.unitAvailability.length} units`);
-    
-    // Store the data
-    await storeStPasaForecasts(env, data);
-    
-    // Archive the raw file to R2
-    const date = TimeUtil.nowUTC().split('T')[0];
-    const r2Key = `archive/stpasa/${date}/${latestFile}`;
-    await env.ARCHIVE.put(r2Key, arrayBuffer);
-    
     console.log('ST PASA data stored successfully');
     
   } catch (error) {
@@ -312,7 +285,7 @@ export async function fetchStPasaData(env: any): Promise<void> {
 /**
  * Store ST PASA forecasts in D1
  */
-async function storeStPasaForecasts(env: any, data: StPasaData): Promise<void> {
+export async function storeStPasaForecasts(env: any, data: StPasaData): Promise<void> {
   // Create table if not exists
   await env.DB.prepare(`
     CREATE TABLE IF NOT EXISTS stpasa_forecasts (
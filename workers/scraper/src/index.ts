@@ -7,9 +7,18 @@ import {
   getLatestFile,
   parseBatteryDispatchData
 } from './aemo-parser';
-import { parseSCADAData } from './aemo-comprehensive-parser';
-import { checkAndFetchForecasts } from './forecasting-fetcher';
+import {
+  parseSCADAData,
+  parseP5MinData as parseP5MinForecasts,
+  parsePredispatchData,
+  parseStPasaData
+} from './aemo-comprehensive-parser';
+import { checkAndFetchForecasts, storePredispatchForecasts, storeStPasaForecasts } from './forecasting-fetcher';
+import { storeP5MinForecasts } from './comprehensive-fetcher';
 import { validateDataPipeline, sendGoogleChatAlert } from './validation';
+import { startBackfill, runBackfillStep, getBackfillCheckpoint, cancelBackfill, BACKFILL_REPORTS } from './backfill';
+import { ingestNewFiles } from './file-ledger';
+import { archiveRawFile, getRawManifest, replayArchivedFiles, type RawReport, type ReplayHandler } from './raw-archive';
 import { TimeUtil } from '../../../shared/utils/time';
 
 // Import Cloudflare Workers types
@@ -21,10 +30,33 @@ export interface Env {
   ARCHIVE: R2Bucket;
   TRADING_ROOM: DurableObjectNamespace;
   GOOGLE_CHAT_WEBHOOK?: string;
+  ADMIN_TOKEN?: string;
 }
 
 const AEMO_BASE = 'https://nemweb.com.au';
 
+// Parsers re-run by POST /replay over files in the raw archive
+const REPLAY_HANDLERS: Record<RawReport, ReplayHandler> = {
+  dispatch: async (env, arrayBuffer) => (await ingestDispatchFile(env, arrayBuffer)).length,
+  scada: async (env, arrayBuffer) => (await ingestScadaFile(env, arrayBuffer)).length,
+  trading: BACKFILL_REPORTS.trading.ingest,
+  p5min: async (env, arrayBuffer) => {
+    const data = await parseP5MinForecasts(arrayBuffer);
+    await storeP5MinForecasts(env, data);
+    return data.regionSolutions.length;
+  },
+  predispatch: async (env, arrayBuffer) => {
+    const data = await parsePredispatchData(arrayBuffer);
+    await storePredispatchForecasts(env, data);
+    return data.regionSolutions.length;
+  },
+  stpasa: async (env, arrayBuffer) => {
+    const data = await parseStPasaData(arrayBuffer);
+    await storeStPasaForecasts(env, data);
+    return data.regionSolutions.length;
+  }
+};
+
 export default {
   // Scheduled handler - runs every 5 minutes
   async scheduled(_event: ScheduledEvent, env: Env, _ctx: ExecutionContext) {
@@ -69,6 +101,12 @@ export default {
         console.log(`Validation ${validationResult.passed ? 'passed' : 'failed'}: ${validationResult.issues.length} issues`);
       }
       
+      // Advance any historical backfill in progress
+      const backfill = await runBackfillStep(env);
+      if (backfill?.status === 'running') {
+        console.log(`Backfill ${backfill.id}: bundle ${backfill.bundleIndex + 1}/${backfill.bundles.length}, ${backfill.filesProcessed} files`);
+      }
+      
       console.log('Scraper completed successfully');
     } catch (error) {
       console.error('Scraper error:', error);
@@ -79,10 +117,33 @@ export default {
   },
   
   // Manual trigger for testing
-  async fetch(request: Request, env: Env): Promise<Response> {
+  async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
     const url = new URL(request.url);
     
+    if (url.pathname === '/backfill') {
+      return handleBackfill(request, env, ctx);
+    }
+    
+    if (url.pathname === '/replay' && request.method === 'POST') {
+      return handleReplay(request, env);
+    }
+    
+    if (url.pathname === '/archive/manifest' && request.method === 'GET') {
+      if (!isAdminRequest(request, env)) {
+        return jsonResponse({ error: 'Unauthorized' }, 401);
+      }
+      const date = url.searchParams.get('date');
+      if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return jsonResponse({ error: 'date is required (YYYY-MM-DD)' }, 400);
+      }
+      return jsonResponse(await getRawManifest(env, date));
+    }
+    
     if (url.pathname === '/trigger' && request.method === 'POST') {
+      if (!isAdminRequest(request, env)) {
+        return jsonResponse({ error: 'Unauthorized' }, 401);
+      }
+      
       await this.scheduled(
         { scheduledTime: Date.now(), cron: '*/5 * * * *' } as unknown as ScheduledEvent,
         env,
@@ -209,95 +270,130 @@ export default {
   }
 };
 
-async function fetchDispatchData(env: Env) {
-  const url = `${AEMO_BASE}/Reports/Current/DispatchIS_Reports/`;
+function jsonResponse(body: any, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// Admin routes require the ADMIN_TOKEN secret as a bearer token
+function isAdminRequest(request: Request, env: Env): boolean {
+  const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+  return !!env.ADMIN_TOKEN && token === env.ADMIN_TOKEN;
+}
+
+// Historical backfill control
+async function handleBackfill(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
+  if (!isAdminRequest(request, env)) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
   
-  try {
-    // Fetch the directory listing with truncation handling
-    console.log(`Fetching directory listing from: ${url}`);
-    const html = await fetchWithTruncationHandling(url);
-    console.log(`HTML length: ${html.length}`);
-    
-    // Extract latest DISPATCHIS file
-    const files = extractZipLinksFromHTML(html);
-    console.log(`Found ${files.length} ZIP files`);
-    
-    const latestFile = getLatestFile(files, 'DISPATCHIS');
-    
-    if (!latestFile) {
-      console.log('No dispatch files found in:', files.slice(0, 5));
-      return;
+  if (request.method === 'GET') {
+    const checkpoint = await getBackfillCheckpoint(env);
+    return jsonResponse(checkpoint ?? { status: 'idle' });
+  }
+  
+  if (request.method === 'DELETE') {
+    const checkpoint = await cancelBackfill(env);
+    return jsonResponse(checkpoint ?? { status: 'idle' });
+  }
+  
+  if (request.method === 'POST') {
+    let body: { from?: string; to?: string; reports?: string[]; restart?: boolean };
+    try {
+      body = await request.json();
+    } catch {
+      return jsonResponse({ error: 'Invalid JSON body' }, 400);
     }
     
-    console.log(`Fetching dispatch file: ${latestFile}`);
-    
-    // Download and process
-    const fileResponse = await fetch(`${url}${latestFile}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Sunney-Scraper/1.0)',
-        'Accept': 'application/zip,application/octet-stream,*/*'
-      }
-    });
-    
-    if (!fileResponse.ok) {
-      throw new Error(`Failed to download ${latestFile}: ${fileResponse.status}`);
+    if (!body.from || !body.to) {
+      return jsonResponse({ error: 'from and to are required (YYYY-MM-DD)' }, 400);
     }
     
-    const arrayBuffer = await fileResponse.arrayBuffer();
+    const existing = await getBackfillCheckpoint(env);
+    if (existing?.status === 'running' && !body.restart) {
+      return jsonResponse({ error: 'A backfill is already running', checkpoint: existing }, 409);
+    }
     
-    // Store raw file in R2
-    const timestamp = TimeUtil.nowUTC();
-    const r2Key = `raw/${timestamp.split('T')[0]}/dispatch/${latestFile}`;
-    await env.ARCHIVE.put(r2Key, arrayBuffer, {
-      httpMetadata: {
-        contentType: 'application/zip'
-      },
-      customMetadata: {
-        source: 'AEMO',
-        type: 'DISPATCH',
-        timestamp
+    try {
+      const checkpoint = await startBackfill(env, body.from, body.to, body.reports);
+      ctx.waitUntil(runBackfillStep(env));
+      return jsonResponse(checkpoint, 202);
+    } catch (error) {
+      return jsonResponse({ error: error instanceof Error ? error.message : 'Backfill failed to start' }, 400);
+    }
+  }
+  
+  return jsonResponse({ error: 'Method not allowed' }, 405);
+}
+
+// Re-parse archived raw files for a date range; call again with `cursor` until it is null
+async function handleReplay(request: Request, env: Env): Promise<Response> {
+  if (!isAdminRequest(request, env)) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  let body: { from?: string; to?: string; reports?: string[]; cursor?: string };
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: 'Invalid JSON body' }, 400);
+  }
+  
+  if (!body.from || !body.to) {
+    return jsonResponse({ error: 'from and to are required (YYYY-MM-DD)' }, 400);
+  }
+  
+  try {
+    const result = await replayArchivedFiles(env, REPLAY_HANDLERS, {
+      from: body.from,
+      to: body.to,
+      reports: body.reports,
+      cursor: body.cursor
+    });
+    return jsonResponse(result);
+  } catch (error) {
+    return jsonResponse({ error: error instanceof Error ? error.message : 'Replay failed' }, 400);
+  }
+}
+
+async function fetchDispatchData(env: Env) {
+  const url = `${AEMO_BASE}/Reports/Current/DispatchIS_Reports/`;
+  
+  try {
+    let latestData: any = null;
+    
+    // Ingest every DISPATCHIS file not yet in the ledger, oldest first
+    const summary = await ingestNewFiles(env, {
+      report: 'dispatch',
+      url,
+      pattern: 'DISPATCHIS',
+      handler: async (arrayBuffer, filename) => {
+        await archiveRawFile(env, 'dispatch', filename, arrayBuffer, `${url}${filename}`);
+        const data = await ingestDispatchFile(env, arrayBuffer);
+        
+        latestData = {
+          timestamp: TimeUtil.nowUTC(),
+          settlement_date: data[0]?.settlementDate,
+          regions: data.map(d => ({
+            region: d.region,
+            price: d.price,
+            demand: d.demand,
+            generation: d.generation
+          }))
+        };
+        
+        return data.length;
       }
     });
     
-    // Parse CSV data from ZIP (simplified - in production use proper ZIP library)
-    const data = await parseDispatchData(arrayBuffer);
-    
-    // Store in database
-    const stmt = env.DB.prepare(`
-      INSERT INTO dispatch_prices (region, price, demand, generation, settlement_date, created_at)
-      VALUES (?, ?, ?, ?, ?, datetime('now'))
-      ON CONFLICT(region, settlement_date) DO UPDATE SET
-        price = excluded.price,
-        demand = excluded.demand,
-        generation = excluded.generation,
-        created_at = excluded.created_at
-    `);
-    
-    const batch: any[] = [];
-    for (const record of data) {
-      batch.push(stmt.bind(
-        record.region,
-        record.price,
-        record.demand,
-        record.generation || 0,
-        record.settlementDate
-      ));
+    if (!latestData) {
+      console.log('No new dispatch files');
+      return;
     }
     
-    await env.DB.batch(batch);
-    
-    // Update cache
-    const latestData = {
-      timestamp: TimeUtil.nowUTC(),
-      settlement_date: data[0]?.settlementDate,
-      regions: data.map(d => ({
-        region: d.region,
-        price: d.price,
-        demand: d.demand,
-        generation: d.generation
-      }))
-    };
-    
+    // Update cache with the newest interval
     await env.CACHE.put('prices:latest', JSON.stringify(latestData), {
       expirationTtl: 300 // 5 minutes
     });
@@ -320,57 +416,60 @@ async function fetchDispatchData(env: Env) {
       }
     }
     
-    console.log(`Stored ${data.length} dispatch records`);
+    console.log(`Stored ${summary.rows} dispatch records from ${summary.processed.length} files`);
   } catch (error) {
     console.error('Error fetching dispatch data:', error);
   }
 }
 
+// Parse a DISPATCHIS file and upsert regional prices
+async function ingestDispatchFile(env: Env, arrayBuffer: ArrayBuffer) {
+  const data = await parseDispatchData(arrayBuffer);
+  
+  const stmt = env.DB.prepare(`
+    INSERT INTO dispatch_prices (region, price, demand, generation, settlement_date, created_at)
+    VALUES (?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(region, settlement_date) DO UPDATE SET
+      price = excluded.price,
+      demand = excluded.demand,
+      generation = excluded.generation,
+      created_at = excluded.created_at
+  `);
+  
+  const batch: any[] = [];
+  for (const record of data) {
+    batch.push(stmt.bind(
+      record.region,
+      record.price,
+      record.demand,
+      record.generation || 0,
+      record.settlementDate
+    ));
+  }
+  
+  if (batch.length > 0) {
+    await env.DB.batch(batch);
+  }
+  
+  return data;
+}
+
 async function fetchP5MinData(env: Env) {
   const url = `${AEMO_BASE}/Reports/Current/P5_Reports/`;
   
   try {
-    // Fetch with truncation handling
-    const html = await fetchWithTruncationHandling(url);
-    
-    const files = extractZipLinksFromHTML(html);
-    const latestFile = getLatestFile(files, 'P5MIN');
-    
-    if (!latestFile) {
-      console.log('No P5MIN files found');
-      return;
-    }
-    
-    console.log(`Fetching P5MIN file: ${latestFile}`);
-    
-    const fileResponse = await fetch(`${url}${latestFile}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Sunney-Scraper/1.0)',
-        'Accept': 'application/zip,application/octet-stream,*/*'
-      }
-    });
-    
-    if (!fileResponse.ok) {
-      throw new Error(`Failed to download P5MIN ${latestFile}: ${fileResponse.status}`);
-    }
-    
-    const arrayBuffer = await fileResponse.arrayBuffer();
-    
-    // Store raw file
-    const timestamp = TimeUtil.nowUTC();
-    const r2Key = `raw/${timestamp.split('T')[0]}/p5min/${latestFile}`;
-    await env.ARCHIVE.put(r2Key, arrayBuffer, {
-      httpMetadata: {
-        contentType: 'application/zip'
-      },
-      customMetadata: {
-        source: 'AEMO',
-        type: 'P5MIN',
-        timestamp
+    const summary = await ingestNewFiles(env, {
+      report: 'p5min',
+      url,
+      pattern: 'P5MIN',
+      handler: async (arrayBuffer, filename) => {
+        // Store raw file
+        await archiveRawFile(env, 'p5min', filename, arrayBuffer, `${url}${filename}`);
+        return 0;
       }
     });
     
-    console.log('P5MIN data stored');
+    console.log(`P5MIN data stored (${summary.processed.length} files)`);
   } catch (error) {
     console.error('Error fetching P5MIN data:', error);
   }
@@ -383,76 +482,64 @@ async function fetchFCASData(env: Env) {
     // FCAS data is included in the DISPATCHIS files
     // We'll extract it from the same dispatch report
     const url = `${AEMO_BASE}/Reports/Current/DispatchIS_Reports/`;
-    
-    const html = await fetchWithTruncationHandling(url);
-    const files = extractZipLinksFromHTML(html);
-    const latestFile = getLatestFile(files, 'DISPATCHIS');
-    
-    if (!latestFile) {
-      console.log('No dispatch files found for FCAS');
-      return;
-    }
-    
-    console.log(`Fetching FCAS from dispatch file: ${latestFile}`);
-    
-    const fileResponse = await fetch(`${url}${latestFile}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Sunney-Scraper/1.0)',
-        'Accept': 'application/zip,application/octet-stream,*/*'
+    let latestFCAS: any = null;
+    
+    const summary = await ingestNewFiles(env, {
+      report: 'fcas',
+      url,
+      pattern: 'DISPATCHIS',
+      handler: async (arrayBuffer) => {
+        // Parse FCAS data from the dispatch file
+        const fcasData = await parseFCASData(arrayBuffer);
+        
+        if (fcasData.length === 0) {
+          console.log('No FCAS data found in dispatch file');
+          return 0;
+        }
+        
+        // Store in database
+        const stmt = env.DB.prepare(`
+          INSERT INTO fcas_prices (region, service, price, enablement_min, enablement_max, settlement_date, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+          ON CONFLICT(region, service, settlement_date) DO UPDATE SET
+            price = excluded.price,
+            enablement_min = excluded.enablement_min,
+            enablement_max = excluded.enablement_max,
+            created_at = excluded.created_at
+        `);
+        
+        const batch: any[] = [];
+        for (const record of fcasData) {
+          batch.push(stmt.bind(
+            record.region,
+            record.service,
+            record.price,
+            record.enablement_min,
+            record.enablement_max,
+            record.settlement_date
+          ));
+        }
+        
+        await env.DB.batch(batch);
+        
+        latestFCAS = {
+          timestamp: TimeUtil.nowUTC(),
+          settlement_date: fcasData[0]?.settlement_date,
+          services: fcasData
+        };
+        
+        return fcasData.length;
       }
     });
     
-    if (!fileResponse.ok) {
-      throw new Error(`Failed to download FCAS ${latestFile}: ${fileResponse.status}`);
-    }
-    
-    const arrayBuffer = await fileResponse.arrayBuffer();
-    
-    // Parse FCAS data from the dispatch file
-    const fcasData = await parseFCASData(arrayBuffer);
-    
-    if (fcasData.length === 0) {
-      console.log('No FCAS data found in dispatch file');
-      return;
-    }
-    
-    // Store in database
-    const stmt = env.DB.prepare(`
-      INSERT INTO fcas_prices (region, service, price, enablement_min, enablement_max, settlement_date, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
-      ON CONFLICT(region, service, settlement_date) DO UPDATE SET
-        price = excluded.price,
-        enablement_min = excluded.enablement_min,
-        enablement_max = excluded.enablement_max,
-        created_at = excluded.created_at
-    `);
-    
-    const batch: any[] = [];
-    for (const record of fcasData) {
-      batch.push(stmt.bind(
-        record.region,
-        record.service,
-        record.price,
-        record.enablement_min,
-        record.enablement_max,
-        record.settlement_date
-      ));
-    }
-    
-    await env.DB.batch(batch);
-    
     // Update cache
-    const latestFCAS = {
-      timestamp: TimeUtil.nowUTC(),
-      settlement_date: fcasData[0]?.settlement_date,
-      services: fcasData
-    };
-    
-    await env.CACHE.put('fcas:latest', JSON.stringify(latestFCAS), {
-      expirationTtl: 300 // 5 minutes
-    });
+    if (latestFCAS) {
+      await env.CACHE.put('fcas:latest', JSON.stringify(latestFCAS), {
+        expirationTtl: 300 // 5 minutes
+      });
+    }
     
-    console.log(`Stored ${fcasData.length} FCAS records`);
+    console.log(`Stored ${summary.rows} FCAS records`);
   } catch (error) {
     console.error('Error fetching FCAS data:', error);
   }
@@ -462,144 +549,117 @@ async function fetchScadaData(env: Env) {
   const url = `${AEMO_BASE}/Reports/Current/Dispatch_SCADA/`;
   
   try {
-    // Fetch the directory listing
-    const html = await fetchWithTruncationHandling(url);
-    const files = extractZipLinksFromHTML(html);
-    const latestFile = getLatestFile(files, 'DISPATCHSCADA');
-    
-    if (!latestFile) {
-      console.log('No SCADA files found');
-      return;
-    }
-    
-    console.log(`Fetching SCADA file: ${latestFile}`);
-    
-    const fileResponse = await fetch(`${url}${latestFile}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Sunney-Scraper/1.0)',
-        'Accept': 'application/zip,application/octet-stream,*/*'
+    const summary = await ingestNewFiles(env, {
+      report: 'scada',
+      url,
+      pattern: 'DISPATCHSCADA',
+      handler: async (arrayBuffer, filename) => {
+        // Archive raw file and store parsed records
+        await archiveRawFile(env, 'scada', filename, arrayBuffer, `${url}${filename}`);
+        const scadaData = await ingestScadaFile(env, arrayBuffer);
+        return scadaData.length;
       }
     });
     
-    if (!fileResponse.ok) {
-      throw new Error(`Failed to download SCADA ${latestFile}: ${fileResponse.status}`);
-    }
-    
-    const arrayBuffer = await fileResponse.arrayBuffer();
-    
-    // Parse SCADA data
-    const scadaData = await parseSCADAData(arrayBuffer);
-    
-    if (scadaData.length === 0) {
-      console.log('No SCADA data found');
-      return;
-    }
-    
-    // Store in database
-    const stmt = env.DB.prepare(`
-      INSERT INTO generator_scada (duid, scada_value, settlement_date, created_at)
-      VALUES (?, ?, ?, datetime('now'))
-      ON CONFLICT(duid, settlement_date) DO UPDATE SET
-        scada_value = excluded.scada_value,
-        created_at = excluded.created_at
-    `);
-    
-    const batch: any[] = [];
-    for (const record of scadaData) {
-      batch.push(stmt.bind(
-        record.duid,
-        record.scadavalue,
-        record.settlement_date
-      ));
-    }
-    
-    await env.DB.batch(batch);
-    
-    console.log(`Stored ${scadaData.length} SCADA records`);
-    
-    // Aggregate by fuel type using DUID mapping
-    await aggregateFuelTypes(env, scadaData[0]?.settlement_date);
-    
+    console.log(`Stored ${summary.rows} SCADA records`);
   } catch (error) {
     console.error('Error fetching SCADA data:', error);
   }
 }
 
+// Parse a DISPATCHSCADA file, upsert unit output and re-aggregate by fuel type
+async function ingestScadaFile(env: Env, arrayBuffer: ArrayBuffer) {
+  const scadaData = await parseSCADAData(arrayBuffer);
+  
+  if (scadaData.length === 0) {
+    return scadaData;
+  }
+  
+  const stmt = env.DB.prepare(`
+    INSERT INTO generator_scada (duid, scada_value, settlement_date, created_at)
+    VALUES (?, ?, ?, datetime('now'))
+    ON CONFLICT(duid, settlement_date) DO UPDATE SET
+      scada_value = excluded.scada_value,
+      created_at = excluded.created_at
+  `);
+  
+  const batch: any[] = [];
+  for (const record of scadaData) {
+    batch.push(stmt.bind(
+      record.duid,
+      record.scadavalue,
+      record.settlement_date
+    ));
+  }
+  
+  await env.DB.batch(batch);
+  
+  // Aggregate by fuel type using DUID mapping
+  await aggregateFuelTypes(env, scadaData[0]?.settlement_date);
+  
+  return scadaData;
+}
+
 async function fetchBatteryDispatchData(env: Env) {
   const url = `${AEMO_BASE}/Reports/Current/DispatchIS_Reports/`;
   
   try {
-    const html = await fetchWithTruncationHandling(url);
-    const files = extractZipLinksFromHTML(html);
-    const latestFile = getLatestFile(files, 'DISPATCHIS');
-    
-    if (!latestFile) {
-      console.log('No dispatch files found for battery data');
-      return;
-    }
-    
-    console.log(`Fetching battery dispatch from: ${latestFile}`);
-    
-    const fileResponse = await fetch(`${url}${latestFile}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Sunney-Scraper/1.0)',
-        'Accept': 'application/zip,application/octet-stream,*/*'
+    const summary = await ingestNewFiles(env, {
+      report: 'battery',
+      url,
+      pattern: 'DISPATCHIS',
+      handler: async (arrayBuffer) => {
+        // Parse battery dispatch data
+        const batteryData = await parseBatteryDispatchData(arrayBuffer);
+        
+        if (batteryData.length === 0) {
+          console.log('No battery dispatch data found');
+          return 0;
+        }
+        
+        // Store in database
+        const stmt = env.DB.prepare(`
+          INSERT INTO battery_dispatch (
+            duid, totalcleared, soc_percent, energy_mwh,
+            raise_6sec, lower_6sec, raise_60sec, lower_60sec,
+            raise_5min, lower_5min, raise_reg, lower_reg,
+            settlement_date, created_at
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+          ON CONFLICT(duid, settlement_date) DO UPDATE SET
+            totalcleared = excluded.totalcleared,
+            soc_percent = excluded.soc_percent,
+            energy_mwh = excluded.energy_mwh,
+            raise_6sec = excluded.raise_6sec,
+            lower_6sec = excluded.lower_6sec,
+            raise_60sec = excluded.raise_60sec,
+            lower_60sec = excluded.lower_60sec,
+            raise_5min = excluded.raise_5min,
+            lower_5min = excluded.lower_5min,
+            raise_reg = excluded.raise_reg,
+            lower_reg = excluded.lower_reg,
+            created_at = excluded.created_at
+        `);
+        
+        const batch: any[] = [];
+        for (const record of batteryData) {
+          batch.push(stmt.bind(
+            record.duid,
+            record.totalcleared,
+            record.soc_percent || 0,
+            record.energy_mwh || 0,
+            0, 0, 0, 0, 0, 0, 0, 0, // FCAS values would come from separate parsing
+            record.settlement_date
+          ));
+        }
+        
+        await env.DB.batch(batch);
+        
+        return batteryData.length;
       }
     });
     
-    if (!fileResponse.ok) {
-      throw new Error(`Failed to download dispatch file: ${fileResponse.status}`);
-    }
-    
-    const arrayBuffer = await fileResponse.arrayBuffer();
-    
-    // Parse battery dispatch data
-    const batteryData = await parseBatteryDispatchData(arrayBuffer);
-    
-    if (batteryData.length === 0) {
-      console.log('No battery dispatch data found');
-      return;
-    }
-    
-    // Store in database
-    const stmt = env.DB.prepare(`
-      INSERT INTO battery_dispatch (
-        duid, totalcleared, soc_percent, energy_mwh,
-        raise_6sec, lower_6sec, raise_60sec, lower_60sec,
-        raise_5min, lower_5min, raise_reg, lower_reg,
-        settlement_date, created_at
-      )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
-      ON CONFLICT(duid, settlement_date) DO UPDATE SET
-        totalcleared = excluded.totalcleared,
-        soc_percent = excluded.soc_percent,
-        energy_mwh = excluded.energy_mwh,
-        raise_6sec = excluded.raise_6sec,
-        lower_6sec = excluded.lower_6sec,
-        raise_60sec = excluded.raise_60sec,
-        lower_60sec = excluded.lower_60sec,
-        raise_5min = excluded.raise_5min,
-        lower_5min = excluded.lower_5min,
-        raise_reg = excluded.raise_reg,
-        lower_reg = excluded.lower_reg,
-        created_at = excluded.created_at
-    `);
-    
-    const batch: any[] = [];
-    for (const record of batteryData) {
-      batch.push(stmt.bind(
-        record.duid,
-        record.totalcleared,
-        record.soc_percent || 0,
-        record.energy_mwh || 0,
-        0, 0, 0, 0, 0, 0, 0, 0, // FCAS values would come from separate parsing
-        record.settlement_date
-      ));
-    }
-    
-    await env.DB.batch(batch);
-    
-    console.log(`Stored ${batteryData.length} battery dispatch records`);
+    console.log(`Stored ${summary.rows} battery dispatch records`);
   } catch (error) {
     console.error('Error fetching battery dispatch data:', error);
   }
@@ -0,0 +1,242 @@
+/**
+ * Raw File Archive
+ * Every ZIP downloaded from NEMWEB is kept in R2 under
+ * raw/YYYY/MM/DD/<report>/<filename>, so history can be re-parsed after a
+ * parser fix without going back to AEMO.
+ *
+ * Each file's details (sha256, source URL, archive time) travel in its own
+ * R2 metadata, and a day's manifest is built by listing the day's prefix.
+ * There's no shared index object to read-modify-write, so files archived at
+ * the same time can't drop each other's entries.
+ *
+ * Days are NEM days (AEST), taken from the 12-digit timestamp in the AEMO
+ * filename where there is one.
+ */
+
+import { TimeUtil } from '../../../shared/utils/time';
+
+export const RAW_REPORTS = ['dispatch', 'p5min', 'scada', 'trading', 'predispatch', 'stpasa'] as const;
+export type RawReport = typeof RAW_REPORTS[number];
+
+export interface RawManifestEntry {
+  key: string;
+  report: RawReport;
+  filename: string;
+  size: number;
+  sha256: string;
+  source_url?: string;
+  archived_at: string;
+}
+
+export interface RawManifest {
+  date: string;             // YYYY-MM-DD (AEST)
+  files: RawManifestEntry[];
+  updated_at: string;
+}
+
+// Re-parses one archived file and stores the result; returns rows written
+export type ReplayHandler = (env: any, arrayBuffer: ArrayBuffer) => Promise<number>;
+
+export interface ReplayOptions {
+  from: string;             // YYYY-MM-DD (AEST), inclusive
+  to: string;               // YYYY-MM-DD (AEST), inclusive
+  reports?: string[];
+  cursor?: string | null;   // Resume point returned by a previous call
+  budgetMs?: number;
+}
+
+export interface ReplayResult {
+  from: string;
+  to: string;
+  reports: string[];
+  filesProcessed: number;
+  rowsStored: number;
+  errors: string[];
+  cursor: string | null;    // null once the whole range has been replayed
+}
+
+// Wall-clock budget per replay request; leaves headroom under the Worker limit
+const DEFAULT_REPLAY_BUDGET_MS = 20000;
+
+/**
+ * NEM day a file belongs to, as YYYY/MM/DD.
+ * AEMO filenames carry an AEST YYYYMMDDHHMM stamp; files without one
+ * are filed under the current AEST day.
+ */
+export function rawArchiveDay(filename: string): string {
+  const stamp = filename.match(/_(\d{8})\d{4}(?:_|\.)/);
+  const day = stamp ? stamp[1] : TimeUtil.nowAEST().substring(0, 10).replace(/\//g, '');
+  return `${day.substring(0, 4)}/${day.substring(4, 6)}/${day.substring(6, 8)}`;
+}
+
+function isRawReport(value: string): value is RawReport {
+  return (RAW_REPORTS as readonly string[]).includes(value);
+}
+
+async function sha256Hex(arrayBuffer: ArrayBuffer): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', arrayBuffer);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Store a downloaded ZIP with its manifest details as R2 metadata.
+ * Archive failures are logged, never thrown - losing the raw copy must
+ * not stop the parsed data from reaching D1.
+ */
+export async function archiveRawFile(
+  env: any,
+  report: RawReport,
+  filename: string,
+  arrayBuffer: ArrayBuffer,
+  sourceUrl?: string
+): Promise<string | null> {
+  const dayPath = rawArchiveDay(filename);
+  const key = `raw/${dayPath}/${report}/${filename}`;
+
+  try {
+    const timestamp = TimeUtil.nowUTC();
+    const sha256 = await sha256Hex(arrayBuffer);
+
+    // AEMO files are immutable; skip the write if we already hold this copy
+    const existing = await env.ARCHIVE.head(key);
+    if (existing && existing.customMetadata?.sha256 === sha256) {
+      return key;
+    }
+
+    await env.ARCHIVE.put(key, arrayBuffer, {
+      httpMetadata: { contentType: 'application/zip' },
+      customMetadata: {
+        source: 'AEMO',
+        type: report.toUpperCase(),
+        timestamp,
+        sha256,
+        ...(sourceUrl ? { source_url: sourceUrl } : {})
+      }
+    });
+
+    return key;
+  } catch (error) {
+    console.error(`Failed to archive ${key}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Manifest for a NEM day (YYYY-MM-DD), listed from the archive; empty if
+ * nothing was archived
+ */
+export async function getRawManifest(env: any, date: string): Promise<RawManifest> {
+  const prefix = `raw/${date.replace(/-/g, '/')}/`;
+  const files: RawManifestEntry[] = [];
+  let cursor: string | undefined;
+
+  do {
+    const listed = await env.ARCHIVE.list({ prefix, cursor, include: ['customMetadata'] });
+    for (const object of listed.objects) {
+      // <report>/<filename>; anything else under the day (e.g. an old manifest.json) is skipped
+      const [report, filename, ...rest] = object.key.substring(prefix.length).split('/');
+      if (!filename || rest.length > 0 || !isRawReport(report)) {
+        continue;
+      }
+      const metadata = object.customMetadata ?? {};
+      files.push({
+        key: object.key,
+        report,
+        filename,
+        size: object.size,
+        sha256: metadata.sha256 ?? '',
+        source_url: metadata.source_url,
+        archived_at: metadata.timestamp ?? new Date(object.uploaded).toISOString()
+      });
+    }
+    cursor = listed.truncated ? listed.cursor : undefined;
+  } while (cursor);
+
+  // Last archived file, as the stored manifest's updated_at was
+  const updatedAt = files.reduce((latest, f) => f.archived_at > latest ? f.archived_at : latest, '');
+  return { date, files, updated_at: updatedAt || TimeUtil.nowUTC() };
+}
+
+function nextDay(date: string): string {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Re-run the given handlers over archived files for a date range.
+ * Works through days and files in order until the time budget runs out,
+ * returning a cursor to continue from. Handlers should upsert, so a
+ * replay can be repeated safely.
+ */
+export async function replayArchivedFiles(
+  env: any,
+  handlers: Partial<Record<RawReport, ReplayHandler>>,
+  options: ReplayOptions
+): Promise<ReplayResult> {
+  const reports = options.reports && options.reports.length > 0
+    ? options.reports
+    : Object.keys(handlers);
+
+  const unknown = reports.filter(r => !handlers[r as RawReport]);
+  if (unknown.length > 0) {
+    throw new Error(`Cannot replay report type(s): ${unknown.join(', ')}`);
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(options.from) || !/^\d{4}-\d{2}-\d{2}$/.test(options.to) || options.from > options.to) {
+    throw new Error('from/to must be YYYY-MM-DD with from <= to');
+  }
+
+  let day = options.from;
+  let index = 0;
+  if (options.cursor) {
+    const [cursorDay, cursorIndex] = options.cursor.split(':');
+    day = cursorDay;
+    index = parseInt(cursorIndex) || 0;
+  }
+
+  const result: ReplayResult = {
+    from: options.from,
+    to: options.to,
+    reports,
+    filesProcessed: 0,
+    rowsStored: 0,
+    errors: [],
+    cursor: null
+  };
+
+  const deadline = Date.now() + (options.budgetMs ?? DEFAULT_REPLAY_BUDGET_MS);
+
+  while (day <= options.to) {
+    const manifest = await getRawManifest(env, day);
+    const files = manifest.files
+      .filter(f => reports.includes(f.report))
+      .sort((a, b) => a.key.localeCompare(b.key));
+
+    for (; index < files.length; index++) {
+      if (Date.now() >= deadline) {
+        result.cursor = `${day}:${index}`;
+        return result;
+      }
+
+      const entry = files[index];
+      try {
+        const object = await env.ARCHIVE.get(entry.key);
+        if (!object) {
+          throw new Error('missing from archive');
+        }
+        result.rowsStored += await handlers[entry.report]!(env, await object.arrayBuffer());
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        result.errors.push(`${entry.key}: ${message}`);
+      }
+      result.filesProcessed++;
+    }
+
+    day = nextDay(day);
+    index = 0;
+  }
+
+  console.log(`Replayed ${result.filesProcessed} archived files (${options.from} to ${options.to}), ${result.rowsStored} rows`);
+  return result;
+}